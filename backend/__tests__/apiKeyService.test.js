@@ -0,0 +1,109 @@
+// __tests__/apiKeyService.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-api-keys-'));
+process.env.DATA_DIR = dataDir;
+
+const apiKeyService = require('../services/apiKeyService');
+
+const storedKeys = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'apiKeys.json'), 'utf8'));
+const month = () => new Date().toISOString().slice(0, 7);
+
+describe('apiKeyService', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('issueKey', () => {
+    it('returns the key once and stores only its SHA-256 hash', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Acme Roofing', rateLimitPerMinute: 30 });
+
+      expect(key).toMatch(/^rai_[0-9a-f]{8}_[\w-]+$/);
+      expect(key.startsWith(apiKey.prefix)).toBe(true);
+      expect(apiKey).toMatchObject({ name: 'Acme Roofing', rateLimitPerMinute: 30, monthlyVisionQuota: 500, active: true });
+      expect(apiKey).not.toHaveProperty('hash');
+
+      const stored = storedKeys().find(record => record.id === apiKey.id);
+      expect(stored.hash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+      expect(JSON.stringify(storedKeys())).not.toContain(key);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('finds active keys by their plaintext', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Auth Co' });
+
+      expect((await apiKeyService.authenticate(key)).id).toBe(apiKey.id);
+      expect(await apiKeyService.authenticate(`${key}x`)).toBeNull();
+      expect(await apiKeyService.authenticate('admin-token')).toBeNull();
+    });
+
+    it('rejects revoked keys', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Revoked Co' });
+
+      const revoked = await apiKeyService.revokeKey(apiKey.id);
+      expect(revoked.active).toBe(false);
+      expect(await apiKeyService.authenticate(key)).toBeNull();
+      expect(await apiKeyService.revokeKey('key_missing')).toBeNull();
+    });
+  });
+
+  describe('vision quota', () => {
+    it('reserves analyses up to the monthly quota, even when requested at once', async () => {
+      const { apiKey } = await apiKeyService.issueKey({ name: 'Quota Co', monthlyVisionQuota: 2 });
+
+      const quotas = await Promise.all([1, 2, 3, 4].map(() => apiKeyService.reserveVisionAnalysis(apiKey.id)));
+
+      expect(quotas.map(quota => quota.allowed)).toEqual([true, true, false, false]);
+      expect(quotas[1]).toMatchObject({ limit: 2, used: 2, remaining: 0 });
+      expect(await apiKeyService.reserveVisionAnalysis('key_missing')).toBeNull();
+    });
+
+    it('gives a released analysis back', async () => {
+      const { apiKey } = await apiKeyService.issueKey({ name: 'Release Co', monthlyVisionQuota: 1 });
+
+      await apiKeyService.reserveVisionAnalysis(apiKey.id);
+      expect((await apiKeyService.reserveVisionAnalysis(apiKey.id)).allowed).toBe(false);
+
+      await apiKeyService.releaseVisionAnalysis(apiKey.id, month());
+      expect((await apiKeyService.reserveVisionAnalysis(apiKey.id)).allowed).toBe(true);
+
+      // Never below zero
+      await apiKeyService.releaseVisionAnalysis(apiKey.id, month());
+      await apiKeyService.releaseVisionAnalysis(apiKey.id, month());
+      const { usage } = await apiKeyService.getUsage(apiKey.id);
+      expect(usage[0].visionAnalyses).toBe(0);
+    });
+  });
+
+  describe('request usage', () => {
+    it('buffers request counts until they are flushed', async () => {
+      const { apiKey } = await apiKeyService.issueKey({ name: 'Usage Co' });
+
+      apiKeyService.recordUsage(apiKey.id);
+      apiKeyService.recordUsage(apiKey.id);
+      apiKeyService.recordUsage(apiKey.id);
+      expect(storedKeys().find(record => record.id === apiKey.id).usage).toEqual({});
+
+      expect(await apiKeyService.flushUsage()).toBe(1);
+      const stored = storedKeys().find(record => record.id === apiKey.id);
+      expect(stored.usage[month()]).toEqual({ requests: 3, visionAnalyses: 0 });
+      expect(stored.lastUsedAt).toEqual(expect.any(String));
+
+      expect(await apiKeyService.flushUsage()).toBe(0);
+    });
+
+    it('flushes before reporting usage', async () => {
+      const { apiKey } = await apiKeyService.issueKey({ name: 'Report Co' });
+
+      apiKeyService.recordUsage(apiKey.id);
+      const { usage } = await apiKeyService.getUsage(apiKey.id);
+
+      expect(usage).toEqual([{ month: month(), requests: 1, visionAnalyses: 0 }]);
+      expect((await apiKeyService.listKeys()).find(key => key.id === apiKey.id).currentMonth.requests).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+// __tests__/batchService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-batch-'));
+process.env.DATA_DIR = dataDir;
+
+jest.mock('../services/googleMapsService', () => ({ geocodeAddress: jest.fn() }));
+jest.mock('../services/openAIVisionService', () => ({ analyzeRoof: jest.fn() }));
+jest.mock('../services/openaiService', () => ({ generateRoofEstimate: jest.fn() }));
+
+const googleMapsService = require('../services/googleMapsService');
+const openAIVisionService = require('../services/openAIVisionService');
+const openaiService = require('../services/openaiService');
+const batchService = require('../services/batchService');
+const { parseCsv } = require('../utils/csv');
+
+describe('batchService', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('parseCsv', () => {
+    it('reads quoted fields, doubled quotes and CRLF line endings', () => {
+      const { headers, records } = parseCsv('﻿Address,Notes\r\n"1 Main St, Springfield","the ""blue"" house"\r\n\r\n2 Oak Ave,\n');
+
+      expect(headers).toEqual(['Address', 'Notes']);
+      expect(records).toEqual([
+        { Address: '1 Main St, Springfield', Notes: 'the "blue" house' },
+        { Address: '2 Oak Ave', Notes: '' }
+      ]);
+    });
+
+    it('keeps line breaks inside quotes and fills short rows', () => {
+      const { records } = parseCsv('address,city\n"Unit 4\nRear",Dayton\n9 Elm St');
+
+      expect(records).toEqual([
+        { address: 'Unit 4\nRear', city: 'Dayton' },
+        { address: '9 Elm St', city: '' }
+      ]);
+    });
+
+    it('returns no records for blank input', () => {
+      expect(parseCsv(' \n\n')).toEqual({ headers: [], records: [] });
+    });
+  });
+
+  describe('parseAddressList', () => {
+    it('maps spreadsheet headers onto row fields', () => {
+      const csv = [
+        'Property ID,Street Address,Town,ST,Zip,Latitude,Longitude,Pitch,Sq Ft,Owner',
+        'A-1,1 Main St,Springfield,IL,62701,,,steep,2400,Jane'
+      ].join('\n');
+
+      const [row] = batchService.parseAddressList({ csv });
+
+      expect(row).toEqual({
+        row: 1,
+        fields: { reference: 'A-1', address: '1 Main St', city: 'Springfield', zipCode: '62701', roofSteepness: 'steep', buildingSize: 2400 },
+        error: null
+      });
+    });
+
+    it('accepts plain addresses and coordinates from JSON rows', () => {
+      const rows = batchService.parseAddressList({ rows: ['  1 Main St  ', { lat: '40.1', lng: '-75.2' }] });
+
+      expect(rows.map(row => row.fields)).toEqual([{ address: '1 Main St' }, { lat: 40.1, lng: -75.2 }]);
+      expect(rows.every(row => row.error === null)).toBe(true);
+    });
+
+    it('records a validation error on the row instead of rejecting the list', () => {
+      const rows = batchService.parseAddressList({
+        csv: 'reference,address,lat,lng,roofSteepness,material\nA-1,,,,,\nA-2,1 Main St,91,-75,vertical,granite'
+      });
+
+      expect(rows[0].error).toBe('an address or lat/lng is required');
+      expect(rows[1].error).toContain('lat must be less than or equal to 90');
+      expect(rows[1].error).toContain('roofSteepness must be one of flat, low, moderate, steep');
+      expect(rows[1].error).toContain('desiredRoofMaterial must be one of');
+    });
+
+    it('rejects an empty list with a 422', () => {
+      expect(() => batchService.parseAddressList({ csv: 'address\n' })).toThrow(
+        expect.objectContaining({ statusCode: 422, message: 'The address list is empty' })
+      );
+    });
+  });
+
+  describe('processRow', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('geocodes, analyzes and prices a row with the measured pitch', async () => {
+      googleMapsService.geocodeAddress.mockResolvedValue({ lat: 39.78, lng: -89.65, formattedAddress: '1 Main St, Springfield, IL 62701, USA', state: 'IL' });
+      openAIVisionService.analyzeRoof.mockResolvedValue({ roofArea: 2100, estimatedPitch: 'low', roofShape: 'gable', confidence: 'high' });
+      openaiService.generateRoofEstimate.mockResolvedValue({ lowEstimate: 9000, estimate: 10000, highEstimate: 11000, pricePerSqft: 4.76 });
+
+      const [parsed] = batchService.parseAddressList({ rows: ['1 Main St'] });
+      const result = await batchService.processRow(parsed);
+
+      expect(openaiService.generateRoofEstimate).toHaveBeenCalledWith(expect.objectContaining({
+        roofSize: 2100,
+        roofSteepness: 'low',
+        buildingType: 'residential',
+        desiredRoofMaterial: 'asphalt_3tab',
+        state: 'IL'
+      }));
+      expect(result).toMatchObject({ row: 1, status: 'completed', roofArea: 2100, estimate: 10000, lat: 39.78 });
+    });
+
+    it('records the stage a row failed at', async () => {
+      googleMapsService.geocodeAddress.mockRejectedValue(new Error('ZERO_RESULTS'));
+
+      const [invalid, unknown] = batchService.parseAddressList({ rows: [{ city: 'Nowhere' }, 'Nowhere Lane'] });
+
+      expect(await batchService.processRow(invalid)).toMatchObject({ status: 'failed', failedStage: 'validation' });
+      expect(await batchService.processRow(unknown)).toMatchObject({ status: 'failed', failedStage: 'geocode', error: 'ZERO_RESULTS' });
+      expect(openAIVisionService.analyzeRoof).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resultsToCsv', () => {
+    it('writes every result column and neutralizes formulas', () => {
+      const csv = batchService.resultsToCsv([{ row: 1, reference: '=HYPERLINK("x")', status: 'completed', address: '1 Main St, Springfield', estimate: -5 }]);
+      const [header, line] = csv.trim().split('\r\n');
+
+      expect(header.split(',')).toEqual(batchService.RESULT_COLUMNS);
+      expect(parseCsv(csv).records[0]).toMatchObject({
+        reference: '\'=HYPERLINK("x")',
+        address: '1 Main St, Springfield',
+        estimate: '-5'
+      });
+      expect(line.startsWith('1,"\'=HYPERLINK(""x"")",completed')).toBe(true);
+    });
+  });
+});
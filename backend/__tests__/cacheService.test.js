@@ -0,0 +1,159 @@
+// __tests__/cacheService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cacheService = require('../services/cacheService');
+const { createMemoryTier } = require('../services/cacheTiers');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-cache-'));
+
+// Just enough of a Redis client for the redis tier (GET, SET ... PX, DEL, SCAN)
+const createFakeRedisClient = () => {
+  const data = new Map();
+
+  return {
+    data,
+    address: 'fake:6379',
+    command: async (name, ...args) => {
+      switch (name) {
+        case 'GET': return data.get(args[0]) ?? null;
+        case 'SET': data.set(args[0], args[1]); return 'OK';
+        case 'DEL': return args.filter(key => data.delete(key)).length;
+        case 'SCAN': {
+          const prefix = args[2].slice(0, -1);
+          return ['0', [...data.keys()].filter(key => key.startsWith(prefix))];
+        }
+        default: throw new Error(`Unsupported command ${name}`);
+      }
+    }
+  };
+};
+
+const failingRedisClient = {
+  address: 'down:6379',
+  command: async () => { throw new Error('ECONNREFUSED'); }
+};
+
+describe('cacheService', () => {
+  afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('tiers', () => {
+    it('falls through to the disk tier and copies hits into memory', async () => {
+      const cache = cacheService.createCache('fallthrough', { tiers: 'memory,disk', dir: cacheDir, memoryMaxEntries: 1 });
+
+      await cache.set('a', { roofArea: 2000 });
+      await cache.set('b', { roofArea: 3000 }); // evicts a from memory
+
+      expect(await cache.get('a')).toEqual({ roofArea: 2000 });
+      expect(await cache.get('a')).toEqual({ roofArea: 2000 });
+      expect(await cache.get('missing')).toBeUndefined();
+
+      const stats = await cache.stats();
+      expect(stats.hits).toEqual({ memory: 1, disk: 1 });
+      expect(stats.misses).toBe(1);
+      expect(stats.hitRate).toBeCloseTo(2 / 3, 3);
+    });
+
+    it('reads entries shared through redis', async () => {
+      const client = createFakeRedisClient();
+      const cache = cacheService.createCache('shared', { tiers: 'memory,redis', redisClient: client });
+      const entry = { key: 'k', value: 'from another instance', meta: {}, createdAt: Date.now(), expiresAt: Date.now() + 60000 };
+      client.data.set('roofai:cache:shared:k', JSON.stringify(entry));
+
+      expect(await cache.get('k')).toBe('from another instance');
+      expect((await cache.stats()).hits).toEqual({ memory: 0, redis: 1 });
+      expect((await cache.inspect()).map(item => item.tiers)).toEqual([['memory', 'redis']]);
+    });
+
+    it('skips a failing tier instead of failing the request', async () => {
+      const cache = cacheService.createCache('degraded', { tiers: 'memory,redis', redisClient: failingRedisClient });
+
+      await cache.set('k', 42);
+      expect(await cache.get('k')).toBe(42);
+      expect(await cache.get('other')).toBeUndefined();
+
+      const stats = await cache.stats();
+      expect(stats.errors.redis).toBeGreaterThan(0);
+      expect(stats.tiers.find(tier => tier.name === 'redis')).toEqual({ name: 'redis', available: false });
+    });
+
+    it('leaves out tiers that cannot be created', async () => {
+      const cache = cacheService.createCache('misconfigured', { tiers: 'memory,redis,tape' });
+
+      await cache.set('k', 'v');
+      expect(await cache.get('k')).toBe('v');
+      expect((await cache.stats()).tiers.map(tier => tier.name)).toEqual(['memory']);
+    });
+  });
+
+  describe('entries', () => {
+    it('expire after their time to live', async () => {
+      const cache = cacheService.createCache('expiring', { tiers: 'memory' });
+
+      await cache.set('short', 'value', { ttlMs: 5 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(await cache.get('short')).toBeUndefined();
+    });
+
+    it('are loaded once for concurrent wraps, and null results are not cached', async () => {
+      const cache = cacheService.createCache('wrapped', { tiers: 'memory' });
+      const loader = jest.fn(async () => ({ roofArea: 1800 }));
+
+      const results = await Promise.all([1, 2, 3].map(() => cache.wrap('roof', loader, { meta: value => ({ area: value.roofArea }) })));
+      expect(results).toEqual([{ roofArea: 1800 }, { roofArea: 1800 }, { roofArea: 1800 }]);
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect((await cache.inspect())[0].meta).toEqual({ area: 1800 });
+
+      const empty = jest.fn(async () => null);
+      await cache.wrap('nothing', empty);
+      await cache.wrap('nothing', empty);
+      expect(empty).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('invalidate', () => {
+    it('removes entries near the coordinates an address was cached at', async () => {
+      const geocode = cacheService.createCache('geocodeTest', { tiers: 'memory' });
+      const roofs = cacheService.createCache('roofTest', { tiers: 'memory' });
+
+      await geocode.set('addr', { lat: 40, lng: -75 }, { meta: { address: '1 Main St, Springfield', lat: 40, lng: -75 } });
+      await roofs.set('near', 1, { meta: { lat: 40.0001, lng: -75 } }); // ~11 m away
+      await roofs.set('far', 2, { meta: { lat: 40.01, lng: -75 } });
+
+      const result = await cacheService.invalidate({ address: '1 main st springfield' });
+
+      expect(result.removed).toMatchObject({ geocodeTest: 1, roofTest: 1 });
+      expect(await roofs.get('near')).toBeUndefined();
+      expect(await roofs.get('far')).toBe(2);
+    });
+
+    it('can be limited to one namespace', async () => {
+      const roofs = cacheService.getCache('roofTest');
+      await roofs.set('here', 3, { meta: { lat: 41, lng: -75 } });
+
+      const result = await cacheService.invalidate({ lat: 41, lng: -75 }, { namespace: 'geocodeTest' });
+
+      expect(result.total).toBe(0);
+      expect(await roofs.get('here')).toBe(3);
+    });
+  });
+
+  describe('memory tier', () => {
+    it('evicts the least recently used entry', async () => {
+      const tier = createMemoryTier({ maxEntries: 2 });
+      const entry = key => ({ key, value: key, meta: {}, createdAt: Date.now(), expiresAt: Date.now() + 60000 });
+
+      await tier.set(entry('a'));
+      await tier.set(entry('b'));
+      await tier.get('a');
+      await tier.set(entry('c'));
+
+      expect(await tier.get('b')).toBeNull();
+      expect((await tier.get('a')).value).toBe('a');
+      expect((await tier.describe()).evictions).toBe(1);
+    });
+  });
+});
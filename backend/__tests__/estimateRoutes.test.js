@@ -0,0 +1,226 @@
+// __tests__/estimateRoutes.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// geotiff depends on ESM-only packages that jest's CommonJS runtime can't load;
+// estimates never read GeoTIFF imagery
+jest.mock('geotiff', () => ({ fromFile: jest.fn() }));
+
+// Stores, LLM, cache and mail read their configuration when first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-estimates-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LLM_PROVIDER: 'fake',
+  CACHE_TIERS: 'memory',
+  MAIL_TRANSPORT: 'memory',
+  ADMIN_API_TOKEN: 'admin-secret'
+});
+
+const app = require('../server');
+const notificationService = require('../services/notificationService');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+const estimateForm = {
+  address: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  zipCode: '78701',
+  roofSize: 2000,
+  roofSteepness: 'moderate',
+  buildingType: 'residential',
+  desiredRoofMaterial: 'asphalt_3tab'
+};
+
+const contact = (email) => ({ name: 'Ann Roofer', email, phone: '512-555-0100' });
+
+// Confirmation emails are sent after the response; an email queued while
+// another is being sent waits for the next pass (the worker's, outside tests)
+const waitForEmails = async (transport, to, count = 1) => {
+  const sentTo = () => transport.sent.filter(message => message.to.toLowerCase() === to);
+  for (let i = 0; i < 50 && sentTo().length < count; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await notificationService.processQueue();
+  }
+  return sentTo();
+};
+
+describe('estimate routes', () => {
+  const transport = notificationService.getTransport();
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('POST /api/estimates/generate', () => {
+    it('rejects a form without the required answers', async () => {
+      const res = await request(app).post('/api/estimates/generate').send({ address: '1 Main St' });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty('desiredRoofMaterial');
+      expect(res.body.errors).toHaveProperty('roofSize');
+    });
+
+    it('prices each roof section', async () => {
+      const res = await request(app).post('/api/estimates/generate').send({
+        desiredRoofMaterial: 'asphalt_3tab',
+        roofSections: [
+          { label: 'Main', planArea: 1500, pitch: '8/12' },
+          { label: 'Porch', planArea: 300, pitch: '2/12' }
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      const { sections, estimate } = res.body.data;
+      expect(sections.map(section => section.label)).toEqual(['Main', 'Porch']);
+      expect(sections.reduce((total, section) => total + section.estimate, 0)).toBeCloseTo(estimate, -1);
+    });
+
+    it('rejects a roof section with an invalid pitch', async () => {
+      const res = await request(app).post('/api/estimates/generate').send({
+        desiredRoofMaterial: 'asphalt_3tab',
+        roofSections: [{ planArea: 1500, pitch: '60/12' }]
+      });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty(['roofSections.0.pitch']);
+    });
+
+    it('rejects a roof section outline without an area', async () => {
+      const point = { lat: 30.2672, lng: -97.7431 };
+      const res = await request(app).post('/api/estimates/generate').send({
+        desiredRoofMaterial: 'asphalt_3tab',
+        roofSections: [{ polygon: [point, point, point], pitch: '6/12' }]
+      });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty('roofSections');
+    });
+  });
+
+  describe('POST /api/estimates/submit', () => {
+    it('saves the lead and returns its reference and report token', async () => {
+      const res = await request(app).post('/api/estimates/submit').send({
+        ...estimateForm,
+        ...contact('ann@example.com')
+      });
+
+      expect(res.status).toBe(200);
+      const { reference, reportToken } = res.body.data;
+      expect(reference).toMatch(/^EST-/);
+      expect(reportToken).toEqual(expect.any(String));
+
+      const saved = await request(app).get(`/api/estimates/${reference}`).set(ADMIN);
+      expect(saved.body.data).toMatchObject({
+        reference,
+        contact: contact('ann@example.com'),
+        formData: { address: '1 Main St', roofSize: 2000 }
+      });
+    });
+
+    it('emails the customer a confirmation with the reference', async () => {
+      const res = await request(app).post('/api/estimates/submit').send({
+        ...estimateForm,
+        ...contact('dave@example.com')
+      });
+
+      const [email] = await waitForEmails(transport, 'dave@example.com');
+      expect(email.to).toBe('dave@example.com');
+      expect(email.subject).toContain(res.body.data.reference);
+
+      const saved = await request(app).get(`/api/estimates/${res.body.data.reference}`).set(ADMIN);
+      expect(email.text).toContain('Priced from our current rates.');
+      expect(saved.body.data.notifications).toEqual([
+        expect.objectContaining({ status: 'sent', transport: 'memory', to: 'dave@example.com' })
+      ]);
+    });
+
+    it('keeps the estimate the customer was shown next to the server price', async () => {
+      const shown = { lowEstimate: 9000, estimate: 10000, highEstimate: 11000 };
+      const res = await request(app).post('/api/estimates/submit').send({
+        ...estimateForm,
+        ...contact('erin@example.com'),
+        estimateResult: shown
+      });
+
+      const saved = await request(app).get(`/api/estimates/${res.body.data.reference}`).set(ADMIN);
+      const { estimate, clientEstimate } = saved.body.data;
+      expect(clientEstimate).toEqual(shown);
+      expect(estimate.estimate).toEqual(expect.any(Number));
+      expect(estimate.estimate).not.toBe(shown.estimate);
+
+      const [email] = await waitForEmails(transport, 'erin@example.com');
+      expect(email.text).toContain(`Average: $${estimate.estimate.toLocaleString('en-US')}`);
+      expect(email.text).toContain('the instant estimate shown online was $10,000');
+      expect(email.html).toContain('the instant estimate shown online was $10,000');
+    });
+
+        it('requires valid contact details', async () => {
+      const res = await request(app).post('/api/estimates/submit').send({
+        ...estimateForm,
+        ...contact('not-an-email')
+      });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty('email');
+    });
+
+    it('throttles confirmation emails to the same recipient', async () => {
+      for (let i = 0; i < 4; i++) {
+        const res = await request(app).post('/api/estimates/submit').send({
+          ...estimateForm,
+          ...contact(i % 2 ? 'Bob@Example.com' : 'bob@example.com')
+        });
+        expect(res.status).toBe(200);
+        // Let each confirmation be queued before the next submission
+        await waitForEmails(transport, 'bob@example.com', Math.min(i + 1, 3));
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(transport.sent.filter(message => message.to.toLowerCase() === 'bob@example.com')).toHaveLength(3);
+    });
+  });
+
+  describe('submitted estimates', () => {
+    let reference;
+    let reportToken;
+
+    beforeAll(async () => {
+      const res = await request(app).post('/api/estimates/submit').send({
+        ...estimateForm,
+        ...contact('carol@example.com')
+      });
+      ({ reference, reportToken } = res.body.data);
+    });
+
+    it('are listed for admins only', async () => {
+      expect((await request(app).get('/api/estimates')).status).toBe(401);
+
+      const res = await request(app).get('/api/estimates').set(ADMIN);
+      expect(res.status).toBe(200);
+      expect(res.body.data.items.map(item => item.reference)).toContain(reference);
+    });
+
+    it('are retrieved for admins only', async () => {
+      expect((await request(app).get(`/api/estimates/${reference}`)).status).toBe(401);
+      expect((await request(app).get('/api/estimates/EST-0-0').set(ADMIN)).status).toBe(404);
+
+      const res = await request(app).get(`/api/estimates/${reference}`).set(ADMIN);
+      expect(res.status).toBe(200);
+      expect(res.body.data.contact.email).toBe('carol@example.com');
+    });
+
+    it('have a PDF report behind the report token', async () => {
+      const missing = await request(app).get(`/api/estimates/${reference}/report.pdf`);
+      const wrong = await request(app).get(`/api/estimates/${reference}/report.pdf?token=nope`);
+      expect(missing.status).toBe(404);
+      expect(wrong.status).toBe(404);
+
+      const res = await request(app).get(`/api/estimates/${reference}/report.pdf?token=${reportToken}`);
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+    });
+  });
+});
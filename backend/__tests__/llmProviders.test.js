@@ -0,0 +1,149 @@
+// __tests__/llmProviders.test.js
+jest.mock('axios');
+jest.mock('openai', () => {
+  const create = jest.fn();
+  return {
+    OpenAI: jest.fn().mockImplementation(() => ({ chat: { completions: { create } } })),
+    create
+  };
+});
+
+const axios = require('axios');
+const { OpenAI, create } = require('openai');
+const llmProviders = require('../services/llmProviders');
+
+const request = {
+  task: 'estimate',
+  model: 'test-model',
+  messages: [{ role: 'user', content: 'Estimate my roof' }],
+  temperature: 0.2,
+  maxTokens: 500,
+  responseFormat: { type: 'json_object' }
+};
+
+const completion = {
+  model: 'served-model',
+  choices: [{ message: { content: '{"estimate":1}' } }],
+  usage: { total_tokens: 42 }
+};
+
+describe('llmProviders', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.clearAllMocks();
+  });
+
+  describe('openai', () => {
+    it('maps the request onto the chat completions API', async () => {
+      create.mockResolvedValue(completion);
+      const provider = llmProviders.createOpenAIProvider({ apiKey: 'sk-test' });
+
+      const result = await provider.chat(request);
+
+      expect(create).toHaveBeenCalledWith({
+        model: 'test-model',
+        messages: request.messages,
+        temperature: 0.2,
+        max_tokens: 500,
+        response_format: { type: 'json_object' }
+      });
+      expect(result).toEqual({ content: '{"estimate":1}', model: 'served-model', usage: { total_tokens: 42 } });
+    });
+
+    it('creates the client on first use', async () => {
+      create.mockResolvedValue(completion);
+      process.env.OPENAI_API_KEY = 'sk-env';
+      const provider = llmProviders.createOpenAIProvider();
+      expect(OpenAI).not.toHaveBeenCalled();
+
+      await provider.chat(request);
+      await provider.chat(request);
+
+      expect(OpenAI).toHaveBeenCalledTimes(1);
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({ apiKey: 'sk-env' }));
+    });
+  });
+
+  describe('local', () => {
+    it('posts to the OpenAI-compatible endpoint', async () => {
+      axios.post.mockResolvedValue({ data: completion });
+      const provider = llmProviders.createLocalProvider({ baseUrl: 'http://llm.test/v1/', apiKey: 'local-key' });
+
+      const result = await provider.chat(request);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://llm.test/v1/chat/completions',
+        {
+          model: 'test-model',
+          messages: request.messages,
+          temperature: 0.2,
+          max_tokens: 500,
+          response_format: { type: 'json_object' }
+        },
+        expect.objectContaining({
+          headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer local-key' }
+        })
+      );
+      expect(result.content).toBe('{"estimate":1}');
+      expect(result.model).toBe('served-model');
+    });
+
+    it('reads its endpoint from the environment and sends no key without one', async () => {
+      axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+      process.env.LLM_LOCAL_BASE_URL = 'http://ollama.test:11434/v1';
+      delete process.env.LLM_LOCAL_API_KEY;
+      const provider = llmProviders.createLocalProvider();
+
+      const result = await provider.chat(request);
+
+      const [url, , config] = axios.post.mock.calls[0];
+      expect(url).toBe('http://ollama.test:11434/v1/chat/completions');
+      expect(config.headers).not.toHaveProperty('Authorization');
+      expect(result).toEqual({ content: 'ok', model: 'test-model', usage: null });
+    });
+  });
+
+  describe('fake', () => {
+    it('answers with canned JSON per task and records the calls', async () => {
+      const provider = llmProviders.createFakeProvider();
+
+      const estimate = JSON.parse((await provider.chat(request)).content);
+      const vision = JSON.parse((await provider.chat({ ...request, task: 'vision' })).content);
+
+      expect(estimate.estimate).toEqual(expect.any(Number));
+      expect(vision.roofArea).toEqual(expect.any(Number));
+      expect(provider.calls.map(call => call.task)).toEqual(['estimate', 'vision']);
+
+      provider.clear();
+      expect(provider.calls).toHaveLength(0);
+    });
+
+    it('uses the configured responses', async () => {
+      const provider = llmProviders.createFakeProvider({
+        responses: {
+          estimate: { estimate: 123 },
+          ask: 'plain text',
+          vision: async ({ model }) => ({ model })
+        }
+      });
+
+      expect((await provider.chat(request)).content).toBe('{"estimate":123}');
+      expect((await provider.chat({ ...request, task: 'ask' })).content).toBe('plain text');
+      expect((await provider.chat({ ...request, task: 'vision' })).content).toBe('{"model":"test-model"}');
+      expect((await provider.chat({ ...request, task: 'unknown' })).content).toBe('{}');
+    });
+  });
+
+  describe('createProvider', () => {
+    it('creates providers by name', () => {
+      expect(llmProviders.createProvider('fake').name).toBe('fake');
+      expect(llmProviders.createProvider('local').name).toBe('local');
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => llmProviders.createProvider('mystery')).toThrow('Unknown LLM provider: mystery');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// __tests__/llmService.test.js
+const llmService = require('../services/llmService');
+const { createFakeProvider } = require('../services/llmProviders');
+
+const { TASKS } = llmService;
+
+describe('llmService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    ['LLM_PROVIDER', 'OPENAI_API_KEY', ...Object.values(TASKS).flatMap(task => [
+      `LLM_${task.toUpperCase()}_PROVIDER`,
+      `LLM_${task.toUpperCase()}_MODEL`
+    ])].forEach(name => delete process.env[name]);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    Object.values(TASKS).forEach(task => llmService.setProvider(task, null));
+  });
+
+  describe('getTaskConfig', () => {
+    it('defaults to OpenAI with a model per task', () => {
+      expect(llmService.getTaskConfig(TASKS.ESTIMATE)).toEqual({ task: 'estimate', provider: 'openai', model: 'gpt-4o' });
+      expect(llmService.getTaskConfig(TASKS.ASK)).toEqual({ task: 'ask', provider: 'openai', model: 'gpt-4o-mini' });
+    });
+
+    it('uses LLM_PROVIDER for every task', () => {
+      process.env.LLM_PROVIDER = 'local';
+
+      expect(llmService.getTaskConfig(TASKS.ESTIMATE).provider).toBe('local');
+      expect(llmService.getTaskConfig(TASKS.VISION).provider).toBe('local');
+    });
+
+    it('lets LLM_<TASK>_PROVIDER and LLM_<TASK>_MODEL override one task', () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_VISION_PROVIDER = 'openai';
+      process.env.LLM_VISION_MODEL = 'gpt-4.1';
+
+      expect(llmService.getTaskConfig(TASKS.VISION)).toEqual({ task: 'vision', provider: 'openai', model: 'gpt-4.1' });
+      expect(llmService.getTaskConfig(TASKS.ESTIMATE)).toEqual({ task: 'estimate', provider: 'local', model: 'gpt-4o' });
+    });
+
+    it('gives unknown tasks the estimate model', () => {
+      expect(llmService.getTaskConfig('summary').model).toBe('gpt-4o');
+    });
+  });
+
+  describe('getProvider', () => {
+    it('shares a provider between tasks of the same type', () => {
+      process.env.LLM_PROVIDER = 'fake';
+      process.env.LLM_ASK_PROVIDER = 'local';
+
+      const estimate = llmService.getProvider(TASKS.ESTIMATE);
+      expect(estimate.name).toBe('fake');
+      expect(llmService.getProvider(TASKS.VISION)).toBe(estimate);
+      expect(llmService.getProvider(TASKS.ASK).name).toBe('local');
+    });
+
+    it('prefers a provider set for the task until it is cleared', () => {
+      process.env.LLM_PROVIDER = 'fake';
+      const override = createFakeProvider();
+
+      llmService.setProvider(TASKS.VISION, override);
+      expect(llmService.getProvider(TASKS.VISION)).toBe(override);
+      expect(llmService.describeTasks().vision.provider).toBe('fake');
+
+      llmService.setProvider(TASKS.VISION, null);
+      expect(llmService.getProvider(TASKS.VISION)).not.toBe(override);
+    });
+  });
+
+  describe('isConfigured', () => {
+    it('needs an API key for OpenAI', () => {
+      expect(llmService.isConfigured(TASKS.ESTIMATE)).toBe(false);
+
+      process.env.OPENAI_API_KEY = 'sk-test';
+      expect(llmService.isConfigured(TASKS.ESTIMATE)).toBe(true);
+    });
+
+    it('is off for the none provider and on for local and fake', () => {
+      process.env.LLM_PROVIDER = 'none';
+      process.env.LLM_ASK_PROVIDER = 'local';
+      process.env.LLM_VISION_PROVIDER = 'fake';
+
+      expect(llmService.isConfigured(TASKS.ESTIMATE)).toBe(false);
+      expect(llmService.isConfigured(TASKS.ASK)).toBe(true);
+      expect(llmService.isConfigured(TASKS.VISION)).toBe(true);
+    });
+
+    it('is on for a task with a provider set', () => {
+      process.env.LLM_PROVIDER = 'none';
+      llmService.setProvider(TASKS.ASK, createFakeProvider());
+
+      expect(llmService.isConfigured(TASKS.ASK)).toBe(true);
+    });
+  });
+
+  describe('complete', () => {
+    it('sends the task and its model to the provider', async () => {
+      process.env.LLM_ESTIMATE_MODEL = 'estimate-model';
+      const provider = createFakeProvider({ responses: { estimate: 'done' } });
+      llmService.setProvider(TASKS.ESTIMATE, provider);
+
+      const result = await llmService.complete(TASKS.ESTIMATE, { messages: [{ role: 'user', content: 'hi' }] });
+
+      expect(result).toEqual({ content: 'done', model: 'estimate-model', usage: null, provider: 'fake' });
+      expect(provider.calls[0]).toMatchObject({ task: 'estimate', model: 'estimate-model', temperature: 0.2, maxTokens: 1500 });
+    });
+
+    it('lets a request choose its model', async () => {
+      const provider = createFakeProvider();
+      llmService.setProvider(TASKS.ASK, provider);
+
+      await llmService.complete(TASKS.ASK, { model: 'other-model', messages: [] });
+
+      expect(provider.calls[0].model).toBe('other-model');
+    });
+
+    it('passes provider errors on', async () => {
+      llmService.setProvider(TASKS.ASK, { name: 'broken', chat: async () => { throw new Error('offline'); } });
+
+      await expect(llmService.complete(TASKS.ASK, { messages: [] })).rejects.toThrow('offline');
+    });
+  });
+
+  describe('completeJson', () => {
+    it('asks for a JSON object and parses it', async () => {
+      const provider = createFakeProvider({ responses: { estimate: { estimate: 15000 } } });
+      llmService.setProvider(TASKS.ESTIMATE, provider);
+
+      const { data, completion } = await llmService.completeJson(TASKS.ESTIMATE, { messages: [] });
+
+      expect(data).toEqual({ estimate: 15000 });
+      expect(completion.provider).toBe('fake');
+      expect(provider.calls[0].responseFormat).toEqual({ type: 'json_object' });
+    });
+
+    it('rejects a response that is not JSON and keeps its content', async () => {
+      llmService.setProvider(TASKS.ESTIMATE, createFakeProvider({ responses: { estimate: 'Sorry, no.' } }));
+
+      const error = await llmService.completeJson(TASKS.ESTIMATE, { messages: [] }).catch(err => err);
+
+      expect(error.message).toBe('Invalid JSON response from fake (estimate)');
+      expect(error.content).toBe('Sorry, no.');
+    });
+  });
+});
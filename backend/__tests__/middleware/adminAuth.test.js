@@ -0,0 +1,56 @@
+// __tests__/middleware/adminAuth.test.js
+const express = require('express');
+const request = require('supertest');
+const adminAuth = require('../../middleware/adminAuth');
+
+const app = express();
+app.get('/admin', adminAuth, (req, res) => res.json({ ok: true }));
+
+describe('adminAuth middleware', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('with ADMIN_API_TOKEN set', () => {
+    beforeEach(() => {
+      process.env.ADMIN_API_TOKEN = 'admin-secret';
+    });
+
+    it('accepts the token as a bearer token', async () => {
+      const res = await request(app).get('/admin').set('Authorization', 'Bearer admin-secret');
+      expect(res.status).toBe(200);
+    });
+
+    it.each([
+      ['no header', undefined],
+      ['a wrong token', 'Bearer admin-secreT'],
+      ['a token of another length', 'Bearer admin'],
+      ['the token without the Bearer scheme', 'admin-secret']
+    ])('rejects %s', async (description, header) => {
+      const req = request(app).get('/admin');
+      if (header) req.set('Authorization', header);
+
+      const res = await req;
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('without ADMIN_API_TOKEN', () => {
+    beforeEach(() => {
+      delete process.env.ADMIN_API_TOKEN;
+    });
+
+    it('is open outside production', async () => {
+      process.env.NODE_ENV = 'development';
+      expect((await request(app).get('/admin')).status).toBe(200);
+    });
+
+    it('is closed in production', async () => {
+      process.env.NODE_ENV = 'production';
+      expect((await request(app).get('/admin')).status).toBe(403);
+    });
+  });
+});
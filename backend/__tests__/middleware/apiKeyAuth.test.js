@@ -0,0 +1,99 @@
+// __tests__/middleware/apiKeyAuth.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-api-key-auth-'));
+process.env.DATA_DIR = dataDir;
+
+const apiKeyService = require('../../services/apiKeyService');
+const { identifyClient, requireVisionQuota } = require('../../middleware/apiKeyAuth');
+
+// Stands in for a vision route: `status` picks the response, `join` marks a deduplicated job
+const app = express();
+app.use(express.json());
+app.use(identifyClient);
+app.get('/whoami', (req, res) => res.json({ client: req.apiClient?.id || null }));
+app.post('/analyze', requireVisionQuota, (req, res) => {
+  if (req.body.join) req.countsAsVisionAnalysis = false;
+  res.status(req.body.status || 200).json({ ok: true });
+});
+
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+// Usage is recorded once the response has finished
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const visionAnalyses = async (id) => {
+  const { usage } = await apiKeyService.getUsage(id);
+  return usage[0]?.visionAnalyses ?? 0;
+};
+
+describe('apiKeyAuth middleware', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('identifyClient', () => {
+    it('lets anonymous and other bearer tokens through', async () => {
+      expect((await request(app).get('/whoami')).body.client).toBeNull();
+      expect((await request(app).get('/whoami').set(bearer('admin-secret'))).body.client).toBeNull();
+    });
+
+    it('rejects unknown API keys', async () => {
+      const res = await request(app).get('/whoami').set(bearer('rai_00000000_nope'));
+      expect(res.status).toBe(401);
+    });
+
+    it('attaches the client and counts the request', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Client Co' });
+
+      const res = await request(app).get('/whoami').set(bearer(key));
+      await settle();
+
+      expect(res.body.client).toBe(apiKey.id);
+      expect((await apiKeyService.getUsage(apiKey.id)).usage[0].requests).toBe(1);
+    });
+  });
+
+  describe('requireVisionQuota', () => {
+    it('counts a successful analysis and reports the remaining quota', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Vision Co', monthlyVisionQuota: 5 });
+
+      const res = await request(app).post('/analyze').set(bearer(key)).send({});
+      await settle();
+
+      expect(res.headers['x-vision-quota-limit']).toBe('5');
+      expect(res.headers['x-vision-quota-remaining']).toBe('4');
+      expect(await visionAnalyses(apiKey.id)).toBe(1);
+    });
+
+    it('gives the analysis back when the request fails or joins a running job', async () => {
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'Refund Co', monthlyVisionQuota: 5 });
+
+      await request(app).post('/analyze').set(bearer(key)).send({ status: 500 });
+      await request(app).post('/analyze').set(bearer(key)).send({ join: true });
+      await settle();
+
+      expect(await visionAnalyses(apiKey.id)).toBe(0);
+    });
+
+    it('rejects analyses over the quota', async () => {
+      const { key } = await apiKeyService.issueKey({ name: 'Limited Co', monthlyVisionQuota: 1 });
+
+      expect((await request(app).post('/analyze').set(bearer(key)).send({})).status).toBe(200);
+      const res = await request(app).post('/analyze').set(bearer(key)).send({});
+
+      expect(res.status).toBe(429);
+      expect(res.headers['x-vision-quota-remaining']).toBe('0');
+    });
+
+    it('does not apply to anonymous requests', async () => {
+      const res = await request(app).post('/analyze').send({});
+      expect(res.status).toBe(200);
+      expect(res.headers).not.toHaveProperty('x-vision-quota-limit');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// __tests__/middleware/rateLimiter.test.js
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  ...jest.requireActual('../../utils/logger'),
+  logWarn: jest.fn()
+}));
+
+const { logWarn } = require('../../utils/logger');
+const { createRateLimiter } = require('../../middleware/rateLimiter');
+
+describe('rate limiter', () => {
+  const app = express();
+  app.use((req, res, next) => {
+    if (req.headers['x-client']) req.apiClient = { id: req.headers['x-client'] };
+    next();
+  });
+  app.get('/', createRateLimiter({ windowMs: 60 * 1000, max: 1, message: 'Slow down' }), (req, res) => res.json({ ok: true }));
+
+  it('answers 429 over the limit and logs the request without its headers', async () => {
+    const send = () => request(app).get('/?page=2')
+      .set('Authorization', 'Bearer rai_12345678_secret')
+      .set('X-Client', 'key_12345678');
+
+    expect((await send()).status).toBe(200);
+    const res = await send();
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Slow down');
+    expect(logWarn).toHaveBeenCalledWith('Rate limit exceeded', {
+      ip: expect.any(String),
+      apiKey: 'key_12345678',
+      url: '/?page=2',
+      method: 'GET'
+    });
+    expect(JSON.stringify(logWarn.mock.calls)).not.toContain('rai_12345678_secret');
+  });
+});
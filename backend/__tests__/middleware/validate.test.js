@@ -0,0 +1,85 @@
+// __tests__/middleware/validate.test.js
+const express = require('express');
+const Joi = require('joi');
+const request = require('supertest');
+const validate = require('../../middleware/validate');
+const schemas = require('../../schemas/estimateSchemas');
+
+// Echo what the handler receives after validation
+const createApp = (schema, source) => {
+  const app = express();
+  app.use(express.json());
+  app.all('/', validate(schema, source), (req, res) => res.json({ body: req.body, query: req.query }));
+  return app;
+};
+
+describe('validate middleware', () => {
+  const schema = Joi.object({
+    name: Joi.string().trim().required(),
+    size: Joi.number().positive().required()
+  });
+
+  it('passes the converted value on and strips unknown keys', async () => {
+    const res = await request(createApp(schema))
+      .post('/')
+      .send({ name: '  Ann ', size: '1200', extra: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ name: 'Ann', size: 1200 });
+  });
+
+  it('reports every failing field at once as a 422', async () => {
+    const res = await request(createApp(schema)).post('/').send({ size: -1 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.success).toBe(false);
+    expect(Object.keys(res.body.errors).sort()).toEqual(['name', 'size']);
+  });
+
+  it('validates the query string', async () => {
+    const app = createApp(Joi.object({ page: Joi.number().integer().min(1) }), 'query');
+
+    expect((await request(app).get('/?page=2')).body.query).toEqual({ page: 2 });
+    expect((await request(app).get('/?page=0')).status).toBe(422);
+  });
+
+  describe('estimate schemas', () => {
+    it('requires the answers an estimate needs', async () => {
+      const res = await request(createApp(schemas.generateEstimate)).post('/').send({ desiredRoofMaterial: 'asphalt_3tab' });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty('roofSize');
+      expect(res.body.errors).toHaveProperty('roofSteepness');
+    });
+
+    it('takes roof sections in place of the roof size and steepness', async () => {
+      const res = await request(createApp(schemas.generateEstimate)).post('/').send({
+        desiredRoofMaterial: 'asphalt_3tab',
+        roofSections: [{ planArea: 1200, pitch: '6/12' }]
+      });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('rejects a roof section with an invalid pitch', async () => {
+      const res = await request(createApp(schemas.generateEstimate)).post('/').send({
+        desiredRoofMaterial: 'asphalt_3tab',
+        roofSections: [{ planArea: 1200, pitch: 'vertical' }]
+      });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toHaveProperty(['roofSections.0.pitch']);
+    });
+
+    it('requires contact details to submit an estimate', async () => {
+      const res = await request(createApp(schemas.submitEstimate)).post('/').send({
+        name: 'A',
+        email: 'not-an-email',
+        phone: '12'
+      });
+
+      expect(res.status).toBe(422);
+      expect(Object.keys(res.body.errors).sort()).toEqual(['email', 'name', 'phone']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// __tests__/notificationService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-notifications-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  MAIL_RETRY_DELAY_MS: '0',
+  MAIL_MAX_ATTEMPTS: '3'
+});
+
+const notificationService = require('../services/notificationService');
+const estimateStore = require('../services/estimateStore');
+const { createMemoryTransport } = require('../services/mailTransports');
+
+// Memory transport that fails its first `failures` sends
+const createFlakyTransport = (failures) => {
+  const transport = createMemoryTransport();
+  let calls = 0;
+
+  return {
+    ...transport,
+    name: 'flaky',
+    send: async (message) => {
+      calls += 1;
+      if (calls <= failures) throw new Error('SMTP unavailable');
+      return transport.send(message);
+    }
+  };
+};
+
+const saveEstimate = (reference, email) => estimateStore.saveEstimate({
+  reference,
+  submittedAt: new Date().toISOString(),
+  contact: { name: 'Ann Roofer', email, phone: '512-555-0100' },
+  formData: { roofSize: 2000 },
+  estimate: { lowEstimate: 9000, estimate: 10000, highEstimate: 11000 },
+  notifications: []
+});
+
+describe('notificationService', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps a failed email queued and retries it', async () => {
+    const transport = createFlakyTransport(1);
+    notificationService.setTransport(transport);
+    const record = await saveEstimate('EST-RETRY', 'retry@example.com');
+
+    const first = await notificationService.sendEstimateConfirmation(record);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, error: 'SMTP unavailable' });
+    expect(transport.sent).toHaveLength(0);
+
+    await notificationService.processQueue();
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe('retry@example.com');
+
+    const { notifications } = await estimateStore.getEstimate('EST-RETRY');
+    expect(notifications).toEqual([expect.objectContaining({ status: 'sent', attempts: 2, transport: 'flaky' })]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    notificationService.setTransport(createFlakyTransport(Infinity));
+    const record = await saveEstimate('EST-FAIL', 'fail@example.com');
+
+    await notificationService.sendEstimateConfirmation(record);
+    await notificationService.processQueue();
+    await notificationService.processQueue();
+    expect(await notificationService.processQueue()).toBe(0);
+
+    const { notifications } = await estimateStore.getEstimate('EST-FAIL');
+    expect(notifications).toEqual([expect.objectContaining({ status: 'failed', attempts: 3 })]);
+  });
+
+  it('throttles a recipient after MAIL_RECIPIENT_LIMIT emails', async () => {
+    const transport = createMemoryTransport();
+    notificationService.setTransport(transport);
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const record = await saveEstimate(`EST-LIMIT-${i}`, 'limit@example.com');
+      results.push(await notificationService.sendEstimateConfirmation(record));
+    }
+
+    expect(results.map(result => result.status)).toEqual(['sent', 'sent', 'sent', 'throttled']);
+    expect(transport.sent).toHaveLength(3);
+    expect((await estimateStore.getEstimate('EST-LIMIT-3')).notifications[0].status).toBe('throttled');
+  });
+});
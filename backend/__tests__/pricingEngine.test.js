@@ -0,0 +1,143 @@
+// __tests__/pricingEngine.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pricingEngine = require('../services/pricingEngine');
+
+describe('pricingEngine', () => {
+  beforeAll(() => {
+    pricingEngine.loadPricing();
+  });
+
+  describe('calculatePricePerSqft', () => {
+    it('multiplies the base price by every factor', () => {
+      const price = pricingEngine.calculatePricePerSqft({
+        desiredRoofMaterial: 'metal_standing_seam',
+        roofSteepness: 'steep',
+        state: 'PA',
+        timeline: 'asap',
+        buildingType: 'residential'
+      });
+
+      expect(price.region.id).toBe('northeast');
+      expect(price.factors).toMatchObject({ region: 1.1, steepness: 1.25, timeline: 1.05, buildingType: 1.0 });
+      expect(price.pricePerSqft).toBeCloseTo(11.0 * 1.1 * 1.25 * 1.05, 6);
+      expect(price.capped).toBe(false);
+    });
+
+    it('applies material overrides and caps asphalt at $10.99', () => {
+      const price = pricingEngine.calculatePricePerSqft({
+        desiredRoofMaterial: 'asphalt_architectural',
+        roofSteepness: 'steep',
+        state: 'CA',
+        timeline: 'emergency',
+        buildingType: 'commercial'
+      });
+
+      expect(price.factors.region).toBe(1.1);
+      expect(price.factors.steepness).toBe(1.2);
+      expect(price.uncappedPricePerSqft).toBeGreaterThan(10.99);
+      expect(price.pricePerSqft).toBe(10.99);
+      expect(price.capped).toBe(true);
+    });
+
+    it('accepts legacy material ids', () => {
+      expect(pricingEngine.calculatePricePerSqft({ desiredRoofMaterial: 'asphalt' }).material).toBe('asphalt_3tab');
+    });
+
+    it('discounts replacing a roof of the same material family', () => {
+      const same = pricingEngine.calculatePricePerSqft({
+        desiredRoofMaterial: 'asphalt_architectural',
+        currentRoofMaterial: 'asphalt_3tab'
+      });
+      expect(same.factors.materialReplacement).toBe(0.97);
+    });
+  });
+
+  describe('priceSections and allocateToSections', () => {
+    const sections = [
+      { id: 'main', label: 'Main roof', steepness: 'steep', area: 2000 },
+      { id: 'porch', label: 'Porch', steepness: 'low', area: 300 }
+    ];
+
+    it('prices each section at its own steepness', () => {
+      const priced = pricingEngine.priceSections({ desiredRoofMaterial: 'metal_standing_seam' }, sections);
+
+      expect(priced[0].pricePerSqft).toBeCloseTo(11.0 * 1.25, 6);
+      expect(priced[1].pricePerSqft).toBeCloseTo(11.0, 6);
+      expect(priced[0].estimate).toBe(Math.round(2000 * 11.0 * 1.25));
+    });
+
+    it('splits a total so the section estimates add up to it', () => {
+      const priced = pricingEngine.priceSections({ desiredRoofMaterial: 'metal_standing_seam' }, sections);
+      const allocated = pricingEngine.allocateToSections(30001, priced);
+
+      expect(allocated.reduce((sum, section) => sum + section.estimate, 0)).toBe(30001);
+      expect(allocated[0].estimate).toBeGreaterThan(allocated[1].estimate);
+    });
+  });
+
+  describe('buildRange and buildCostBreakdown', () => {
+    it('builds the low/high range from the pricing file', () => {
+      expect(pricingEngine.buildRange(10000)).toEqual({ lowEstimate: 9000, highEstimate: 11000 });
+    });
+
+    it('splits a total by the configured shares', () => {
+      const parts = pricingEngine.buildCostBreakdown(10000);
+      expect(parts.map(part => part.name)).toEqual(['Materials', 'Labor', 'Removal & Disposal', 'Permits & Overhead']);
+      expect(parts.reduce((sum, part) => sum + part.cost, 0)).toBe(10000);
+    });
+  });
+
+  describe('applyPriceCap', () => {
+    it('scales an estimate down to the cap', () => {
+      const estimate = {
+        pricePerSqft: 14,
+        estimate: 28000,
+        lowEstimate: 25200,
+        highEstimate: 30800,
+        estimateParts: [{ name: 'Materials', cost: 28000 }]
+      };
+
+      const result = pricingEngine.applyPriceCap(estimate, 'asphalt_3tab');
+
+      expect(result).toMatchObject({ capped: true, original: 14, maxPricePerSqft: 10.99 });
+      expect(estimate.pricePerSqft).toBe(10.99);
+      expect(estimate.estimate).toBe(Math.round(28000 * 10.99 / 14));
+    });
+
+    it('leaves uncapped materials alone', () => {
+      const estimate = { pricePerSqft: 30, estimate: 60000 };
+      expect(pricingEngine.applyPriceCap(estimate, 'slate').capped).toBe(false);
+      expect(estimate.estimate).toBe(60000);
+    });
+  });
+
+  describe('loadPricing', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-pricing-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      pricingEngine.loadPricing();
+    });
+
+    it('loads a YAML pricing file', () => {
+      const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'pricing.json'), 'utf8'));
+      const file = path.join(dir, 'pricing.yaml');
+      fs.writeFileSync(file, require('js-yaml').dump({ ...config, version: 'yaml-test' }));
+
+      expect(pricingEngine.loadPricing(file).version).toBe('yaml-test');
+    });
+
+    it('rejects an invalid pricing file', () => {
+      const file = path.join(dir, 'pricing.json');
+      fs.writeFileSync(file, JSON.stringify({ version: '1' }));
+
+      expect(() => pricingEngine.loadPricing(file)).toThrow(/Invalid pricing file/);
+    });
+  });
+});
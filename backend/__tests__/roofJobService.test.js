@@ -0,0 +1,187 @@
+// __tests__/roofJobService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// Limits are read when the service is first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-roof-jobs-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  ROOF_JOB_MAX_RUNNING: '2',
+  ROOF_JOB_MAX_JOBS: '2',
+  ROOF_JOB_TTL_MINUTES: '30'
+});
+
+jest.mock('../services/openAIVisionService', () => ({
+  analysisKey: jest.fn((lat, lng, propertyData) => `${lat},${lng}:${JSON.stringify(propertyData)}`),
+  analyzeRoofWithFallback: jest.fn()
+}));
+
+const openAIVisionService = require('../services/openAIVisionService');
+const roofJobService = require('../services/roofJobService');
+const roofAnalysisRoutes = require('../routes/roofAnalysisRoutes');
+
+// Analyses stay running until the test settles them
+const analyses = [];
+openAIVisionService.analyzeRoofWithFallback.mockImplementation((lat, lng, propertyData, { onProgress }) =>
+  new Promise((resolve, reject) => analyses.push({ lat, lng, onProgress, resolve, reject }))
+);
+
+const analysisAt = (lat) => analyses.filter(analysis => analysis.lat === lat).pop();
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const complete = async (lat, roofArea = 2000) => {
+  analyses
+    .filter(analysis => analysis.lat === lat)
+    .forEach(analysis => analysis.resolve({ message: 'Roof analyzed', data: { roofArea, method: 'openai_vision' } }));
+  await tick();
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/roof', roofAnalysisRoutes);
+
+describe('roofJobService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    // Settle anything still running so no job outlives the suite
+    analyses.forEach(analysis => analysis.reject(new Error('suite finished')));
+    await tick();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('joins the job already running for the same input', async () => {
+    const first = roofJobService.createJob({ lat: 10, lng: 20 });
+    const second = roofJobService.createJob({ lat: 10, lng: 20 });
+    const other = roofJobService.createJob({ lat: 10, lng: 20, propertyData: { buildingSize: 1800 } });
+
+    expect(first.deduplicated).toBe(false);
+    expect(second).toMatchObject({ deduplicated: true, job: { id: first.job.id } });
+    expect(other.deduplicated).toBe(false);
+    expect(first.job).not.toHaveProperty('key');
+
+    await complete(10);
+
+    // A finished job is still joined until it expires
+    expect(roofJobService.createJob({ lat: 10, lng: 20 })).toMatchObject({
+      deduplicated: true,
+      job: { id: first.job.id, status: 'completed' }
+    });
+  });
+
+  it('starts a new job instead of joining a failed one', async () => {
+    const failed = roofJobService.createJob({ lat: 11, lng: 20 });
+    analysisAt(11).reject(new Error('Imagery unavailable'));
+    await tick();
+
+    expect(roofJobService.getJob(failed.job.id)).toMatchObject({ status: 'failed', error: 'Imagery unavailable' });
+
+    const retry = roofJobService.createJob({ lat: 11, lng: 20 });
+    expect(retry.deduplicated).toBe(false);
+    expect(retry.job.id).not.toBe(failed.job.id);
+
+    await complete(11);
+  });
+
+  it('rejects new jobs with a 429 while ROOF_JOB_MAX_RUNNING are running', async () => {
+    roofJobService.createJob({ lat: 12, lng: 20 });
+    roofJobService.createJob({ lat: 13, lng: 20 });
+
+    expect(() => roofJobService.createJob({ lat: 14, lng: 20 })).toThrow(
+      expect.objectContaining({ statusCode: 429, details: { running: 2, limit: 2 } })
+    );
+    // Joining a running job is still allowed
+    expect(roofJobService.createJob({ lat: 12, lng: 20 }).deduplicated).toBe(true);
+
+    const response = await request(app).post('/api/roof/jobs').send({ lat: 14, lng: 20 });
+    expect(response.status).toBe(429);
+    expect(response.body.details).toEqual({ running: 2, limit: 2 });
+
+    await complete(12);
+    expect(roofJobService.createJob({ lat: 14, lng: 20 }).deduplicated).toBe(false);
+
+    await complete(13);
+    await complete(14);
+  });
+
+  it('keeps at most ROOF_JOB_MAX_JOBS finished jobs and drops expired ones', async () => {
+    const ids = [];
+    for (const lat of [15, 16, 17]) {
+      ids.push(roofJobService.createJob({ lat, lng: 20 }).job.id);
+      await new Promise(resolve => setTimeout(resolve, 2)); // distinct finish times
+      await complete(lat);
+    }
+
+    expect(roofJobService.getJob(ids[0])).toBeNull();
+    expect(roofJobService.getJob(ids[1])).toMatchObject({ status: 'completed' });
+    expect(roofJobService.getJob(ids[2])).toMatchObject({ status: 'completed' });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 31 * 60 * 1000);
+
+    expect(roofJobService.getJob(ids[1])).toBeNull();
+    expect(roofJobService.getJob(ids[2])).toBeNull();
+  });
+
+  it('passes each stage to subscribers, ending with final', async () => {
+    const { job } = roofJobService.createJob({ lat: 18, lng: 20 });
+    const events = [];
+    const unsubscribe = roofJobService.subscribe(job.id, (event, current) => events.push([event.stage, current.status]));
+
+    analysisAt(18).onProgress(roofJobService.STAGES.IMAGERY_FETCHED, { zoom: 20 });
+    analysisAt(18).onProgress(roofJobService.STAGES.ZOOM_ANALYZED, { zoom: 20, roofArea: 1900 });
+    await complete(18, 1950);
+
+    expect(events).toEqual([
+      ['imagery_fetched', 'running'],
+      ['zoom_analyzed', 'running'],
+      ['final', 'completed']
+    ]);
+    expect(roofJobService.getJob(job.id).stages.map(event => event.seq)).toEqual([1, 2, 3]);
+    expect(roofJobService.getJob(job.id).stages[2]).toMatchObject({ status: 'completed', roofArea: 1950 });
+
+    unsubscribe();
+    expect(roofJobService.subscribe(job.id, () => {})).toBeNull();
+  });
+
+  describe('GET /api/roof/jobs/:id/events', () => {
+    it('streams stages as server-sent events until the final one', async () => {
+      const { job } = roofJobService.createJob({ lat: 19, lng: 20 });
+      analysisAt(19).onProgress(roofJobService.STAGES.IMAGERY_FETCHED, { zoom: 20 });
+
+      const streamed = request(app).get(`/api/roof/jobs/${job.id}/events`).then(response => response);
+      await new Promise(resolve => setTimeout(resolve, 100)); // let the stream subscribe
+      analysisAt(19).onProgress(roofJobService.STAGES.ZOOM_ANALYZED, { zoom: 20, roofArea: 2100 });
+      await complete(19, 2100);
+
+      const response = await streamed;
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(response.text.match(/^event: .+$/gm)).toEqual([
+        'event: imagery_fetched',
+        'event: zoom_analyzed',
+        'event: final'
+      ]);
+      expect(response.text).toContain('id: 3\nevent: final\ndata: {"seq":3,"stage":"final"');
+    });
+
+    it('replays a finished job after Last-Event-ID and closes', async () => {
+      const { job } = roofJobService.createJob({ lat: 21, lng: 20 });
+      analysisAt(21).onProgress(roofJobService.STAGES.IMAGERY_FETCHED, { zoom: 20 });
+      await complete(21);
+
+      const response = await request(app).get(`/api/roof/jobs/${job.id}/events`).set('Last-Event-ID', '1');
+
+      expect(response.text.match(/^event: .+$/gm)).toEqual(['event: final']);
+    });
+
+    it('returns 404 for an unknown job', async () => {
+      const response = await request(app).get('/api/roof/jobs/roofjob_missing/events');
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// __tests__/roofSectionService.test.js
+const geometry = require('@roofai/shared/geometry');
+const { pitchMultiplier } = require('@roofai/shared/roofPitch');
+const roofSectionService = require('../services/roofSectionService');
+
+describe('roofSectionService.applySections', () => {
+  it('returns the form data unchanged without sections', () => {
+    const formData = { roofSize: 2000, roofSteepness: 'moderate' };
+    expect(roofSectionService.applySections(formData)).toBe(formData);
+    expect(roofSectionService.applySections({ ...formData, roofSections: [] })).toEqual({ ...formData, roofSections: [] });
+  });
+
+  it('replaces the roof size with the total sloped area of the sections', () => {
+    const result = roofSectionService.applySections({
+      roofSize: 9999,
+      roofSections: [
+        { label: 'Main', planArea: 1500, pitch: '6/12' },
+        { planArea: 300, pitch: 'flat' }
+      ]
+    });
+
+    const [main, second] = result.roofSections;
+    expect(main.area).toBe(Math.round(1500 * pitchMultiplier('6/12')));
+    expect(main.steepness).toBe('moderate');
+    expect(second.label).toBe('Section 2');
+    expect(second.steepness).toBe('flat');
+    expect(result.roofSize).toBe(main.area + second.area);
+  });
+
+  it('measures outlines instead of trusting the plan area sent with them', () => {
+    const polygon = geometry.closeRing(geometry.rectangle({ lat: 40, lng: -75 }, 1200, 1.5));
+    const result = roofSectionService.applySections({
+      roofSections: [{ polygon, planArea: 5, pitch: 'low' }]
+    });
+
+    expect(result.roofSections[0].planArea).toBeCloseTo(1200, 0);
+    expect(result.roofSections[0].label).toBe('Main roof');
+  });
+
+  it('takes the steepness of the largest area when none was answered', () => {
+    const result = roofSectionService.applySections({
+      roofSections: [
+        { planArea: 400, pitch: 'flat' },
+        { planArea: 1600, pitch: '10/12' }
+      ]
+    });
+
+    expect(result.roofSteepness).toBe('steep');
+  });
+
+  it('keeps an answered steepness', () => {
+    const result = roofSectionService.applySections({
+      roofSteepness: 'low',
+      roofSections: [{ planArea: 1600, pitch: '10/12' }]
+    });
+
+    expect(result.roofSteepness).toBe('low');
+  });
+
+  it('rejects an invalid pitch with a 422 error', () => {
+    expect(() => roofSectionService.applySections({
+      roofSections: [{ label: 'Garage', planArea: 400, pitch: 'vertical' }]
+    })).toThrow(expect.objectContaining({ statusCode: 422, message: expect.stringMatching(/Garage/) }));
+  });
+
+  it('rejects a section without an outline or plan area', () => {
+    expect(() => roofSectionService.applySections({
+      roofSections: [{ pitch: 'low' }]
+    })).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+});
@@ -0,0 +1,100 @@
+// __tests__/shared/geometry.test.js
+const geometry = require('@roofai/shared/geometry');
+
+const center = { lat: 40, lng: -75 };
+
+describe('shared/geometry', () => {
+  describe('rings', () => {
+    const ring = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }];
+
+    it('closes an open ring once', () => {
+      const closed = geometry.closeRing(ring);
+      expect(closed).toHaveLength(4);
+      expect(closed[3]).toEqual(ring[0]);
+      expect(geometry.closeRing(closed)).toHaveLength(4);
+    });
+
+    it('opens a closed ring', () => {
+      expect(geometry.openRing(geometry.closeRing(ring))).toEqual(ring);
+      expect(geometry.openRing(null)).toEqual([]);
+    });
+  });
+
+  describe('area', () => {
+    it('matches the WGS84 ellipsoid area of a 1° cell at the equator', () => {
+      // GeographicLib: 12308778361.469 m²
+      const cell = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }];
+      expect(Math.abs(geometry.area(cell) / 12308778361.469 - 1)).toBeLessThan(1e-5);
+    });
+
+    it('is the same for open and closed rings and either winding', () => {
+      const ring = geometry.rectangle(center, 2500, 1.5);
+      const sqFt = geometry.areaSqFt(ring);
+
+      expect(geometry.areaSqFt(geometry.closeRing(ring))).toBeCloseTo(sqFt, 6);
+      expect(geometry.areaSqFt([...ring].reverse())).toBeCloseTo(sqFt, 6);
+    });
+
+    it('is 0 for fewer than 3 points', () => {
+      expect(geometry.area([center, { lat: 40.001, lng: -75 }])).toBe(0);
+      expect(geometry.areaSqFt(undefined)).toBe(0);
+    });
+  });
+
+  describe('rectangle', () => {
+    it('has the requested area at any aspect ratio and rotation', () => {
+      expect(geometry.areaSqFt(geometry.rectangle(center, 2500))).toBeCloseTo(2500, 2);
+      expect(geometry.areaSqFt(geometry.rectangle(center, 2500, 1.5, 30))).toBeCloseTo(2500, 2);
+    });
+
+    it('is an open ring starting at the south-west corner, counterclockwise', () => {
+      const square = geometry.rectangle(center, 10000);
+      const edges = geometry.edges(square);
+
+      expect(square).toHaveLength(4);
+      expect(edges.map(edge => Math.round(edge.bearing))).toEqual([90, 0, 270, 180]);
+      edges.forEach(edge => expect(edge.length * geometry.FT_PER_M).toBeCloseTo(100, 2));
+      expect(geometry.perimeter(square) * geometry.FT_PER_M).toBeCloseTo(400, 1);
+    });
+  });
+
+  describe('distance and bearing', () => {
+    it('measures a short north-south distance', () => {
+      // One thousandth of a degree of latitude at 40°N is ~111.03 m
+      expect(geometry.distance(center, { lat: 40.001, lng: -75 })).toBeCloseTo(111.03, 1);
+      expect(geometry.bearing(center, { lat: 40.001, lng: -75 })).toBeCloseTo(0, 6);
+      expect(geometry.bearing(center, { lat: 40, lng: -74.999 })).toBeCloseTo(90, 6);
+    });
+  });
+
+  describe('transforms', () => {
+    const ring = geometry.rectangle(center, 2500, 1.5);
+
+    it('keeps the area when rotating', () => {
+      expect(geometry.areaSqFt(geometry.rotate(ring, 45))).toBeCloseTo(2500, 2);
+      expect(geometry.centroid(geometry.rotate(ring, 45)).lat).toBeCloseTo(center.lat, 9);
+    });
+
+    it('scales the area by the square of the factor', () => {
+      expect(geometry.areaSqFt(geometry.scale(ring, 2))).toBeCloseTo(10000, 1);
+    });
+
+    it('scales to a target area', () => {
+      expect(geometry.areaSqFt(geometry.scaleToArea(ring, 1000))).toBeCloseTo(1000, 2);
+    });
+  });
+
+  describe('pointInPolygon and selfIntersects', () => {
+    const ring = geometry.rectangle(center, 2500, 1.5, 30);
+
+    it('finds points inside and outside', () => {
+      expect(geometry.pointInPolygon(center, ring)).toBe(true);
+      expect(geometry.pointInPolygon({ lat: 40.01, lng: -75 }, ring)).toBe(false);
+    });
+
+    it('detects a bow-tie outline', () => {
+      expect(geometry.selfIntersects(ring)).toBe(false);
+      expect(geometry.selfIntersects([ring[0], ring[2], ring[1], ring[3]])).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// __tests__/shared/roofPitch.test.js
+const roofPitch = require('@roofai/shared/roofPitch');
+
+describe('shared/roofPitch', () => {
+  describe('parsePitch', () => {
+    it('maps steepness answers to their rise per 12', () => {
+      expect(roofPitch.parsePitch('flat')).toBe(1);
+      expect(roofPitch.parsePitch('low')).toBe(4);
+      expect(roofPitch.parsePitch('moderate')).toBe(6);
+      expect(roofPitch.parsePitch('steep')).toBe(9);
+    });
+
+    it('parses rise/run, normalized to a run of 12', () => {
+      expect(roofPitch.parsePitch('7/12')).toBe(7);
+      expect(roofPitch.parsePitch(' 3.5 / 12 ')).toBe(3.5);
+      expect(roofPitch.parsePitch('4/10')).toBeCloseTo(4.8, 10);
+      expect(roofPitch.parsePitch('0/12')).toBe(0);
+    });
+
+    it('rejects anything else', () => {
+      ['', null, undefined, 'vertical', '7', '7/0', '-4/12', '7/12/1', '60/12'].forEach(pitch => {
+        expect(roofPitch.parsePitch(pitch)).toBeNull();
+      });
+    });
+  });
+
+  it('falls back to a moderate rise for invalid pitches', () => {
+    expect(roofPitch.isValidPitch('vertical')).toBe(false);
+    expect(roofPitch.pitchRise('vertical')).toBe(6);
+  });
+
+  it('puts rise/run pitches in a steepness band', () => {
+    expect(roofPitch.steepnessForPitch('steep')).toBe('steep');
+    expect(roofPitch.steepnessForPitch('1/12')).toBe('flat');
+    expect(roofPitch.steepnessForPitch('12/12')).toBe('steep');
+  });
+
+  it('computes the slope multiplier and sloped area', () => {
+    expect(roofPitch.pitchMultiplier('12/12')).toBeCloseTo(Math.SQRT2, 10);
+    expect(roofPitch.pitchMultiplier('0/12')).toBe(1);
+    expect(roofPitch.slopedArea(1000, '6/12')).toBe(Math.round(1000 * Math.sqrt(180) / 12));
+  });
+});
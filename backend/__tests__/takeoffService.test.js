@@ -0,0 +1,89 @@
+// __tests__/takeoffService.test.js
+const takeoffService = require('../services/takeoffService');
+
+const fieldItem = (takeoff) => takeoff.items.find(item => item.id === 'field');
+
+describe('takeoffService', () => {
+  describe('waste', () => {
+    it('depends on the roof shape, with extra cutting waste on steep roofs', () => {
+      const wasteFor = (shape, pitch) => takeoffService.calculateTakeoff({ roofArea: 2000, shape, pitch }).wasteFactor;
+
+      expect(wasteFor('simple', 'moderate')).toBe(0.1);
+      expect(wasteFor('complex', 'moderate')).toBe(0.15);
+      expect(wasteFor('unknown', 'moderate')).toBe(0.12);
+      expect(wasteFor('simple', 'steep')).toBe(0.12);
+      expect(wasteFor('complex', 'steep')).toBe(0.17);
+    });
+
+    it('treats an unrecognised shape or pitch as unknown and moderate', () => {
+      const takeoff = takeoffService.calculateTakeoff({ roofArea: 2000, shape: 'dome', pitch: 'vertical' });
+
+      expect(takeoff).toMatchObject({ shape: 'unknown', pitch: 'moderate', wasteFactor: 0.12 });
+    });
+  });
+
+  describe('squares', () => {
+    it('orders whole bundles, rounding up to a third of a square', () => {
+      const takeoff = takeoffService.calculateTakeoff({ roofArea: 2000, shape: 'unknown' });
+
+      expect(takeoff.squares).toEqual({ net: 20, withWaste: 22.4, order: 22.67 });
+      expect(fieldItem(takeoff)).toMatchObject({ quantity: 68, unit: 'bundles', basis: '22.67 squares at 3 bundles per square' });
+    });
+
+    it('does not round up squares that already land on a third', () => {
+      expect(takeoffService.calculateTakeoff({ roofArea: 1000, shape: 'simple' }).squares).toEqual({ net: 10, withWaste: 11, order: 11 });
+      expect(takeoffService.calculateTakeoff({ roofArea: 1500, shape: 'simple', pitch: 'steep' }).squares).toEqual({ net: 15, withWaste: 16.8, order: 17 });
+    });
+
+    it('rounds squares with waste to two decimals', () => {
+      const takeoff = takeoffService.calculateTakeoff({ roofArea: 2150, shape: 'complex', pitch: 'low' });
+
+      expect(takeoff.squares).toEqual({ net: 21.5, withWaste: 24.73, order: 25 });
+      expect(fieldItem(takeoff).quantity).toBe(75);
+    });
+
+    it('requires a positive roof area', () => {
+      expect(() => takeoffService.calculateTakeoff({ roofArea: 0 })).toThrow(expect.objectContaining({ statusCode: 422 }));
+      expect(() => takeoffService.calculateTakeoff({ roofArea: 'n/a' })).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+
+  describe('measurements', () => {
+    it('uses known measurements and estimates the rest', () => {
+      const takeoff = takeoffService.calculateTakeoff({
+        roofArea: 2000,
+        shape: 'simple',
+        measurements: { eaves: 80, rakes: '60.04', valleys: 0 }
+      });
+
+      expect(takeoff.measurements).toMatchObject({ eaves: 80, rakes: 60, valleys: 0, estimated: ['ridges', 'hips'] });
+      expect(takeoff.notes[0]).toBe('Estimated from the roof area and shape: ridges, hips. Measure on site before ordering.');
+    });
+  });
+
+  describe('calculateSectionTakeoff', () => {
+    it('takes off each section at its own pitch and adds up the squares', () => {
+      const takeoff = takeoffService.calculateSectionTakeoff({ roofArea: 2600, pitch: 'moderate', shape: 'simple' }, [
+        { id: 'main', label: 'Main', steepness: 'moderate', area: 2000 },
+        { id: 'porch', label: 'Porch', steepness: 'low', area: 600 }
+      ]);
+
+      expect(takeoff.sections.map(section => section.squares)).toEqual([
+        { net: 20, withWaste: 22, order: 22 },
+        { net: 6, withWaste: 6.6, order: 6.67 }
+      ]);
+      expect(takeoff.squares).toEqual({ net: 26, withWaste: 28.6, order: 28.67 });
+      expect(takeoff.wasteFactor).toBe(0.1);
+      expect(fieldItem(takeoff)).toMatchObject({
+        quantity: 86,
+        basis: 'Main: 22 squares at 3 bundles per square; Porch: 6.67 squares at 3 bundles per square'
+      });
+    });
+
+    it('falls back to a single takeoff without sections', () => {
+      const input = { roofArea: 2000, shape: 'unknown' };
+
+      expect(takeoffService.calculateSectionTakeoff(input, [])).toEqual(takeoffService.calculateTakeoff(input));
+    });
+  });
+});
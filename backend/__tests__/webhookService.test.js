@@ -0,0 +1,139 @@
+// __tests__/webhookService.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roofai-webhooks-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  WEBHOOK_RETRY_DELAY_MS: '0',
+  WEBHOOK_MAX_ATTEMPTS: '3'
+});
+
+const axios = require('axios');
+const webhookService = require('../services/webhookService');
+
+const { EVENTS } = webhookService;
+
+// Deliveries start in the background; keep processing until the predicate holds
+const waitForDelivery = async (id, predicate) => {
+  for (let i = 0; i < 50; i++) {
+    const delivery = await webhookService.getDelivery(id);
+    if (predicate(delivery)) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await webhookService.processQueue();
+  }
+  throw new Error(`Delivery ${id} did not settle`);
+};
+
+describe('webhookService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_URLS = 'https://crm.test/hooks, https://backup.test/hooks';
+    process.env.WEBHOOK_SECRET = 'whsec_test';
+    delete process.env.WEBHOOK_EVENTS;
+    axios.post.mockReset();
+  });
+
+  afterAll(() => {
+    process.env = env;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('signPayload', () => {
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+      const body = JSON.stringify({ id: 'evt_1' });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+      expect(webhookService.signPayload(body, '1700000000')).toBe(`sha256=${expected}`);
+      expect(webhookService.signPayload(body, '1700000001')).not.toBe(`sha256=${expected}`);
+      expect(webhookService.signPayload(body, '1700000000', 'other')).not.toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('emitEvent', () => {
+    it('sends nothing without a secret or endpoints', async () => {
+      delete process.env.WEBHOOK_SECRET;
+      expect(await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, {})).toEqual([]);
+      expect(await webhookService.processQueue()).toBe(0);
+
+      process.env.WEBHOOK_SECRET = 'whsec_test';
+      process.env.WEBHOOK_URLS = '';
+      expect(await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, {})).toEqual([]);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('only sends events on the allow-list', async () => {
+      process.env.WEBHOOK_EVENTS = EVENTS.ESTIMATE_SUBMITTED;
+
+      expect(await webhookService.emitEvent(EVENTS.ESTIMATE_GENERATED, {})).toEqual([]);
+    });
+
+    it('delivers a signed copy of the event to every endpoint', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const data = { reference: 'EST-1' };
+
+      const deliveries = await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, data);
+      data.reference = 'changed';
+
+      expect(deliveries.map(delivery => delivery.url)).toEqual(['https://crm.test/hooks', 'https://backup.test/hooks']);
+      await Promise.all(deliveries.map(delivery => waitForDelivery(delivery.id, current => current.status === 'delivered')));
+
+      const [url, body, { headers }] = axios.post.mock.calls.find(([target]) => target === 'https://crm.test/hooks');
+      expect(url).toBe('https://crm.test/hooks');
+      expect(JSON.parse(body)).toMatchObject({ type: 'estimate.submitted', data: { reference: 'EST-1' } });
+      expect(headers['X-RoofAI-Event']).toBe('estimate.submitted');
+      expect(headers['X-RoofAI-Delivery']).toBe(deliveries[0].id);
+      expect(headers['X-RoofAI-Signature']).toBe(webhookService.signPayload(body, headers['X-RoofAI-Timestamp']));
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      process.env.WEBHOOK_URLS = 'https://crm.test/hooks';
+    });
+
+    it('retries a failed delivery until it succeeds', async () => {
+      axios.post
+        .mockResolvedValueOnce({ status: 503 })
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValue({ status: 204 });
+
+      const [queued] = await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, { reference: 'EST-2' });
+      const delivery = await waitForDelivery(queued.id, current => current.status !== 'pending');
+
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, nextAttemptAt: null });
+      expect(delivery.log.map(entry => entry.error)).toEqual(['HTTP 503', 'socket hang up', null]);
+    });
+
+    it('gives up after the last attempt and can be retried by hand', async () => {
+      axios.post.mockResolvedValue({ status: 500 });
+
+      const [queued] = await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, { reference: 'EST-3' });
+      const failed = await waitForDelivery(queued.id, current => current.status !== 'pending');
+      expect(failed).toMatchObject({ status: 'failed', attempts: 3 });
+
+      axios.post.mockResolvedValue({ status: 200 });
+      const reset = await webhookService.retryDelivery(queued.id);
+      expect(reset).toMatchObject({ status: 'pending', attempts: 0 });
+
+      const delivered = await waitForDelivery(queued.id, current => current.status === 'delivered');
+      expect(delivered.log).toHaveLength(4);
+    });
+
+    it('holds deliveries while the secret is missing', async () => {
+      axios.post.mockResolvedValue({ status: 500 });
+      const [queued] = await webhookService.emitEvent(EVENTS.ESTIMATE_SUBMITTED, { reference: 'EST-4' });
+      await waitForDelivery(queued.id, current => current.attempts >= 1);
+
+      delete process.env.WEBHOOK_SECRET;
+      const before = (await webhookService.getDelivery(queued.id)).attempts;
+      expect(await webhookService.processQueue()).toBe(0);
+      expect((await webhookService.getDelivery(queued.id)).attempts).toBe(before);
+    });
+  });
+});
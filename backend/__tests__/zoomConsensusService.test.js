@@ -0,0 +1,100 @@
+// __tests__/zoomConsensusService.test.js
+const { buildConsensus } = require('../services/zoomConsensusService');
+
+const zoom = (level, roofArea, { confidence = 'high', areaCheck = 'consistent', pitch = 'moderate', shape = 'gable', ...rest } = {}) => ({
+  zoom: level,
+  success: true,
+  analysis: {
+    roofArea,
+    confidence,
+    estimatedPitch: pitch,
+    roofShape: shape,
+    areaCheck: areaCheck ? { status: areaCheck } : undefined,
+    ...rest
+  }
+});
+
+describe('zoomConsensusService', () => {
+  it('averages zoom levels weighted by confidence and area check', () => {
+    const { analysis, consensus } = buildConsensus([
+      zoom(19, 2100, { confidence: 'medium', areaCheck: 'minor_discrepancy', notes: 'far' }),
+      zoom(20, 2000, { notes: 'close' })
+    ]);
+
+    // (2000 x 3 + 2100 x 1.6) / 4.6
+    expect(consensus.roofArea).toBe(2035);
+    expect(consensus.zooms.map(({ zoom: level, weight }) => [level, weight])).toEqual([[20, 3], [19, 1.6]]);
+    expect(consensus.agreement).toEqual({ area: true, pitch: true, shape: true });
+    expect(consensus.representativeZoom).toBe(20);
+    expect(analysis).toMatchObject({ roofArea: 2035, notes: 'close', confidence: 'high', estimatedPitch: 'moderate' });
+  });
+
+  it('weights an unknown confidence or missing area check below the rest', () => {
+    const { consensus } = buildConsensus([
+      zoom(20, 2000, { confidence: 'unsure', areaCheck: null }),
+      zoom(19, 2000, { areaCheck: 'major_discrepancy' })
+    ]);
+
+    expect(consensus.zooms.map(entry => entry.weight)).toEqual([0.3, 0.9]);
+  });
+
+  it('rejects zoom levels far from the median when there are enough to compare', () => {
+    const { analysis, consensus } = buildConsensus([
+      zoom(20, 2000),
+      zoom(19, 2050),
+      zoom(18, 3000, { shape: 'hip' }) // merged a neighbour's garage
+    ]);
+
+    const outlier = consensus.zooms.find(entry => entry.zoom === 18);
+    expect(outlier).toMatchObject({ status: 'outlier', reason: 'Area is 46% from the median of 2050 sq ft' });
+    expect(consensus.zoomsUsed).toBe(2);
+    expect(analysis.roofArea).toBe(2025);
+    expect(analysis.roofShape).toBe('gable');
+  });
+
+  it('keeps both zoom levels when only two disagree', () => {
+    const { consensus } = buildConsensus([zoom(20, 2000), zoom(19, 3000)]);
+
+    expect(consensus.zooms.every(entry => entry.status === 'used')).toBe(true);
+    expect(consensus.confidence).toMatchObject({ from: 'high', to: 'low' });
+  });
+
+  it('lowers confidence for area spread and pitch disagreement', () => {
+    const { analysis, consensus } = buildConsensus([
+      zoom(20, 2000, { pitch: 'steep' }),
+      zoom(19, 2500, { confidence: 'medium', pitch: 'moderate' })
+    ]);
+
+    // 500 / 2200 = 23% spread lowers one level, the pitch vote another
+    expect(consensus.spread).toMatchObject({ min: 2000, max: 2500, relative: 0.227 });
+    expect(consensus.confidence).toEqual({
+      from: 'high',
+      to: 'low',
+      reasons: ['Zoom level areas differ by 23%', 'Zoom levels disagree on the pitch']
+    });
+    // The more confident zoom level wins the pitch vote
+    expect(analysis.estimatedPitch).toBe('steep');
+  });
+
+  it('ignores unknown votes and zoom levels without an area', () => {
+    const { analysis, consensus } = buildConsensus([
+      zoom(20, 2000, { pitch: 'unknown', shape: 'unknown' }),
+      zoom(19, 0),
+      { zoom: 18, success: false, error: 'Imagery unavailable' }
+    ]);
+
+    expect(consensus.zooms.map(entry => entry.status)).toEqual(['used', 'no_area', 'failed']);
+    expect(analysis).toMatchObject({ roofArea: 2000, estimatedPitch: 'unknown', roofShape: 'unknown' });
+    expect(consensus.confidence.reasons).toEqual(['Only one zoom level was kept, so the area could not be cross-checked']);
+  });
+
+  it('returns no analysis when no zoom level measured a roof', () => {
+    const { analysis, consensus } = buildConsensus([
+      { zoom: 20, success: false, error: 'Timeout' },
+      { zoom: 19, success: false }
+    ]);
+
+    expect(analysis).toBeNull();
+    expect(consensus).toMatchObject({ zoomsUsed: 0, zooms: [{ zoom: 20, error: 'Timeout' }, { zoom: 19, error: 'Analysis failed' }] });
+  });
+});
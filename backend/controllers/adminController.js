@@ -0,0 +1,81 @@
+// controllers/adminController.js
+const webhookService = require('../services/webhookService');
+const apiResponse = require('../utils/apiResponse');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * List webhook deliveries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event, limit } = req.query;
+    const deliveries = await webhookService.listDeliveries({ status, event, limit });
+    
+    apiResponse.send(res,
+      apiResponse.success('Webhook deliveries retrieved successfully', {
+        endpoints: webhookService.getEndpoints(),
+        deliveries
+      })
+    );
+  } catch (error) {
+    logError('Error listing webhook deliveries', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error listing webhook deliveries', error)
+    );
+  }
+};
+
+/**
+ * Get a single webhook delivery with its attempt log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id);
+    
+    if (!delivery) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Webhook delivery ${req.params.id} not found`)
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('Webhook delivery retrieved successfully', delivery)
+    );
+  } catch (error) {
+    logError('Error retrieving webhook delivery', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving webhook delivery', error)
+    );
+  }
+};
+
+/**
+ * Requeue a webhook delivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.retryWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await webhookService.retryDelivery(req.params.id);
+    
+    if (!delivery) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Webhook delivery ${req.params.id} not found`)
+      );
+    }
+    
+    logInfo('Webhook delivery requeued', { id: delivery.id });
+    apiResponse.send(res,
+      apiResponse.success('Webhook delivery requeued', delivery)
+    );
+  } catch (error) {
+    logError('Error retrying webhook delivery', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrying webhook delivery', error)
+    );
+  }
+};
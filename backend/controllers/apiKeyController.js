@@ -0,0 +1,127 @@
+// controllers/apiKeyController.js
+const apiKeyService = require('../services/apiKeyService');
+const apiResponse = require('../utils/apiResponse');
+const { logError } = require('../utils/logger');
+
+/**
+ * Issue an API key for a partner
+ * @param {Object} req - Express request object (body: name, rateLimitPerMinute, monthlyVisionQuota)
+ * @param {Object} res - Express response object
+ */
+exports.issueKey = async (req, res) => {
+  try {
+    const { name, rateLimitPerMinute, monthlyVisionQuota } = req.body;
+    
+    const issued = await apiKeyService.issueKey({ name, rateLimitPerMinute, monthlyVisionQuota });
+    
+    apiResponse.send(res,
+      apiResponse.success('API key issued. Store the key now; it cannot be shown again.', issued, 201)
+    );
+  } catch (error) {
+    logError('Error issuing API key', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error issuing API key', error)
+    );
+  }
+};
+
+/**
+ * List API keys with this month's usage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    
+    apiResponse.send(res,
+      apiResponse.success('API keys retrieved successfully', keys)
+    );
+  } catch (error) {
+    logError('Error listing API keys', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error listing API keys', error)
+    );
+  }
+};
+
+/**
+ * Get an API key's monthly usage history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getKeyUsage = async (req, res) => {
+  try {
+    const usage = await apiKeyService.getUsage(req.params.id);
+    
+    if (!usage) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`API key ${req.params.id} not found`)
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('API key usage retrieved successfully', usage)
+    );
+  } catch (error) {
+    logError('Error retrieving API key usage', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving API key usage', error)
+    );
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeKey = async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.params.id);
+    
+    if (!revoked) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`API key ${req.params.id} not found`)
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('API key revoked', revoked)
+    );
+  } catch (error) {
+    logError('Error revoking API key', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error revoking API key', error)
+    );
+  }
+};
+
+/**
+ * Show the calling partner their own usage and quota
+ * @param {Object} req - Express request object (authenticated with an API key)
+ * @param {Object} res - Express response object
+ */
+exports.getOwnUsage = async (req, res) => {
+  try {
+    if (!req.apiClient) {
+      return apiResponse.send(res,
+        apiResponse.unauthorized('An API key is required')
+      );
+    }
+    
+    const usage = await apiKeyService.getUsage(req.apiClient.id);
+    
+    apiResponse.send(res,
+      apiResponse.success('Usage retrieved successfully', {
+        ...usage,
+        visionQuota: apiKeyService.checkVisionQuota(req.apiClient)
+      })
+    );
+  } catch (error) {
+    logError('Error retrieving own API key usage', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving usage', error)
+    );
+  }
+};
@@ -0,0 +1,148 @@
+// controllers/batchController.js
+const batchService = require('../services/batchService');
+const apiResponse = require('../utils/apiResponse');
+const { logError } = require('../utils/logger');
+
+/**
+ * Accept a raw CSV upload (text/csv body) as { csv } with options from the query string
+ * e.g. POST /api/batch?desiredRoofMaterial=metal&concurrency=5 with the spreadsheet as the body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+exports.acceptCsvBody = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    const { name, concurrency, desiredRoofMaterial, roofSteepness, buildingType, currentRoofMaterial, timeline } = req.query;
+    req.body = {
+      csv: req.body,
+      name,
+      concurrency,
+      defaults: { desiredRoofMaterial, roofSteepness, buildingType, currentRoofMaterial, timeline }
+    };
+  }
+  next();
+};
+
+/**
+ * Start a batch analysis of an address list
+ * @param {Object} req - Express request object (body: csv or rows, defaults, concurrency, name)
+ * @param {Object} res - Express response object
+ */
+exports.createBatch = async (req, res) => {
+  try {
+    const batch = await batchService.createBatch(req.body);
+
+    apiResponse.send(res,
+      apiResponse.success('Batch started', {
+        batch,
+        links: {
+          status: `/api/batch/${batch.id}`,
+          csv: `/api/batch/${batch.id}/results.csv`,
+          json: `/api/batch/${batch.id}/results.json`
+        }
+      }, 202)
+    );
+  } catch (error) {
+    if (error.statusCode === 422) {
+      return apiResponse.send(res,
+        apiResponse.validationError('Invalid address list', { [req.body.csv !== undefined ? 'csv' : 'rows']: error.message })
+      );
+    }
+
+    logError('Error starting batch', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error starting batch', error)
+    );
+  }
+};
+
+/**
+ * List batches, newest first
+ * @param {Object} req - Express request object (query: limit)
+ * @param {Object} res - Express response object
+ */
+exports.listBatches = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const batches = await batchService.listBatches({ limit });
+
+    apiResponse.send(res,
+      apiResponse.success('Batches retrieved successfully', batches)
+    );
+  } catch (error) {
+    logError('Error listing batches', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error listing batches', error)
+    );
+  }
+};
+
+/**
+ * Get a batch's status and progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBatch = async (req, res) => {
+  try {
+    const batch = await batchService.getBatch(req.params.id);
+
+    if (!batch) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Batch ${req.params.id} not found`)
+      );
+    }
+
+    apiResponse.send(res,
+      apiResponse.success('Batch retrieved successfully', batch)
+    );
+  } catch (error) {
+    logError('Error retrieving batch', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving batch', error)
+    );
+  }
+};
+
+/**
+ * Download a finished batch's results with per-row status and error
+ * @param {Object} req - Express request object (params: id, format csv|json)
+ * @param {Object} res - Express response object
+ */
+exports.getBatchResults = async (req, res) => {
+  try {
+    const { id, format } = req.params;
+    const batch = await batchService.getBatch(id);
+
+    if (!batch) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Batch ${id} not found`)
+      );
+    }
+
+    if (batch.status === 'running') {
+      return apiResponse.send(res,
+        apiResponse.error(`Batch ${id} is still running (${batch.processed}/${batch.total} rows)`, null, 409)
+      );
+    }
+
+    const results = await batchService.getResults(id);
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="roofai-${id}.csv"`
+      });
+      return res.send(batchService.resultsToCsv(results));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="roofai-${id}.json"`);
+    apiResponse.send(res,
+      apiResponse.success('Batch results retrieved successfully', { batch, results })
+    );
+  } catch (error) {
+    logError('Error retrieving batch results', { id: req.params.id, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving batch results', error)
+    );
+  }
+};
@@ -0,0 +1,112 @@
+// controllers/cacheController.js
+const cacheService = require('../services/cacheService');
+const apiResponse = require('../utils/apiResponse');
+const { logError } = require('../utils/logger');
+
+/**
+ * Respond 404 for an unknown cache namespace
+ * @param {Object} res - Express response object
+ * @param {string} namespace - Requested namespace
+ * @returns {boolean} True if a response was sent
+ */
+const rejectUnknownNamespace = (res, namespace) => {
+  if (!namespace || cacheService.getCache(namespace)) return false;
+
+  apiResponse.send(res,
+    apiResponse.notFound(`Cache ${namespace} not found`)
+  );
+  return true;
+};
+
+/**
+ * Hit/miss statistics and tier sizes for every cache
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCacheStats = async (req, res) => {
+  try {
+    const caches = await cacheService.getStats();
+
+    apiResponse.send(res,
+      apiResponse.success('Cache statistics retrieved successfully', { caches })
+    );
+  } catch (error) {
+    logError('Error retrieving cache statistics', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving cache statistics', error)
+    );
+  }
+};
+
+/**
+ * Statistics and most recent entries (without values) for one cache
+ * @param {Object} req - Express request object (params: namespace, query: limit)
+ * @param {Object} res - Express response object
+ */
+exports.getCacheEntries = async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    if (rejectUnknownNamespace(res, namespace)) return;
+
+    const cache = cacheService.getCache(namespace);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    apiResponse.send(res,
+      apiResponse.success('Cache entries retrieved successfully', {
+        stats: await cache.stats(),
+        entries: await cache.inspect({ limit })
+      })
+    );
+  } catch (error) {
+    logError('Error retrieving cache entries', { namespace: req.params.namespace, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving cache entries', error)
+    );
+  }
+};
+
+/**
+ * Invalidate cached entries for a location (coordinates or address)
+ * @param {Object} req - Express request object (body: lat, lng, radiusMeters, address, namespace)
+ * @param {Object} res - Express response object
+ */
+exports.invalidateCache = async (req, res) => {
+  try {
+    const { namespace, ...criteria } = req.body;
+    if (rejectUnknownNamespace(res, namespace)) return;
+
+    const result = await cacheService.invalidate(criteria, { namespace });
+
+    apiResponse.send(res,
+      apiResponse.success(`${result.total} cache entries invalidated`, result)
+    );
+  } catch (error) {
+    logError('Error invalidating cache', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error invalidating cache', error)
+    );
+  }
+};
+
+/**
+ * Purge every cache, or one namespace
+ * @param {Object} req - Express request object (query: namespace)
+ * @param {Object} res - Express response object
+ */
+exports.purgeCache = async (req, res) => {
+  try {
+    const { namespace } = req.query;
+    if (rejectUnknownNamespace(res, namespace)) return;
+
+    const removed = await cacheService.purge({ namespace });
+
+    apiResponse.send(res,
+      apiResponse.success('Cache purged', { removed })
+    );
+  } catch (error) {
+    logError('Error purging cache', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error purging cache', error)
+    );
+  }
+};
@@ -1,8 +1,76 @@
 // controllers/estimateController.js
 const openaiService = require('../services/openaiService');
+const estimateStore = require('../services/estimateStore');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const reportService = require('../services/reportService');
+const takeoffService = require('../services/takeoffService');
+const roofSectionService = require('../services/roofSectionService');
 const apiResponse = require('../utils/apiResponse');
 const { logInfo, logError } = require('../utils/logger');
 
+/**
+ * Shape a submission body (contact, form data, analysis, estimate) into an estimate record
+ * @param {Object} body - Request body as sent by the estimate form
+ * @returns {Object} Record fields { contact, formData, roofPolygon, analysis, estimate }
+ */
+const toEstimateRecord = (body) => {
+  const { name, email, phone, estimateResult, roofPolygon, roofAnalysis, ...details } = body;
+
+  return {
+    contact: { name, email, phone },
+    formData: details,
+    roofPolygon: roofPolygon || null,
+    analysis: roofAnalysis || null,
+    estimate: estimateResult || null
+  };
+};
+
+/**
+ * Map wizard form data onto takeoff inputs
+ * @param {Object} formData - Form data (roofSize, roofSteepness, desiredRoofMaterial, ...)
+ * @returns {Object} Takeoff input for takeoffService.calculateTakeoff
+ */
+const toTakeoffInput = (formData) => ({
+  roofArea: formData.roofSize,
+  pitch: formData.roofSteepness || undefined,
+  shape: formData.roofShape || formData.roofAnalysis?.roofShape || undefined,
+  material: formData.desiredRoofMaterial || undefined,
+  state: formData.state,
+  iceBarrierAtEaves: formData.iceBarrierAtEaves ?? undefined,
+  measurements: formData.measurements || {}
+});
+
+/**
+ * Price an estimate from the form data with the pricing engine
+ * Submitted estimates are priced on the server so the confirmation email and
+ * the report never repeat figures the client sent.
+ * @param {Object} formData - Form data with roof sections applied
+ * @returns {Object|null} Estimate with takeoff, or null without a roof size
+ */
+const priceEstimate = (formData) => {
+  if (!(parseFloat(formData.roofSize) > 0)) return null;
+
+  const estimate = openaiService.generateSimulatedEstimate(formData);
+  estimate.takeoff = takeoffService.calculateSectionTakeoff(toTakeoffInput(formData), formData.roofSections);
+  return estimate;
+};
+
+/**
+ * Send a rendered PDF report
+ * @param {Object} res - Express response object
+ * @param {Buffer} pdf - PDF document
+ * @param {string} filename - Download filename
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
 /**
  * Generate a roof estimate using OpenAI
  * @param {Object} req - Express request object
@@ -10,26 +78,45 @@ const { logInfo, logError } = require('../utils/logger');
  */
 exports.generateEstimate = async (req, res) => {
   try {
-    const formData = req.body;
+    // Measured roof sections replace the single roof size
+    const formData = roofSectionService.applySections(req.body);
     logInfo('Generating estimate', { formData });
     
-    // Validate required fields
-    if (!formData.roofSize || !formData.roofSteepness || !formData.desiredRoofMaterial) {
-      return apiResponse.send(res,
-        apiResponse.validationError('Missing required parameters', {
-          required: ['roofSize', 'roofSteepness', 'desiredRoofMaterial'],
-          received: Object.keys(formData)
-        })
-      );
-    }
-    
     // Call OpenAI service to generate estimate
     const estimate = await openaiService.generateRoofEstimate(formData);
+    estimate.takeoff = takeoffService.calculateSectionTakeoff(toTakeoffInput(formData), formData.roofSections);
+    
+    // Notify CRM webhooks (queued, never blocks the response)
+    webhookService.emitEvent(webhookService.EVENTS.ESTIMATE_GENERATED, {
+      formData: {
+        address: formData.address,
+        city: formData.city,
+        state: formData.state,
+        zipCode: formData.zipCode,
+        roofSize: formData.roofSize,
+        roofSteepness: formData.roofSteepness,
+        buildingType: formData.buildingType,
+        currentRoofMaterial: formData.currentRoofMaterial,
+        desiredRoofMaterial: formData.desiredRoofMaterial,
+        timeline: formData.timeline,
+        financing: formData.financing,
+        roofSections: (formData.roofSections || []).map(({ label, pitch, planArea, area }) => ({ label, pitch, planArea, area }))
+      },
+      estimate
+    }).catch(err => {
+      logError('Error queueing estimate.generated webhook', { error: err.message });
+    });
     
     apiResponse.send(res,
       apiResponse.success('Estimate generated successfully', estimate)
     );
   } catch (error) {
+    if (error.statusCode === 422) {
+      return apiResponse.send(res,
+        apiResponse.validationError('Invalid roof sections', { roofSections: error.message })
+      );
+    }
+
     logError('Error generating estimate', { error: error.message });
     apiResponse.send(res,
       apiResponse.error('Error generating estimate', error)
@@ -38,44 +125,192 @@ exports.generateEstimate = async (req, res) => {
 };
 
 /**
- * Submit final estimate with user contact info
+ * Calculate a material takeoff (squares, bundles, underlayment, ...) for a roof
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.submitEstimate = async (req, res) => {
+exports.calculateTakeoff = async (req, res) => {
   try {
-    const { name, email, phone, estimateResult, ...formData } = req.body;
-    logInfo('Submitting estimate', { name, email, phone });
-    
-    // Validate required fields
-    if (!name || !email || !phone) {
+    const takeoff = takeoffService.calculateTakeoff(toTakeoffInput(req.body));
+
+    apiResponse.send(res,
+      apiResponse.success('Takeoff calculated successfully', takeoff)
+    );
+  } catch (error) {
+    if (error.statusCode === 422) {
       return apiResponse.send(res,
-        apiResponse.validationError('Missing required contact information', {
-          required: ['name', 'email', 'phone'],
-          received: { name: !!name, email: !!email, phone: !!phone }
-        })
+        apiResponse.validationError('Invalid takeoff request', { roofSize: error.message })
       );
     }
+
+    logError('Error calculating takeoff', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error calculating takeoff', error)
+    );
+  }
+};
+
+/**
+ * Submit final estimate with user contact info
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.submitEstimate = async (req, res) => {
+  try {
+    const { name, email, phone } = req.body;
+    logInfo('Submitting estimate', { name, email, phone });
     
     // Generate a reference number
     const referenceId = `EST-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const submittedAt = new Date().toISOString();
+    // References are guessable, so the customer's report link carries a token
+    const reportToken = estimateStore.issueReportToken();
+    
+    // Keep everything the sales team needs to follow up on the lead
+    const formData = roofSectionService.applySections(req.body);
+    const details = toEstimateRecord(formData);
+    const record = await estimateStore.saveEstimate({
+      reference: referenceId,
+      submittedAt,
+      ...details,
+      // Priced on the server; the figure the customer was shown is kept alongside
+      estimate: priceEstimate(formData),
+      clientEstimate: details.estimate,
+      reportTokenHash: reportToken.hash,
+      notifications: []
+    });
     
-    // Here you would typically:
-    // 1. Save to database
-    // 2. Send confirmation email
-    // 3. Integrate with CRM
+    // Send the confirmation email in the background - retries must not delay the response
+    // (queued and retried by the notification worker, at most MAIL_RECIPIENT_LIMIT per address)
+    notificationService.sendEstimateConfirmation(record).catch(err => {
+      logError('Error sending estimate confirmation', { reference: referenceId, error: err.message });
+    });
+    
+    // Push the lead to CRM webhooks
+    webhookService.emitEvent(webhookService.EVENTS.ESTIMATE_SUBMITTED, record).catch(err => {
+      logError('Error queueing estimate.submitted webhook', { reference: referenceId, error: err.message });
+    });
     
-    // For now, just return success with reference ID
     apiResponse.send(res,
       apiResponse.success('Estimate submitted successfully', {
         reference: referenceId,
-        submittedAt: new Date().toISOString()
+        submittedAt,
+        reportToken: reportToken.token
       })
     );
   } catch (error) {
+    if (error.statusCode === 422) {
+      return apiResponse.send(res,
+        apiResponse.validationError('Invalid roof sections', { roofSections: error.message })
+      );
+    }
+
     logError('Error submitting estimate', { error: error.message });
     apiResponse.send(res,
       apiResponse.error('Error submitting estimate', error)
     );
   }
 };
+
+/**
+ * Get a submitted estimate by reference
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEstimate = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const estimate = await estimateStore.getEstimate(reference);
+    
+    if (!estimate) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Estimate ${reference} not found`)
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('Estimate retrieved successfully', estimate)
+    );
+  } catch (error) {
+    logError('Error retrieving estimate', { reference: req.params.reference, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving estimate', error)
+    );
+  }
+};
+
+/**
+ * List submitted estimates (paginated, newest first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listEstimates = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await estimateStore.listEstimates({ page, limit });
+    
+    apiResponse.send(res,
+      apiResponse.success('Estimates retrieved successfully', result)
+    );
+  } catch (error) {
+    logError('Error listing estimates', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error listing estimates', error)
+    );
+  }
+};
+
+/**
+ * Download the PDF report for a submitted estimate (needs the report token
+ * returned on submission as ?token=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEstimateReport = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const estimate = await estimateStore.getEstimate(reference);
+    
+    // Unknown reference and wrong token look the same, so references can't be probed
+    if (!estimate || !estimateStore.verifyReportToken(estimate, req.query.token)) {
+      return apiResponse.send(res,
+        apiResponse.notFound(`Estimate ${reference} not found`)
+      );
+    }
+    
+    const pdf = await reportService.renderEstimateReport(estimate);
+    sendPdf(res, pdf, `roofai-report-${reference}.pdf`);
+  } catch (error) {
+    logError('Error rendering estimate report', { reference: req.params.reference, error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error rendering estimate report', error)
+    );
+  }
+};
+
+/**
+ * Render a PDF report from an estimate payload without saving it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createEstimateReport = async (req, res) => {
+  try {
+    const record = toEstimateRecord(req.body);
+    
+    if (!record.estimate && !record.formData.roofSize) {
+      return apiResponse.send(res,
+        apiResponse.validationError('Nothing to report', {
+          required: ['estimateResult or roofSize']
+        })
+      );
+    }
+    
+    const pdf = await reportService.renderEstimateReport(record);
+    sendPdf(res, pdf, 'roofai-report.pdf');
+  } catch (error) {
+    logError('Error rendering estimate report', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error rendering estimate report', error)
+    );
+  }
+};
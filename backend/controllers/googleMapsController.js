@@ -14,15 +14,6 @@ exports.geocodeAddress = async (req, res) => {
     // Log the incoming request
     logInfo('Geocoding address request', { address });
     
-    // Validate required fields
-    if (!address) {
-      logError('Missing address in geocode request');
-      return res.status(400).json({
-        success: false,
-        message: 'Address is required'
-      });
-    }
-    
     // Call Google Maps service to geocode address
     const geocodeResult = await googleMapsService.geocodeAddress(address);
     
@@ -68,44 +59,30 @@ exports.estimateRoofSize = async (req, res) => {
     // Log the incoming request
     logInfo('Estimating roof size request', { lat, lng });
     
-    // Validate required fields
-    if (!lat || !lng) {
-      logError('Missing coordinates in roof size request');
-      return res.status(400).json({
-        success: false,
-        message: 'Latitude and longitude are required'
-      });
-    }
-    
-    // Parse and validate lat/lng as numbers
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    
-    if (isNaN(latitude) || isNaN(longitude)) {
-      logError('Invalid latitude or longitude', { lat, lng });
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid latitude or longitude format'
-      });
-    }
-    
     // Call service to estimate roof size
-    const roofSizeResult = await googleMapsService.estimateRoofSize(latitude, longitude);
+    const roofSizeResult = await googleMapsService.estimateRoofSize(lat, lng);
     
     // Log success
     logInfo('Roof size estimated successfully', { 
-      lat: latitude, 
-      lng: longitude, 
+      lat, 
+      lng, 
       size: roofSizeResult.size 
     });
     
     // Return consistent response format
     return res.json({
-      success: true,
+      success: roofSizeResult.success,
+      found: roofSizeResult.found,
       size: roofSizeResult.size,
-      accuracy: roofSizeResult.accuracy || 'medium',
-      method: roofSizeResult.method || 'satellite',
-      roofPolygon: roofSizeResult.roofPolygon || []
+      areaType: roofSizeResult.areaType,
+      footprintArea: roofSizeResult.footprintArea,
+      accuracy: roofSizeResult.accuracy,
+      method: roofSizeResult.method,
+      match: roofSizeResult.match,
+      distanceMeters: roofSizeResult.distanceMeters,
+      source: roofSizeResult.source,
+      roofPolygon: roofSizeResult.roofPolygon || [],
+      notes: roofSizeResult.notes
     });
   } catch (error) {
     // Log the error
@@ -120,9 +97,8 @@ exports.estimateRoofSize = async (req, res) => {
       success: false,
       message: 'Error estimating roof size',
       error: error.message,
-      // Always include a fallback size even in error cases
-      size: 3000,
-      accuracy: 'low',
+      size: null,
+      accuracy: 'unavailable',
       method: 'fallback'
     });
   }
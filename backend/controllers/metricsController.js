@@ -0,0 +1,117 @@
+// controllers/metricsController.js
+const metricsService = require('../services/metricsService');
+const apiResponse = require('../utils/apiResponse');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Record a client metric (measurement discrepancy, API timing or other event)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.logMetric = async (req, res) => {
+  try {
+    const { type, ...data } = req.body;
+    
+    logInfo('Metrics data received', { 
+      type, 
+      backendSize: data.backendSize, 
+      frontendSize: data.frontendSize, 
+      endpoint: data.endpoint,
+      duration: data.duration
+    });
+    
+    let stored;
+    if (type === 'measurement_discrepancy') {
+      stored = await metricsService.recordDiscrepancy(data);
+    } else if (type === 'api_timing') {
+      stored = await metricsService.recordTiming(data);
+    } else {
+      stored = await metricsService.recordEvent(type, data);
+    }
+    
+    if (!stored) {
+      return apiResponse.send(res,
+        apiResponse.validationError('Metric has no usable values', { type })
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('Metric recorded', { type: type || 'unknown', timestamp: stored.timestamp })
+    );
+  } catch (error) {
+    logError('Error logging metrics', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error logging metrics', error)
+    );
+  }
+};
+
+/**
+ * Record an API timing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.logTiming = async (req, res) => {
+  try {
+    const { endpoint, duration } = req.body;
+    logInfo('API timing data received', { endpoint, duration });
+    
+    const stored = await metricsService.recordTiming(req.body);
+    if (!stored) {
+      return apiResponse.send(res,
+        apiResponse.validationError('A non-negative duration is required', { duration })
+      );
+    }
+    
+    apiResponse.send(res,
+      apiResponse.success('Timing recorded', { endpoint: stored.endpoint, timestamp: stored.timestamp })
+    );
+  } catch (error) {
+    logError('Error logging API timing', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error logging API timing', error)
+    );
+  }
+};
+
+/**
+ * Query measurement discrepancies with aggregates by method, region and day
+ * @param {Object} req - Express request object (query: from, to, state, region, method)
+ * @param {Object} res - Express response object
+ */
+exports.getDiscrepancies = async (req, res) => {
+  try {
+    const { from, to, state, region, method } = req.query;
+    const result = await metricsService.queryDiscrepancies({ from, to, state, region, method });
+    
+    apiResponse.send(res,
+      apiResponse.success('Discrepancies retrieved successfully', result)
+    );
+  } catch (error) {
+    logError('Error querying discrepancies', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error querying discrepancies', error)
+    );
+  }
+};
+
+/**
+ * Summarize API timings per endpoint (p50/p95)
+ * @param {Object} req - Express request object (query: from, to, endpoint)
+ * @param {Object} res - Express response object
+ */
+exports.getTimingSummary = async (req, res) => {
+  try {
+    const { from, to, endpoint } = req.query;
+    const result = await metricsService.summarizeTimings({ from, to, endpoint });
+    
+    apiResponse.send(res,
+      apiResponse.success('Timing summary retrieved successfully', result)
+    );
+  } catch (error) {
+    logError('Error summarizing timings', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error summarizing timings', error)
+    );
+  }
+};
@@ -1,5 +1,6 @@
 // controllers/openAIController.js
 const openAIService = require('../services/openaiService');
+const askService = require('../services/askService');
 const apiResponse = require('../utils/apiResponse');
 const { logInfo, logError } = require('../utils/logger');
 
@@ -56,30 +57,21 @@ exports.analyzeRoof = async (req, res) => {
 };
 
 /**
- * Answer a roofing-related question
+ * Answer a roofing-related question from the knowledge base
+ * Optional body fields `formData` and `estimate` give the assistant the user's current estimate.
  */
 exports.askQuestion = async (req, res) => {
   try {
-    const { question } = req.body;
-    logInfo('OpenAI ask question request', { question });
+    const { question, formData, estimate } = req.body;
+    logInfo('Ask question request', { question, hasEstimate: !!estimate });
     
-    if (!question) {
-      return apiResponse.send(res,
-        apiResponse.validationError('Question is required')
-      );
-    }
-    
-    // This would normally call OpenAI to get an answer
-    // For now, return a simulated response
+    const result = await askService.answerQuestion(question, { formData, estimate });
     
     apiResponse.send(res,
-      apiResponse.success('Question answered', {
-        answer: `This is a placeholder answer for: "${question}". In a real implementation, this would be answered by OpenAI.`,
-        source: 'simulated'
-      })
+      apiResponse.success('Question answered', result)
     );
   } catch (error) {
-    logError('Error in OpenAI ask question controller', { error: error.message });
+    logError('Error in ask question controller', { error: error.message });
     
     apiResponse.send(res,
       apiResponse.error('Error answering question', error)
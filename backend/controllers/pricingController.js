@@ -0,0 +1,22 @@
+// controllers/pricingController.js
+const pricingEngine = require('../services/pricingEngine');
+const apiResponse = require('../utils/apiResponse');
+const { logError } = require('../utils/logger');
+
+/**
+ * Get the active pricing configuration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPricing = async (req, res) => {
+  try {
+    apiResponse.send(res,
+      apiResponse.success('Pricing retrieved successfully', pricingEngine.describePricing())
+    );
+  } catch (error) {
+    logError('Error retrieving pricing', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error retrieving pricing', error)
+    );
+  }
+};
@@ -1,7 +1,8 @@
 // backend/controllers/roofAnalysisController.js
 const openAIVisionService = require('../services/openAIVisionService');
+const roofJobService = require('../services/roofJobService');
 const apiResponse = require('../utils/apiResponse');
-const { logInfo, logError } = require('../utils/logger');
+const { logInfo, logWarn, logError } = require('../utils/logger');
 
 /**
  * Analyze roof using OpenAI Vision and property data
@@ -14,84 +15,16 @@ exports.analyzeRoof = async (req, res) => {
     
     logInfo('Roof analysis request received', { lat, lng, hasPropertyData: !!propertyData });
     
-    if (!lat || !lng) {
-      return apiResponse.send(res, 
-        apiResponse.validationError('Latitude and longitude are required')
-      );
-    }
+    // Vision analysis first, with the property-based calculation as fallback
+    const { message, data } = await openAIVisionService.analyzeRoofWithFallback(
+      parseFloat(lat),
+      parseFloat(lng),
+      propertyData
+    );
     
-    // Try OpenAI Vision analysis first
-    try {
-      const analysisResult = await openAIVisionService.analyzeRoof(
-        parseFloat(lat), 
-        parseFloat(lng), 
-        propertyData
-      );
-      
-      logInfo('OpenAI Vision analysis completed', { 
-        confidence: analysisResult.confidence,
-        roofArea: analysisResult.roofArea
-      });
-      
-      // If confidence is high or medium, return the vision result
-      if (analysisResult.confidence === "high" || analysisResult.confidence === "medium") {
-        return apiResponse.send(res, 
-          apiResponse.success('Roof analysis completed successfully', analysisResult)
-        );
-      }
-      
-      // If confidence is low, try property-based calculation
-      logInfo('Vision analysis has low confidence, trying property-based calculation');
-      
-      if (propertyData && propertyData.buildingSize) {
-        const propertyBasedResult = openAIVisionService.calculateRoofSizeFromProperty(
-          propertyData, 
-          parseFloat(lat), 
-          parseFloat(lng)
-        );
-        
-        if (propertyBasedResult) {
-          logInfo('Property-based calculation completed', { 
-            roofArea: propertyBasedResult.roofArea 
-          });
-          
-          // Return both results, but recommend the property-based one
-          return apiResponse.send(res, 
-            apiResponse.success('Roof analysis completed with fallback', {
-              visionAnalysis: analysisResult,
-              propertyBasedCalculation: propertyBasedResult,
-              recommended: propertyBasedResult
-            })
-          );
-        }
-      }
-      
-      // If property-based calculation failed or wasn't possible, return vision result anyway
-      return apiResponse.send(res, 
-        apiResponse.success('Roof analysis completed with low confidence', analysisResult)
-      );
-    } catch (visionError) {
-      logError('OpenAI Vision analysis failed', { error: visionError.message });
-      
-      // Try property-based calculation as fallback
-      if (propertyData && propertyData.buildingSize) {
-        const propertyBasedResult = openAIVisionService.calculateRoofSizeFromProperty(
-          propertyData, 
-          parseFloat(lat), 
-          parseFloat(lng)
-        );
-        
-        if (propertyBasedResult) {
-          logInfo('Fallback to property-based calculation successful');
-          return apiResponse.send(res, 
-            apiResponse.success('Roof analysis completed using property data', propertyBasedResult)
-          );
-        }
-      }
-      
-      // If all else fails, return error
-      throw visionError;
-    }
+    return apiResponse.send(res, 
+      apiResponse.success(message, data)
+    );
   } catch (error) {
     logError('Roof analysis error', { error: error.message });
     return apiResponse.send(res, 
@@ -99,3 +32,119 @@ exports.analyzeRoof = async (req, res) => {
     );
   }
 };
+
+const jobLinks = (id) => ({
+  status: `/api/roof/jobs/${id}`,
+  events: `/api/roof/jobs/${id}/events`
+});
+
+/**
+ * Start a background roof analysis job (or join the matching one already running)
+ * @param {Object} req - Express request object (body: lat, lng, propertyData)
+ * @param {Object} res - Express response object
+ */
+exports.createRoofJob = async (req, res) => {
+  try {
+    const { lat, lng, propertyData } = req.body;
+    const { job, deduplicated } = roofJobService.createJob({
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      propertyData: propertyData || null
+    });
+
+    // Joining an existing job doesn't run another analysis
+    if (deduplicated) req.countsAsVisionAnalysis = false;
+
+    apiResponse.send(res,
+      apiResponse.success(deduplicated ? 'Joined existing roof analysis job' : 'Roof analysis job started', {
+        job,
+        deduplicated,
+        links: jobLinks(job.id)
+      }, roofJobService.isFinished(job) ? 200 : 202)
+    );
+  } catch (error) {
+    if (error.statusCode === 429) {
+      logWarn('Roof analysis job rejected', { ...error.details });
+      return apiResponse.send(res,
+        apiResponse.tooManyRequests(error.message, error.details)
+      );
+    }
+
+    logError('Error starting roof analysis job', { error: error.message });
+    apiResponse.send(res,
+      apiResponse.error('Error starting roof analysis job', error)
+    );
+  }
+};
+
+/**
+ * Get a roof analysis job's status, stages and result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRoofJob = async (req, res) => {
+  const job = roofJobService.getJob(req.params.id);
+
+  if (!job) {
+    return apiResponse.send(res,
+      apiResponse.notFound(`Roof analysis job ${req.params.id} not found`)
+    );
+  }
+
+  apiResponse.send(res,
+    apiResponse.success('Roof analysis job retrieved successfully', { job, links: jobLinks(job.id) })
+  );
+};
+
+/**
+ * Stream a roof analysis job's stages as server-sent events
+ * Stages already recorded are replayed first (after Last-Event-ID when reconnecting),
+ * and the stream closes after the final stage. Closing the stream doesn't stop the job.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.streamRoofJob = (req, res) => {
+  const job = roofJobService.getJob(req.params.id);
+
+  if (!job) {
+    return apiResponse.send(res,
+      apiResponse.notFound(`Roof analysis job ${req.params.id} not found`)
+    );
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastSeq = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  const send = (event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  job.stages.filter(event => event.seq > lastSeq).forEach(send);
+
+  if (roofJobService.isFinished(job)) return res.end();
+
+  // Comment lines keep proxies from closing an idle stream during long zoom analyses
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let unsubscribe = null;
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  unsubscribe = roofJobService.subscribe(job.id, (event) => {
+    send(event);
+    if (event.stage === roofJobService.STAGES.FINAL) {
+      stop();
+      res.end();
+    }
+  });
+
+  req.on('close', stop);
+};
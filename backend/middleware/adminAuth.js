@@ -0,0 +1,36 @@
+// middleware/adminAuth.js
+const crypto = require('crypto');
+const { logWarn } = require('../utils/logger');
+const apiResponse = require('../utils/apiResponse');
+
+/**
+ * Protect admin routes with a shared token
+ *
+ * Requests must send `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * When no token is configured, admin routes are only open outside production.
+ */
+const adminAuth = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+
+  if (!adminToken) {
+    if (process.env.NODE_ENV === 'production') {
+      return apiResponse.send(res, apiResponse.forbidden('Admin API is not configured'));
+    }
+    return next();
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const expected = Buffer.from(adminToken);
+  const received = Buffer.from(token);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logWarn('Rejected admin request', { ip: req.ip, url: req.originalUrl });
+    return apiResponse.send(res, apiResponse.unauthorized('Invalid admin token'));
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
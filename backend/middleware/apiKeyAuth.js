@@ -0,0 +1,83 @@
+// middleware/apiKeyAuth.js
+const apiKeyService = require('../services/apiKeyService');
+const { logWarn, logError } = require('../utils/logger');
+const apiResponse = require('../utils/apiResponse');
+
+/**
+ * Identify partner clients by API key
+ *
+ * Requests sending `Authorization: Bearer rai_...` must use an active key; the key
+ * record is attached as `req.apiClient` and the request is counted against it once
+ * the response is sent. Requests without an API key continue anonymously (other
+ * bearer tokens, such as the admin token, are left to their own middleware).
+ */
+const identifyClient = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!apiKeyService.isApiKey(token)) return next();
+
+  try {
+    const client = await apiKeyService.authenticate(token);
+
+    if (!client) {
+      logWarn('Rejected API key', { ip: req.ip, url: req.originalUrl });
+      return apiResponse.send(res, apiResponse.unauthorized('Invalid or revoked API key'));
+    }
+
+    req.apiClient = client;
+
+    res.on('finish', () => apiKeyService.recordUsage(client.id));
+
+    next();
+  } catch (error) {
+    logError('Error authenticating API key', { error: error.message });
+    apiResponse.send(res, apiResponse.error('Error authenticating API key', error));
+  }
+};
+
+/**
+ * Enforce the monthly vision analysis quota for API key clients
+ * The analysis is reserved against the quota when the request is admitted and
+ * given back if the response fails or no analysis was run; anonymous traffic is
+ * not affected.
+ */
+const requireVisionQuota = async (req, res, next) => {
+  if (!req.apiClient) return next();
+
+  try {
+    const quota = await apiKeyService.reserveVisionAnalysis(req.apiClient.id);
+    if (!quota) {
+      return apiResponse.send(res, apiResponse.unauthorized('Invalid or revoked API key'));
+    }
+
+    res.set({
+      'X-Vision-Quota-Limit': quota.limit,
+      'X-Vision-Quota-Remaining': quota.remaining
+    });
+
+    if (!quota.allowed) {
+      logWarn('Vision quota exceeded', { apiKey: req.apiClient.id, month: quota.month, limit: quota.limit });
+      return apiResponse.send(res, apiResponse.tooManyRequests('Monthly vision analysis quota exceeded', quota));
+    }
+
+    // Handlers clear this when no analysis is run (e.g. joining a running job)
+    req.countsAsVisionAnalysis = true;
+    res.on('finish', () => {
+      if (req.countsAsVisionAnalysis && res.statusCode < 400) return;
+      apiKeyService.releaseVisionAnalysis(req.apiClient.id, quota.month).catch(err => {
+        logError('Error releasing vision analysis', { id: req.apiClient.id, error: err.message });
+      });
+    });
+
+    next();
+  } catch (error) {
+    logError('Error checking vision quota', { error: error.message });
+    apiResponse.send(res, apiResponse.error('Error checking vision quota', error));
+  }
+};
+
+module.exports = {
+  identifyClient,
+  requireVisionQuota
+};
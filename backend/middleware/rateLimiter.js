@@ -19,12 +19,12 @@ const createRateLimiter = (options = {}) => {
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
     handler: (req, res, next, options) => {
-      // Log rate limit exceeded
+      // Log rate limit exceeded (never the headers - they carry API keys and admin tokens)
       logWarn('Rate limit exceeded', {
         ip: req.ip,
+        apiKey: req.apiClient?.id,
         url: req.originalUrl,
-        method: req.method,
-        headers: req.headers
+        method: req.method
       });
       
       // Return standardized error response
@@ -43,13 +43,30 @@ const createRateLimiter = (options = {}) => {
   return rateLimit(mergedOptions);
 };
 
+// Partner requests with an API key are limited per key instead of per IP
+const isApiClient = (req) => !!req.apiClient;
+
 // Create various rate limiters for different routes
 
 /**
  * Standard API rate limiter
- * 100 requests per 15 minutes per IP
+ * 100 requests per 15 minutes per IP (anonymous traffic only)
  */
-const apiLimiter = createRateLimiter();
+const apiLimiter = createRateLimiter({
+  skip: isApiClient
+});
+
+/**
+ * API key rate limiter
+ * The key's rateLimitPerMinute requests per minute per key (API key traffic only)
+ */
+const apiKeyLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiClient.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiClient.id,
+  skip: (req) => !isApiClient(req),
+  message: 'API key rate limit exceeded, please slow down.'
+});
 
 /**
  * Strict rate limiter for sensitive operations
@@ -73,16 +90,18 @@ const loginLimiter = createRateLimiter({
 
 /**
  * Estimate generation rate limiter
- * 30 requests per hour per IP
+ * 30 requests per hour per IP (anonymous traffic only)
  */
 const estimateLimiter = createRateLimiter({
   windowMs: 60 * 60 * 1000,
   max: 30,
+  skip: isApiClient,
   message: 'You have generated too many estimates, please try again later.'
 });
 
 module.exports = {
   apiLimiter,
+  apiKeyLimiter,
   strictLimiter,
   loginLimiter,
   estimateLimiter,
@@ -0,0 +1,42 @@
+// middleware/validate.js
+const apiResponse = require('../utils/apiResponse');
+const { logWarn } = require('../utils/logger');
+
+/**
+ * Validate a request part against a joi schema (see schemas/)
+ *
+ * Every failing field is reported at once as `errors: { <field path>: <message> }`
+ * in a 422 validation error. On success the request part is replaced by the
+ * validated value, so controllers receive converted types (e.g. numeric strings
+ * as numbers, trimmed strings) and keys the schema doesn't know are dropped
+ * unless it allows them.
+ *
+ * @param {Object} schema - Joi schema
+ * @param {string} source - Request property to validate ('body' or 'query')
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source] || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+  });
+
+  if (error) {
+    const errors = {};
+    error.details.forEach(detail => {
+      const field = detail.path.join('.') || source;
+      if (!errors[field]) errors[field] = detail.message;
+    });
+
+    logWarn('Request validation failed', { url: req.originalUrl, errors });
+    return apiResponse.send(res,
+      apiResponse.validationError('Validation failed', errors)
+    );
+  }
+
+  req[source] = value;
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,92 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const adminController = require('../controllers/adminController');
+const apiKeyController = require('../controllers/apiKeyController');
+const cacheController = require('../controllers/cacheController');
+const validate = require('../middleware/validate');
+const apiKeySchemas = require('../schemas/apiKeySchemas');
+const cacheSchemas = require('../schemas/cacheSchemas');
+
+// All admin routes require the admin token
+router.use(adminAuth);
+
+/**
+ * @route   GET /api/admin/webhooks/deliveries
+ * @desc    Inspect the webhook delivery log (filter by status, event)
+ * @access  Admin
+ */
+router.get('/webhooks/deliveries', adminController.listWebhookDeliveries);
+
+/**
+ * @route   GET /api/admin/webhooks/deliveries/:id
+ * @desc    Get a webhook delivery with its attempt log
+ * @access  Admin
+ */
+router.get('/webhooks/deliveries/:id', adminController.getWebhookDelivery);
+
+/**
+ * @route   POST /api/admin/webhooks/deliveries/:id/retry
+ * @desc    Requeue a failed webhook delivery
+ * @access  Admin
+ */
+router.post('/webhooks/deliveries/:id/retry', adminController.retryWebhookDelivery);
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Issue a partner API key (name, rateLimitPerMinute, monthlyVisionQuota)
+ * @access  Admin
+ */
+router.post('/api-keys', validate(apiKeySchemas.issueKey), apiKeyController.issueKey);
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List API keys with this month's usage
+ * @access  Admin
+ */
+router.get('/api-keys', apiKeyController.listKeys);
+
+/**
+ * @route   GET /api/admin/api-keys/:id/usage
+ * @desc    Monthly usage history for an API key
+ * @access  Admin
+ */
+router.get('/api-keys/:id/usage', apiKeyController.getKeyUsage);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Admin
+ */
+router.delete('/api-keys/:id', apiKeyController.revokeKey);
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Hit/miss statistics and tier sizes for every cache
+ * @access  Admin
+ */
+router.get('/cache', cacheController.getCacheStats);
+
+/**
+ * @route   GET /api/admin/cache/:namespace
+ * @desc    Statistics and most recent entries for one cache (?limit)
+ * @access  Admin
+ */
+router.get('/cache/:namespace', cacheController.getCacheEntries);
+
+/**
+ * @route   POST /api/admin/cache/invalidate
+ * @desc    Invalidate entries near coordinates (lat, lng, radiusMeters) or for an address
+ * @access  Admin
+ */
+router.post('/cache/invalidate', validate(cacheSchemas.invalidate), cacheController.invalidateCache);
+
+/**
+ * @route   DELETE /api/admin/cache
+ * @desc    Purge every cache, or one with ?namespace
+ * @access  Admin
+ */
+router.delete('/cache', validate(cacheSchemas.purgeQuery, 'query'), cacheController.purgeCache);
+
+module.exports = router;
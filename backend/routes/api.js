@@ -2,10 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const openAIController = require('../controllers/openAIController');
+const { estimateLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const { generateEstimate } = require('../schemas/estimateSchemas');
+const { askQuestion } = require('../schemas/askSchemas');
 
 // OpenAI-powered endpoints
-router.post('/estimate', openAIController.generateEstimate);
+router.post('/estimate', estimateLimiter, validate(generateEstimate), openAIController.generateEstimate);
 router.post('/analyze-roof', openAIController.analyzeRoof);
-router.post('/ask', openAIController.askQuestion);
+router.post('/ask', validate(askQuestion), openAIController.askQuestion);
 
 module.exports = router;
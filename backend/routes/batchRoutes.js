@@ -0,0 +1,45 @@
+// routes/batchRoutes.js
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const batchController = require('../controllers/batchController');
+const schemas = require('../schemas/batchSchemas');
+
+// Every row runs a vision analysis, so batches need the admin token
+router.use(adminAuth);
+
+/**
+ * @route   POST /api/batch
+ * @desc    Start a batch analysis from CSV (text/csv body or { csv }) or JSON ({ rows })
+ * @access  Admin
+ */
+router.post('/',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  batchController.acceptCsvBody,
+  validate(schemas.createBatch),
+  batchController.createBatch
+);
+
+/**
+ * @route   GET /api/batch
+ * @desc    List batches (?limit)
+ * @access  Admin
+ */
+router.get('/', batchController.listBatches);
+
+/**
+ * @route   GET /api/batch/:id
+ * @desc    Batch status and progress
+ * @access  Admin
+ */
+router.get('/:id', batchController.getBatch);
+
+/**
+ * @route   GET /api/batch/:id/results.csv | results.json
+ * @desc    Download a finished batch's results
+ * @access  Admin
+ */
+router.get('/:id/results.:format(csv|json)', batchController.getBatchResults);
+
+module.exports = router;
@@ -1,11 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const estimateController = require('../controllers/estimateController');
+const { estimateLimiter } = require('../middleware/rateLimiter');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/estimateSchemas');
 
 // Generate a roof estimate based on form data
-router.post('/generate', estimateController.generateEstimate);
+router.post('/generate', estimateLimiter, validate(schemas.generateEstimate), estimateController.generateEstimate);
+
+// Material takeoff (squares, bundles, underlayment, ...) for a roof
+router.post('/takeoff', validate(schemas.takeoff), estimateController.calculateTakeoff);
 
 // Submit final estimate with user contact info
-router.post('/submit', estimateController.submitEstimate);
+router.post('/submit', validate(schemas.submitEstimate), estimateController.submitEstimate);
+
+// Render a PDF report from an estimate payload
+router.post('/report', validate(schemas.estimateReport), estimateController.createEstimateReport);
+
+// List submitted estimates (paginated) - leads carry contact details, admin only
+router.get('/', adminAuth, estimateController.listEstimates);
+
+// Get a submitted estimate by reference (admin only)
+router.get('/:reference', adminAuth, estimateController.getEstimate);
+
+// Download the PDF report for a submitted estimate (report token from the submission)
+router.get('/:reference/report.pdf', estimateController.getEstimateReport);
 
 module.exports = router;
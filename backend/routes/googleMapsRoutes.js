@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const mapsController = require('../controllers/googleMapsController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/locationSchemas');
 
 // Geocode an address to coordinates
-router.post('/geocode', mapsController.geocodeAddress);
+router.post('/geocode', validate(schemas.geocode), mapsController.geocodeAddress);
 
 // Estimate roof size from coordinates
-router.post('/roof-size', mapsController.estimateRoofSize);
+router.post('/roof-size', validate(schemas.roofSize), mapsController.estimateRoofSize);
 
 module.exports = router;
@@ -1,52 +1,20 @@
 // backend/routes/metricsRoutes.js
 const express = require('express');
 const router = express.Router();
-const { logInfo } = require('../utils/logger');
+const metricsController = require('../controllers/metricsController');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/metricsSchemas');
 
-/**
- * Log measurement discrepancies
- */
-router.post('/log', (req, res) => {
-  try {
-    const { type, backendSize, frontendSize, ratio, percentDiff, address } = req.body;
-    
-    logInfo('Metrics data received', { 
-      type, 
-      backendSize, 
-      frontendSize, 
-      ratio: ratio?.toFixed(2), 
-      percentDiff: percentDiff?.toFixed(1),
-      address: address?.substring(0, 15) // Limit for privacy
-    });
-    
-    // Future enhancement: Store in database for analysis
-    
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Error logging metrics:', error);
-    res.status(500).json({ success: false });
-  }
-});
+// Record client metrics (measurement discrepancies, API timings, other events)
+router.post('/log', validate(schemas.logMetric), metricsController.logMetric);
 
-/**
- * Log API timing
- */
-router.post('/timing', (req, res) => {
-  try {
-    const { endpoint, duration } = req.body;
-    
-    logInfo('API timing data received', { endpoint, duration });
-    
-    // Future enhancement: Store in database for performance monitoring
-    
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Error logging API timing:', error);
-    res.status(500).json({ success: false });
-  }
-});
+// Record an API timing
+router.post('/timing', validate(schemas.logTiming), metricsController.logTiming);
 
-module.exports = router;
+// Query measurement discrepancies (?from&to&state&region&method)
+router.get('/discrepancies', validate(schemas.discrepancyQuery, 'query'), metricsController.getDiscrepancies);
+
+// p50/p95 API timings per endpoint (?from&to&endpoint)
+router.get('/timing/summary', validate(schemas.timingSummaryQuery, 'query'), metricsController.getTimingSummary);
 
-// Add to your server.js:
-// app.use('/api/metrics', require('./routes/metricsRoutes'));
+module.exports = router;
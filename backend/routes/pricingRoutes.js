@@ -0,0 +1,9 @@
+// routes/pricingRoutes.js
+const express = require('express');
+const router = express.Router();
+const pricingController = require('../controllers/pricingController');
+
+// Inspect the active pricing file (version, materials, factors)
+router.get('/', pricingController.getPricing);
+
+module.exports = router;
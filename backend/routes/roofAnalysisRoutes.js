@@ -2,12 +2,40 @@
 const express = require('express');
 const router = express.Router();
 const roofAnalysisController = require('../controllers/roofAnalysisController');
+const { requireVisionQuota } = require('../middleware/apiKeyAuth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/locationSchemas');
 
 /**
  * @route   POST /api/roof/analyze
  * @desc    Analyze roof using OpenAI Vision and property data
- * @access  Public
+ * @access  Public (API keys are limited by their monthly vision quota)
  */
-router.post('/analyze', roofAnalysisController.analyzeRoof);
+router.post('/analyze', apiLimiter, validate(schemas.roofAnalysis), requireVisionQuota, roofAnalysisController.analyzeRoof);
+
+/**
+ * @route   POST /api/roof/jobs
+ * @desc    Start a background roof analysis (same input as /analyze); identical
+ *          coordinates and property data join the job already running, and
+ *          new jobs get 429 while ROOF_JOB_MAX_RUNNING analyses are running
+ * @access  Public (API keys are limited by their monthly vision quota)
+ */
+router.post('/jobs', apiLimiter, validate(schemas.roofAnalysis), requireVisionQuota, roofAnalysisController.createRoofJob);
+
+/**
+ * @route   GET /api/roof/jobs/:id
+ * @desc    Roof analysis job status, stages and result
+ * @access  Public (not counted by apiLimiter - clients poll it)
+ */
+router.get('/jobs/:id', roofAnalysisController.getRoofJob);
+
+/**
+ * @route   GET /api/roof/jobs/:id/events
+ * @desc    Server-sent events for each job stage: imagery_fetched, zoom_analyzed,
+ *          adjustments_applied (or cache_hit), final
+ * @access  Public (not counted by apiLimiter - browsers reconnect automatically)
+ */
+router.get('/jobs/:id/events', roofAnalysisController.streamRoofJob);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+// routes/usageRoutes.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+
+/**
+ * @route   GET /api/usage
+ * @desc    Usage and vision quota for the calling API key
+ * @access  API key
+ */
+router.get('/', apiKeyController.getOwnUsage);
+
+module.exports = router;
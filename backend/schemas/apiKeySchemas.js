@@ -0,0 +1,16 @@
+// schemas/apiKeySchemas.js
+const Joi = require('joi');
+
+/**
+ * Partner API key request bodies
+ */
+
+const issueKey = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(100000),
+  monthlyVisionQuota: Joi.number().integer().min(0)
+});
+
+module.exports = {
+  issueKey
+};
@@ -0,0 +1,17 @@
+// schemas/askSchemas.js
+const Joi = require('joi');
+
+/**
+ * Roofing assistant request bodies
+ */
+
+const askQuestion = Joi.object({
+  question: Joi.string().trim().min(3).max(1000).required(),
+  // The user's current estimate, passed through to the prompt as context
+  formData: Joi.object().unknown(true).allow(null),
+  estimate: Joi.object().unknown(true).allow(null)
+});
+
+module.exports = {
+  askQuestion
+};
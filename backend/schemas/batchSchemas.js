@@ -0,0 +1,53 @@
+// schemas/batchSchemas.js
+const Joi = require('joi');
+const { latitude, longitude, wizardOption, materialOption, optionalText } = require('./common');
+
+/**
+ * Batch analysis request bodies and address list rows
+ */
+
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS || '500', 10);
+
+// Wizard answers applied to every row that doesn't set its own
+const defaults = Joi.object({
+  desiredRoofMaterial: materialOption,
+  roofSteepness: wizardOption('roofSteepness'),
+  buildingType: wizardOption('buildingType'),
+  currentRoofMaterial: materialOption,
+  timeline: wizardOption('timeline')
+});
+
+// One address list row, after column names are mapped (see batchService)
+const batchRow = defaults.keys({
+  reference: optionalText(100),
+  address: optionalText(300),
+  city: optionalText(100),
+  state: optionalText(50),
+  zipCode: optionalText(20),
+  lat: latitude.allow('', null),
+  lng: longitude.allow('', null),
+  propertyType: optionalText(100),
+  buildingSize: Joi.number().positive().allow('', null),
+  stories: Joi.number().integer().min(1).max(200).allow('', null)
+})
+  .or('address', 'lat')
+  .and('lat', 'lng')
+  .messages({ 'object.missing': 'an address or lat/lng is required' });
+
+// Rows come either as CSV text or as a JSON array of addresses or row objects
+const createBatch = Joi.object({
+  csv: Joi.string().max(1024 * 1024),
+  rows: Joi.array()
+    .items(Joi.alternatives().try(Joi.string().trim().max(300), Joi.object().unknown(true)))
+    .min(1)
+    .max(MAX_ROWS),
+  defaults,
+  concurrency: Joi.number().integer().min(1).max(10),
+  name: optionalText(100)
+}).xor('csv', 'rows');
+
+module.exports = {
+  MAX_ROWS,
+  batchRow,
+  createBatch
+};
@@ -0,0 +1,29 @@
+// schemas/cacheSchemas.js
+const Joi = require('joi');
+const { latitude, longitude } = require('./common');
+
+/**
+ * Cache admin request bodies and query strings
+ */
+
+const namespace = Joi.string().trim().max(50);
+
+// Either coordinates (with an optional radius) or an address, or both
+const invalidate = Joi.object({
+  namespace,
+  lat: latitude,
+  lng: longitude,
+  radiusMeters: Joi.number().positive().max(1000),
+  address: Joi.string().trim().min(3).max(300)
+})
+  .and('lat', 'lng')
+  .or('lat', 'address');
+
+const purgeQuery = Joi.object({
+  namespace
+});
+
+module.exports = {
+  invalidate,
+  purgeQuery
+};
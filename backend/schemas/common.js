@@ -0,0 +1,91 @@
+// schemas/common.js
+const Joi = require('joi');
+const { MATERIAL_IDS, resolveMaterialId } = require('@roofai/shared/materialCatalog');
+const { isValidPitch } = require('@roofai/shared/roofPitch');
+
+/**
+ * Building blocks shared by the request schemas
+ *
+ * The enums mirror the option ids of the estimate wizard steps
+ * (frontend/src/components/steps) - add an option there and here together.
+ * Materials are the exception: both sides read them from the shared material catalog.
+ * The wizard sends unanswered fields as '' or null, so optional fields allow both.
+ */
+
+const WIZARD_OPTIONS = {
+  buildingType: ['residential', 'commercial'],
+  roofSteepness: ['flat', 'low', 'moderate', 'steep'],
+  currentRoofMaterial: MATERIAL_IDS,
+  desiredRoofMaterial: MATERIAL_IDS,
+  timeline: ['emergency', 'asap', '1_3_months', 'planning'],
+  financing: ['yes', 'no', 'maybe']
+};
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+
+/**
+ * An optional wizard answer: one of the step's option ids, or unanswered
+ * @param {string} field - Key of WIZARD_OPTIONS
+ * @returns {Object} Joi schema
+ */
+const wizardOption = (field) => Joi.string()
+  .valid(...WIZARD_OPTIONS[field])
+  .allow('', null)
+  .messages({ 'any.only': `{{#label}} must be one of ${WIZARD_OPTIONS[field].join(', ')}` });
+
+/**
+ * An optional material answer: a catalog id, or a legacy id (asphalt, metal, ...)
+ * which is converted to its catalog id
+ */
+const materialOption = Joi.string()
+  .trim()
+  .lowercase()
+  .custom((value, helpers) => resolveMaterialId(value) || helpers.error('any.only'), 'material id')
+  .allow('', null)
+  .messages({ 'any.only': `{{#label}} must be one of ${MATERIAL_IDS.join(', ')}` });
+
+/**
+ * A roof pitch: a steepness answer (flat, low, moderate, steep) or rise/run ("7/12")
+ */
+const roofPitch = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidPitch(value) ? value : helpers.error('any.invalid')), 'roof pitch')
+  .messages({ 'any.invalid': '{{#label}} must be flat, low, moderate, steep or a rise/run such as 7/12' });
+
+const optionalText = (max = 200) => Joi.string().trim().max(max).allow('', null);
+
+// A date string that is kept as sent (a date-only `to` means the whole day to the metrics queries)
+const dateString = Joi.string().trim().custom((value, helpers) => (
+  isNaN(new Date(value)) ? helpers.message('{{#label}} must be a valid date') : value
+), 'date string');
+
+const point = Joi.object({
+  lat: latitude.required(),
+  lng: longitude.required()
+}).unknown(true);
+
+const polygon = Joi.array().items(point).allow(null);
+
+// Property details from the property lookup (Rentcast) - every field may be missing
+const propertyData = Joi.object({
+  propertyType: optionalText(),
+  buildingSize: Joi.number().min(0).allow(null),
+  stories: Joi.number().integer().min(1).max(200).allow(null),
+  yearBuilt: Joi.number().integer().min(1600).max(new Date().getFullYear() + 5).allow(null),
+  roofType: optionalText()
+}).unknown(true).allow(null);
+
+module.exports = {
+  WIZARD_OPTIONS,
+  latitude,
+  longitude,
+  wizardOption,
+  materialOption,
+  roofPitch,
+  optionalText,
+  dateString,
+  point,
+  polygon,
+  propertyData
+};
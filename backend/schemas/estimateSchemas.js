@@ -0,0 +1,114 @@
+// schemas/estimateSchemas.js
+const Joi = require('joi');
+const {
+  latitude,
+  longitude,
+  wizardOption,
+  materialOption,
+  roofPitch,
+  optionalText,
+  polygon,
+  propertyData
+} = require('./common');
+
+/**
+ * Estimate request bodies
+ *
+ * The wizard posts its whole form state, so unknown keys (sizing method,
+ * polygon area, terms agreement, ...) are allowed through untouched.
+ */
+
+// One part of the roof with its own pitch; an outline is measured, a plan area taken as given
+const roofSection = Joi.object({
+  id: optionalText(50),
+  label: optionalText(60),
+  polygon: polygon.min(3),
+  planArea: Joi.number().positive().max(1000000).allow(null),
+  pitch: roofPitch.required()
+}).or('polygon', 'planArea').unknown(true);
+
+const roofSections = Joi.array().items(roofSection).max(20).allow(null);
+
+// Wizard answers that describe the roof - optional here, required where the estimate needs them
+const estimateFields = {
+  address: optionalText(300),
+  city: optionalText(100),
+  state: optionalText(50),
+  zipCode: optionalText(20),
+  lat: latitude.allow(null),
+  lng: longitude.allow(null),
+  roofSize: Joi.number().positive().max(1000000).allow('', null),
+  buildingType: wizardOption('buildingType'),
+  roofSteepness: wizardOption('roofSteepness'),
+  currentRoofMaterial: materialOption,
+  desiredRoofMaterial: materialOption,
+  timeline: wizardOption('timeline'),
+  financing: wizardOption('financing'),
+  additionalDetails: optionalText(2000),
+  propertyData,
+  roofSections
+};
+
+const analysisFields = {
+  roofPolygon: polygon,
+  roofAnalysis: Joi.object().unknown(true).allow(null),
+  estimateResult: Joi.object().unknown(true).allow(null)
+};
+
+const requiredAnswer = field => field
+  .invalid('', null)
+  .required()
+  .messages({ 'any.invalid': '{{#label}} is required' });
+
+// Roof sections stand in for the roof size and steepness
+const generateEstimate = Joi.object(estimateFields)
+  .fork(['desiredRoofMaterial'], requiredAnswer)
+  .fork(['roofSize', 'roofSteepness'], field => Joi.when('roofSections', {
+    is: Joi.array().min(1).required(),
+    then: field,
+    otherwise: requiredAnswer(field)
+  }))
+  .unknown(true);
+
+const submitEstimate = Joi.object({
+  ...estimateFields,
+  ...analysisFields,
+  name: Joi.string().trim().min(2).max(100).required(),
+  email: Joi.string().trim().email({ tlds: { allow: false } }).max(254).required(),
+  phone: Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/, 'phone number').required()
+}).unknown(true);
+
+// Known linear measurements in feet; any left out are estimated from the area
+const linearFeet = Joi.number().min(0).max(100000).allow(null);
+
+const takeoff = Joi.object({
+  roofSize: estimateFields.roofSize.invalid('', null).required()
+    .messages({ 'any.invalid': '{{#label}} is required' }),
+  roofSteepness: estimateFields.roofSteepness,
+  roofShape: Joi.string().valid('simple', 'complex', 'unknown').allow('', null),
+  desiredRoofMaterial: materialOption,
+  state: estimateFields.state,
+  iceBarrierAtEaves: Joi.boolean().allow(null),
+  measurements: Joi.object({
+    eaves: linearFeet,
+    rakes: linearFeet,
+    ridges: linearFeet,
+    hips: linearFeet,
+    valleys: linearFeet
+  }).allow(null)
+}).unknown(true);
+
+const estimateReport = Joi.object({
+  ...estimateFields,
+  ...analysisFields,
+  name: optionalText(100),
+  email: optionalText(254),
+  phone: optionalText(30)
+}).unknown(true);
+
+module.exports = {
+  generateEstimate,
+  submitEstimate,
+  takeoff,
+  estimateReport
+};
@@ -0,0 +1,23 @@
+// schemas/locationSchemas.js
+const Joi = require('joi');
+const { latitude, longitude, propertyData } = require('./common');
+
+/**
+ * Geocoding, roof size and roof analysis request bodies
+ */
+
+const geocode = Joi.object({
+  address: Joi.string().trim().min(3).max(300).required()
+});
+
+const coordinates = Joi.object({
+  lat: latitude.required(),
+  lng: longitude.required(),
+  propertyData
+});
+
+module.exports = {
+  geocode,
+  roofSize: coordinates,
+  roofAnalysis: coordinates
+};
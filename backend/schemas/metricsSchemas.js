@@ -0,0 +1,74 @@
+// schemas/metricsSchemas.js
+const Joi = require('joi');
+const { optionalText, dateString } = require('./common');
+
+/**
+ * Metrics request bodies and query strings
+ */
+
+/**
+ * Reject a `to` date before the `from` date given alongside it
+ */
+const notBeforeFrom = (value, helpers) => {
+  const { from } = helpers.state.ancestors[0];
+  if (from && !isNaN(new Date(from)) && new Date(value) < new Date(from)) {
+    return helpers.message('{{#label}} must not be before "from"');
+  }
+  return value;
+};
+
+const range = {
+  from: dateString,
+  to: dateString.custom(notBeforeFrom, 'date range')
+};
+
+const timingFields = {
+  endpoint: Joi.string().trim().max(500),
+  duration: Joi.number().min(0),
+  status: Joi.number().integer().min(100).max(599).allow(null),
+  method: optionalText(50),
+  timestamp: dateString
+};
+
+const metricTypeIs = (type) => Joi.object({ type: Joi.valid(type) }).unknown(true);
+
+// Discrepancies and timings need their values; any other event type is stored as sent
+const logMetric = Joi.object({
+  ...timingFields,
+  type: Joi.string().trim().max(50).required(),
+  backendSize: Joi.number().positive(),
+  frontendSize: Joi.number().positive(),
+  ratio: Joi.number().allow(null),
+  percentDiff: Joi.number().allow(null),
+  address: optionalText(300),
+  state: optionalText(50)
+})
+  .unknown(true)
+  .when(metricTypeIs('measurement_discrepancy'), {
+    then: Joi.object({ backendSize: Joi.required(), frontendSize: Joi.required() })
+  })
+  .when(metricTypeIs('api_timing'), {
+    then: Joi.object({ endpoint: Joi.required(), duration: Joi.required() })
+  });
+
+const logTiming = Joi.object(timingFields)
+  .fork(['endpoint', 'duration'], field => field.required());
+
+const discrepancyQuery = Joi.object({
+  ...range,
+  state: optionalText(50),
+  region: optionalText(50),
+  method: optionalText(50)
+});
+
+const timingSummaryQuery = Joi.object({
+  ...range,
+  endpoint: optionalText(500)
+});
+
+module.exports = {
+  logMetric,
+  logTiming,
+  discrepancyQuery,
+  timingSummaryQuery
+};
@@ -0,0 +1,114 @@
+// backend/scripts/batchAnalyze.js
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Run a batch roof analysis from the command line
+ *
+ *   node scripts/batchAnalyze.js <addresses.csv|addresses.json> [options]
+ *
+ * Options:
+ *   --out <file>            Results file; .json for JSON, anything else CSV
+ *                           (default <input>.results.csv next to the input)
+ *   --concurrency <n>       Rows processed at once (default BATCH_CONCURRENCY or 3)
+ *   --material <id>         Desired material for rows without one, a material catalog id
+ *                           (default asphalt_3tab, or tpo for commercial buildings)
+ *   --steepness <id>        Steepness for rows without one (default: the measured pitch)
+ *   --building-type <id>    Building type for rows without one (residential, commercial)
+ *
+ * Uses the same geocoding, vision analysis and estimate services (and .env
+ * configuration) as the API, without going through the server.
+ */
+
+const USAGE = 'Usage: node scripts/batchAnalyze.js <addresses.csv|addresses.json> [--out results.csv] [--concurrency 3] [--material asphalt_architectural] [--steepness moderate] [--building-type residential]';
+
+const OPTIONS = {
+  '--out': 'out',
+  '--concurrency': 'concurrency',
+  '--material': 'desiredRoofMaterial',
+  '--steepness': 'roofSteepness',
+  '--building-type': 'buildingType'
+};
+
+const parseArgs = (argv) => {
+  const args = { input: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (OPTIONS[argv[i]]) {
+      args[OPTIONS[argv[i]]] = argv[i + 1];
+      i += 1;
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      args.help = true;
+    } else if (!args.input) {
+      args.input = argv[i];
+    } else {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+const readAddressList = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() !== '.json') return { csv: content };
+
+  const parsed = JSON.parse(content);
+  return { rows: Array.isArray(parsed) ? parsed : parsed.rows || parsed.addresses };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // Loaded after the arguments are checked so --help doesn't initialize the services
+  const batchService = require('../services/batchService');
+  const { createBatch } = require('../schemas/batchSchemas');
+
+  const { error, value } = createBatch.validate({
+    ...readAddressList(args.input),
+    concurrency: args.concurrency,
+    defaults: {
+      desiredRoofMaterial: args.desiredRoofMaterial,
+      roofSteepness: args.roofSteepness,
+      buildingType: args.buildingType
+    }
+  }, { abortEarly: false, errors: { wrap: { label: false } } });
+
+  if (error) {
+    console.error(`Invalid input: ${error.details.map(detail => detail.message).join('; ')}`);
+    process.exit(1);
+  }
+
+  const rows = batchService.parseAddressList(value);
+  const out = args.out || `${args.input.replace(/\.(csv|json)$/i, '')}.results.csv`;
+  const startedAt = Date.now();
+  let processed = 0;
+  let failed = 0;
+
+  console.error(`Analyzing ${rows.length} addresses from ${args.input}...`);
+
+  const results = await batchService.runRows(rows, {
+    defaults: value.defaults,
+    concurrency: value.concurrency,
+    onRow: (result) => {
+      processed += 1;
+      if (result.status !== 'completed') failed += 1;
+      console.error(`[${processed}/${rows.length}] row ${result.row} ${result.status}${result.error ? ` (${result.failedStage}: ${result.error})` : ''} - ${result.address}`);
+    }
+  });
+
+  fs.writeFileSync(out, path.extname(out).toLowerCase() === '.json'
+    ? JSON.stringify({ results }, null, 2)
+    : batchService.resultsToCsv(results));
+
+  console.error(`Done in ${Math.round((Date.now() - startedAt) / 1000)}s: ${processed - failed} completed, ${failed} failed. Results written to ${out}`);
+  process.exit(0);
+};
+
+main().catch(error => {
+  console.error(`Batch failed: ${error.message}`);
+  process.exit(1);
+});
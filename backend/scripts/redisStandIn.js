@@ -0,0 +1,121 @@
+// backend/scripts/redisStandIn.js
+const net = require('net');
+const { parseReply } = require('../utils/respClient');
+
+/**
+ * In-memory stand-in for a Redis server
+ *
+ * Speaks enough of the Redis protocol for the cache's redis tier (PING, AUTH,
+ * SELECT, GET, SET with EX/PX, DEL, EXISTS, SCAN, KEYS, DBSIZE, FLUSHDB), so the
+ * tier can be tried locally without installing Redis:
+ *
+ *   node scripts/redisStandIn.js [port]      (default 6379)
+ *   CACHE_TIERS=memory,disk,redis REDIS_URL=redis://127.0.0.1:6379 npm start
+ *
+ * Data lives in memory only and is lost when the process exits.
+ */
+
+const CRLF = '\r\n';
+
+const simple = (value) => `+${value}${CRLF}`;
+const failure = (message) => `-ERR ${message}${CRLF}`;
+const integer = (value) => `:${value}${CRLF}`;
+const bulk = (value) => (value === null ? `$-1${CRLF}` : `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+const array = (items) => `*${items.length}${CRLF}${items.map(bulk).join('')}`;
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+/**
+ * Create a stand-in server (not yet listening)
+ * @returns {Object} net.Server with a `store` Map of key -> { value, expiresAt }
+ */
+const createRedisStandIn = () => {
+  const store = new Map();
+
+  const live = (key) => {
+    const item = store.get(key);
+    if (item && item.expiresAt && item.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return item || null;
+  };
+
+  const liveKeys = (pattern = '*') => {
+    const matcher = globToRegExp(pattern);
+    return [...store.keys()].filter(key => live(key) && matcher.test(key));
+  };
+
+  const option = (args, name) => {
+    const index = args.findIndex(arg => arg.toUpperCase() === name);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  const commands = {
+    PING: ([message]) => (message ? bulk(message) : simple('PONG')),
+    AUTH: () => simple('OK'),
+    SELECT: () => simple('OK'),
+    GET: ([key]) => bulk(live(key)?.value ?? null),
+    SET: ([key, value, ...args]) => {
+      const ex = option(args, 'EX');
+      const px = option(args, 'PX');
+      const ttlMs = px ? parseInt(px, 10) : ex ? parseInt(ex, 10) * 1000 : null;
+      store.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return simple('OK');
+    },
+    DEL: (keys) => integer(keys.filter(key => live(key) && store.delete(key)).length),
+    EXISTS: (keys) => integer(keys.filter(key => live(key)).length),
+    // Every match is returned in one page (cursor 0)
+    SCAN: ([, ...args]) => `*2${CRLF}${bulk('0')}${array(liveKeys(option(args, 'MATCH') || '*'))}`,
+    KEYS: ([pattern]) => array(liveKeys(pattern)),
+    DBSIZE: () => integer(liveKeys().length),
+    FLUSHDB: () => {
+      store.clear();
+      return simple('OK');
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let request;
+      try {
+        while ((request = parseReply(buffer))) {
+          buffer = buffer.subarray(request.offset);
+          const [name = '', ...args] = Array.isArray(request.value) ? request.value : [];
+          const command = commands[name.toUpperCase()];
+
+          if (name.toUpperCase() === 'QUIT') {
+            socket.end(simple('OK'));
+            return;
+          }
+          socket.write(command ? command(args) : failure(`unknown command '${name}'`));
+        }
+      } catch (error) {
+        socket.end(failure(error.message));
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  server.store = store;
+  return server;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.REDIS_STANDIN_PORT || '6379', 10);
+  createRedisStandIn().listen(port, '127.0.0.1', () => {
+    console.log(`Redis stand-in listening on redis://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = {
+  createRedisStandIn
+};
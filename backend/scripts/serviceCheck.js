@@ -37,7 +37,9 @@ if (fs.existsSync(servicePath)) {
 
 // Check environment variables
 console.log('\nChecking required environment variables...');
-const requiredEnvVars = ['OPENAI_API_KEY', 'GOOGLE_MAPS_API_KEY'];
+const llmTasks = require('../services/llmService').describeTasks();
+const usesOpenAI = Object.values(llmTasks).some(task => task.provider === 'openai');
+const requiredEnvVars = [...(usesOpenAI ? ['OPENAI_API_KEY'] : []), 'GOOGLE_MAPS_API_KEY'];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -33,6 +33,10 @@ const requiredFiles = [
   './routes/api.js',
   './routes/metricsRoutes.js',
   './routes/roofAnalysisRoutes.js',
+  './routes/adminRoutes.js',
+  './routes/pricingRoutes.js',
+  './routes/usageRoutes.js',
+  './routes/batchRoutes.js',
   './services/openAIVisionService.js',
 ];
 
@@ -46,6 +50,16 @@ requiredFiles.forEach(file => {
   }
 });
 
+// Validate the pricing file before accepting any requests
+console.log('Loading pricing...');
+try {
+  const pricing = require('./services/pricingEngine').loadPricing();
+  console.log(`✓ Pricing version ${pricing.version} loaded`);
+} catch (error) {
+  console.error('ERROR LOADING PRICING:', error.message);
+  process.exit(1); // Estimates can't be priced without a valid pricing file
+}
+
 // Initialize express app
 console.log('Initializing Express app...');
 const app = express();
@@ -81,7 +95,7 @@ app.use(helmet()); // Security headers
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' })); // Parse JSON requests with size limit
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
-app.use(morgan('dev')); // Request logging
+app.use(morgan('dev', { skip: () => process.env.NODE_ENV === 'test' })); // Request logging
 
 // Add request timestamp
 app.use((req, res, next) => {
@@ -89,6 +103,16 @@ app.use((req, res, next) => {
   next();
 });
 
+// Behind a load balancer, the IP limiters need the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
+// Identify partner API keys; keyed requests are rate limited per key, anonymous ones per IP
+const { identifyClient } = require('./middleware/apiKeyAuth');
+const { apiLimiter, apiKeyLimiter } = require('./middleware/rateLimiter');
+app.use('/api', identifyClient, apiKeyLimiter);
+
 // Early diagnostic endpoint to check if the server is running
 app.get('/api/serverinfo', (req, res) => {
   res.json({
@@ -105,11 +129,13 @@ app.get('/api/serverinfo', (req, res) => {
 console.log('Loading routes...');
 
 // Load core routes first
-let estimateRoutes, googleMapsRoutes, apiRoutes;
+let estimateRoutes, googleMapsRoutes, pricingRoutes, usageRoutes, apiRoutes;
 
 try {
   estimateRoutes = require('./routes/estimateRoutes');
   googleMapsRoutes = require('./routes/googleMapsRoutes');
+  pricingRoutes = require('./routes/pricingRoutes');
+  usageRoutes = require('./routes/usageRoutes');
   apiRoutes = require('./routes/api');
   console.log('✓ Core routes loaded successfully');
 } catch (error) {
@@ -118,9 +144,10 @@ try {
 }
 
 // Use core routes
-app.use('/api/estimates', estimateRoutes);
-app.use('/api/maps', googleMapsRoutes);
-app.use('/api', apiRoutes);
+app.use('/api/estimates', apiLimiter, estimateRoutes);
+app.use('/api/maps', apiLimiter, googleMapsRoutes);
+app.use('/api/pricing', apiLimiter, pricingRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Load and use metrics routes
 let metricsRoutes;
@@ -144,6 +171,7 @@ try {
 let roofAnalysisRoutes;
 try {
   roofAnalysisRoutes = require('./routes/roofAnalysisRoutes');
+  // Rate limited per route - job status reads and event streams are not counted
   app.use('/api/roof', roofAnalysisRoutes);
   console.log('✓ Roof analysis routes loaded successfully');
 } catch (error) {
@@ -176,6 +204,27 @@ try {
   console.log('✓ Created stub for roof analysis routes');
 }
 
+// Load and use admin routes
+try {
+  const adminRoutes = require('./routes/adminRoutes');
+  app.use('/api/admin', adminRoutes);
+  console.log('✓ Admin routes loaded successfully');
+} catch (error) {
+  console.error('ERROR LOADING ADMIN ROUTES:', error.message);
+}
+
+// Load and use batch analysis routes
+try {
+  const batchRoutes = require('./routes/batchRoutes');
+  app.use('/api/batch', batchRoutes);
+  console.log('✓ Batch routes loaded successfully');
+} catch (error) {
+  console.error('ERROR LOADING BATCH ROUTES:', error.message);
+}
+
+// Mounted after the specific /api/* routers so their requests aren't counted by apiLimiter twice
+app.use('/api', apiLimiter, apiRoutes);
+
 // Comprehensive diagnostic endpoint
 app.get('/api/diagnostic', (req, res) => {
   try {
@@ -214,6 +263,7 @@ app.get('/api/diagnostic', (req, res) => {
       NODE_ENV: process.env.NODE_ENV,
       hasOpenAIKey: !!process.env.OPENAI_API_KEY,
       hasGoogleMapsKey: !!process.env.GOOGLE_MAPS_API_KEY,
+      llm: require('./services/llmService').describeTasks(),
     };
     
     res.json({
@@ -256,12 +306,29 @@ app.use((req, res, next) => {
 // Global error handler
 app.use(errorHandler);
 
-// Start server
-console.log(`Starting server on port ${PORT}...`);
-app.listen(PORT, () => {
-  logInfo(`Server running on port ${PORT}`);
-  console.log(`✓ Server running on port ${PORT}`);
-});
+// Start server (tests require the app without listening)
+if (require.main === module) {
+  console.log(`Starting server on port ${PORT}...`);
+  app.listen(PORT, () => {
+    logInfo(`Server running on port ${PORT}`);
+    console.log(`✓ Server running on port ${PORT}`);
+    
+    // Retry any webhook deliveries left pending from a previous run
+    require('./services/webhookService').startWorker();
+    
+    // Retry any confirmation emails left pending from a previous run
+    require('./services/notificationService').startWorker();
+    
+    // Drop metrics older than the retention window
+    require('./services/metricsService').startRetention();
+    
+    // Remove expired cache entries and keep the disk cache within its caps
+    require('./services/cacheService').startSweeping();
+    
+    // Write buffered API key request counts
+    require('./services/apiKeyService').startUsageFlush();
+  });
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
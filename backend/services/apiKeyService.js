@@ -0,0 +1,321 @@
+// services/apiKeyService.js
+const crypto = require('crypto');
+const { createFileStore } = require('../utils/fileStore');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * API keys for partner contractors
+ *
+ * Keys look like `rai_<prefix>_<secret>` and are shown once when issued; only a
+ * SHA-256 hash is stored (data/apiKeys.json). Each key has its own per-minute
+ * rate limit and monthly vision analysis quota, and usage is counted per month.
+ * Request counts are buffered in memory and written in one update per flush
+ * interval, so busy keys don't rewrite the store on every request.
+ *
+ * Configuration:
+ *   API_KEY_RATE_LIMIT_PER_MINUTE  - Default requests per minute for new keys (default 60)
+ *   API_KEY_MONTHLY_VISION_QUOTA   - Default vision analyses per month for new keys (default 500)
+ *   API_KEY_USAGE_FLUSH_MS         - How often buffered request counts are written (default 10 seconds)
+ */
+
+const KEY_PREFIX = 'rai_';
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60', 10);
+const DEFAULT_MONTHLY_VISION_QUOTA = parseInt(process.env.API_KEY_MONTHLY_VISION_QUOTA || '500', 10);
+const USAGE_FLUSH_INTERVAL_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_MS || '10000', 10);
+
+const store = createFileStore('apiKeys', { defaultValue: [] });
+
+// Request counts not written yet: key id -> { requests: { month: count }, lastUsedAt }
+let pendingUsage = new Map();
+let flushTimer = null;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Check whether a bearer token is meant to be an API key (as opposed to e.g. the admin token)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True if it has the API key prefix
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * Usage counters for a month
+ * @param {Object} record - Key record
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Object} { requests, visionAnalyses }
+ */
+const usageFor = (record, month = currentMonth()) => ({
+  requests: 0,
+  visionAnalyses: 0,
+  ...(record.usage?.[month] || {})
+});
+
+/**
+ * Strip the hash from a key record for responses
+ * @param {Object} record - Stored key record
+ * @returns {Object} Public key details with this month's usage
+ */
+const toPublic = ({ hash, usage, ...record }) => ({
+  ...record,
+  active: !record.revokedAt,
+  currentMonth: { month: currentMonth(), ...usageFor({ usage }) }
+});
+
+/**
+ * Issue a new API key
+ * @param {Object} options - Key options
+ * @param {string} options.name - Partner name
+ * @param {number} options.rateLimitPerMinute - Requests per minute
+ * @param {number} options.monthlyVisionQuota - Vision analyses per month
+ * @returns {Promise<Object>} { key, apiKey } - the plaintext key (only returned here) and its details
+ */
+const issueKey = async ({ name, rateLimitPerMinute, monthlyVisionQuota } = {}) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const record = {
+    id: `key_${prefix}`,
+    name,
+    prefix: `${KEY_PREFIX}${prefix}`,
+    hash: hashKey(key),
+    rateLimitPerMinute: rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+    monthlyVisionQuota: monthlyVisionQuota ?? DEFAULT_MONTHLY_VISION_QUOTA,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+    usage: {}
+  };
+
+  await store.update(keys => {
+    keys.push(record);
+  });
+
+  logInfo('API key issued', { id: record.id, name });
+  return { key, apiKey: toPublic(record) };
+};
+
+/**
+ * Find the active key record for a plaintext key
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<Object|null>} Key record or null if unknown or revoked
+ */
+const authenticate = async (key) => {
+  if (!isApiKey(key)) return null;
+
+  const hash = hashKey(key);
+  const keys = await store.read();
+  const record = keys.find(candidate => candidate.hash.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(candidate.hash), Buffer.from(hash)));
+
+  return record && !record.revokedAt ? record : null;
+};
+
+/**
+ * Revoke a key
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} Revoked key or null if not found
+ */
+const revokeKey = async (id) => {
+  let revoked = null;
+
+  await store.update(keys => {
+    const record = keys.find(candidate => candidate.id === id);
+    if (record) {
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      revoked = record;
+    }
+  });
+
+  if (revoked) logInfo('API key revoked', { id });
+  return revoked ? toPublic(revoked) : null;
+};
+
+/**
+ * List all keys (without hashes)
+ * @returns {Promise<Array<Object>>} Keys with this month's usage
+ */
+const listKeys = async () => {
+  await flushUsage();
+  return (await store.read()).map(toPublic);
+};
+
+/**
+ * Get a key's details and monthly usage history
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} { apiKey, usage: [{ month, requests, visionAnalyses }] } or null
+ */
+const getUsage = async (id) => {
+  await flushUsage();
+  const record = (await store.read()).find(candidate => candidate.id === id);
+  if (!record) return null;
+
+  return {
+    apiKey: toPublic(record),
+    usage: Object.keys(record.usage || {})
+      .sort()
+      .reverse()
+      .map(month => ({ month, ...usageFor(record, month) }))
+  };
+};
+
+/**
+ * Count a request against a key
+ * Buffered in memory until the next flush (see flushUsage). Vision analyses are
+ * counted when they are admitted (see reserveVisionAnalysis).
+ * @param {string} id - Key id
+ */
+const recordUsage = (id) => {
+  const month = currentMonth();
+  const pending = pendingUsage.get(id) || { requests: {}, lastUsedAt: null };
+
+  pending.requests[month] = (pending.requests[month] || 0) + 1;
+  pending.lastUsedAt = new Date().toISOString();
+  pendingUsage.set(id, pending);
+};
+
+/**
+ * Write buffered request counts to the store in one update
+ * Counts are put back if the write fails, so the next flush retries them.
+ * @returns {Promise<number>} Number of keys updated
+ */
+const flushUsage = async () => {
+  if (pendingUsage.size === 0) return 0;
+
+  const flushing = pendingUsage;
+  pendingUsage = new Map();
+
+  try {
+    await store.update(keys => {
+      keys.forEach(record => {
+        const pending = flushing.get(record.id);
+        if (!pending) return;
+
+        record.usage = record.usage || {};
+        Object.entries(pending.requests).forEach(([month, requests]) => {
+          const usage = usageFor(record, month);
+          usage.requests += requests;
+          record.usage[month] = usage;
+        });
+        record.lastUsedAt = pending.lastUsedAt;
+      });
+    });
+  } catch (error) {
+    flushing.forEach((pending, id) => {
+      const current = pendingUsage.get(id) || { requests: {}, lastUsedAt: pending.lastUsedAt };
+      Object.entries(pending.requests).forEach(([month, requests]) => {
+        current.requests[month] = (current.requests[month] || 0) + requests;
+      });
+      pendingUsage.set(id, current);
+    });
+    throw error;
+  }
+
+  return flushing.size;
+};
+
+/**
+ * Start flushing buffered request counts on an interval
+ */
+const startUsageFlush = () => {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    flushUsage().catch(err => logError('Error writing API key usage', { error: err.message }));
+  }, USAGE_FLUSH_INTERVAL_MS);
+
+  // Don't keep the process alive just for the flush
+  flushTimer.unref();
+};
+
+/**
+ * Stop flushing buffered request counts
+ */
+const stopUsageFlush = () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+};
+
+/**
+ * Check a key's remaining vision analyses this month
+ * @param {Object} record - Key record
+ * @returns {Object} { allowed, limit, used, remaining, month }
+ */
+const checkVisionQuota = (record) => {
+  const month = currentMonth();
+  const used = usageFor(record, month).visionAnalyses;
+  const limit = record.monthlyVisionQuota;
+
+  return {
+    allowed: used < limit,
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    month
+  };
+};
+
+/**
+ * Reserve one vision analysis against a key's monthly quota
+ * Checked and counted in one store update, so concurrent requests can't all pass
+ * the check and overrun the quota.
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} Quota after the reservation (see checkVisionQuota) or null if the key is gone
+ */
+const reserveVisionAnalysis = async (id) => {
+  const month = currentMonth();
+  let quota = null;
+
+  await store.update(keys => {
+    const record = keys.find(candidate => candidate.id === id);
+    if (!record) return;
+
+    quota = checkVisionQuota(record);
+    if (!quota.allowed) return;
+
+    record.usage = record.usage || {};
+    const usage = usageFor(record, month);
+    usage.visionAnalyses += 1;
+    record.usage[month] = usage;
+    quota = checkVisionQuota(record);
+    quota.allowed = true;
+  });
+
+  return quota;
+};
+
+/**
+ * Give back a reserved vision analysis (the analysis didn't succeed)
+ * @param {string} id - Key id
+ * @param {string} month - Month the analysis was reserved in (YYYY-MM)
+ * @returns {Promise<void>}
+ */
+const releaseVisionAnalysis = async (id, month) => {
+  await store.update(keys => {
+    const record = keys.find(candidate => candidate.id === id);
+    const usage = record?.usage?.[month];
+    if (usage && usage.visionAnalyses > 0) {
+      usage.visionAnalyses -= 1;
+    }
+  });
+};
+
+module.exports = {
+  isApiKey,
+  issueKey,
+  authenticate,
+  revokeKey,
+  listKeys,
+  getUsage,
+  recordUsage,
+  flushUsage,
+  startUsageFlush,
+  stopUsageFlush,
+  checkVisionQuota,
+  reserveVisionAnalysis,
+  releaseVisionAnalysis,
+  toPublic
+};
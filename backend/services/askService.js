@@ -0,0 +1,148 @@
+// services/askService.js
+const llmService = require('./llmService');
+const knowledgeBase = require('./knowledgeBase');
+const { formatCurrency } = require('./emailTemplates');
+const { logInfo, logWarn } = require('../utils/logger');
+
+/**
+ * Roofing Q&A assistant
+ *
+ * Questions are answered from passages retrieved from the local knowledge base.
+ * With an LLM configured for the `ask` task the model writes an answer grounded in
+ * those passages and cites them as [1], [2], ...; without one (or if the request
+ * fails) the top passages are returned as the answer.
+ */
+
+const PASSAGE_LIMIT = 4;
+const FALLBACK_PASSAGES = 2;
+const EXCERPT_CHARS = 240;
+
+/**
+ * Describe the user's current estimate for the prompt
+ * @param {Object} formData - Estimate form data (roofSize, roofSteepness, desiredRoofMaterial, ...)
+ * @param {Object} estimate - Estimate result (lowEstimate, estimate, highEstimate, ...)
+ * @returns {string|null} Context text or null if nothing is known
+ */
+const describeEstimateContext = (formData = {}, estimate = {}) => {
+  const lines = [];
+
+  if (formData.city || formData.state) lines.push(`Location: ${[formData.city, formData.state].filter(Boolean).join(', ')}`);
+  if (formData.roofSize) lines.push(`Roof size: ${formData.roofSize} sq ft`);
+  if (formData.roofSteepness) lines.push(`Roof steepness: ${formData.roofSteepness}`);
+  if (formData.buildingType) lines.push(`Building type: ${formData.buildingType}`);
+  if (formData.currentRoofMaterial) lines.push(`Current material: ${formData.currentRoofMaterial}`);
+  if (formData.desiredRoofMaterial) lines.push(`Desired material: ${formData.desiredRoofMaterial}`);
+  if (formData.timeline) lines.push(`Timeline: ${formData.timeline}`);
+  if (estimate.estimate) {
+    lines.push(`Estimated cost: ${formatCurrency(estimate.estimate)} (range ${formatCurrency(estimate.lowEstimate)} - ${formatCurrency(estimate.highEstimate)})`);
+  }
+  if (estimate.pricePerSqft) lines.push(`Price per sq ft: $${estimate.pricePerSqft}`);
+
+  return lines.length > 0 ? lines.join('\n') : null;
+};
+
+/**
+ * Shape a passage for the response
+ * @param {Object} passage - Retrieved passage
+ * @param {number} index - Position in the retrieved list
+ * @returns {Object} Source { ref, id, source, title, section, score, excerpt }
+ */
+const toSource = (passage, index) => ({
+  ref: index + 1,
+  id: passage.id,
+  source: passage.source,
+  title: passage.title,
+  section: passage.section,
+  score: passage.score,
+  excerpt: passage.text.length > EXCERPT_CHARS ? `${passage.text.slice(0, EXCERPT_CHARS).trim()}...` : passage.text
+});
+
+/**
+ * Answer with the top passages when no LLM is available
+ * @param {Array<Object>} passages - Retrieved passages
+ * @returns {string} Answer text
+ */
+const buildRetrievalAnswer = (passages) => {
+  if (passages.length === 0) {
+    return "I couldn't find anything about that in our roofing guide. A roofing professional can help when they contact you.";
+  }
+
+  return passages
+    .slice(0, FALLBACK_PASSAGES)
+    .map((passage, index) => `[${index + 1}] ${passage.title}${passage.section ? ` - ${passage.section}` : ''}\n${passage.text}`)
+    .join('\n\n');
+};
+
+/**
+ * Ask the LLM for an answer grounded in the retrieved passages
+ * @param {string} question - User question
+ * @param {Array<Object>} passages - Retrieved passages
+ * @param {string|null} estimateContext - Description of the user's estimate
+ * @returns {Promise<Object>} Completion { content, model, provider }
+ */
+const generateAnswer = (question, passages, estimateContext) => {
+  const context = passages
+    .map((passage, index) => `[${index + 1}] ${passage.title}${passage.section ? ` - ${passage.section}` : ''}\n${passage.text}`)
+    .join('\n\n');
+
+  return llmService.complete(llmService.TASKS.ASK, {
+    messages: [
+      {
+        role: 'system',
+        content: `You are RoofAI's roofing assistant helping homeowners understand their roof replacement.
+Answer ONLY from the numbered passages provided. Cite the passages you use inline as [1], [2], etc.
+If the passages do not answer the question, say you don't know and suggest asking the roofing professional who will contact them.
+Keep answers short (under 150 words) and practical. Never invent prices, codes or warranty terms that are not in the passages.`
+      },
+      {
+        role: 'user',
+        content: `${estimateContext ? `My current estimate:\n${estimateContext}\n\n` : ''}Passages:\n${context}\n\nQuestion: ${question}`
+      }
+    ],
+    temperature: 0.2,
+    maxTokens: 500
+  });
+};
+
+/**
+ * Answer a roofing question from the knowledge base
+ * @param {string} question - User question
+ * @param {Object} options - Optional context
+ * @param {Object} options.formData - The user's estimate form data
+ * @param {Object} options.estimate - The user's estimate result
+ * @returns {Promise<Object>} { answer, mode, sources, provider, model }
+ */
+const answerQuestion = async (question, { formData, estimate } = {}) => {
+  const passages = await knowledgeBase.search(question, { limit: PASSAGE_LIMIT });
+  const sources = passages.map(toSource);
+
+  logInfo('Knowledge passages retrieved', { question, passages: passages.map(passage => passage.id) });
+
+  if (passages.length > 0 && llmService.isConfigured(llmService.TASKS.ASK)) {
+    try {
+      const completion = await generateAnswer(question, passages, describeEstimateContext(formData, estimate));
+      const cited = new Set([...completion.content.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10)));
+
+      return {
+        answer: completion.content.trim(),
+        mode: 'llm',
+        sources: sources.map(source => ({ ...source, cited: cited.has(source.ref) })),
+        provider: completion.provider,
+        model: completion.model
+      };
+    } catch (error) {
+      logWarn('LLM answer failed, returning retrieved passages', { error: error.message });
+    }
+  }
+
+  return {
+    answer: buildRetrievalAnswer(passages),
+    mode: 'retrieval',
+    sources: sources.slice(0, FALLBACK_PASSAGES)
+  };
+};
+
+module.exports = {
+  answerQuestion,
+  describeEstimateContext
+};
@@ -0,0 +1,372 @@
+// services/batchService.js
+const crypto = require('crypto');
+const googleMapsService = require('./googleMapsService');
+const openAIVisionService = require('./openAIVisionService');
+const openaiService = require('./openaiService');
+const { createFileStore } = require('../utils/fileStore');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { MAX_ROWS, batchRow } = require('../schemas/batchSchemas');
+const { WIZARD_OPTIONS } = require('../schemas/common');
+const materialCatalog = require('@roofai/shared/materialCatalog');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Bulk roof analysis for address lists
+ *
+ * Each row is geocoded (unless it has coordinates), analyzed with the vision
+ * service and priced, with a bounded number of rows in flight. A failing row is
+ * recorded with the stage and error and never stops the batch. Batches are listed
+ * in data/batches.json and their rows kept in data/batches/<id>.json.
+ *
+ * Configuration:
+ *   BATCH_CONCURRENCY - Rows processed at once (default 3)
+ *   BATCH_MAX_ROWS    - Rows accepted per batch (default 500)
+ */
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const PROGRESS_FLUSH_ROWS = 10;
+
+const ANSWER_FIELDS = ['desiredRoofMaterial', 'roofSteepness', 'buildingType', 'currentRoofMaterial', 'timeline'];
+const DEFAULT_ANSWERS = {
+  roofSteepness: 'moderate',
+  buildingType: 'residential'
+};
+
+// Spreadsheet headers (lowercased, letters and digits only) mapped to row fields
+const COLUMN_ALIASES = {
+  reference: ['reference', 'ref', 'id', 'propertyid', 'name'],
+  address: ['address', 'streetaddress', 'street', 'propertyaddress', 'fulladdress', 'address1'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region'],
+  zipCode: ['zipcode', 'zip', 'postalcode', 'postcode'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  desiredRoofMaterial: ['desiredroofmaterial', 'material', 'desiredmaterial', 'roofmaterial'],
+  currentRoofMaterial: ['currentroofmaterial', 'currentmaterial'],
+  roofSteepness: ['roofsteepness', 'steepness', 'pitch'],
+  buildingType: ['buildingtype'],
+  timeline: ['timeline'],
+  propertyType: ['propertytype'],
+  buildingSize: ['buildingsize', 'squarefeet', 'sqft', 'livingarea'],
+  stories: ['stories', 'floors']
+};
+
+const RESULT_COLUMNS = [
+  'row', 'reference', 'status', 'failedStage', 'error', 'address',
+  'formattedAddress', 'lat', 'lng', 'roofArea', 'rawVisionArea', 'roofPitch', 'roofShape', 'confidence',
+  'analysisMethod', 'areaCheck', 'desiredRoofMaterial', 'roofSteepness',
+  'lowEstimate', 'estimate', 'highEstimate', 'pricePerSqft', 'durationMs'
+];
+
+const store = createFileStore('batches', { defaultValue: [] });
+const resultStores = new Map();
+const running = new Map();
+
+const rowsStore = (id) => {
+  if (!resultStores.has(id)) resultStores.set(id, createFileStore(`batches/${id}`, { defaultValue: { rows: [] } }));
+  return resultStores.get(id);
+};
+
+const fieldFor = (header) => {
+  const normalized = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(normalized)) || null;
+};
+
+/**
+ * Map a raw row (CSV record, JSON object or plain address string) to row fields
+ * Unknown columns are ignored and blank cells dropped.
+ * @param {Object|string} raw - Raw row
+ * @returns {Object} Row fields
+ */
+const mapColumns = (raw) => {
+  if (typeof raw === 'string') return { address: raw.trim() };
+
+  return Object.entries(raw || {}).reduce((row, [header, value]) => {
+    const field = fieldFor(header);
+    if (field && value !== '' && value !== null && value !== undefined) row[field] = value;
+    return row;
+  }, {});
+};
+
+/**
+ * Parse and validate an address list
+ * @param {Object} input - { csv } text or { rows } array of addresses / row objects
+ * @returns {Array<Object>} Rows { row, fields, error } - rows that fail validation carry an error
+ * @throws {Error} With statusCode 422 if the list is empty or too long
+ */
+const parseAddressList = ({ csv, rows }) => {
+  const raw = csv !== undefined ? parseCsv(csv).records : rows || [];
+
+  const problem = raw.length === 0
+    ? 'The address list is empty'
+    : raw.length > MAX_ROWS ? `The address list has ${raw.length} rows; the limit is ${MAX_ROWS}` : null;
+  if (problem) {
+    const error = new Error(problem);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  return raw.map((entry, index) => {
+    const { error, value } = batchRow.validate(mapColumns(entry), {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } }
+    });
+
+    return {
+      row: index + 1,
+      fields: value,
+      error: error ? error.details.map(detail => detail.message).join('; ') : null
+    };
+  });
+};
+
+const answersFrom = (source) => Object.fromEntries(
+  ANSWER_FIELDS.filter(field => source[field]).map(field => [field, source[field]])
+);
+
+/**
+ * Describe a row for results
+ * @param {Object} fields - Row fields
+ * @returns {string} Address as given, the coordinates, or '' for an empty row
+ */
+const describeInput = (fields) => {
+  const address = [fields.address, fields.city, fields.state, fields.zipCode].filter(Boolean).join(', ');
+  if (address) return address;
+  return fields.lat !== undefined && fields.lat !== null && fields.lat !== '' ? `${fields.lat}, ${fields.lng}` : '';
+};
+
+/**
+ * Geocode, analyze and price one row
+ * @param {Object} parsed - Parsed row { row, fields, error }
+ * @param {Object} defaults - Wizard answers for rows that don't set their own
+ * @returns {Promise<Object>} Result row (see RESULT_COLUMNS)
+ */
+const processRow = async ({ row, fields, error }, defaults = {}) => {
+  const startedAt = Date.now();
+  const address = describeInput(fields);
+  const result = { row, reference: fields.reference || null, address, status: 'failed' };
+  let stage = 'validation';
+
+  try {
+    if (error) throw new Error(error);
+
+    let location = { lat: fields.lat, lng: fields.lng, city: fields.city, state: fields.state, zipCode: fields.zipCode };
+    if (!Number.isFinite(fields.lat)) {
+      stage = 'geocode';
+      const geocoded = await googleMapsService.geocodeAddress(address);
+      location = { ...geocoded, city: fields.city || geocoded.city, state: fields.state || geocoded.state, zipCode: fields.zipCode || geocoded.zipCode };
+      result.formattedAddress = geocoded.formattedAddress;
+    }
+    result.lat = location.lat;
+    result.lng = location.lng;
+
+    stage = 'analysis';
+    const propertyData = fields.buildingSize
+      ? { buildingSize: fields.buildingSize, stories: fields.stories, propertyType: fields.propertyType }
+      : null;
+    const analysis = await openAIVisionService.analyzeRoof(location.lat, location.lng, propertyData);
+    if (!analysis || !(analysis.roofArea > 0)) throw new Error('No roof area could be measured');
+
+    Object.assign(result, {
+      roofArea: analysis.roofArea,
+      rawVisionArea: analysis.rawVisionArea ?? null,
+      roofPitch: analysis.estimatedPitch,
+      roofShape: analysis.roofShape,
+      confidence: analysis.confidence,
+      analysisMethod: analysis.method || 'openai_vision',
+      areaCheck: analysis.areaCheck ? analysis.areaCheck.status : null
+    });
+
+    stage = 'estimate';
+    // The row's own answers win, then the batch defaults, then the measured pitch
+    const answers = {
+      ...DEFAULT_ANSWERS,
+      ...(WIZARD_OPTIONS.roofSteepness.includes(analysis.estimatedPitch) ? { roofSteepness: analysis.estimatedPitch } : {}),
+      ...answersFrom(defaults),
+      ...answersFrom(fields)
+    };
+    // With no material given, the catalog's default for the building type
+    if (!answers.desiredRoofMaterial) {
+      answers.desiredRoofMaterial = materialCatalog.getDefaultMaterialId(answers.buildingType);
+    }
+
+    const estimate = await openaiService.generateRoofEstimate({
+      ...answers,
+      roofSize: analysis.roofArea,
+      address: fields.address,
+      city: location.city,
+      state: location.state,
+      zipCode: location.zipCode
+    });
+
+    Object.assign(result, {
+      desiredRoofMaterial: answers.desiredRoofMaterial,
+      roofSteepness: answers.roofSteepness,
+      lowEstimate: estimate.lowEstimate,
+      estimate: estimate.estimate,
+      highEstimate: estimate.highEstimate,
+      pricePerSqft: estimate.pricePerSqft,
+      status: 'completed'
+    });
+  } catch (rowError) {
+    result.failedStage = stage;
+    result.error = rowError.message;
+  }
+
+  result.durationMs = Date.now() - startedAt;
+  return result;
+};
+
+/**
+ * Process parsed rows with bounded concurrency
+ * @param {Array<Object>} rows - Rows from parseAddressList
+ * @param {Object} options - Run options
+ * @param {Object} options.defaults - Wizard answers for rows that don't set their own
+ * @param {number} options.concurrency - Rows in flight (default BATCH_CONCURRENCY)
+ * @param {Function} options.onRow - Called with each result as it completes
+ * @returns {Promise<Array<Object>>} Results in row order
+ */
+const runRows = (rows, { defaults = {}, concurrency = DEFAULT_CONCURRENCY, onRow = () => {} } = {}) =>
+  mapWithConcurrency(rows, concurrency, async (row) => {
+    const result = await processRow(row, defaults);
+    onRow(result);
+    return result;
+  });
+
+/**
+ * Batch with its live status (a batch left running by a restarted server is interrupted)
+ * @param {Object} batch - Stored batch
+ * @returns {Object} Batch
+ */
+const withLiveStatus = (batch) => {
+  const active = running.get(batch.id);
+  if (active) return { ...active };
+  return batch.status === 'running' ? { ...batch, status: 'interrupted' } : batch;
+};
+
+const saveBatch = (batch) => store.update(batches => {
+  const index = batches.findIndex(candidate => candidate.id === batch.id);
+  if (index === -1) batches.unshift({ ...batch });
+  else batches[index] = { ...batch };
+});
+
+/**
+ * Start a batch; rows are processed in the background
+ * @param {Object} options - Batch options
+ * @param {string} options.csv - CSV text, or
+ * @param {Array} options.rows - Addresses or row objects
+ * @param {Object} options.defaults - Wizard answers for rows that don't set their own
+ * @param {number} options.concurrency - Rows in flight
+ * @param {string} options.name - Optional label
+ * @returns {Promise<Object>} Batch { id, status, total, ... }
+ */
+const createBatch = async ({ csv, rows, defaults = {}, concurrency = DEFAULT_CONCURRENCY, name = null }) => {
+  const parsed = parseAddressList({ csv, rows });
+  const now = new Date().toISOString();
+
+  const batch = {
+    id: `batch_${crypto.randomBytes(6).toString('hex')}`,
+    name: name || null,
+    status: 'running',
+    source: csv !== undefined ? 'csv' : 'json',
+    total: parsed.length,
+    processed: 0,
+    completed: 0,
+    failed: 0,
+    defaults,
+    concurrency,
+    createdAt: now,
+    finishedAt: null
+  };
+
+  running.set(batch.id, batch);
+  await saveBatch(batch);
+  logInfo('Batch started', { id: batch.id, rows: batch.total, concurrency });
+
+  const results = [];
+  runRows(parsed, {
+    defaults,
+    concurrency,
+    onRow: (result) => {
+      results.push(result);
+      batch.processed += 1;
+      batch[result.status === 'completed' ? 'completed' : 'failed'] += 1;
+
+      if (batch.processed % PROGRESS_FLUSH_ROWS === 0) {
+        saveBatch(batch).catch(err => logError('Error saving batch progress', { id: batch.id, error: err.message }));
+      }
+    }
+  })
+    .then(async (ordered) => {
+      await rowsStore(batch.id).write({ rows: ordered });
+      batch.status = 'completed';
+      batch.finishedAt = new Date().toISOString();
+      logInfo('Batch finished', { id: batch.id, completed: batch.completed, failed: batch.failed });
+    })
+    .catch(async (error) => {
+      // Rows never throw, so this is a storage failure - keep what finished
+      logError('Batch failed', { id: batch.id, error: error.message });
+      await rowsStore(batch.id).write({ rows: results.sort((a, b) => a.row - b.row) }).catch(() => {});
+      batch.status = 'failed';
+      batch.error = error.message;
+      batch.finishedAt = new Date().toISOString();
+    })
+    .finally(() => {
+      running.delete(batch.id);
+      saveBatch(batch).catch(err => logError('Error saving batch', { id: batch.id, error: err.message }));
+    });
+
+  return { ...batch };
+};
+
+/**
+ * Get a batch's status and progress
+ * @param {string} id - Batch id
+ * @returns {Promise<Object|null>} Batch or null if not found
+ */
+const getBatch = async (id) => {
+  if (running.has(id)) return { ...running.get(id) };
+  const batch = (await store.read()).find(candidate => candidate.id === id);
+  return batch ? withLiveStatus(batch) : null;
+};
+
+/**
+ * List batches, newest first
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} Batches
+ */
+const listBatches = async ({ limit = 50 } = {}) => (await store.read())
+  .slice(0, limit)
+  .map(withLiveStatus);
+
+/**
+ * Get a finished batch's result rows
+ * @param {string} id - Batch id
+ * @returns {Promise<Array<Object>|null>} Result rows, or null until the batch has finished
+ */
+const getResults = async (id) => {
+  const batch = await getBatch(id);
+  if (!batch || batch.status === 'running') return null;
+  return (await rowsStore(id).read()).rows;
+};
+
+/**
+ * Format result rows as CSV
+ * @param {Array<Object>} results - Result rows
+ * @returns {string} CSV text
+ */
+const resultsToCsv = (results) => toCsv(results, RESULT_COLUMNS);
+
+module.exports = {
+  RESULT_COLUMNS,
+  parseAddressList,
+  processRow,
+  runRows,
+  createBatch,
+  getBatch,
+  listBatches,
+  getResults,
+  resultsToCsv
+};
@@ -0,0 +1,426 @@
+// services/cacheService.js
+const path = require('path');
+const { createTier } = require('./cacheTiers');
+const { DATA_DIR } = require('../utils/fileStore');
+const { logInfo, logWarn, logError } = require('../utils/logger');
+
+/**
+ * Tiered cache for expensive lookups (roof analyses, geocoding)
+ *
+ * Each cache is a namespace read through its tiers fastest first; a hit in a
+ * slower tier is copied into the faster ones. A failing tier (e.g. Redis down)
+ * is skipped, so the cache never fails a request. Entries carry metadata
+ * (coordinates, address) so admins can invalidate everything cached for a
+ * property.
+ *
+ * Configuration:
+ *   CACHE_TIERS                  - Tiers, fastest first (default memory,disk; add redis to share between instances)
+ *   CACHE_MEMORY_MAX_ENTRIES     - Memory entries per cache before LRU eviction (default 500)
+ *   CACHE_DIR                    - Disk tier directory (default DATA_DIR/cache)
+ *   CACHE_DISK_MAX_ENTRIES       - Disk entries kept per cache (default 5000)
+ *   CACHE_DISK_MAX_MB            - Disk megabytes kept per cache (default 100)
+ *   CACHE_SWEEP_INTERVAL_MINUTES - How often expired and over-cap entries are removed (default 60)
+ *   REDIS_URL                    - Server for the redis tier (e.g. redis://localhost:6379/0)
+ *   CACHE_REDIS_PREFIX           - Key prefix in Redis (default roofai:cache:)
+ */
+
+const DEFAULT_TIERS = 'memory,disk';
+const DEFAULT_MATCH_RADIUS_METERS = 25;
+const METERS_PER_DEGREE = 111320;
+const TIER_WARNING_INTERVAL_MS = 60 * 1000;
+
+const caches = new Map();
+let sweepTimer = null;
+
+/**
+ * Normalize an address for cache keys and matching
+ * @param {string} address - Address as entered
+ * @returns {string} Lowercase address without punctuation or repeated spaces
+ */
+const normalizeAddress = (address) => String(address || '')
+  .toLowerCase()
+  .replace(/[.,#]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Approximate distance between nearby points (equirectangular; fine at property scale)
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Meters
+ */
+const metersBetween = (a, b) => {
+  const dy = (a.lat - b.lat) * METERS_PER_DEGREE;
+  const dx = (a.lng - b.lng) * METERS_PER_DEGREE * Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Build the configured tiers for a namespace
+ * @param {string} namespace - Cache namespace
+ * @param {Object} options - Overrides for the env configuration
+ * @returns {Array<Object>} Tiers, fastest first
+ */
+const buildTiers = (namespace, options) => {
+  const names = (options.tiers || process.env.CACHE_TIERS || DEFAULT_TIERS)
+    .toString()
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.reduce((tiers, name) => {
+    try {
+      tiers.push(createTier(name, {
+        maxEntries: name === 'memory'
+          ? options.memoryMaxEntries || parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES || '500', 10)
+          : options.diskMaxEntries || parseInt(process.env.CACHE_DISK_MAX_ENTRIES || '5000', 10),
+        maxBytes: (options.diskMaxMb || parseFloat(process.env.CACHE_DISK_MAX_MB || '100')) * 1024 * 1024,
+        dir: path.join(options.dir || process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'), namespace),
+        url: options.redisUrl || process.env.REDIS_URL,
+        keyPrefix: `${process.env.CACHE_REDIS_PREFIX || 'roofai:cache:'}${namespace}:`,
+        client: options.redisClient
+      }));
+    } catch (error) {
+      logWarn('Cache tier disabled', { namespace, tier: name, error: error.message });
+    }
+    return tiers;
+  }, []);
+};
+
+/**
+ * Create (or get) a cache namespace
+ * @param {string} namespace - Cache name (e.g. 'roofAnalysis')
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - Default time to live
+ * @param {string} options.tiers - Tiers to use instead of CACHE_TIERS (e.g. 'memory')
+ * @returns {Object} Cache with get, set, wrap, delete, invalidate, purge, sweep, inspect and stats
+ */
+const createCache = (namespace, options = {}) => {
+  if (caches.has(namespace)) return caches.get(namespace);
+
+  const ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+  const tiers = buildTiers(namespace, options);
+  const inflight = new Map();
+  const counters = {
+    hits: Object.fromEntries(tiers.map(tier => [tier.name, 0])),
+    misses: 0,
+    sets: 0,
+    errors: Object.fromEntries(tiers.map(tier => [tier.name, 0]))
+  };
+  const lastWarning = {};
+
+  /**
+   * Run a tier operation, treating failures as a miss
+   */
+  const attempt = async (tier, operation, fallback) => {
+    try {
+      return await operation(tier);
+    } catch (error) {
+      counters.errors[tier.name] += 1;
+      if (!lastWarning[tier.name] || Date.now() - lastWarning[tier.name] > TIER_WARNING_INTERVAL_MS) {
+        lastWarning[tier.name] = Date.now();
+        logWarn('Cache tier unavailable', { namespace, tier: tier.name, error: error.message });
+      }
+      return fallback;
+    }
+  };
+
+  const get = async (key) => {
+    for (let i = 0; i < tiers.length; i++) {
+      const entry = await attempt(tiers[i], tier => tier.get(key), null);
+      if (entry) {
+        counters.hits[tiers[i].name] += 1;
+        await Promise.all(tiers.slice(0, i).map(faster => attempt(faster, tier => tier.set(entry))));
+        return entry.value;
+      }
+    }
+
+    counters.misses += 1;
+    return undefined;
+  };
+
+  const set = async (key, value, { meta = {}, ttlMs: entryTtlMs } = {}) => {
+    const createdAt = Date.now();
+    const entry = { key, value, meta, createdAt, expiresAt: createdAt + (entryTtlMs || ttlMs) };
+
+    counters.sets += 1;
+    await Promise.all(tiers.map(target => attempt(target, tier => tier.set(entry))));
+  };
+
+  const remove = async (key) => {
+    const removed = await Promise.all(tiers.map(target => attempt(target, tier => tier.delete(key), false)));
+    return removed.some(Boolean);
+  };
+
+  const find = async (predicate) => {
+    const matched = new Map();
+    for (const target of tiers) {
+      (await attempt(target, tier => tier.entries(), []))
+        .filter(predicate)
+        .forEach(entry => matched.set(entry.key, entry));
+    }
+    return [...matched.values()];
+  };
+
+  const cache = {
+    namespace,
+    ttlMs,
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Value, or undefined on a miss
+     */
+    get,
+
+    /**
+     * Store a value in every tier
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     * @param {Object} options - { meta: { lat, lng, address, ... } for invalidation, ttlMs }
+     */
+    set,
+
+    /**
+     * Get a cached value or load and cache it
+     * Concurrent calls for the same key share one load. Null/undefined results are not cached.
+     * @param {string} key - Cache key
+     * @param {Function} loader - async () => value
+     * @param {Object} options - { meta: object or (value) => object, ttlMs }
+     * @returns {Promise<*>} Value
+     */
+    wrap: async (key, loader, { meta, ttlMs: entryTtlMs } = {}) => {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+
+      if (!inflight.has(key)) {
+        inflight.set(key, (async () => {
+          const value = await loader();
+          if (value !== undefined && value !== null) {
+            await set(key, value, {
+              meta: typeof meta === 'function' ? meta(value) : meta,
+              ttlMs: entryTtlMs
+            });
+          }
+          return value;
+        })().finally(() => inflight.delete(key)));
+      }
+      return inflight.get(key);
+    },
+
+    /**
+     * Remove a key from every tier
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if any tier had it
+     */
+    delete: remove,
+
+    /**
+     * Find live entries matching a predicate
+     * @param {Function} predicate - (entry) => boolean, entry is { key, value, meta, createdAt, expiresAt }
+     * @returns {Promise<Array<Object>>} Matching entries
+     */
+    find,
+
+    /**
+     * Remove every entry matching a predicate
+     * @param {Function} predicate - (entry) => boolean, entry is { key, value, meta, createdAt, expiresAt }
+     * @returns {Promise<Array<Object>>} Removed entries
+     */
+    invalidate: async (predicate) => {
+      const matched = await find(predicate);
+      for (const { key } of matched) await remove(key);
+      return matched;
+    },
+
+    /**
+     * Remove every entry
+     * @returns {Promise<Object>} Entries removed per tier
+     */
+    purge: async () => {
+      const removed = {};
+      for (const target of tiers) {
+        removed[target.name] = await attempt(target, tier => tier.clear(), 0);
+      }
+      return removed;
+    },
+
+    /**
+     * Remove expired entries and enforce size caps
+     * @returns {Promise<Object>} { <tier>: { expired, evicted } }
+     */
+    sweep: async () => {
+      const results = {};
+      for (const target of tiers) {
+        results[target.name] = await attempt(target, tier => tier.sweep(), { expired: 0, evicted: 0 });
+      }
+      return results;
+    },
+
+    /**
+     * List live entries (without values) across tiers
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array<Object>>} [{ key, meta, createdAt, expiresAt, tiers }], newest first
+     */
+    inspect: async ({ limit = 100 } = {}) => {
+      const byKey = new Map();
+      for (const target of tiers) {
+        (await attempt(target, tier => tier.entries(), [])).forEach(({ key, meta, createdAt, expiresAt }) => {
+          const item = byKey.get(key) || { key, meta, createdAt: new Date(createdAt).toISOString(), expiresAt: new Date(expiresAt).toISOString(), tiers: [] };
+          item.tiers.push(target.name);
+          byKey.set(key, item);
+        });
+      }
+
+      return [...byKey.values()]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+
+    /**
+     * Hit/miss counters and tier sizes
+     * @returns {Promise<Object>} Statistics
+     */
+    stats: async () => {
+      const hits = Object.values(counters.hits).reduce((total, count) => total + count, 0);
+      const lookups = hits + counters.misses;
+
+      return {
+        namespace,
+        ttlSeconds: Math.round(ttlMs / 1000),
+        lookups,
+        hits: counters.hits,
+        misses: counters.misses,
+        hitRate: lookups > 0 ? Math.round(hits / lookups * 1000) / 1000 : null,
+        sets: counters.sets,
+        errors: counters.errors,
+        tiers: await Promise.all(tiers.map(target => attempt(target, tier => tier.describe(), { name: target.name, available: false })))
+      };
+    }
+  };
+
+  caches.set(namespace, cache);
+  logInfo('Cache initialized', { namespace, tiers: tiers.map(tier => tier.name), ttlSeconds: Math.round(ttlMs / 1000) });
+  return cache;
+};
+
+/**
+ * Get a cache by namespace
+ * @param {string} namespace - Cache namespace
+ * @returns {Object|null} Cache or null if none was created
+ */
+const getCache = (namespace) => caches.get(namespace) || null;
+
+/**
+ * Select caches by namespace
+ * @param {string} namespace - Namespace, or empty for all
+ * @returns {Array<Object>} Caches
+ */
+const selectCaches = (namespace) => (namespace ? [getCache(namespace)].filter(Boolean) : [...caches.values()]);
+
+/**
+ * Statistics for every cache (or one namespace)
+ * @param {Object} options - { namespace }
+ * @returns {Promise<Array<Object>>} Per-cache statistics
+ */
+const getStats = ({ namespace } = {}) => Promise.all(selectCaches(namespace).map(cache => cache.stats()));
+
+/**
+ * Invalidate entries for a location
+ * Matching by address also removes everything cached near the coordinates that
+ * address was geocoded to (e.g. the roof analysis for that property).
+ * @param {Object} criteria - { lat, lng, radiusMeters } and/or { address }
+ * @param {Object} options - { namespace } to limit the invalidation to one cache
+ * @returns {Promise<Object>} { removed: { <namespace>: count }, total }
+ */
+const invalidate = async ({ lat, lng, radiusMeters = DEFAULT_MATCH_RADIUS_METERS, address } = {}, { namespace } = {}) => {
+  const selected = selectCaches(namespace);
+  const removed = {};
+  const points = Number.isFinite(lat) && Number.isFinite(lng) ? [{ lat, lng }] : [];
+  const count = (cache, entries) => {
+    removed[cache.namespace] = (removed[cache.namespace] || 0) + entries.length;
+  };
+
+  if (address) {
+    const wanted = normalizeAddress(address);
+    const matchesAddress = ({ meta = {} }) => [meta.address, meta.formattedAddress]
+      .some(candidate => candidate && normalizeAddress(candidate) === wanted);
+
+    // Look in every cache for the address so its coordinates can be found
+    for (const cache of caches.values()) {
+      const entries = selected.includes(cache)
+        ? await cache.invalidate(matchesAddress)
+        : await cache.find(matchesAddress);
+      if (selected.includes(cache)) count(cache, entries);
+      entries.forEach(({ meta }) => {
+        if (Number.isFinite(meta.lat) && Number.isFinite(meta.lng)) points.push({ lat: meta.lat, lng: meta.lng });
+      });
+    }
+  }
+
+  if (points.length > 0) {
+    const nearPoint = ({ meta = {} }) => Number.isFinite(meta.lat) && Number.isFinite(meta.lng) &&
+      points.some(point => metersBetween(point, meta) <= radiusMeters);
+
+    for (const cache of selected) {
+      count(cache, await cache.invalidate(nearPoint));
+    }
+  }
+
+  const total = Object.values(removed).reduce((sum, value) => sum + value, 0);
+  logInfo('Cache invalidated', { lat, lng, radiusMeters, address, namespace, total });
+  return { removed, total };
+};
+
+/**
+ * Remove every entry from every cache (or one namespace)
+ * @param {Object} options - { namespace }
+ * @returns {Promise<Object>} { <namespace>: { <tier>: count } }
+ */
+const purge = async ({ namespace } = {}) => {
+  const removed = {};
+  for (const cache of selectCaches(namespace)) {
+    removed[cache.namespace] = await cache.purge();
+  }
+
+  logInfo('Cache purged', { namespace: namespace || 'all', removed });
+  return removed;
+};
+
+/**
+ * Sweep every cache
+ * @returns {Promise<Object>} { <namespace>: { <tier>: { expired, evicted } } }
+ */
+const sweepAll = async () => {
+  const results = {};
+  for (const cache of caches.values()) {
+    results[cache.namespace] = await cache.sweep();
+  }
+  return results;
+};
+
+/**
+ * Sweep now and every CACHE_SWEEP_INTERVAL_MINUTES
+ */
+const startSweeping = () => {
+  if (sweepTimer) return;
+
+  const intervalMs = parseFloat(process.env.CACHE_SWEEP_INTERVAL_MINUTES || '60') * 60 * 1000;
+  const run = () => sweepAll().catch(error => logError('Error sweeping caches', { error: error.message }));
+  run();
+  sweepTimer = setInterval(run, intervalMs);
+
+  // Don't keep the process alive just for sweeping
+  sweepTimer.unref();
+};
+
+module.exports = {
+  createCache,
+  getCache,
+  getStats,
+  invalidate,
+  purge,
+  sweepAll,
+  startSweeping,
+  normalizeAddress
+};
@@ -0,0 +1,363 @@
+// services/cacheTiers.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createRespClient } = require('../utils/respClient');
+const { logError } = require('../utils/logger');
+
+/**
+ * Cache storage tiers
+ *
+ * Every tier stores entries for one cache namespace and exposes the same shape:
+ *   {
+ *     name,
+ *     get(key) => Promise<Entry|null>,   - expired entries are never returned
+ *     set(entry) => Promise,
+ *     delete(key) => Promise<boolean>,
+ *     entries() => Promise<Array<Entry>>,  - every live entry (for inspection and invalidation)
+ *     clear() => Promise<number>,          - entries removed
+ *     sweep() => Promise<{ expired, evicted }>,
+ *     describe() => Promise<Object>
+ *   }
+ * where Entry is { key, value, meta, createdAt, expiresAt } (times in ms since epoch).
+ *
+ * Tiers: memory (LRU, bounded by entry count), disk (one JSON file per entry,
+ * swept for expiry and capped by entry count and bytes) and redis (any server
+ * speaking the Redis protocol; expiry is left to the server).
+ */
+
+// Sweep the disk tier after this many writes so its caps hold between scheduled sweeps
+const DISK_SWEEP_EVERY_WRITES = 100;
+
+const isExpired = (entry, now = Date.now()) => !entry || entry.expiresAt <= now;
+
+/**
+ * In-memory LRU tier
+ * @param {Object} options - Tier options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @returns {Object} Tier
+ */
+const createMemoryTier = ({ maxEntries = 500 } = {}) => {
+  // Map iteration order is insertion order, so re-inserting on access keeps the LRU entry first
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (isExpired(entry)) return null;
+
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set: async (entry) => {
+      entries.delete(entry.key);
+      entries.set(entry.key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions += 1;
+      }
+    },
+
+    delete: async (key) => entries.delete(key),
+
+    entries: async () => [...entries.values()].filter(entry => !isExpired(entry)),
+
+    clear: async () => {
+      const removed = entries.size;
+      entries.clear();
+      return removed;
+    },
+
+    sweep: async () => {
+      let expired = 0;
+      const now = Date.now();
+      entries.forEach((entry, key) => {
+        if (isExpired(entry, now)) {
+          entries.delete(key);
+          expired += 1;
+        }
+      });
+      return { expired, evicted: 0 };
+    },
+
+    describe: async () => ({ name: 'memory', entries: entries.size, maxEntries, evictions })
+  };
+};
+
+/**
+ * Disk tier - one JSON file per entry, named by the key's hash
+ * Files are touched on every hit, so size-cap eviction removes the least recently used.
+ * @param {Object} options - Tier options
+ * @param {string} options.dir - Directory for this namespace
+ * @param {number} options.maxEntries - Entries kept after a sweep
+ * @param {number} options.maxBytes - Bytes kept after a sweep
+ * @returns {Object} Tier
+ */
+const createDiskTier = ({ dir, maxEntries = 5000, maxBytes = 100 * 1024 * 1024 }) => {
+  let writes = 0;
+  let evictions = 0;
+  let sweeping = null;
+
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  const listFiles = async () => {
+    try {
+      return (await fs.promises.readdir(dir))
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(dir, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const readEntry = async (file) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // Corrupt or half-written by an older version - drop it
+      await removeFile(file);
+      return null;
+    }
+  };
+
+  const removeFile = async (file) => {
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  const sweep = () => {
+    if (sweeping) return sweeping;
+
+    sweeping = (async () => {
+      const now = Date.now();
+      let expired = 0;
+      let evicted = 0;
+      const live = [];
+
+      for (const file of await listFiles()) {
+        const entry = await readEntry(file);
+        if (!entry) continue;
+
+        if (isExpired(entry, now)) {
+          if (await removeFile(file)) expired += 1;
+          continue;
+        }
+
+        try {
+          const stats = await fs.promises.stat(file);
+          live.push({ file, size: stats.size, usedAt: stats.mtimeMs });
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      // Evict the least recently used until both caps hold
+      live.sort((a, b) => a.usedAt - b.usedAt);
+      let bytes = live.reduce((total, item) => total + item.size, 0);
+      let count = live.length;
+
+      for (const item of live) {
+        if (count <= maxEntries && bytes <= maxBytes) break;
+        if (await removeFile(item.file)) evicted += 1;
+        count -= 1;
+        bytes -= item.size;
+      }
+
+      evictions += evicted;
+      return { expired, evicted };
+    })().finally(() => {
+      sweeping = null;
+    });
+
+    return sweeping;
+  };
+
+  return {
+    name: 'disk',
+
+    get: async (key) => {
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+      if (!entry) return null;
+
+      if (isExpired(entry) || entry.key !== key) {
+        if (isExpired(entry)) await removeFile(file);
+        return null;
+      }
+
+      const now = new Date();
+      fs.promises.utimes(file, now, now).catch(() => {});
+      return entry;
+    },
+
+    set: async (entry) => {
+      const file = fileFor(entry.key);
+      const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify(entry));
+      await fs.promises.rename(tempFile, file);
+
+      writes += 1;
+      if (writes % DISK_SWEEP_EVERY_WRITES === 0) {
+        sweep().catch(error => logError('Error sweeping disk cache', { dir, error: error.message }));
+      }
+    },
+
+    delete: (key) => removeFile(fileFor(key)),
+
+    entries: async () => {
+      const entries = [];
+      for (const file of await listFiles()) {
+        const entry = await readEntry(file);
+        if (!isExpired(entry)) entries.push(entry);
+      }
+      return entries;
+    },
+
+    clear: async () => {
+      let removed = 0;
+      for (const file of await listFiles()) {
+        if (await removeFile(file)) removed += 1;
+      }
+      return removed;
+    },
+
+    sweep,
+
+    describe: async () => {
+      let bytes = 0;
+      const files = await listFiles();
+      for (const file of files) {
+        try {
+          bytes += (await fs.promises.stat(file)).size;
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      return { name: 'disk', dir, entries: files.length, bytes, maxEntries, maxBytes, evictions };
+    }
+  };
+};
+
+// One connection per server, shared by every namespace
+const redisClients = new Map();
+
+/**
+ * Redis tier - entries are JSON strings stored with a PX expiry
+ * @param {Object} options - Tier options
+ * @param {string} options.url - Server URL (redis://[:password@]host[:port][/db])
+ * @param {string} options.keyPrefix - Prefix for this namespace's keys (e.g. roofai:cache:geocode:)
+ * @param {Object} options.client - Client to use instead of connecting to `url` (e.g. in tests)
+ * @returns {Object} Tier
+ */
+const createRedisTier = ({ url, keyPrefix, client }) => {
+  if (!client) {
+    if (!url) throw new Error('REDIS_URL is required for the redis cache tier');
+    if (!redisClients.has(url)) redisClients.set(url, createRespClient({ url }));
+    client = redisClients.get(url);
+  }
+
+  const redisKey = (key) => `${keyPrefix}${key}`;
+
+  const scanKeys = async () => {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.command('SCAN', cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 200);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  };
+
+  const parse = (raw) => {
+    if (!raw) return null;
+    try {
+      const entry = JSON.parse(raw);
+      return isExpired(entry) ? null : entry;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (key) => parse(await client.command('GET', redisKey(key))),
+
+    set: async (entry) => {
+      const ttlMs = Math.floor(entry.expiresAt - Date.now());
+      if (ttlMs <= 0) return;
+      await client.command('SET', redisKey(entry.key), JSON.stringify(entry), 'PX', ttlMs);
+    },
+
+    delete: async (key) => (await client.command('DEL', redisKey(key))) > 0,
+
+    entries: async () => {
+      const entries = [];
+      for (const key of await scanKeys()) {
+        const entry = parse(await client.command('GET', key));
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    },
+
+    clear: async () => {
+      const keys = await scanKeys();
+      return keys.length > 0 ? client.command('DEL', ...keys) : 0;
+    },
+
+    // The server expires keys itself; memory limits are its maxmemory policy
+    sweep: async () => ({ expired: 0, evicted: 0 }),
+
+    describe: async () => ({
+      name: 'redis',
+      address: client.address,
+      keyPrefix,
+      entries: (await scanKeys()).length
+    })
+  };
+};
+
+const tierFactories = {
+  memory: createMemoryTier,
+  disk: createDiskTier,
+  redis: createRedisTier
+};
+
+/**
+ * Create a tier by name
+ * @param {string} type - memory, disk or redis
+ * @param {Object} options - Tier options
+ * @returns {Object} Tier
+ */
+const createTier = (type, options) => {
+  const factory = tierFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown cache tier: ${type}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createTier,
+  createMemoryTier,
+  createDiskTier,
+  createRedisTier
+};
@@ -0,0 +1,171 @@
+// services/emailTemplates.js
+const materialCatalog = require('@roofai/shared/materialCatalog');
+
+/**
+ * Email templates for customer notifications
+ * Each renderer returns { subject, text, html } so any transport can send it.
+ */
+
+/**
+ * Format a number as whole US dollars
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted currency string
+ */
+const formatCurrency = (amount) => {
+  if (typeof amount !== 'number' || isNaN(amount)) return 'N/A';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+/**
+ * Escape user-provided text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const capitalize = (str) => str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
+
+/**
+ * Render the confirmation email sent after an estimate is submitted
+ * @param {Object} record - Stored estimate record (see estimateStore)
+ * @returns {Object} Rendered email { subject, text, html }
+ */
+const renderEstimateConfirmation = (record) => {
+  const { reference, contact = {}, formData = {} } = record;
+  const estimate = record.estimate || {};
+  const parts = Array.isArray(estimate.estimateParts) ? estimate.estimateParts : [];
+  const materialInfo = estimate.materialInfo || null;
+  // The estimate is repriced on submission; name the figure the customer saw online if it differs
+  const shownOnline = record.clientEstimate?.estimate && record.clientEstimate.estimate !== estimate.estimate
+    ? record.clientEstimate.estimate
+    : null;
+  const pricingNote = shownOnline
+    ? `Priced from our current rates (the instant estimate shown online was ${formatCurrency(shownOnline)}).`
+    : 'Priced from our current rates.';
+  const material = materialCatalog.getMaterial(formData.desiredRoofMaterial)?.label || capitalize(formData.desiredRoofMaterial);
+
+  const subject = `Your RoofAI estimate (${reference})`;
+
+  // Plain text version
+  const textLines = [
+    `Hi ${contact.name || 'there'},`,
+    '',
+    'Thank you for requesting a roof estimate with RoofAI.',
+    `Your reference number is ${reference}.`,
+    ''
+  ];
+
+  if (formData.address) {
+    textLines.push(`Property: ${formData.address}`);
+  }
+  if (formData.roofSize) {
+    textLines.push(`Roof size: ${formData.roofSize} sq ft`);
+  }
+  if (material) {
+    textLines.push(`Material: ${material}`);
+  }
+
+  if (estimate.estimate) {
+    textLines.push(
+      '',
+      'ESTIMATED COST RANGE',
+      `  Low:     ${formatCurrency(estimate.lowEstimate)}`,
+      `  Average: ${formatCurrency(estimate.estimate)}`,
+      `  High:    ${formatCurrency(estimate.highEstimate)}`
+    );
+    if (estimate.pricePerSqft) {
+      textLines.push(`  ($${estimate.pricePerSqft}/sq ft)`);
+    }
+    textLines.push(`  ${pricingNote}`);
+  }
+
+  if (parts.length > 0) {
+    textLines.push('', 'BREAKDOWN');
+    parts.forEach(part => {
+      textLines.push(`  ${part.name}: ${formatCurrency(part.cost)}`);
+    });
+  }
+
+  if (materialInfo) {
+    textLines.push('', `${material || 'Material'} details`, `  Expected lifespan: ${materialInfo.lifespan}`);
+    (materialInfo.pros || []).forEach(pro => textLines.push(`  + ${pro}`));
+    (materialInfo.cons || []).forEach(con => textLines.push(`  - ${con}`));
+  }
+
+  textLines.push(
+    '',
+    'A roofing professional will contact you within 24 hours to discuss your project.',
+    'Final pricing may vary based on an on-site inspection.',
+    '',
+    'The RoofAI Team'
+  );
+
+  // HTML version
+  const rangeHtml = estimate.estimate ? `
+    <table style="width:100%;border-collapse:collapse;margin:16px 0;background:#eff6ff;border-radius:8px">
+      <tr>
+        <td style="padding:12px;text-align:center">Low<br><strong>${formatCurrency(estimate.lowEstimate)}</strong></td>
+        <td style="padding:12px;text-align:center">Average<br><strong style="font-size:20px">${formatCurrency(estimate.estimate)}</strong>${estimate.pricePerSqft ? `<br><small>$${escapeHtml(estimate.pricePerSqft)}/sq ft</small>` : ''}</td>
+        <td style="padding:12px;text-align:center">High<br><strong>${formatCurrency(estimate.highEstimate)}</strong></td>
+      </tr>
+    </table>
+    <p style="color:#6b7280"><small>${escapeHtml(pricingNote)}</small></p>` : '';
+
+  const partsHtml = parts.length > 0 ? `
+    <h3>Estimate Breakdown</h3>
+    <table style="width:100%;border-collapse:collapse">
+      ${parts.map(part => `
+      <tr>
+        <td style="padding:4px 0">${escapeHtml(part.name)}</td>
+        <td style="padding:4px 0;text-align:right">${formatCurrency(part.cost)}</td>
+      </tr>`).join('')}
+    </table>` : '';
+
+  const materialHtml = materialInfo ? `
+    <h3>${escapeHtml(material || 'Material')} Roof Details</h3>
+    <p><strong>Expected lifespan:</strong> ${escapeHtml(materialInfo.lifespan)}</p>
+    <p><strong>Advantages:</strong></p>
+    <ul>${(materialInfo.pros || []).map(pro => `<li>${escapeHtml(pro)}</li>`).join('')}</ul>
+    <p><strong>Considerations:</strong></p>
+    <ul>${(materialInfo.cons || []).map(con => `<li>${escapeHtml(con)}</li>`).join('')}</ul>` : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#1f2937;max-width:600px;margin:0 auto">
+    <h2 style="color:#1d4ed8">Your RoofAI Estimate</h2>
+    <p>Hi ${escapeHtml(contact.name || 'there')},</p>
+    <p>Thank you for requesting a roof estimate. Your reference number is <strong>${escapeHtml(reference)}</strong>.</p>
+    ${formData.address ? `<p><strong>Property:</strong> ${escapeHtml(formData.address)}</p>` : ''}
+    ${formData.roofSize ? `<p><strong>Roof size:</strong> ${escapeHtml(formData.roofSize)} sq ft</p>` : ''}
+    ${rangeHtml}
+    ${partsHtml}
+    ${materialHtml}
+    <p>A roofing professional will contact you within 24 hours to discuss your project.
+    Final pricing may vary based on an on-site inspection.</p>
+    <p>The RoofAI Team</p>
+  </body>
+</html>`;
+
+  return {
+    subject,
+    text: textLines.join('\n'),
+    html
+  };
+};
+
+module.exports = {
+  renderEstimateConfirmation,
+  formatCurrency,
+  escapeHtml,
+  capitalize
+};
@@ -0,0 +1,151 @@
+// services/estimateStore.js
+const crypto = require('crypto');
+const { createFileStore } = require('../utils/fileStore');
+const { logInfo } = require('../utils/logger');
+
+// All submitted estimates live in a single JSON document (data/estimates.json)
+const store = createFileStore('estimates', { defaultValue: [] });
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a report access token for a new estimate
+ * The customer gets the plaintext token once (with the submission response);
+ * only its SHA-256 hash is stored on the record.
+ * @returns {Object} { token, hash }
+ */
+const issueReportToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashToken(token) };
+};
+
+/**
+ * Check a report access token against an estimate record
+ * @param {Object} record - Estimate record
+ * @param {string} token - Plaintext token from the report link
+ * @returns {boolean} True if the token belongs to the estimate
+ */
+const verifyReportToken = (record, token) => {
+  if (!record?.reportTokenHash || typeof token !== 'string' || !token) return false;
+
+  const expected = Buffer.from(record.reportTokenHash);
+  const received = Buffer.from(hashToken(token));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Save a submitted estimate
+ * @param {Object} record - Estimate record (must include a reference)
+ * @returns {Promise<Object>} The saved record
+ */
+const saveEstimate = async (record) => {
+  await store.update(estimates => {
+    estimates.push(record);
+  });
+
+  logInfo('Estimate saved', { reference: record.reference });
+  return record;
+};
+
+/**
+ * Find a submitted estimate by its reference
+ * @param {string} reference - Estimate reference (EST-...)
+ * @returns {Promise<Object|null>} The estimate record or null if not found
+ */
+const getEstimate = async (reference) => {
+  const estimates = await store.read();
+  return estimates.find(estimate => estimate.reference === reference) || null;
+};
+
+/**
+ * Update a submitted estimate in place
+ * @param {string} reference - Estimate reference
+ * @param {Function} mutator - Receives the stored record and mutates it
+ * @returns {Promise<Object|null>} The updated record or null if not found
+ */
+const updateEstimate = async (reference, mutator) => {
+  let updated = null;
+
+  await store.update(estimates => {
+    const record = estimates.find(estimate => estimate.reference === reference);
+    if (record) {
+      mutator(record);
+      updated = record;
+    }
+  });
+
+  return updated;
+};
+
+/**
+ * Append a notification delivery record to an estimate
+ * @param {string} reference - Estimate reference
+ * @param {Object} notification - Delivery details (type, status, attempts, ...)
+ * @returns {Promise<Object|null>} The updated record or null if not found
+ */
+const recordNotification = (reference, notification) => updateEstimate(reference, record => {
+  record.notifications = record.notifications || [];
+  record.notifications.push(notification);
+});
+
+/**
+ * List submitted estimates, newest first
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Page size
+ * @returns {Promise<Object>} Page of estimate summaries with pagination info
+ */
+const listEstimates = async ({ page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const estimates = await store.read();
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const total = estimates.length;
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+  const start = (currentPage - 1) * pageSize;
+  const items = estimates
+    .slice()
+    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
+    .slice(start, start + pageSize)
+    .map(toSummary);
+
+  return {
+    items,
+    page: currentPage,
+    limit: pageSize,
+    total,
+    totalPages
+  };
+};
+
+/**
+ * Reduce a full estimate record to the fields needed for list views
+ * @param {Object} record - Estimate record
+ * @returns {Object} Estimate summary
+ */
+const toSummary = (record) => ({
+  reference: record.reference,
+  submittedAt: record.submittedAt,
+  name: record.contact?.name,
+  email: record.contact?.email,
+  phone: record.contact?.phone,
+  address: record.formData?.address,
+  roofSize: record.formData?.roofSize,
+  desiredRoofMaterial: record.formData?.desiredRoofMaterial,
+  estimate: record.estimate?.estimate ?? null,
+  clientEstimate: record.clientEstimate?.estimate ?? null
+});
+
+module.exports = {
+  issueReportToken,
+  verifyReportToken,
+  saveEstimate,
+  getEstimate,
+  updateEstimate,
+  recordNotification,
+  listEstimates
+};
@@ -0,0 +1,179 @@
+// services/footprintService.js
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../utils/fileStore');
+const { createGridIndex } = require('../utils/spatialIndex');
+const geometry = require('../utils/geometry');
+const { logInfo, logWarn, logError } = require('../utils/logger');
+
+/**
+ * Building footprint lookup
+ *
+ * Footprints are loaded once from a local dataset (GeoJSON FeatureCollection or
+ * FlatGeobuf), e.g. an extract of open building footprints for the service area,
+ * and kept in memory behind a grid spatial index.
+ *
+ * Configuration:
+ *   FOOTPRINTS_FILE           - Dataset path (.geojson, .json or .fgb; default data/footprints.geojson)
+ *   FOOTPRINT_MAX_DISTANCE_M  - How far from the point a nearest footprint may be (default 25 m)
+ */
+
+const DEFAULT_FOOTPRINTS_FILE = path.join(DATA_DIR, 'footprints.geojson');
+const MAX_DISTANCE_M = parseFloat(process.env.FOOTPRINT_MAX_DISTANCE_M || '25');
+
+let datasetPromise = null;
+
+/**
+ * Split a GeoJSON geometry into polygons (arrays of rings)
+ * @param {Object} geom - GeoJSON geometry
+ * @returns {Array} Polygons
+ */
+const toPolygons = (geom) => {
+  if (!geom) return [];
+  if (geom.type === 'Polygon') return [geom.coordinates];
+  if (geom.type === 'MultiPolygon') return geom.coordinates;
+  return [];
+};
+
+/**
+ * Read features from a dataset file
+ * @param {string} filePath - Dataset path
+ * @returns {Promise<Array>} GeoJSON features
+ */
+const readFeatures = async (filePath) => {
+  const buffer = await fs.promises.readFile(filePath);
+
+  if (path.extname(filePath).toLowerCase() === '.fgb') {
+    // flatgeobuf is published as an ES module
+    const { deserialize } = await import('flatgeobuf/lib/mjs/geojson.js');
+    const features = [];
+    for await (const feature of deserialize(new Uint8Array(buffer))) {
+      features.push(feature);
+    }
+    return features;
+  }
+
+  const json = JSON.parse(buffer.toString('utf8'));
+  return json.type === 'FeatureCollection' ? json.features : [json];
+};
+
+/**
+ * Load the footprint dataset and build the spatial index
+ * @param {string} filePath - Dataset path
+ * @returns {Promise<Object>} Dataset { file, index, count }
+ */
+const loadDataset = async (filePath) => {
+  const index = createGridIndex();
+  const source = path.basename(filePath);
+
+  let features;
+  try {
+    features = await readFeatures(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logWarn('No building footprint dataset found', { file: filePath });
+      return { file: filePath, source, index, count: 0 };
+    }
+    throw error;
+  }
+
+  features.forEach((feature, featureIndex) => {
+    toPolygons(feature.geometry).forEach(rings => {
+      if (!rings[0] || rings[0].length < 4) return;
+      index.insert({
+        id: feature.properties?.id ?? feature.id ?? featureIndex,
+        properties: feature.properties || {},
+        rings
+      }, geometry.boundingBox(rings));
+    });
+  });
+
+  logInfo('Building footprints loaded', { file: filePath, footprints: index.size() });
+  return { file: filePath, source, index, count: index.size() };
+};
+
+/**
+ * Get the loaded dataset, loading it on first use
+ * @returns {Promise<Object>} Dataset
+ */
+const getDataset = () => {
+  if (!datasetPromise) {
+    datasetPromise = loadDataset(process.env.FOOTPRINTS_FILE || DEFAULT_FOOTPRINTS_FILE)
+      .catch(error => {
+        datasetPromise = null;
+        logError('Error loading building footprints', { error: error.message });
+        throw error;
+      });
+  }
+  return datasetPromise;
+};
+
+/**
+ * Drop the loaded dataset so the next lookup reloads it
+ */
+const reload = () => {
+  datasetPromise = null;
+};
+
+/**
+ * Find the building footprint containing, or nearest to, a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} options - Lookup options
+ * @param {number} options.maxDistanceMeters - Max distance for a nearest match
+ * @returns {Promise<Object|null>} Footprint match or null if none is close enough
+ */
+const findFootprint = async (lat, lng, { maxDistanceMeters = MAX_DISTANCE_M } = {}) => {
+  const dataset = await getDataset();
+  if (dataset.count === 0) return null;
+
+  const point = { lat, lng };
+  const latPadding = maxDistanceMeters / 111320;
+  const lngPadding = maxDistanceMeters / (111320 * Math.cos(lat * Math.PI / 180));
+  const candidates = dataset.index.search({
+    north: lat + latPadding,
+    south: lat - latPadding,
+    east: lng + lngPadding,
+    west: lng - lngPadding
+  });
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const contains = geometry.pointInPolygon(point, candidate.rings);
+    const distance = contains ? 0 : geometry.distanceToPolygon(point, candidate.rings);
+
+    if (distance <= maxDistanceMeters && (!best || distance < best.distance)) {
+      best = { ...candidate, contains, distance };
+    }
+  });
+
+  if (!best) return null;
+
+  const areaSqMeters = geometry.polygonArea(best.rings);
+
+  return {
+    id: best.id,
+    match: best.contains ? 'contains' : 'nearest',
+    distanceMeters: Math.round(best.distance * 10) / 10,
+    areaSqMeters: Math.round(areaSqMeters * 10) / 10,
+    areaSqFt: Math.round(areaSqMeters * geometry.SQ_FT_PER_SQ_M),
+    polygon: geometry.ringToLatLngs(best.rings[0]),
+    properties: best.properties,
+    source: dataset.source
+  };
+};
+
+/**
+ * Describe the loaded dataset (for diagnostics)
+ * @returns {Promise<Object>} { file, count }
+ */
+const describeDataset = async () => {
+  const dataset = await getDataset();
+  return { file: dataset.file, count: dataset.count };
+};
+
+module.exports = {
+  findFootprint,
+  describeDataset,
+  reload
+};
@@ -1,17 +1,33 @@
 // backend/services/googleMapsService.js
 const axios = require('axios');
+const footprintService = require('./footprintService');
+const cacheService = require('./cacheService');
 const { logInfo, logError } = require('../utils/logger');
 
 // Google Maps API configuration
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const GEOCODING_API_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
 
+// Addresses rarely move - geocodes are kept for 30 days
+const geocodeCache = cacheService.createCache('geocode', { ttlMs: 30 * 24 * 60 * 60 * 1000 });
+
 /**
- * Geocode an address to get coordinates and components
+ * Geocode an address to get coordinates and components (cached per normalized address)
+ * @param {string} address - The address to geocode
+ * @returns {Promise<Object>} Geocoding result with coordinates and address components
+ */
+const geocodeAddress = (address) => geocodeCache.wrap(
+  cacheService.normalizeAddress(address),
+  () => requestGeocode(address),
+  { meta: result => ({ address, formattedAddress: result.formattedAddress, lat: result.lat, lng: result.lng }) }
+);
+
+/**
+ * Geocode an address with the Google Geocoding API
  * @param {string} address - The address to geocode
  * @returns {Object} Geocoding result with coordinates and address components
  */
-const geocodeAddress = async (address) => {
+const requestGeocode = async (address) => {
   try {
     logInfo('Geocoding address', { address });
     
@@ -61,8 +77,9 @@ const geocodeAddress = async (address) => {
 };
 
 /**
- * Estimate roof size from coordinates
- * In a real implementation, this would use building footprint data from a service
+ * Estimate roof size from coordinates using the building footprint dataset
+ * The footprint is the building's horizontal outline; the sloped roof surface is
+ * larger depending on pitch, which is why accuracy is never reported as "high".
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @returns {Object} Roof size estimate
@@ -71,141 +88,58 @@ const estimateRoofSize = async (lat, lng) => {
   try {
     logInfo('Estimating roof size', { lat, lng });
     
-    // FIXED: Create a deterministic calculation based on coordinates
-    // Using a hash-like approach to get consistent results for the same coordinates
-    const coordHash = Math.abs(
-      Math.sin(lat * 10) * 1000 + 
-      Math.cos(lng * 10) * 1000
-    );
-    
-    // Use the hash to generate a consistent size between 2000-4000 sq ft
-    const deterministicSize = 2000 + (coordHash % 2000);
-    
-    // FIXED: No random variation - size is always the same for the same coordinates
-    const size = Math.round(deterministicSize);
+    const footprint = await footprintService.findFootprint(lat, lng);
     
-    // Reference points for creating a realistic polygon
-    const referencePoints = [
-      { lat: 34.0522, lng: -118.2437, name: 'Los Angeles', avgSize: 3200 },
-      { lat: 40.7128, lng: -74.0060, name: 'New York', avgSize: 2100 },
-      { lat: 41.8781, lng: -87.6298, name: 'Chicago', avgSize: 2800 },
-      { lat: 29.7604, lng: -95.3698, name: 'Houston', avgSize: 3500 },
-      { lat: 47.6062, lng: -122.3321, name: 'Seattle', avgSize: 2700 }
-    ];
-    
-    // FIXED: Deterministic distance calculation
-    // Find closest reference city for realistic polygon shape
-    const distances = referencePoints.map(point => {
-      const distance = calculateDistance(lat, lng, point.lat, point.lng);
-      return { ...point, distance };
-    });
+    if (!footprint) {
+      logInfo('No building footprint found near coordinates', { lat, lng });
+      return {
+        success: true,
+        found: false,
+        size: null,
+        accuracy: "unavailable",
+        method: "none",
+        roofPolygon: [],
+        notes: "No building footprint found at this location. Please measure the roof or enter its size manually."
+      };
+    }
     
-    // Sort by distance
-    distances.sort((a, b) => a.distance - b.distance);
+    const isContained = footprint.match === 'contains';
     
     return {
       success: true,
-      size: size,
-      accuracy: "high",
-      method: "satellite",
-      roofPolygon: generateDeterministicRoofPolygon(lat, lng, size)
+      found: true,
+      size: footprint.areaSqFt,
+      areaType: "footprint",
+      footprintArea: {
+        sqFt: footprint.areaSqFt,
+        sqMeters: footprint.areaSqMeters
+      },
+      // A footprint under the point is a good outline; a nearby one may be a neighbouring building
+      accuracy: isContained ? "medium" : "low",
+      method: "building_footprint",
+      match: footprint.match,
+      distanceMeters: footprint.distanceMeters,
+      source: footprint.source,
+      roofPolygon: footprint.polygon,
+      notes: isContained
+        ? "Horizontal building footprint containing the address. Roof surface area is larger depending on pitch and overhangs."
+        : `Nearest building footprint, ${footprint.distanceMeters} m from the geocoded point. Please confirm it is the right building.`
     };
   } catch (error) {
     logError('Roof size estimation error', { lat, lng, error: error.message });
     
-    // Return a default size on error
+    // Report the failure honestly instead of inventing a size
     return {
       success: false,
-      size: 3000,
-      accuracy: "low",
-      method: "fallback"
+      found: false,
+      size: null,
+      accuracy: "unavailable",
+      method: "fallback",
+      roofPolygon: []
     };
   }
 };
 
-/**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - First latitude
- * @param {number} lng1 - First longitude
- * @param {number} lat2 - Second latitude
- * @param {number} lng2 - Second longitude
- * @returns {number} Distance in kilometers
- */
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLng/2) * Math.sin(dLng/2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
-/**
- * Generate a deterministic roof polygon based on coordinates and size
- * FIXED: No randomness, completely deterministic
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @param {number} size - Roof size in square feet
- * @returns {Array} Array of polygon coordinates
- */
-const generateDeterministicRoofPolygon = (lat, lng, size = 3000) => {
-  // Size to meters conversion (sqrt of area in sq meters)
-  // 1 sq foot = 0.092903 sq meters
-  const sqMeters = size * 0.092903;
-  
-  // Calculate aspect ratio using a deterministic function of coordinates
-  const aspectRatioSeed = (Math.abs(lat * 100) + Math.abs(lng * 100)) % 10;
-  const aspectRatio = 1.2 + (aspectRatioSeed / 10); // Between 1.2 and 2.2
-  
-  const width = Math.sqrt(sqMeters / aspectRatio);
-  const length = width * aspectRatio;
-  
-  // Convert to degrees
-  const feetPerDegreeLat = 364000;
-  const latRadians = lat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  // Base offset in degrees
-  const latOffset = (length / 2) / feetPerDegreeLat;
-  const lngOffset = (width / 2) / feetPerDegreeLng;
-  
-  // Rotation angle (between -45 and 45 degrees) based on coordinates
-  const rotationSeed = (lat * 1000 + lng * 1000) % 90;
-  const rotationAngle = (rotationSeed - 45) * (Math.PI / 180);
-  
-  // House is typically set back from the road
-  const adjustedLat = lat + (latOffset * 0.3);
-  
-  // Create basic rectangle
-  const basePolygon = [
-    { lat: adjustedLat - latOffset, lng: lng - lngOffset },
-    { lat: adjustedLat - latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng - lngOffset }
-  ];
-  
-  // Apply rotation if needed
-  if (Math.abs(rotationAngle) > 0.01) {
-    return basePolygon.map(point => {
-      const dx = point.lng - lng;
-      const dy = point.lat - adjustedLat;
-      const rotatedX = dx * Math.cos(rotationAngle) - dy * Math.sin(rotationAngle);
-      const rotatedY = dx * Math.sin(rotationAngle) + dy * Math.cos(rotationAngle);
-      return {
-        lat: adjustedLat + rotatedY,
-        lng: lng + rotatedX
-      };
-    });
-  }
-  
-  return basePolygon;
-};
-
 module.exports = {
   geocodeAddress,
   estimateRoofSize
@@ -0,0 +1,539 @@
+// services/imageryProviders.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { fromFile } = require('geotiff');
+const { DATA_DIR } = require('../utils/fileStore');
+const mercator = require('../utils/webMercator');
+const raster = require('../utils/rasterImage');
+const { logInfo, logWarn } = require('../utils/logger');
+
+/**
+ * Aerial imagery providers
+ *
+ * Every provider exposes the same shape:
+ *   { name, getImage({ lat, lng, zoom, size }) => Promise<Imagery> }
+ * where Imagery is { buffer, mimeType, width, height, metadata } and metadata is:
+ *   {
+ *     provider, source, center: { lat, lng }, zoom, width, height,
+ *     metersPerPixel,                     - ground resolution at the center
+ *     bounds: { north, south, east, west },
+ *     georeference: { crs, originX, originY, pixelWidth, pixelHeight },
+ *     attribution, captureDate
+ *   }
+ * The georeference is an affine transform from image pixels (col, row) to CRS coordinates:
+ *   x = originX + col * pixelWidth, y = originY - row * pixelHeight
+ * with crs EPSG:3857 (meters) or EPSG:4326 (degrees).
+ *
+ * `size` is the requested view in pixels at `zoom` (Web Mercator, 256px tiles), so every
+ * provider covers the same ground extent for the same request.
+ *
+ * Select one with IMAGERY_PROVIDER=google|tiles|local (defaults to google).
+ */
+
+const DEFAULT_SIZE = 640;
+const MAX_OUTPUT_PIXELS = 2048;
+const REQUEST_TIMEOUT_MS = 20000;
+const WEB_MERCATOR_CODES = [3857, 900913, 3785, 102100, 102113];
+
+/**
+ * Build a Web Mercator georeference for an image aligned with the slippy-map grid
+ * @param {number} originPixelX - World pixel x of the image's top-left corner
+ * @param {number} originPixelY - World pixel y of the image's top-left corner
+ * @param {number} zoom - Zoom level the world pixels are measured at
+ * @param {number} scale - Image pixels per world pixel
+ * @returns {Object} Georeference
+ */
+const mercatorGeoreference = (originPixelX, originPixelY, zoom, scale = 1) => {
+  const origin = mercator.pixelToLatLng(originPixelX, originPixelY, zoom);
+  const originMeters = mercator.latLngToMeters(origin.lat, origin.lng);
+  const resolution = mercator.projectedResolution(zoom) / scale;
+
+  return {
+    crs: 'EPSG:3857',
+    originX: originMeters.x,
+    originY: originMeters.y,
+    pixelWidth: resolution,
+    pixelHeight: resolution
+  };
+};
+
+/**
+ * Convert CRS coordinates to a lat/lng
+ * @param {string} crs - EPSG:3857 or EPSG:4326
+ * @param {number} x - CRS x
+ * @param {number} y - CRS y
+ * @returns {Object} { lat, lng }
+ */
+const crsToLatLng = (crs, x, y) => (crs === 'EPSG:4326' ? { lat: y, lng: x } : mercator.metersToLatLng(x, y));
+
+/**
+ * Convert a lat/lng to CRS coordinates
+ * @param {string} crs - EPSG:3857 or EPSG:4326
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { x, y }
+ */
+const latLngToCrs = (crs, lat, lng) => (crs === 'EPSG:4326' ? { x: lng, y: lat } : mercator.latLngToMeters(lat, lng));
+
+/**
+ * Geographic bounds of an image from its georeference
+ * @param {Object} georeference - Georeference
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} { north, south, east, west }
+ */
+const boundsFromGeoreference = (georeference, width, height) => {
+  const northWest = crsToLatLng(georeference.crs, georeference.originX, georeference.originY);
+  const southEast = crsToLatLng(
+    georeference.crs,
+    georeference.originX + width * georeference.pixelWidth,
+    georeference.originY - height * georeference.pixelHeight
+  );
+
+  return { north: northWest.lat, south: southEast.lat, east: southEast.lng, west: northWest.lng };
+};
+
+/**
+ * Ground resolution of a georeferenced image at a latitude
+ * @param {Object} georeference - Georeference
+ * @param {number} lat - Latitude
+ * @returns {number} Meters per pixel
+ */
+const groundResolutionOf = (georeference, lat) => {
+  if (georeference.crs === 'EPSG:4326') {
+    return georeference.pixelWidth * 111320 * Math.cos(lat * Math.PI / 180);
+  }
+  // Web Mercator meters are stretched by 1/cos(lat)
+  return georeference.pixelWidth * Math.cos(lat * Math.PI / 180);
+};
+
+const round = (value, digits = 4) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+/**
+ * Google Static Maps satellite provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - API key (defaults to GOOGLE_MAPS_API_KEY)
+ * @param {number} options.scale - Image scale (1 or 2, default 2)
+ * @returns {Object} Provider
+ */
+const createGoogleStaticProvider = (options = {}) => {
+  const scale = options.scale || 2;
+
+  return {
+    name: 'google',
+    getImage: async ({ lat, lng, zoom, size = DEFAULT_SIZE }) => {
+      const apiKey = options.apiKey || process.env.GOOGLE_MAPS_API_KEY;
+      const imageUrl = `https://maps.googleapis.com/maps/api/staticmap?center=${lat},${lng}` +
+        `&zoom=${zoom}&size=${size}x${size}&scale=${scale}&maptype=satellite` +
+        `&format=png&key=${apiKey}`;
+
+      const response = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: REQUEST_TIMEOUT_MS });
+      const buffer = Buffer.from(response.data);
+
+      const center = mercator.latLngToPixel(lat, lng, zoom);
+      const georeference = mercatorGeoreference(center.x - size / 2, center.y - size / 2, zoom, scale);
+      const width = size * scale;
+
+      return {
+        buffer,
+        mimeType: raster.detectMimeType(buffer) || 'image/png',
+        width,
+        height: width,
+        metadata: {
+          provider: 'google',
+          source: 'Google Static Maps',
+          center: { lat, lng },
+          zoom,
+          width,
+          height: width,
+          metersPerPixel: round(mercator.groundResolution(lat, zoom) / scale),
+          bounds: mercator.boundsAround(lat, lng, zoom, size),
+          georeference,
+          attribution: 'Imagery © Google',
+          captureDate: null
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Fill a URL template for a tile
+ * Supports XYZ ({z}/{x}/{y}, {-y} for TMS) and WMTS REST ({TileMatrix}/{TileCol}/{TileRow}) placeholders.
+ * @param {string} template - URL template
+ * @param {Object} tile - Tile { x, y, z }
+ * @param {string} apiKey - Optional API key for {apiKey}
+ * @returns {string} Tile URL
+ */
+const fillTileUrl = (template, { x, y, z }, apiKey = '') => template
+  .replace(/\{z\}|\{TileMatrix\}/g, z)
+  .replace(/\{x\}|\{TileCol\}/g, x)
+  .replace(/\{-y\}/g, Math.pow(2, z) - 1 - y)
+  .replace(/\{y\}|\{TileRow\}/g, y)
+  .replace(/\{apiKey\}/g, apiKey);
+
+/**
+ * Generic XYZ/WMTS tile provider - stitches the tiles around the point into one image
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Tile URL template (defaults to IMAGERY_TILE_URL)
+ * @param {number} options.maxZoom - Highest zoom the source serves (defaults to IMAGERY_TILE_MAX_ZOOM or 19)
+ * @param {number} options.tileSize - Tile size in pixels (defaults to 256)
+ * @returns {Object} Provider
+ */
+const createTileProvider = (options = {}) => {
+  const template = options.url || process.env.IMAGERY_TILE_URL;
+  const maxZoom = parseInt(options.maxZoom || process.env.IMAGERY_TILE_MAX_ZOOM || '19', 10);
+  const tileSize = parseInt(options.tileSize || process.env.IMAGERY_TILE_SIZE || mercator.TILE_SIZE, 10);
+  const apiKey = options.apiKey || process.env.IMAGERY_TILE_API_KEY || '';
+  const attribution = options.attribution || process.env.IMAGERY_TILE_ATTRIBUTION || null;
+
+  if (!template) {
+    throw new Error('Tile imagery provider requires IMAGERY_TILE_URL');
+  }
+
+  const source = template.replace(/^\w+:\/\//, '').split('/')[0];
+
+  const fetchTile = async (tile) => {
+    const response = await axios.get(fillTileUrl(template, tile, apiKey), {
+      responseType: 'arraybuffer',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: { 'User-Agent': 'RoofAI-Imagery/1.0' }
+    });
+    return raster.decodeImage(Buffer.from(response.data));
+  };
+
+  return {
+    name: 'tiles',
+    getImage: async ({ lat, lng, zoom, size = DEFAULT_SIZE }) => {
+      // Beyond the source's max zoom, cover the same ground with fewer native pixels
+      const tileZoom = Math.min(zoom, maxZoom);
+      const windowSize = Math.max(1, Math.round(size / Math.pow(2, zoom - tileZoom)));
+      // World pixels at tileZoom are measured on 256px tiles; scale for other tile sizes
+      const scale = tileSize / mercator.TILE_SIZE;
+
+      const center = mercator.latLngToPixel(lat, lng, tileZoom);
+      const left = Math.round(center.x * scale - windowSize * scale / 2);
+      const top = Math.round(center.y * scale - windowSize * scale / 2);
+      const width = Math.round(windowSize * scale);
+      const tilesPerAxis = Math.pow(2, tileZoom);
+
+      const tiles = [];
+      for (let ty = Math.floor(top / tileSize); ty <= Math.floor((top + width - 1) / tileSize); ty++) {
+        for (let tx = Math.floor(left / tileSize); tx <= Math.floor((left + width - 1) / tileSize); tx++) {
+          if (ty < 0 || ty >= tilesPerAxis) continue;
+          tiles.push({ x: ((tx % tilesPerAxis) + tilesPerAxis) % tilesPerAxis, y: ty, z: tileZoom, offsetX: tx * tileSize - left, offsetY: ty * tileSize - top });
+        }
+      }
+
+      const canvas = raster.createRaster(width, width);
+      const results = await Promise.all(tiles.map(tile => fetchTile(tile)
+        .then(image => {
+          raster.blit(image, canvas, tile.offsetX, tile.offsetY);
+          return true;
+        })
+        .catch(error => {
+          logWarn('Failed to fetch imagery tile', { x: tile.x, y: tile.y, z: tile.z, error: error.message });
+          return false;
+        })
+      ));
+
+      if (!results.some(Boolean)) {
+        throw new Error(`No imagery tiles available at zoom ${tileZoom}`);
+      }
+
+      const buffer = raster.encodePng(canvas);
+      const georeference = mercatorGeoreference(left / scale, top / scale, tileZoom, scale);
+
+      return {
+        buffer,
+        mimeType: 'image/png',
+        width,
+        height: width,
+        metadata: {
+          provider: 'tiles',
+          source,
+          center: { lat, lng },
+          zoom,
+          tileZoom,
+          width,
+          height: width,
+          metersPerPixel: round(mercator.groundResolution(lat, tileZoom) / scale),
+          bounds: boundsFromGeoreference(georeference, width, width),
+          georeference,
+          attribution,
+          captureDate: null
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Read a GeoTIFF's georeference and dimensions
+ * @param {string} filePath - GeoTIFF file
+ * @returns {Promise<Object|null>} { width, height, georeference } or null if the CRS is unsupported
+ */
+const readGeoTiffInfo = async (filePath) => {
+  const tiff = await fromFile(filePath);
+  try {
+    const image = await tiff.getImage();
+    const geoKeys = image.getGeoKeys() || {};
+    const [originX, originY] = image.getOrigin();
+    const [resolutionX, resolutionY] = image.getResolution();
+
+    let crs = null;
+    if (WEB_MERCATOR_CODES.includes(geoKeys.ProjectedCSTypeGeoKey)) {
+      crs = 'EPSG:3857';
+    } else if (!geoKeys.ProjectedCSTypeGeoKey && geoKeys.GeographicTypeGeoKey === 4326) {
+      crs = 'EPSG:4326';
+    }
+
+    if (!crs) {
+      logWarn('Skipping GeoTIFF with unsupported CRS (use EPSG:3857 or EPSG:4326)', { file: filePath });
+      return null;
+    }
+
+    return {
+      width: image.getWidth(),
+      height: image.getHeight(),
+      georeference: {
+        crs,
+        originX,
+        originY,
+        pixelWidth: Math.abs(resolutionX),
+        pixelHeight: Math.abs(resolutionY)
+      }
+    };
+  } finally {
+    if (typeof tiff.close === 'function') tiff.close();
+  }
+};
+
+/**
+ * Read a pixel window from a GeoTIFF as an RGBA raster
+ * @param {string} filePath - GeoTIFF file
+ * @param {Array<number>} window - [left, top, right, bottom] in image pixels (already clipped)
+ * @returns {Promise<Object>} Raster
+ */
+const readGeoTiffWindow = async (filePath, window) => {
+  const tiff = await fromFile(filePath);
+  try {
+    const image = await tiff.getImage();
+    const samples = image.getSamplesPerPixel();
+    const bits = image.getBitsPerSample();
+    const data = await image.readRasters({ window, interleave: true });
+
+    const width = window[2] - window[0];
+    const height = window[3] - window[1];
+    const output = raster.createRaster(width, height);
+    const divisor = bits > 8 ? Math.pow(2, bits - 8) : 1;
+
+    for (let i = 0; i < width * height; i++) {
+      const sample = (band) => Math.min(255, Math.round(data[i * samples + band] / divisor));
+      const gray = samples < 3;
+      output.data[i * 4] = sample(0);
+      output.data[i * 4 + 1] = gray ? sample(0) : sample(1);
+      output.data[i * 4 + 2] = gray ? sample(0) : sample(2);
+      output.data[i * 4 + 3] = samples >= 4 ? sample(3) : 255;
+    }
+
+    return output;
+  } finally {
+    if (typeof tiff.close === 'function') tiff.close();
+  }
+};
+
+/**
+ * Local directory provider - orthophotos on disk (GeoTIFF, or PNG/JPEG with a JSON sidecar)
+ *
+ * Sidecar format (photo.jpg -> photo.json):
+ *   { "bounds": { "north", "south", "east", "west" }, "crs": "EPSG:3857", "captureDate", "attribution" }
+ * The crs describes the image grid (EPSG:3857 for web imagery, EPSG:4326 for plate carrée).
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.dir - Imagery directory (defaults to IMAGERY_LOCAL_DIR or data/imagery)
+ * @returns {Object} Provider with a `refresh()` helper to rescan the directory
+ */
+const createLocalDirectoryProvider = (options = {}) => {
+  const dir = options.dir || process.env.IMAGERY_LOCAL_DIR || path.join(DATA_DIR, 'imagery');
+  let index = null;
+
+  const buildIndex = async () => {
+    const entries = [];
+    const files = await fs.promises.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      const extension = path.extname(file).toLowerCase();
+
+      try {
+        if (extension === '.tif' || extension === '.tiff') {
+          const info = await readGeoTiffInfo(filePath);
+          if (info) entries.push({ file: filePath, type: 'geotiff', ...info });
+        } else if (['.png', '.jpg', '.jpeg'].includes(extension)) {
+          const sidecarPath = filePath.slice(0, -extension.length) + '.json';
+          if (!fs.existsSync(sidecarPath)) continue;
+
+          const sidecar = JSON.parse(await fs.promises.readFile(sidecarPath, 'utf8'));
+          const { north, south, east, west } = sidecar.bounds || {};
+          if ([north, south, east, west].some(value => typeof value !== 'number')) {
+            logWarn('Skipping imagery with invalid sidecar bounds', { file: filePath });
+            continue;
+          }
+
+          const image = raster.decodeImage(await fs.promises.readFile(filePath));
+          const crs = sidecar.crs === 'EPSG:4326' ? 'EPSG:4326' : 'EPSG:3857';
+          const northWest = latLngToCrs(crs, north, west);
+          const southEast = latLngToCrs(crs, south, east);
+
+          entries.push({
+            file: filePath,
+            type: 'image',
+            width: image.width,
+            height: image.height,
+            georeference: {
+              crs,
+              originX: northWest.x,
+              originY: northWest.y,
+              pixelWidth: (southEast.x - northWest.x) / image.width,
+              pixelHeight: (northWest.y - southEast.y) / image.height
+            },
+            captureDate: sidecar.captureDate || null,
+            attribution: sidecar.attribution || null
+          });
+        }
+      } catch (error) {
+        logWarn('Skipping unreadable imagery file', { file: filePath, error: error.message });
+      }
+    }
+
+    logInfo('Local imagery indexed', { dir, files: entries.length });
+    return entries;
+  };
+
+  const getIndex = async () => {
+    if (!index) index = await buildIndex();
+    return index;
+  };
+
+  return {
+    name: 'local',
+    dir,
+    refresh: () => {
+      index = null;
+    },
+    getImage: async ({ lat, lng, zoom, size = DEFAULT_SIZE }) => {
+      const candidates = (await getIndex())
+        .map(entry => ({ ...entry, bounds: boundsFromGeoreference(entry.georeference, entry.width, entry.height) }))
+        .filter(({ bounds }) => lat <= bounds.north && lat >= bounds.south && lng >= bounds.west && lng <= bounds.east)
+        .sort((a, b) => groundResolutionOf(a.georeference, lat) - groundResolutionOf(b.georeference, lat));
+
+      if (candidates.length === 0) {
+        throw new Error(`No local imagery covers ${lat}, ${lng}`);
+      }
+
+      const entry = candidates[0];
+      const { georeference } = entry;
+
+      // Cover the same ground as a `size` px view at `zoom`, at the file's native resolution
+      const view = mercator.boundsAround(lat, lng, zoom, size);
+      const toPixel = (pointLat, pointLng) => {
+        const point = latLngToCrs(georeference.crs, pointLat, pointLng);
+        return {
+          col: (point.x - georeference.originX) / georeference.pixelWidth,
+          row: (georeference.originY - point.y) / georeference.pixelHeight
+        };
+      };
+      const topLeft = toPixel(view.north, view.west);
+      const bottomRight = toPixel(view.south, view.east);
+      const left = Math.floor(topLeft.col);
+      const top = Math.floor(topLeft.row);
+      const windowWidth = Math.max(1, Math.ceil(bottomRight.col) - left);
+      const windowHeight = Math.max(1, Math.ceil(bottomRight.row) - top);
+
+      // Only read the part of the window that lies inside the file
+      const clipped = [
+        Math.max(0, left),
+        Math.max(0, top),
+        Math.min(entry.width, left + windowWidth),
+        Math.min(entry.height, top + windowHeight)
+      ];
+
+      let source;
+      if (entry.type === 'geotiff') {
+        source = await readGeoTiffWindow(entry.file, clipped);
+      } else {
+        const full = raster.decodeImage(await fs.promises.readFile(entry.file));
+        source = raster.crop(full, clipped[0], clipped[1], clipped[2] - clipped[0], clipped[3] - clipped[1]);
+      }
+
+      let image = raster.createRaster(windowWidth, windowHeight);
+      raster.blit(source, image, clipped[0] - left, clipped[1] - top);
+
+      const reduction = Math.ceil(Math.max(windowWidth, windowHeight) / MAX_OUTPUT_PIXELS);
+      image = raster.downsample(image, reduction);
+
+      const outputGeoreference = {
+        crs: georeference.crs,
+        originX: georeference.originX + left * georeference.pixelWidth,
+        originY: georeference.originY - top * georeference.pixelHeight,
+        pixelWidth: georeference.pixelWidth * Math.max(reduction, 1),
+        pixelHeight: georeference.pixelHeight * Math.max(reduction, 1)
+      };
+
+      return {
+        buffer: raster.encodePng(image),
+        mimeType: 'image/png',
+        width: image.width,
+        height: image.height,
+        metadata: {
+          provider: 'local',
+          source: path.basename(entry.file),
+          center: { lat, lng },
+          zoom,
+          width: image.width,
+          height: image.height,
+          metersPerPixel: round(groundResolutionOf(outputGeoreference, lat)),
+          bounds: boundsFromGeoreference(outputGeoreference, image.width, image.height),
+          georeference: outputGeoreference,
+          attribution: entry.attribution || null,
+          captureDate: entry.captureDate || null
+        }
+      };
+    }
+  };
+};
+
+const providerFactories = {
+  google: createGoogleStaticProvider,
+  tiles: createTileProvider,
+  local: createLocalDirectoryProvider
+};
+
+/**
+ * Create an imagery provider by name
+ * @param {string} type - Provider type (google, tiles, local)
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} Provider
+ */
+const createProvider = (type, options) => {
+  const factory = providerFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown imagery provider: ${type}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createProvider,
+  createGoogleStaticProvider,
+  createTileProvider,
+  createLocalDirectoryProvider,
+  fillTileUrl,
+  crsToLatLng,
+  latLngToCrs
+};
@@ -0,0 +1,124 @@
+// services/imageryService.js
+const { createProvider, crsToLatLng, latLngToCrs } = require('./imageryProviders');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Aerial imagery for roof analysis
+ *
+ * The provider is chosen with IMAGERY_PROVIDER (google, tiles or local; defaults to google)
+ * and can be replaced at runtime with setProvider (e.g. a local directory in tests).
+ */
+
+let provider = null;
+
+/**
+ * Get the active imagery provider (created from IMAGERY_PROVIDER on first use)
+ * @returns {Object} Imagery provider
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider(process.env.IMAGERY_PROVIDER || 'google');
+    logInfo('Imagery provider initialized', { provider: provider.name });
+  }
+  return provider;
+};
+
+/**
+ * Replace the active imagery provider
+ * @param {Object} newProvider - Provider implementing getImage(request), or null to restore the configured one
+ */
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+/**
+ * Fetch imagery centered on a point
+ * @param {Object} request - Request { lat, lng, zoom, size }
+ * @returns {Promise<Object>} Imagery { buffer, mimeType, width, height, metadata }
+ */
+const getImage = async ({ lat, lng, zoom, size }) => {
+  const activeProvider = getProvider();
+
+  try {
+    const imagery = await activeProvider.getImage({ lat, lng, zoom, size });
+
+    logInfo('Imagery fetched', {
+      provider: activeProvider.name,
+      zoom,
+      width: imagery.width,
+      height: imagery.height,
+      metersPerPixel: imagery.metadata.metersPerPixel
+    });
+
+    return imagery;
+  } catch (error) {
+    logError('Error fetching imagery', { provider: activeProvider.name, zoom, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Encode imagery as a data URL for vision requests
+ * @param {Object} imagery - Imagery from getImage
+ * @returns {string} Data URL
+ */
+const toDataUrl = (imagery) => `data:${imagery.mimeType};base64,${imagery.buffer.toString('base64')}`;
+
+/**
+ * Describe imagery for a vision prompt (scale and extent)
+ * @param {Object} metadata - Imagery metadata
+ * @returns {string} Prompt text
+ */
+const describeForPrompt = (metadata) => {
+  const widthMeters = metadata.width * metadata.metersPerPixel;
+  const heightMeters = metadata.height * metadata.metersPerPixel;
+  const captured = metadata.captureDate ? ` captured ${metadata.captureDate}` : '';
+
+  return `The image is ${metadata.width}x${metadata.height} pixels, north-up, centered on the property${captured}. ` +
+    `Ground resolution is ${metadata.metersPerPixel.toFixed(3)} m/pixel ` +
+    `(${(metadata.metersPerPixel * 3.28084).toFixed(3)} ft/pixel), so it covers about ` +
+    `${Math.round(widthMeters)} m x ${Math.round(heightMeters)} m ` +
+    `(${Math.round(widthMeters * 3.28084)} ft x ${Math.round(heightMeters * 3.28084)} ft).`;
+};
+
+/**
+ * Convert an image pixel position to a lat/lng using the imagery georeference
+ * @param {Object} metadata - Imagery metadata
+ * @param {number} x - Pixel column (0 at the left edge)
+ * @param {number} y - Pixel row (0 at the top edge)
+ * @returns {Object} { lat, lng }
+ */
+const pixelToLatLng = (metadata, x, y) => {
+  const { georeference } = metadata;
+  return crsToLatLng(
+    georeference.crs,
+    georeference.originX + x * georeference.pixelWidth,
+    georeference.originY - y * georeference.pixelHeight
+  );
+};
+
+/**
+ * Convert a lat/lng to an image pixel position using the imagery georeference
+ * @param {Object} metadata - Imagery metadata
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { x, y } in image pixels
+ */
+const latLngToPixel = (metadata, lat, lng) => {
+  const { georeference } = metadata;
+  const point = latLngToCrs(georeference.crs, lat, lng);
+  return {
+    x: (point.x - georeference.originX) / georeference.pixelWidth,
+    y: (georeference.originY - point.y) / georeference.pixelHeight
+  };
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  getImage,
+  toDataUrl,
+  describeForPrompt,
+  pixelToLatLng,
+  latLngToPixel
+};
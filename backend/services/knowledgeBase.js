@@ -0,0 +1,175 @@
+// services/knowledgeBase.js
+const fs = require('fs');
+const path = require('path');
+const { createBm25Index } = require('../utils/bm25');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Roofing knowledge base for the Q&A assistant
+ *
+ * Markdown documents are split into passages at `##` headings (long sections are
+ * split again at paragraph breaks) and indexed with BM25. The index is built on
+ * first search and kept in memory.
+ *
+ * Configuration:
+ *   KNOWLEDGE_DIR - Directory of .md documents (default backend/knowledge)
+ */
+
+const DEFAULT_KNOWLEDGE_DIR = path.join(__dirname, '..', 'knowledge');
+const MAX_PASSAGE_CHARS = 1200;
+
+let knowledgePromise = null;
+
+/**
+ * Split a long section into passages at paragraph breaks
+ * @param {string} text - Section body
+ * @returns {Array<string>} Passage texts
+ */
+const splitSection = (text) => {
+  const passages = [];
+  let current = '';
+
+  text.split(/\n\s*\n/).forEach(paragraph => {
+    if (current && current.length + paragraph.length > MAX_PASSAGE_CHARS) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  });
+
+  if (current) passages.push(current);
+  return passages;
+};
+
+/**
+ * Split a markdown document into passages
+ * @param {string} source - Document file name
+ * @param {string} markdown - Document contents
+ * @returns {Array<Object>} Passages { id, source, title, section, text }
+ */
+const chunkDocument = (source, markdown) => {
+  let title = path.basename(source, '.md');
+  const sections = [];
+  let current = null;
+
+  markdown.split(/\r?\n/).forEach(line => {
+    const titleMatch = line.match(/^#\s+(.*)/);
+    const sectionMatch = line.match(/^##\s+(.*)/);
+
+    if (titleMatch) {
+      title = titleMatch[1].trim();
+    } else if (sectionMatch) {
+      current = { section: sectionMatch[1].trim(), lines: [] };
+      sections.push(current);
+    } else {
+      if (!current) {
+        current = { section: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(line);
+    }
+  });
+
+  const passages = [];
+  sections.forEach(({ section, lines }) => {
+    const body = lines.join('\n').trim();
+    if (!body) return;
+
+    splitSection(body).forEach(text => {
+      passages.push({
+        id: `${source}#${passages.length + 1}`,
+        source,
+        title,
+        section,
+        text
+      });
+    });
+  });
+
+  return passages;
+};
+
+/**
+ * Load every markdown document and build the index
+ * @param {string} dir - Knowledge directory
+ * @returns {Promise<Object>} Knowledge { dir, passages, index }
+ */
+const loadKnowledge = async (dir) => {
+  const files = (await fs.promises.readdir(dir))
+    .filter(file => file.toLowerCase().endsWith('.md'))
+    .sort();
+
+  const passages = [];
+  for (const file of files) {
+    const markdown = await fs.promises.readFile(path.join(dir, file), 'utf8');
+    passages.push(...chunkDocument(file, markdown));
+  }
+
+  const index = createBm25Index();
+  passages.forEach(passage => {
+    index.add(passage.id, [passage.title, passage.section, passage.text].filter(Boolean).join('\n'));
+  });
+
+  logInfo('Knowledge base indexed', { dir, documents: files.length, passages: passages.length });
+  return {
+    dir,
+    documents: files,
+    passages: new Map(passages.map(passage => [passage.id, passage])),
+    index
+  };
+};
+
+/**
+ * Get the loaded knowledge base, indexing it on first use
+ * @returns {Promise<Object>} Knowledge
+ */
+const getKnowledge = () => {
+  if (!knowledgePromise) {
+    knowledgePromise = loadKnowledge(process.env.KNOWLEDGE_DIR || DEFAULT_KNOWLEDGE_DIR)
+      .catch(error => {
+        knowledgePromise = null;
+        logError('Error loading knowledge base', { error: error.message });
+        throw error;
+      });
+  }
+  return knowledgePromise;
+};
+
+/**
+ * Drop the loaded index so the next search rebuilds it
+ */
+const reload = () => {
+  knowledgePromise = null;
+};
+
+/**
+ * Find the passages most relevant to a query
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Max passages (default 4)
+ * @returns {Promise<Array<Object>>} Passages with score, best first
+ */
+const search = async (query, { limit = 4 } = {}) => {
+  const knowledge = await getKnowledge();
+
+  return knowledge.index.search(query, limit).map(({ id, score }) => ({
+    ...knowledge.passages.get(id),
+    score: Math.round(score * 1000) / 1000
+  }));
+};
+
+/**
+ * Describe the loaded knowledge base (for diagnostics)
+ * @returns {Promise<Object>} { dir, documents, passages }
+ */
+const describe = async () => {
+  const knowledge = await getKnowledge();
+  return { dir: knowledge.dir, documents: knowledge.documents, passages: knowledge.passages.size };
+};
+
+module.exports = {
+  chunkDocument,
+  search,
+  describe,
+  reload
+};
@@ -0,0 +1,192 @@
+// services/llmProviders.js
+const axios = require('axios');
+const { OpenAI } = require('openai');
+const { logInfo } = require('../utils/logger');
+
+/**
+ * LLM providers
+ *
+ * Every provider exposes the same shape:
+ *   { name, chat(request) => Promise<{ content, model, usage }> }
+ * where request is { model, messages, temperature, maxTokens, responseFormat }.
+ * Messages use the OpenAI chat format, including image_url parts for vision.
+ *
+ * Select one with LLM_PROVIDER=openai|local|fake (see llmService for per-task overrides).
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * OpenAI provider backed by the official SDK
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - API key (defaults to OPENAI_API_KEY)
+ * @returns {Object} Provider
+ */
+const createOpenAIProvider = (options = {}) => {
+  let client = null;
+
+  // Create the client on first use so a missing key only fails the requests that need it
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+        timeout: options.timeout || DEFAULT_TIMEOUT_MS
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    chat: async ({ model, messages, temperature, maxTokens, responseFormat }) => {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        response_format: responseFormat
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        model: response.model || model,
+        usage: response.usage || null
+      };
+    }
+  };
+};
+
+/**
+ * Local provider for any OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM, ...)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (defaults to LLM_LOCAL_BASE_URL)
+ * @param {string} options.apiKey - Optional API key (defaults to LLM_LOCAL_API_KEY)
+ * @returns {Object} Provider
+ */
+const createLocalProvider = (options = {}) => {
+  const baseUrl = (options.baseUrl || process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = options.apiKey || process.env.LLM_LOCAL_API_KEY;
+  const timeout = options.timeout || parseInt(process.env.LLM_LOCAL_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+
+  return {
+    name: 'local',
+    baseUrl,
+    chat: async ({ model, messages, temperature, maxTokens, responseFormat }) => {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          response_format: responseFormat
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+          },
+          timeout
+        }
+      );
+
+      return {
+        content: response.data.choices[0].message.content,
+        model: response.data.model || model,
+        usage: response.data.usage || null
+      };
+    }
+  };
+};
+
+// Canned answers used by the fake provider when no response is registered for a task
+const FAKE_RESPONSES = {
+  estimate: {
+    lowEstimate: 17550,
+    estimate: 19500,
+    highEstimate: 21450,
+    pricePerSqft: 6.5,
+    estimateParts: [
+      { name: 'Materials', cost: 7800 },
+      { name: 'Labor', cost: 8775 },
+      { name: 'Removal & Disposal', cost: 1560 },
+      { name: 'Permits & Overhead', cost: 1365 }
+    ],
+    estimateFactors: [
+      { factor: 'Roof Size', impact: 'High Impact', description: 'Roof size is the primary cost factor' }
+    ],
+    materialInfo: {
+      lifespan: '15-30 years',
+      pros: ['Affordable', 'Widely available'],
+      cons: ['Shorter lifespan than other materials']
+    }
+  },
+  vision: {
+    roofArea: 2400,
+    confidence: 'medium',
+    roofShape: 'simple',
+    roofPolygon: [],
+    estimatedPitch: 'moderate',
+    notes: 'Deterministic response from the fake LLM provider.',
+    includedFeaturesInArea: ['main roof', 'overhangs']
+  }
+};
+
+/**
+ * Fake provider - deterministic responses without any network access (for tests and offline runs)
+ * @param {Object} options - Provider options
+ * @param {Object} options.responses - Map of task -> response object, string or function(request)
+ * @returns {Object} Provider with a `calls` array and `clear()` helper
+ */
+const createFakeProvider = ({ responses = {} } = {}) => {
+  const calls = [];
+
+  return {
+    name: 'fake',
+    calls,
+    chat: async (request) => {
+      calls.push(request);
+
+      const configured = responses[request.task] ?? FAKE_RESPONSES[request.task] ?? {};
+      const response = typeof configured === 'function' ? await configured(request) : configured;
+
+      return {
+        content: typeof response === 'string' ? response : JSON.stringify(response),
+        model: request.model,
+        usage: null
+      };
+    },
+    clear: () => {
+      calls.length = 0;
+    }
+  };
+};
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} type - Provider type (openai, local, fake)
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} Provider
+ */
+const createProvider = (type, options) => {
+  const factory = providerFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${type}`);
+  }
+
+  logInfo('LLM provider created', { provider: type });
+  return factory(options);
+};
+
+module.exports = {
+  createProvider,
+  createOpenAIProvider,
+  createLocalProvider,
+  createFakeProvider
+};
@@ -0,0 +1,179 @@
+// services/llmService.js
+const { createProvider } = require('./llmProviders');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Task-based access to LLM providers
+ *
+ * Services ask for a task (estimate, vision, ...) instead of a vendor or model.
+ * Each task resolves its provider and model from the environment:
+ *   LLM_PROVIDER              - Default provider for every task (openai|local|fake|none, default openai)
+ *   LLM_<TASK>_PROVIDER       - Provider override for one task (e.g. LLM_VISION_PROVIDER=local)
+ *   LLM_<TASK>_MODEL          - Model for one task (e.g. LLM_ESTIMATE_MODEL=gpt-4o-mini)
+ */
+
+const TASKS = {
+  ESTIMATE: 'estimate',
+  VISION: 'vision',
+  ASK: 'ask'
+};
+
+const DEFAULT_MODELS = {
+  [TASKS.ESTIMATE]: 'gpt-4o',
+  [TASKS.VISION]: 'gpt-4o',
+  [TASKS.ASK]: 'gpt-4o-mini'
+};
+
+// Providers are shared between tasks that use the same type
+const providers = {};
+const taskOverrides = {};
+
+/**
+ * Resolve provider and model for a task
+ * @param {string} task - Task name (see TASKS)
+ * @returns {Object} Task config { task, provider, model }
+ */
+const getTaskConfig = (task) => {
+  const prefix = `LLM_${task.toUpperCase()}`;
+  return {
+    task,
+    provider: process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'openai',
+    model: process.env[`${prefix}_MODEL`] || DEFAULT_MODELS[task] || DEFAULT_MODELS[TASKS.ESTIMATE]
+  };
+};
+
+/**
+ * Get the provider used for a task
+ * @param {string} task - Task name
+ * @returns {Object} LLM provider
+ */
+const getProvider = (task) => {
+  if (taskOverrides[task]) return taskOverrides[task];
+
+  const { provider } = getTaskConfig(task);
+  if (!providers[provider]) {
+    providers[provider] = createProvider(provider);
+  }
+  return providers[provider];
+};
+
+/**
+ * Check whether a task has a usable provider (for features that can run without an LLM)
+ * @param {string} task - Task name
+ * @returns {boolean} False when the provider is `none` or OpenAI has no API key
+ */
+const isConfigured = (task) => {
+  if (taskOverrides[task]) return true;
+
+  const { provider } = getTaskConfig(task);
+  if (provider === 'none') return false;
+  if (provider === 'openai') return !!process.env.OPENAI_API_KEY;
+  return true;
+};
+
+/**
+ * Replace the provider for a task (e.g. with a fake provider in tests)
+ * @param {string} task - Task name
+ * @param {Object} provider - Provider implementing chat(request), or null to restore the configured one
+ */
+const setProvider = (task, provider) => {
+  if (provider) {
+    taskOverrides[task] = provider;
+  } else {
+    delete taskOverrides[task];
+  }
+};
+
+/**
+ * Run a chat completion for a task
+ * @param {string} task - Task name (see TASKS)
+ * @param {Object} request - Request { messages, temperature, maxTokens, responseFormat, model }
+ * @returns {Promise<Object>} Completion { content, model, provider, usage }
+ */
+const complete = async (task, { messages, temperature = 0.2, maxTokens = 1500, responseFormat, model } = {}) => {
+  const config = getTaskConfig(task);
+  const provider = getProvider(task);
+  const requestModel = model || config.model;
+
+  logInfo('Making LLM request', { task, provider: provider.name, model: requestModel });
+
+  try {
+    const result = await provider.chat({
+      task,
+      model: requestModel,
+      messages,
+      temperature,
+      maxTokens,
+      responseFormat
+    });
+
+    return {
+      ...result,
+      provider: provider.name
+    };
+  } catch (error) {
+    logError('LLM request failed', {
+      task,
+      provider: provider.name,
+      model: requestModel,
+      status: error.status || error.response?.status,
+      message: error.message
+    });
+    throw error;
+  }
+};
+
+/**
+ * Run a chat completion that must return a JSON object
+ * @param {string} task - Task name (see TASKS)
+ * @param {Object} request - Request (see complete)
+ * @returns {Promise<Object>} { data: parsed JSON, completion }
+ * @throws {Error} If the response is not valid JSON
+ */
+const completeJson = async (task, request) => {
+  const completion = await complete(task, {
+    ...request,
+    responseFormat: { type: 'json_object' }
+  });
+
+  try {
+    return {
+      data: JSON.parse(completion.content),
+      completion
+    };
+  } catch (parseError) {
+    logError('Error parsing LLM response', {
+      task,
+      provider: completion.provider,
+      error: parseError.message,
+      content: completion.content
+    });
+    const error = new Error(`Invalid JSON response from ${completion.provider} (${task})`);
+    error.content = completion.content;
+    throw error;
+  }
+};
+
+/**
+ * Describe the configured provider and model for every task (for diagnostics)
+ * @returns {Object} Map of task -> { provider, model }
+ */
+const describeTasks = () => Object.values(TASKS).reduce((tasks, task) => {
+  const { provider, model } = getTaskConfig(task);
+  tasks[task] = {
+    provider: taskOverrides[task]?.name || provider,
+    model
+  };
+  return tasks;
+}, {});
+
+module.exports = {
+  TASKS,
+  complete,
+  completeJson,
+  getTaskConfig,
+  getProvider,
+  setProvider,
+  isConfigured,
+  describeTasks
+};
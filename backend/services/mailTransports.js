@@ -0,0 +1,120 @@
+// services/mailTransports.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DATA_DIR } = require('../utils/fileStore');
+const { logInfo } = require('../utils/logger');
+
+/**
+ * Mail transports
+ *
+ * Every transport exposes the same shape:
+ *   { name, send(message) => Promise<{ messageId }> }
+ * where message is { from, to, subject, text, html }.
+ *
+ * Select one with MAIL_TRANSPORT=smtp|outbox|memory (defaults to outbox).
+ */
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} options - SMTP settings (defaults read from SMTP_* env vars)
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT || '587', 10),
+    secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: (options.user || process.env.SMTP_USER) ? {
+      user: options.user || process.env.SMTP_USER,
+      pass: options.pass || process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Outbox transport - writes each message to a file for local development
+ * @param {Object} options - Transport options
+ * @param {string} options.dir - Directory to write messages to
+ * @returns {Object} Transport
+ */
+const createOutboxTransport = ({ dir = process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox') } = {}) => {
+  let counter = 0;
+
+  return {
+    name: 'outbox',
+    dir,
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      counter += 1;
+      const messageId = `outbox-${Date.now()}-${counter}`;
+      const filePath = path.join(dir, `${messageId}.json`);
+
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        messageId,
+        createdAt: new Date().toISOString(),
+        ...message
+      }, null, 2));
+
+      logInfo('Email written to outbox', { to: message.to, file: filePath });
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * In-memory transport - keeps sent messages in an array (for tests)
+ * @returns {Object} Transport with a `sent` array and `clear()` helper
+ */
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      const messageId = `memory-${sent.length + 1}`;
+      sent.push({ messageId, ...message });
+      return { messageId };
+    },
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+  memory: createMemoryTransport
+};
+
+/**
+ * Create a transport by name
+ * @param {string} type - Transport type (smtp, outbox, memory)
+ * @param {Object} options - Transport-specific options
+ * @returns {Object} Transport
+ */
+const createTransport = (type, options) => {
+  const factory = transportFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,275 @@
+// services/metricsService.js
+const { createTimeSeriesStore } = require('../utils/timeSeriesStore');
+const pricingEngine = require('./pricingEngine');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Measurement and performance metrics
+ *
+ * Three series are kept: roof size discrepancies between backend and frontend
+ * measurements, API timings, and other client events (e.g. missing endpoints).
+ *
+ * Configuration:
+ *   METRICS_RETENTION_DAYS - Days of metrics to keep (default 90)
+ */
+
+const RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS || '90', 10);
+const DEFAULT_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer = null;
+
+const series = {
+  discrepancies: createTimeSeriesStore('discrepancies'),
+  timings: createTimeSeriesStore('timings'),
+  events: createTimeSeriesStore('events')
+};
+
+const round = (value, digits = 1) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+/**
+ * Group endpoint URLs that differ only by ids or query strings
+ * @param {string} endpoint - Request URL or path
+ * @returns {string} Normalized endpoint (e.g. /api/estimates/:reference)
+ */
+const normalizeEndpoint = (endpoint) => String(endpoint || 'unknown')
+  .replace(/^https?:\/\/[^/]+/, '')
+  .split('?')[0]
+  .replace(/\/EST-[\w-]+/g, '/:reference')
+  .replace(/\/\d+(?=\/|$)/g, '/:id');
+
+/**
+ * Resolve a query window, defaulting to the last 30 days
+ * A date-only `to` (YYYY-MM-DD) includes that whole day.
+ * @param {Object} range - { from, to } as dates or date strings
+ * @returns {Object} { from: Date, to: Date }
+ */
+const resolveRange = ({ from, to } = {}) => {
+  let end = to ? new Date(to) : new Date();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to || '')) end = new Date(end.getTime() + DAY_MS - 1);
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+  return { from: start, to: end };
+};
+
+/**
+ * Record a backend/frontend roof size discrepancy
+ * Ratio and percent difference are computed here rather than trusted from the client.
+ * @param {Object} data - { backendSize, frontendSize, method, state, address, timestamp }
+ * @returns {Promise<Object|null>} Stored point, or null if the sizes are unusable
+ */
+const recordDiscrepancy = async (data) => {
+  const backendSize = parseFloat(data.backendSize);
+  const frontendSize = parseFloat(data.frontendSize);
+  if (!(backendSize > 0) || !(frontendSize > 0)) return null;
+
+  const state = data.state ? data.state.toString().trim().toUpperCase() : null;
+  const region = pricingEngine.getRegionForState(state);
+
+  return series.discrepancies.append({
+    timestamp: data.timestamp,
+    backendSize,
+    frontendSize,
+    ratio: round(frontendSize / backendSize, 3),
+    percentDiff: round(Math.abs(frontendSize - backendSize) / backendSize * 100, 2),
+    method: data.method || 'unknown',
+    state,
+    region: region ? region.id : 'unknown',
+    address: data.address ? String(data.address).substring(0, 40) : null
+  });
+};
+
+/**
+ * Record an API timing
+ * @param {Object} data - { endpoint, duration, status, method, timestamp }
+ * @returns {Promise<Object|null>} Stored point, or null if the duration is unusable
+ */
+const recordTiming = async (data) => {
+  const duration = parseFloat(data.duration);
+  if (!Number.isFinite(duration) || duration < 0) return null;
+
+  return series.timings.append({
+    timestamp: data.timestamp,
+    endpoint: normalizeEndpoint(data.endpoint),
+    httpMethod: data.method ? String(data.method).toUpperCase() : null,
+    status: data.status ? parseInt(data.status, 10) : null,
+    duration
+  });
+};
+
+/**
+ * Record any other client event
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Stored point
+ */
+const recordEvent = (type, data = {}) => {
+  const { timestamp, ...details } = data;
+  return series.events.append({ timestamp, type: type || 'unknown', ...details });
+};
+
+/**
+ * Summarize discrepancy points
+ * @param {Array<Object>} points - Discrepancy points
+ * @returns {Object} { count, meanPercentDiff, medianPercentDiff, p95PercentDiff, meanRatio }
+ */
+const summarizeDiscrepancies = (points) => {
+  const diffs = points.map(point => point.percentDiff).sort((a, b) => a - b);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    count: points.length,
+    meanPercentDiff: points.length ? round(sum(diffs) / points.length) : null,
+    medianPercentDiff: percentile(diffs, 50),
+    p95PercentDiff: percentile(diffs, 95),
+    meanRatio: points.length ? round(sum(points.map(point => point.ratio)) / points.length, 3) : null
+  };
+};
+
+/**
+ * Group points by a key and summarize each group
+ * @param {Array<Object>} points - Points
+ * @param {Function} keyOf - Point -> group key
+ * @returns {Object} Map of key -> summary
+ */
+const groupBy = (points, keyOf) => {
+  const groups = {};
+  points.forEach(point => {
+    const key = keyOf(point);
+    (groups[key] = groups[key] || []).push(point);
+  });
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarizeDiscrepancies(group)]));
+};
+
+/**
+ * Query discrepancies with aggregates by method, region and day
+ * The daily trend shows whether backend and frontend sizes are converging.
+ * @param {Object} query - { from, to, state, region, method }
+ * @returns {Promise<Object>} { from, to, filters, summary, byMethod, byRegion, daily }
+ */
+const queryDiscrepancies = async (query = {}) => {
+  const { from, to } = resolveRange(query);
+  const state = query.state ? query.state.toString().trim().toUpperCase() : null;
+
+  const points = await series.discrepancies.query({
+    from,
+    to,
+    filter: point => (!state || point.state === state) &&
+      (!query.region || point.region === query.region) &&
+      (!query.method || point.method === query.method)
+  });
+
+  const daily = groupBy(points, point => point.timestamp.slice(0, 10));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    filters: { state, region: query.region || null, method: query.method || null },
+    summary: summarizeDiscrepancies(points),
+    byMethod: groupBy(points, point => point.method),
+    byRegion: groupBy(points, point => point.region),
+    daily: Object.entries(daily).map(([date, summary]) => ({ date, ...summary }))
+  };
+};
+
+/**
+ * Summarize API timings per endpoint
+ * @param {Object} query - { from, to, endpoint }
+ * @returns {Promise<Object>} { from, to, count, endpoints: [{ endpoint, count, p50, p95, max, mean }] }
+ */
+const summarizeTimings = async (query = {}) => {
+  const { from, to } = resolveRange(query);
+  const endpointFilter = query.endpoint ? normalizeEndpoint(query.endpoint) : null;
+
+  const points = await series.timings.query({
+    from,
+    to,
+    filter: point => !endpointFilter || point.endpoint === endpointFilter
+  });
+
+  const byEndpoint = {};
+  points.forEach(point => {
+    (byEndpoint[point.endpoint] = byEndpoint[point.endpoint] || []).push(point.duration);
+  });
+
+  const endpoints = Object.entries(byEndpoint)
+    .map(([endpoint, durations]) => {
+      const sorted = durations.sort((a, b) => a - b);
+      return {
+        endpoint,
+        count: sorted.length,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1],
+        mean: round(sorted.reduce((total, value) => total + value, 0) / sorted.length)
+      };
+    })
+    .sort((a, b) => b.p95 - a.p95);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    count: points.length,
+    endpoints
+  };
+};
+
+/**
+ * Delete metrics older than the retention window
+ * @returns {Promise<Object>} Map of series -> day files removed
+ */
+const pruneExpired = async () => {
+  const removed = {};
+  for (const [name, store] of Object.entries(series)) {
+    try {
+      removed[name] = await store.prune(RETENTION_DAYS);
+    } catch (error) {
+      logError('Error pruning metrics', { series: name, error: error.message });
+    }
+  }
+
+  if (Object.values(removed).some(count => count > 0)) {
+    logInfo('Expired metrics pruned', { retentionDays: RETENTION_DAYS, removed });
+  }
+  return removed;
+};
+
+/**
+ * Prune expired metrics now and once a day
+ */
+const startRetention = () => {
+  if (retentionTimer) return;
+
+  const run = () => pruneExpired().catch(err => logError('Error pruning metrics', { error: err.message }));
+  run();
+  retentionTimer = setInterval(run, DAY_MS);
+
+  // Don't keep the process alive just for retention
+  retentionTimer.unref();
+};
+
+module.exports = {
+  recordDiscrepancy,
+  recordTiming,
+  recordEvent,
+  queryDiscrepancies,
+  summarizeTimings,
+  pruneExpired,
+  startRetention,
+  normalizeEndpoint,
+  percentile
+};
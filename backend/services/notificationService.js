@@ -0,0 +1,297 @@
+// services/notificationService.js
+const crypto = require('crypto');
+const { createTransport } = require('./mailTransports');
+const { renderEstimateConfirmation } = require('./emailTemplates');
+const estimateStore = require('./estimateStore');
+const { createFileStore } = require('../utils/fileStore');
+const { logInfo, logWarn, logError } = require('../utils/logger');
+
+/**
+ * Customer notifications
+ *
+ * Emails are persisted (data/notifications.json) before the first attempt, so
+ * pending retries survive restarts. A background worker retries failed sends
+ * with exponential backoff; the final outcome is recorded against the estimate.
+ *
+ * Each recipient gets at most MAIL_RECIPIENT_LIMIT emails per window, so the
+ * public submit endpoint can't be used to flood an address.
+ *
+ * Configuration:
+ *   MAIL_FROM                 - Sender address
+ *   MAIL_TRANSPORT            - smtp|outbox|memory (see mailTransports)
+ *   MAIL_MAX_ATTEMPTS         - Attempts before a notification is marked failed (default 3)
+ *   MAIL_RETRY_DELAY_MS       - Delay before the first retry, doubled each time (default 2000)
+ *   MAIL_POLL_INTERVAL_MS     - How often the worker looks for due retries (default 5000)
+ *   MAIL_RECIPIENT_LIMIT      - Emails per recipient per window (default 3)
+ *   MAIL_RECIPIENT_WINDOW_MS  - Recipient throttle window (default 1 hour)
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'RoofAI <no-reply@roofai.app>';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '3', 10);
+const RETRY_DELAY_MS = parseInt(process.env.MAIL_RETRY_DELAY_MS || '2000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.MAIL_POLL_INTERVAL_MS || '5000', 10);
+const RECIPIENT_LIMIT = parseInt(process.env.MAIL_RECIPIENT_LIMIT || '3', 10);
+const RECIPIENT_WINDOW_MS = parseInt(process.env.MAIL_RECIPIENT_WINDOW_MS || String(60 * 60 * 1000), 10);
+const MAX_LOG_ENTRIES = 1000;
+
+const store = createFileStore('notifications', { defaultValue: [] });
+
+let transport = null;
+let processing = false;
+let workerTimer = null;
+
+/**
+ * Get the active mail transport (created from MAIL_TRANSPORT on first use)
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT || 'outbox');
+    logInfo('Mail transport initialized', { transport: transport.name });
+  }
+  return transport;
+};
+
+/**
+ * Replace the active mail transport (e.g. with an in-memory transport in tests)
+ * @param {Object} newTransport - Transport implementing send(message)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const normalizeAddress = (address) => String(address || '').trim().toLowerCase();
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => RETRY_DELAY_MS * Math.pow(2, attempts - 1);
+
+/**
+ * Check whether a recipient has reached the per-recipient limit
+ * @param {Array<Object>} queue - Stored notifications
+ * @param {string} to - Recipient address
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if another email would exceed the limit
+ */
+const isThrottled = (queue, to, now) => {
+  const address = normalizeAddress(to);
+  const recent = queue.filter(notification =>
+    notification.status !== 'throttled' &&
+    normalizeAddress(notification.to) === address &&
+    now - new Date(notification.createdAt).getTime() < RECIPIENT_WINDOW_MS
+  );
+  return recent.length >= RECIPIENT_LIMIT;
+};
+
+/**
+ * Summarize a stored notification for the estimate record
+ * @param {Object} notification - Stored notification
+ * @returns {Object} Notification summary
+ */
+const toEstimateNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  channel: 'email',
+  transport: notification.transport,
+  to: notification.to,
+  status: notification.status,
+  attempts: notification.attempts,
+  messageId: notification.messageId || null,
+  error: notification.error || null,
+  lastAttemptAt: notification.updatedAt
+});
+
+/**
+ * Queue an email, unless the recipient is throttled
+ * @param {Object} message - Message { to, subject, text, html }
+ * @param {Object} meta - Notification metadata { type, reference }
+ * @returns {Promise<Object>} Stored notification (status pending or throttled)
+ */
+const queueEmail = async (message, { type, reference }) => {
+  const now = new Date();
+  const notification = {
+    id: `ntf_${crypto.randomUUID()}`,
+    type,
+    reference,
+    to: message.to,
+    message: { from: MAIL_FROM, ...message },
+    transport: getTransport().name,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now.toISOString(),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    error: null
+  };
+
+  await store.update(queue => {
+    if (isThrottled(queue, message.to, now.getTime())) {
+      // Keep the record for auditing, but never send it
+      notification.status = 'throttled';
+      notification.nextAttemptAt = null;
+      notification.message = null;
+      notification.error = 'Recipient limit reached';
+    }
+
+    queue.push(notification);
+    // Keep the log bounded - drop the oldest finished notifications first
+    while (queue.length > MAX_LOG_ENTRIES) {
+      const index = queue.findIndex(item => item.status !== 'pending');
+      if (index === -1) break;
+      queue.splice(index, 1);
+    }
+  });
+
+  return notification;
+};
+
+/**
+ * Send every pending notification that is due
+ * Finished notifications (sent or failed) are recorded against their estimate.
+ * @returns {Promise<number>} Number of notifications attempted
+ */
+const processQueue = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const queue = await store.read();
+    const due = queue.filter(notification =>
+      notification.status === 'pending' && new Date(notification.nextAttemptAt).getTime() <= now
+    );
+
+    for (const notification of due) {
+      const activeTransport = getTransport();
+      let result;
+      try {
+        const { messageId } = await activeTransport.send(notification.message);
+        result = { ok: true, messageId };
+      } catch (error) {
+        result = { ok: false, error: error.message || 'Unknown error' };
+      }
+
+      const attemptedAt = new Date().toISOString();
+      let updated = null;
+
+      await store.update(current => {
+        const record = current.find(item => item.id === notification.id);
+        if (!record) return;
+
+        record.attempts += 1;
+        record.transport = activeTransport.name;
+        record.updatedAt = attemptedAt;
+
+        if (result.ok) {
+          record.status = 'sent';
+          record.messageId = result.messageId;
+          record.error = null;
+          record.nextAttemptAt = null;
+          // The content isn't needed once it's sent
+          record.message = null;
+        } else if (record.attempts >= MAX_ATTEMPTS) {
+          record.status = 'failed';
+          record.error = result.error;
+          record.nextAttemptAt = null;
+        } else {
+          record.error = result.error;
+          record.nextAttemptAt = new Date(Date.now() + getBackoffDelay(record.attempts)).toISOString();
+        }
+
+        updated = { ...record };
+      });
+
+      if (!updated) continue;
+
+      if (updated.status === 'pending') {
+        logWarn('Email send attempt failed', {
+          id: updated.id,
+          to: updated.to,
+          attempt: updated.attempts,
+          maxAttempts: MAX_ATTEMPTS,
+          transport: activeTransport.name,
+          error: result.error
+        });
+        continue;
+      }
+
+      if (updated.status === 'sent') {
+        logInfo('Email sent', { id: updated.id, type: updated.type, reference: updated.reference, attempts: updated.attempts });
+      } else {
+        logError('Email failed', { id: updated.id, type: updated.type, reference: updated.reference, error: updated.error });
+      }
+
+      if (updated.reference) {
+        await estimateStore.recordNotification(updated.reference, toEstimateNotification(updated));
+      }
+    }
+
+    return due.length;
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Queue the confirmation email for a submitted estimate and try to send it
+ * @param {Object} record - Stored estimate record
+ * @returns {Promise<Object>} Notification summary (see toEstimateNotification)
+ */
+const sendEstimateConfirmation = async (record) => {
+  const rendered = renderEstimateConfirmation(record);
+  const notification = await queueEmail(
+    { to: record.contact?.email, ...rendered },
+    { type: 'estimate_confirmation', reference: record.reference }
+  );
+
+  if (notification.status === 'throttled') {
+    logWarn('Estimate confirmation email throttled', { reference: record.reference, to: notification.to });
+    await estimateStore.recordNotification(record.reference, toEstimateNotification(notification));
+    return toEstimateNotification(notification);
+  }
+
+  await processQueue();
+
+  const stored = (await store.read()).find(item => item.id === notification.id);
+  return toEstimateNotification(stored || notification);
+};
+
+/**
+ * Start the background worker that retries pending notifications
+ * Also picks up notifications left pending by a previous run.
+ */
+const startWorker = () => {
+  if (workerTimer) return;
+
+  const run = () => {
+    processQueue().catch(err => logError('Error processing notification queue', { error: err.message }));
+  };
+
+  workerTimer = setInterval(run, POLL_INTERVAL_MS);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+  run();
+};
+
+/**
+ * Stop the background worker
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendEstimateConfirmation,
+  processQueue,
+  startWorker,
+  stopWorker
+};
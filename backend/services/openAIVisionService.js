@@ -1,43 +1,27 @@
 // backend/services/openAIVisionService.js
-const { OpenAI } = require('openai');
-const axios = require('axios');
+const llmService = require('./llmService');
+const imageryService = require('./imageryService');
+const roofPolygonService = require('./roofPolygonService');
+const zoomConsensusService = require('./zoomConsensusService');
+const cacheService = require('./cacheService');
+const geometry = require('@roofai/shared/geometry');
 const { logInfo, logError } = require('../utils/logger');
-const fs = require('fs');
-const path = require('path');
 
-// Initialize OpenAI with API key from environment variables
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// In-memory cache for performance optimization
-const analysisCache = {};
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-
-// File-based cache for persistence across restarts
-const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const DISK_CACHE_ENABLED = true;
-
-// Ensure cache directory exists
-if (DISK_CACHE_ENABLED) {
-  try {
-    if (!fs.existsSync(CACHE_DIR)) {
-      fs.mkdirSync(CACHE_DIR, { recursive: true });
-      logInfo('Created cache directory', { path: CACHE_DIR });
-    }
-  } catch (error) {
-    logError('Failed to create cache directory', { error: error.message });
-  }
-}
+// Analyses are cached per property for a day (see cacheService for tiers and limits)
+const analysisCache = cacheService.createCache('roofAnalysis', { ttlMs: 24 * 60 * 60 * 1000 });
 
 /**
  * Main function to analyze roof using OpenAI Vision
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Object} propertyData - Property data including size, type, stories
+ * @param {Object} options - { onProgress(stage, detail) } called as imagery is fetched,
+ *                           each zoom level is analyzed and the adjustments are applied
  * @returns {Object} - Analysis result
  */
-exports.analyzeRoof = async (lat, lng, propertyData = null) => {
+exports.analyzeRoof = async (lat, lng, propertyData = null, options = {}) => {
+  const report = progressReporter(options.onProgress);
+
   try {
     // Important: Log complete property data for debugging
     logInfo('Property data received for roof analysis', { 
@@ -49,60 +33,42 @@ exports.analyzeRoof = async (lat, lng, propertyData = null) => {
     });
 
     // Generate cache key based on coordinates and property data hash
-    const propDataHash = propertyData ? 
-      hashPropertyData(propertyData) : 'no-property-data';
-    const cacheKey = `${lat.toFixed(6)},${lng.toFixed(6)}-${propDataHash}`;
-    
-    // Check memory cache first
-    if (analysisCache[cacheKey] && 
-        analysisCache[cacheKey].timestamp > Date.now() - CACHE_TTL) {
-      logInfo('Using memory-cached roof analysis', { lat, lng, cacheAge: 'less than 24 hours' });
-      return analysisCache[cacheKey].result;
-    }
-    
-    // Check disk cache if enabled
-    if (DISK_CACHE_ENABLED) {
-      const diskCacheResult = await checkDiskCache(cacheKey);
-      if (diskCacheResult) {
-        // Store in memory cache too
-        analysisCache[cacheKey] = {
-          result: diskCacheResult,
-          timestamp: Date.now()
-        };
-        logInfo('Using disk-cached roof analysis', { lat, lng });
-        return diskCacheResult;
-      }
+    const cacheKey = analysisKey(lat, lng, propertyData);
+
+    const cachedResult = await analysisCache.get(cacheKey);
+    if (cachedResult) {
+      logInfo('Using cached roof analysis', { lat, lng });
+      report('cache_hit', { roofArea: cachedResult.roofArea, confidence: cachedResult.confidence });
+      return cachedResult;
     }
 
     // No cache hit, perform the analysis
     logInfo('Starting roof analysis with OpenAI Vision', { lat, lng });
     
     // Process multiple zoom levels
-    const result = await processMultipleZoomLevels(lat, lng, propertyData);
-    
+    const result = await processMultipleZoomLevels(lat, lng, propertyData, report);
+
     // Apply industry standard adjustments
     const adjustedResult = adjustToIndustryStandards(result, propertyData);
-    
+
     // Cross-validate with property data and adjust if necessary
     let finalResult = crossValidateWithPropertyData(adjustedResult, propertyData);
+
+    report('adjustments_applied', {
+      measuredArea: result.roofArea,
+      roofArea: finalResult.roofArea,
+      confidence: finalResult.confidence,
+      method: finalResult.method
+    });
     
-    // Store in memory cache
-    analysisCache[cacheKey] = {
-      result: finalResult,
-      timestamp: Date.now()
-    };
-    
-    // Store in disk cache if enabled
-    if (DISK_CACHE_ENABLED) {
-      saveToDiskCache(cacheKey, finalResult).catch(err => {
-        logError('Failed to save to disk cache', { error: err.message });
-      });
-    }
+    // Cached in the background - a slow or unavailable tier must not delay the result
+    analysisCache.set(cacheKey, finalResult, { meta: { lat, lng } }).catch(err => {
+      logError('Failed to cache roof analysis', { error: err.message });
+    });
     
     logInfo('OpenAI Vision analysis completed', { 
       confidence: finalResult.confidence,
-      roofArea: finalResult.roofArea,
-      cacheSaved: true
+      roofArea: finalResult.roofArea
     });
     
     return finalResult;
@@ -115,34 +81,146 @@ exports.analyzeRoof = async (lat, lng, propertyData = null) => {
     // Try property-based calculation as fallback
     if (propertyData && propertyData.buildingSize) {
       logInfo('Falling back to property data calculation after vision error');
-      return calculateRoofSizeFromProperty(propertyData, lat, lng);
+      const fallback = replaceWithPropertyCalculation(
+        { roofArea: null, rawVisionArea: null, adjustments: [] },
+        propertyData, lat, lng,
+        `Vision analysis failed (${error.message})`
+      );
+      report('adjustments_applied', {
+        measuredArea: null,
+        roofArea: fallback.roofArea,
+        confidence: fallback.confidence,
+        method: fallback.method
+      });
+      return fallback;
     }
-    
+
     // Last resort fallback
     throw error;
   }
 };
 
+/**
+ * Analyze a roof and pick the result to present, falling back to the property
+ * data calculation when the vision result has low confidence or fails
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} propertyData - Property data including size, type, stories
+ * @param {Object} options - { onProgress } passed to analyzeRoof
+ * @returns {Promise<Object>} { message, data } where data is the analysis or
+ *                            { visionAnalysis, propertyBasedCalculation, recommended }
+ */
+exports.analyzeRoofWithFallback = async (lat, lng, propertyData = null, options = {}) => {
+  try {
+    const analysisResult = await exports.analyzeRoof(lat, lng, propertyData, options);
+
+    // If confidence is high or medium, return the vision result
+    if (analysisResult.confidence === "high" || analysisResult.confidence === "medium") {
+      return { message: 'Roof analysis completed successfully', data: analysisResult };
+    }
+
+    // If confidence is low, try property-based calculation
+    logInfo('Vision analysis has low confidence, trying property-based calculation');
+
+    if (propertyData && propertyData.buildingSize) {
+      const propertyBasedResult = replaceWithPropertyCalculation(
+        analysisResult, propertyData, lat, lng,
+        'Vision analysis had low confidence'
+      );
+
+      if (propertyBasedResult) {
+        logInfo('Property-based calculation completed', {
+          roofArea: propertyBasedResult.roofArea
+        });
+
+        // Return both results, but recommend the property-based one
+        return {
+          message: 'Roof analysis completed with fallback',
+          data: {
+            visionAnalysis: analysisResult,
+            propertyBasedCalculation: propertyBasedResult,
+            recommended: propertyBasedResult
+          }
+        };
+      }
+    }
+
+    // If property-based calculation failed or wasn't possible, return vision result anyway
+    return { message: 'Roof analysis completed with low confidence', data: analysisResult };
+  } catch (visionError) {
+    logError('OpenAI Vision analysis failed', { error: visionError.message });
+
+    // Try property-based calculation as fallback
+    if (propertyData && propertyData.buildingSize) {
+      const propertyBasedResult = replaceWithPropertyCalculation(
+        { roofArea: null, rawVisionArea: null, adjustments: [] },
+        propertyData, lat, lng,
+        `Vision analysis failed (${visionError.message})`
+      );
+
+      if (propertyBasedResult) {
+        logInfo('Fallback to property-based calculation successful');
+        return { message: 'Roof analysis completed using property data', data: propertyBasedResult };
+      }
+    }
+
+    // If all else fails, rethrow
+    throw visionError;
+  }
+};
+
+/**
+ * Key identifying an analysis: the coordinates and the property data that shapes it
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} propertyData - Property data
+ * @returns {string} Cache and job deduplication key
+ */
+function analysisKey(lat, lng, propertyData) {
+  const propDataHash = propertyData ?
+    hashPropertyData(propertyData) : 'no-property-data';
+  return `${lat.toFixed(6)},${lng.toFixed(6)}-${propDataHash}`;
+}
+
+exports.analysisKey = analysisKey;
+
+/**
+ * Wrap a progress callback so a failing listener can't break the analysis
+ * @param {Function} onProgress - Optional (stage, detail) callback
+ * @returns {Function} Reporter
+ */
+function progressReporter(onProgress) {
+  return (stage, detail = {}) => {
+    if (typeof onProgress !== 'function') return;
+    try {
+      onProgress(stage, detail);
+    } catch (error) {
+      logError('Roof analysis progress listener failed', { stage, error: error.message });
+    }
+  };
+}
+
 /**
  * Process multiple zoom levels in parallel
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Object} propertyData - Property data
+ * @param {Function} report - Progress reporter (see progressReporter)
  */
-async function processMultipleZoomLevels(lat, lng, propertyData) {
+async function processMultipleZoomLevels(lat, lng, propertyData, report = () => {}) {
   // Define zoom levels to try - order by most likely to succeed
   const zoomLevels = [21, 20, 19];
   
   try {
     // Process all zoom levels in parallel for speed
     const zoomPromises = zoomLevels.map(zoom => 
-      processZoomLevel(lat, lng, zoom, propertyData).catch(error => {
+      processZoomLevel(lat, lng, zoom, propertyData, report).catch(error => {
         logError(`Error processing zoom level ${zoom}`, { error: error.message });
+        report('zoom_analyzed', { zoom, success: false, error: error.message });
         return {
           zoom,
           success: false,
-          error: error.message,
-          confidence: 0
+          error: error.message
         };
       })
     );
@@ -150,30 +228,23 @@ async function processMultipleZoomLevels(lat, lng, propertyData) {
     // Wait for all zoom levels to process
     const results = await Promise.all(zoomPromises);
     
-    // Filter successful results and sort by confidence
-    const successfulResults = results
-      .filter(result => result.success)
-      .sort((a, b) => {
-        // First by confidence
-        if (b.confidence !== a.confidence) {
-          return b.confidence - a.confidence;
-        }
-        // Then by area (prefer non-zero areas)
-        if ((a.analysis.roofArea === 0) !== (b.analysis.roofArea === 0)) {
-          return a.analysis.roofArea === 0 ? 1 : -1;
-        }
-        // Then by zoom level (prefer higher zoom)
-        return b.zoom - a.zoom;
-      });
+    // Combine the zoom levels: drop outliers, weight the rest, lower confidence on disagreement
+    const { analysis, consensus } = zoomConsensusService.buildConsensus(results);
     
-    // If we have successful results, use the best one
-    if (successfulResults.length > 0) {
-      const best = successfulResults[0];
-      logInfo(`Using best result from zoom level ${best.zoom} with confidence ${best.analysis.confidence} = ${best.confidence}`);
+    if (analysis) {
+      logInfo('Zoom level consensus', {
+        roofArea: consensus.roofArea,
+        zoomsUsed: consensus.zoomsUsed,
+        spread: consensus.spread.relative,
+        confidence: consensus.confidence
+      });
       
       return {
         success: true,
-        ...best.analysis,
+        ...analysis,
+        consensus,
+        rawVisionArea: analysis.roofArea,
+        adjustments: [],
         method: "openai_vision"
       };
     }
@@ -186,8 +257,12 @@ async function processMultipleZoomLevels(lat, lng, propertyData) {
       confidence: "low",
       roofShape: "unknown",
       roofPolygon: [],
+      areaCheck: { status: "unavailable", reason: "No zoom level produced a roof outline" },
       estimatedPitch: "unknown",
       notes: "Unable to analyze roof from satellite imagery at any zoom level.",
+      consensus,
+      rawVisionArea: 0,
+      adjustments: [],
       method: "openai_vision"
     };
   } catch (error) {
@@ -202,38 +277,50 @@ async function processMultipleZoomLevels(lat, lng, propertyData) {
  * @param {number} lng - Longitude
  * @param {number} zoom - Zoom level
  * @param {Object} propertyData - Property data
+ * @param {Function} report - Progress reporter (see progressReporter)
  */
-async function processZoomLevel(lat, lng, zoom, propertyData) {
+async function processZoomLevel(lat, lng, zoom, propertyData, report = () => {}) {
   try {
-    // Get satellite image for this zoom level
-    const imageUrl = `https://maps.googleapis.com/maps/api/staticmap?center=${lat},${lng}`+
-      `&zoom=${zoom}&size=640x640&scale=2&maptype=satellite`+
-      `&format=png&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-      
-    const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    const imageBase64 = Buffer.from(response.data, 'binary').toString('base64');
+    // Get aerial imagery for this zoom level from the configured provider
+    const imagery = await imageryService.getImage({ lat, lng, zoom });
+    report('imagery_fetched', {
+      zoom,
+      provider: imagery.metadata.provider,
+      metersPerPixel: imagery.metadata.metersPerPixel
+    });
+        
+    // Analyze with the configured vision model
+    const analysis = await analyzeImageWithVisionModel(imagery, lat, lng, propertyData);
     
-    // Analyze with OpenAI
-    const analysis = await analyzeImageWithOpenAI(imageBase64, lat, lng, propertyData);
+    // Keep the imagery metadata (resolution, bounds, georeference) with the analysis
+    analysis.imagery = imagery.metadata;
     
-    // Convert confidence to number for sorting
-    const confidenceValue = confidenceToNumber(analysis.confidence);
+    // Place the pixel outline on the map and check it against the stated area
+    Object.assign(analysis, roofPolygonService.evaluateRoofPolygon(analysis, imagery.metadata));
     
     logInfo(`Analysis at zoom level ${zoom}`, { 
       confidence: analysis.confidence,
-      roofArea: analysis.roofArea
+      roofArea: analysis.roofArea,
+      areaCheck: analysis.areaCheck.status
     });
     
     // If we get high confidence, log it
     if (analysis.confidence === 'high') {
       logInfo(`Found high confidence result at zoom level ${zoom}`);
     }
-    
+
+    report('zoom_analyzed', {
+      zoom,
+      success: true,
+      roofArea: analysis.roofArea,
+      confidence: analysis.confidence,
+      areaCheck: analysis.areaCheck.status
+    });
+        
     return {
       zoom,
       success: true,
-      analysis,
-      confidence: confidenceValue
+      analysis
     };
   } catch (error) {
     logError(`Error processing zoom level ${zoom}`, { error: error.message });
@@ -242,13 +329,13 @@ async function processZoomLevel(lat, lng, zoom, propertyData) {
 }
 
 /**
- * Analyze satellite imagery using OpenAI Vision with enhanced industry standards
- * @param {string} imageBase64 - Base64 encoded image
+ * Analyze aerial imagery with the configured vision model using enhanced industry standards
+ * @param {Object} imagery - Imagery from imageryService (buffer, mimeType, metadata)
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Object} propertyData - Property data
  */
-async function analyzeImageWithOpenAI(imageBase64, lat, lng, propertyData) {
+async function analyzeImageWithVisionModel(imagery, lat, lng, propertyData) {
   try {
     // Create a detailed property info string that includes all available data
     let propertyInfo = 'No property data available.';
@@ -272,11 +359,10 @@ async function analyzeImageWithOpenAI(imageBase64, lat, lng, propertyData) {
     }
     
     // Log the prompt property info for debugging
-    logInfo('OpenAI prompt property info', { propertyInfo });
+    logInfo('Vision prompt property info', { propertyInfo });
     
-    // Create the OpenAI request with enhanced system prompt for industry standards
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    // Create the vision request with enhanced system prompt for industry standards
+    const { data: analysisResult } = await llmService.completeJson(llmService.TASKS.VISION, {
       messages: [
         {
           role: "system",
@@ -309,7 +395,9 @@ If you're uncertain about a measurement, err on the conservative side used by co
           content: [
             {
               type: "text",
-              text: `Analyze this satellite image of a property at coordinates ${lat}, ${lng}.
+              text: `Analyze this aerial image of a property at coordinates ${lat}, ${lng}.
+
+${imageryService.describeForPrompt(imagery.metadata)}
 
 ${propertyInfo}
 
@@ -326,7 +414,7 @@ Provide your analysis in JSON format with these fields:
   "roofArea": number (in square feet, TOTAL SURFACE AREA including all pitch factors),
   "confidence": "high" | "medium" | "low",
   "roofShape": "simple" | "complex" | "unknown",
-  "roofPolygon": array of {lat, lng} points outlining the roof,
+  "roofPolygon": array of {x, y} image pixel coordinates tracing the roof outline in order (origin at the top-left corner, x to the right, y down),
   "estimatedPitch": "flat" | "low" | "moderate" | "steep" | "unknown",
   "notes": string with your reasoning,
   "includedFeaturesInArea": ["main roof", "garage", "dormers", "overhangs", etc]
@@ -335,41 +423,29 @@ Provide your analysis in JSON format with these fields:
             {
               type: "image_url",
               image_url: {
-                url: `data:image/png;base64,${imageBase64}`
+                url: imageryService.toDataUrl(imagery)
               }
             }
           ]
         }
       ],
-      max_tokens: 1500,
-      temperature: 0.2,
-      response_format: { type: "json_object" }
+      maxTokens: 1500,
+      temperature: 0.2
     });
     
-    try {
-      // Parse the JSON response and clean up the result
-      const analysisResult = JSON.parse(response.choices[0].message.content);
-      
-      // Ensure roofPolygon exists
-      if (!analysisResult.roofPolygon || !Array.isArray(analysisResult.roofPolygon)) {
-        analysisResult.roofPolygon = [];
-      }
-      
-      // Normalize includedFeaturesInArea as an array
-      if (!analysisResult.includedFeaturesInArea) {
-        analysisResult.includedFeaturesInArea = [];
-      }
-      
-      return analysisResult;
-    } catch (parseError) {
-      logError('Error parsing OpenAI response', { 
-        error: parseError.message, 
-        rawResponse: response.choices[0].message.content
-      });
-      throw new Error('Invalid response format from OpenAI');
+    // Ensure roofPolygon exists
+    if (!analysisResult.roofPolygon || !Array.isArray(analysisResult.roofPolygon)) {
+      analysisResult.roofPolygon = [];
     }
+    
+    // Normalize includedFeaturesInArea as an array
+    if (!analysisResult.includedFeaturesInArea) {
+      analysisResult.includedFeaturesInArea = [];
+    }
+    
+    return analysisResult;
   } catch (error) {
-    logError("Error analyzing image with OpenAI", { error: error.message });
+    logError("Error analyzing image with vision model", { error: error.message });
     throw error;
   }
 }
@@ -423,12 +499,17 @@ function adjustToIndustryStandards(visionResult, propertyData) {
         reason: 'Below industry minimum'
       });
       
-      return {
+      return recordAdjustment({
         ...visionResult,
-        roofArea: minIndustryStandard,
-        notes: (visionResult.notes || '') + 
+        notes: (visionResult.notes || '') +
                ' Adjusted to meet industry standards for roofing contractors.'
-      };
+      }, {
+        step: 'industry_standards',
+        after: minIndustryStandard,
+        factor: Math.round(minIndustryFactor * 100) / 100,
+        reason: `Below the industry minimum of ${Math.round(minIndustryFactor * 100) / 100}x the ${footprint} sq ft footprint` +
+                ` (${visionResult.estimatedPitch || 'unknown'} pitch${visionResult.roofShape === 'complex' ? ', complex shape' : ''})`
+      });
     }
     
     return visionResult; // Already meets industry standards
@@ -480,36 +561,46 @@ function crossValidateWithPropertyData(visionResult, propertyData) {
     if (visionResult.roofArea === 0) {
       // Vision failed to detect roof
       logInfo('Vision analysis failed to detect roof, using property-based calculation');
-      return calculateRoofSizeFromProperty(propertyData, null, null);
+      return replaceWithPropertyCalculation(visionResult, propertyData, null, null,
+        'Vision analysis did not detect a roof');
     } else if (visionResult.roofArea < minExpected) {
       // Vision result is below expected minimum
       logInfo('Vision result below expected minimum, adjusting upward');
       
       // If confidence was already low, use property calculation
       if (visionResult.confidence === 'low') {
-        return calculateRoofSizeFromProperty(propertyData, null, null);
+        return replaceWithPropertyCalculation(visionResult, propertyData, null, null,
+          `Low confidence vision area is below the expected minimum of ${minExpected} sq ft`);
       }
       
       // Otherwise adjust the vision result upward
-      const adjustedResult = {
+      const adjustedResult = recordAdjustment({
         ...visionResult,
-        roofArea: minExpected,
-        notes: (visionResult.notes || "") + 
+        notes: (visionResult.notes || "") +
                ` Adjusted upward (from ${visionResult.roofArea} sq ft) to meet expected minimum for this property type.`
-      };
+      }, {
+        step: 'cross_validation',
+        after: minExpected,
+        factor: isSingleFamily ? 1 : 0.9,
+        reason: `Below the expected minimum for a ${expectedFootprint} sq ft footprint ${isSingleFamily ? 'single family home' : 'building'}`
+      });
       
       return adjustedResult;
     } else if (visionResult.roofArea > maxExpected && visionResult.confidence !== 'high') {
       // Vision result is above expected maximum and not high confidence
       logInfo('Vision result above expected maximum and not high confidence, adjusting downward');
       
-      const adjustedResult = {
+      const adjustedResult = recordAdjustment({
         ...visionResult,
-        roofArea: maxExpected,
         confidence: 'medium',
-        notes: (visionResult.notes || "") + 
+        notes: (visionResult.notes || "") +
                ` Adjusted downward (from ${visionResult.roofArea} sq ft) to meet expected maximum for this property type.`
-      };
+      }, {
+        step: 'cross_validation',
+        after: maxExpected,
+        factor: isSingleFamily ? 1.8 : 1.5,
+        reason: `Above the expected maximum for a ${expectedFootprint} sq ft footprint ${isSingleFamily ? 'single family home' : 'building'} without high confidence`
+      });
       
       return adjustedResult;
     }
@@ -541,7 +632,9 @@ function calculateRoofSizeFromProperty(propertyData, lat, lng) {
       roofPolygon: lat && lng ? generateSimpleRoofPolygon(lat, lng, 2500) : [],
       estimatedPitch: "moderate",
       method: "default_fallback",
-      notes: "Used default values due to insufficient property data."
+      notes: "Used default values due to insufficient property data.",
+      rawVisionArea: null,
+      adjustments: []
     };
   }
   
@@ -605,10 +698,60 @@ function calculateRoofSizeFromProperty(propertyData, lat, lng) {
     estimatedPitch: pitchDescription,
     method: "property_data_calculation",
     notes: `Calculated from ${buildingSize} sq ft ${stories}-story ${propertyData.propertyType || 'building'} using industry standard measurements.`,
-    includedFeaturesInArea: ["main roof", "overhangs"]
+    includedFeaturesInArea: ["main roof", "overhangs"],
+    rawVisionArea: null,
+    adjustments: []
   };
 }
 
+/**
+ * Record a change to the roof area in the result's adjustments
+ * @param {Object} result - Analysis result before the change
+ * @param {Object} adjustment - { step, after, factor, reason }; factor is the
+ *                              footprint multiplier the rule applied
+ * @returns {Object} - Result with the new roofArea and the adjustment appended
+ */
+function recordAdjustment(result, { step, after, factor, reason }) {
+  return {
+    ...result,
+    roofArea: after,
+    adjustments: [
+      ...(result.adjustments || []),
+      { step, before: result.roofArea ?? null, after, factor, reason }
+    ]
+  };
+}
+
+/**
+ * Replace a vision result with the property data calculation, keeping its provenance
+ * (adjustments, and the per-zoom consensus, area check and imagery when there are any)
+ * @param {Object} visionResult - Vision result being replaced (roofArea null if there was none)
+ * @param {Object} propertyData - Property data
+ * @param {number} lat - Latitude (optional)
+ * @param {number} lng - Longitude (optional)
+ * @param {string} reason - Why the vision result was replaced
+ * @returns {Object} - Property based result
+ */
+function replaceWithPropertyCalculation(visionResult, propertyData, lat, lng, reason) {
+  const calculated = calculateRoofSizeFromProperty(propertyData, lat, lng);
+  const footprint = propertyData.buildingSize / (propertyData.stories || 1);
+
+  return recordAdjustment({
+    ...calculated,
+    roofArea: visionResult.roofArea,
+    rawVisionArea: visionResult.rawVisionArea ?? null,
+    adjustments: visionResult.adjustments || [],
+    ...(visionResult.consensus && { consensus: visionResult.consensus }),
+    ...(visionResult.areaCheck && { areaCheck: visionResult.areaCheck }),
+    ...(visionResult.imagery && { imagery: visionResult.imagery })
+  }, {
+    step: 'property_calculation',
+    after: calculated.roofArea,
+    factor: Math.round((calculated.roofArea / footprint) * 100) / 100,
+    reason
+  });
+}
+
 /**
  * Generate a simple rectangular roof polygon
  * @param {number} lat - Latitude
@@ -617,47 +760,8 @@ function calculateRoofSizeFromProperty(propertyData, lat, lng) {
  * @returns {Array} - Array of lat/lng points
  */
 function generateSimpleRoofPolygon(lat, lng, size) {
-  // Basic square conversion - 1 sq foot = 0.092903 sq meters
-  const sqMeters = size * 0.092903;
-  
-  // Apply scale correction for visual representation
-  const adjustedSqMeters = sqMeters * 0.5;
-  
-  // Calculate dimensions assuming a rectangle with 1.5:1 aspect ratio
-  const aspectRatio = 1.5;
-  const width = Math.sqrt(adjustedSqMeters / aspectRatio);
-  const length = width * aspectRatio;
-  
-  // Convert to degrees (rough approximation)
-  // 1 degree lat = ~111km, 1 degree lng varies with latitude
-  const latDegPerMeter = 1 / 111000;
-  const lngDegPerMeter = 1 / (111000 * Math.cos(lat * Math.PI / 180));
-  
-  const latOffset = length * latDegPerMeter / 2;
-  const lngOffset = width * lngDegPerMeter / 2;
-  
-  // Create rectangle coordinates with closing point
-  return [
-    { lat: lat - latOffset, lng: lng - lngOffset },
-    { lat: lat - latOffset, lng: lng + lngOffset },
-    { lat: lat + latOffset, lng: lng + lngOffset },
-    { lat: lat + latOffset, lng: lng - lngOffset },
-    { lat: lat - latOffset, lng: lng - lngOffset } // Close the polygon
-  ];
-}
-
-/**
- * Convert confidence level to numeric value for sorting
- * @param {string} confidence - Confidence level (high, medium, low)
- * @returns {number} - Numeric confidence value
- */
-function confidenceToNumber(confidence) {
-  switch (confidence) {
-    case 'high': return 3;
-    case 'medium': return 2;
-    case 'low': return 1;
-    default: return 0;
-  }
+  // A 1.5:1 rectangle with the roof area (closed, as stored)
+  return geometry.closeRing(geometry.rectangle({ lat, lng }, size, 1.5));
 }
 
 /**
@@ -677,53 +781,3 @@ function hashPropertyData(propertyData) {
   return `${relevant.type}-${relevant.size}-${relevant.stories}`;
 }
 
-/**
- * Check disk cache for an entry
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} - Cached result or null
- */
-async function checkDiskCache(cacheKey) {
-  if (!DISK_CACHE_ENABLED) return null;
-  
-  try {
-    const cacheFile = path.join(CACHE_DIR, `${encodeURIComponent(cacheKey)}.json`);
-    
-    if (!fs.existsSync(cacheFile)) {
-      return null;
-    }
-    
-    const cacheData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-    
-    // Check if cache has expired
-    if (cacheData.timestamp && (Date.now() - cacheData.timestamp) > CACHE_TTL) {
-      return null;
-    }
-    
-    return cacheData.result;
-  } catch (error) {
-    logError('Error checking disk cache', { error: error.message });
-    return null;
-  }
-}
-
-/**
- * Save result to disk cache
- * @param {string} cacheKey - Cache key
- * @param {Object} result - Result to cache
- */
-async function saveToDiskCache(cacheKey, result) {
-  if (!DISK_CACHE_ENABLED) return;
-  
-  try {
-    const cacheFile = path.join(CACHE_DIR, `${encodeURIComponent(cacheKey)}.json`);
-    
-    const cacheData = {
-      timestamp: Date.now(),
-      result
-    };
-    
-    fs.writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2));
-  } catch (error) {
-    logError('Error saving to disk cache', { error: error.message });
-  }
-}
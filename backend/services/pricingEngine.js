@@ -0,0 +1,465 @@
+// services/pricingEngine.js
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const materialCatalog = require('@roofai/shared/materialCatalog');
+const { logInfo } = require('../utils/logger');
+
+/**
+ * Pricing engine
+ *
+ * All pricing inputs (material base prices, regional/steepness/timeline/building
+ * factors, price caps and the cost breakdown split) come from a versioned pricing
+ * file instead of code, so contractors can price differently without forking.
+ *
+ * The file defaults to config/pricing.json and can be swapped with PRICING_FILE
+ * (JSON or YAML). It is validated once at startup - an invalid file stops the server.
+ *
+ * Material prices default to the shared material catalog; entries under
+ * `materials` override them (and add caps and overrides) per catalog id.
+ * Legacy ids (asphalt, metal, tile, cedar) are accepted and mapped to their
+ * catalog entries.
+ */
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, '..', 'config', 'pricing.json');
+
+const factor = Joi.number().positive();
+const factorMap = Joi.object().pattern(Joi.string(), factor);
+
+const pricingSchema = Joi.object({
+  version: Joi.string().required(),
+  effectiveDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD').required(),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  description: Joi.string().allow(''),
+  materials: Joi.object().pattern(Joi.string(), Joi.object({
+    label: Joi.string(),
+    basePricePerSqft: factor,
+    typicalRange: Joi.array().items(factor).length(2),
+    maxPricePerSqft: factor,
+    regionOverrides: factorMap,
+    steepnessOverrides: factorMap
+  })).default({}),
+  defaultMaterial: Joi.string().required(),
+  regions: Joi.object().pattern(Joi.string(), Joi.object({
+    label: Joi.string().required(),
+    factor: factor.required(),
+    states: Joi.array().items(Joi.string().uppercase().length(2)).min(1).required()
+  })).required(),
+  steepness: factorMap.required(),
+  timeline: factorMap.required(),
+  buildingType: factorMap.required(),
+  sameMaterialFactor: factor.default(1),
+  range: Joi.object({
+    low: factor.max(1).required(),
+    high: factor.min(1).required()
+  }).required(),
+  costBreakdown: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    share: Joi.number().min(0).max(1).required()
+  })).min(1).required(),
+  defaultRoofSize: factor.required()
+});
+
+let pricing = null;
+let pricingFile = null;
+
+/**
+ * Check references between sections that the schema can't express
+ * @param {Object} config - Schema-validated pricing config
+ * @returns {Array<string>} Problems found (empty if consistent)
+ */
+const findConsistencyErrors = (config) => {
+  const errors = [];
+
+  if (!materialCatalog.resolveMaterialId(config.defaultMaterial)) {
+    errors.push(`defaultMaterial "${config.defaultMaterial}" is not in the material catalog`);
+  }
+
+  const seenMaterials = {};
+  Object.entries(config.materials).forEach(([id, material]) => {
+    const catalogId = materialCatalog.resolveMaterialId(id);
+    if (!catalogId) {
+      errors.push(`materials.${id} is not in the material catalog`);
+    } else if (seenMaterials[catalogId]) {
+      errors.push(`materials.${id} and materials.${seenMaterials[catalogId]} are the same catalog material "${catalogId}"`);
+    }
+    seenMaterials[catalogId] = id;
+
+    Object.keys(material.regionOverrides || {}).forEach(region => {
+      if (!config.regions[region]) {
+        errors.push(`materials.${id}.regionOverrides references unknown region "${region}"`);
+      }
+    });
+    Object.keys(material.steepnessOverrides || {}).forEach(steepness => {
+      if (!config.steepness[steepness]) {
+        errors.push(`materials.${id}.steepnessOverrides references unknown steepness "${steepness}"`);
+      }
+    });
+    if (material.typicalRange && material.typicalRange[0] > material.typicalRange[1]) {
+      errors.push(`materials.${id}.typicalRange must be [min, max]`);
+    }
+  });
+
+  const seenStates = {};
+  Object.entries(config.regions).forEach(([id, region]) => {
+    region.states.forEach(state => {
+      if (seenStates[state]) {
+        errors.push(`State ${state} is listed in both "${seenStates[state]}" and "${id}"`);
+      }
+      seenStates[state] = id;
+    });
+  });
+
+  const totalShare = config.costBreakdown.reduce((sum, part) => sum + part.share, 0);
+  if (Math.abs(totalShare - 1) > 0.001) {
+    errors.push(`costBreakdown shares must add up to 1 (got ${Math.round(totalShare * 1000) / 1000})`);
+  }
+
+  return errors;
+};
+
+/**
+ * Key material overrides and the default material by catalog id
+ * @param {Object} config - Consistent pricing config
+ * @returns {Object} Config with legacy material ids replaced
+ */
+const normalizeMaterialIds = (config) => ({
+  ...config,
+  defaultMaterial: materialCatalog.resolveMaterialId(config.defaultMaterial),
+  materials: Object.fromEntries(Object.entries(config.materials)
+    .map(([id, material]) => [materialCatalog.resolveMaterialId(id), material]))
+});
+
+/**
+ * Load and validate a pricing file
+ * @param {string} filePath - Pricing file (defaults to PRICING_FILE or config/pricing.json)
+ * @returns {Object} Validated pricing config
+ * @throws {Error} If the file can't be read or fails validation
+ */
+const loadPricing = (filePath = process.env.PRICING_FILE || DEFAULT_PRICING_FILE) => {
+  const resolvedPath = path.resolve(filePath);
+  const raw = fs.readFileSync(resolvedPath, 'utf8');
+  const isYaml = /\.ya?ml$/i.test(resolvedPath);
+
+  let parsed;
+  try {
+    // CORE_SCHEMA keeps dates like effectiveDate as plain strings
+    parsed = isYaml ? yaml.load(raw, { schema: yaml.CORE_SCHEMA }) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Pricing file ${resolvedPath} could not be parsed: ${error.message}`);
+  }
+
+  const { value, error } = pricingSchema.validate(parsed, { abortEarly: false, convert: true });
+  const errors = error ? error.details.map(detail => detail.message) : findConsistencyErrors(value);
+
+  if (errors.length > 0) {
+    const validationError = new Error(`Invalid pricing file ${resolvedPath}: ${errors.join('; ')}`);
+    validationError.details = errors;
+    throw validationError;
+  }
+
+  pricing = normalizeMaterialIds(value);
+  pricingFile = resolvedPath;
+
+  logInfo('Pricing loaded', { version: pricing.version, file: resolvedPath });
+  return pricing;
+};
+
+/**
+ * Get the active pricing config, loading it on first use
+ * @returns {Object} Pricing config
+ */
+const getPricing = () => pricing || loadPricing();
+
+/**
+ * Get the path of the active pricing file
+ * @returns {string} Absolute file path
+ */
+const getPricingFile = () => {
+  getPricing();
+  return pricingFile;
+};
+
+/**
+ * Get pricing for a material: the catalog defaults with the pricing file's overrides
+ * Unknown materials fall back to the default material (the catalog's default for
+ * commercial buildings, where the pricing file's shingle default doesn't apply).
+ * @param {string} material - Catalog or legacy material id
+ * @param {string} buildingType - residential or commercial (optional)
+ * @returns {Object} Material pricing { id, label, family, basePricePerSqft, typicalRange, ... }
+ */
+const getMaterialPricing = (material, buildingType) => {
+  const config = getPricing();
+  const id = materialCatalog.resolveMaterialId(material) || (buildingType === 'commercial'
+    ? materialCatalog.getDefaultMaterialId(buildingType)
+    : config.defaultMaterial);
+  const entry = materialCatalog.getMaterial(id);
+
+  return {
+    id,
+    label: entry.label,
+    family: entry.family,
+    ...entry.pricing,
+    ...config.materials[id]
+  };
+};
+
+/**
+ * Pricing for every catalog material
+ * @returns {Object} Material pricing keyed by catalog id
+ */
+const getAllMaterialPricing = () => Object.fromEntries(
+  materialCatalog.MATERIAL_IDS.map(id => [id, getMaterialPricing(id)])
+);
+
+/**
+ * Find the pricing region for a state
+ * @param {string} state - Two-letter state code
+ * @returns {Object|null} Region { id, label, factor } or null if not mapped
+ */
+const getRegionForState = (state) => {
+  if (!state) return null;
+
+  const code = state.toString().trim().toUpperCase();
+  const entry = Object.entries(getPricing().regions)
+    .find(([, region]) => region.states.includes(code));
+
+  return entry ? { id: entry[0], label: entry[1].label, factor: entry[1].factor } : null;
+};
+
+/**
+ * Calculate the adjusted price per square foot for an estimate request
+ * @param {Object} data - Form data (desiredRoofMaterial, state, roofSteepness, timeline, ...)
+ * @returns {Object} Price breakdown { material, region, factors, pricePerSqft, capped, ... }
+ */
+const calculatePricePerSqft = (data) => {
+  const config = getPricing();
+  const material = getMaterialPricing(data.desiredRoofMaterial, data.buildingType);
+  const current = materialCatalog.getMaterial(data.currentRoofMaterial);
+  const region = getRegionForState(data.state);
+
+  // Materials can override the general factors (e.g. asphalt keeps a smaller West Coast uplift to stay under its cap)
+  const regionFactor = region
+    ? (material.regionOverrides?.[region.id] ?? region.factor)
+    : 1.0;
+  const steepnessFactor = material.steepnessOverrides?.[data.roofSteepness]
+    ?? config.steepness[data.roofSteepness]
+    ?? 1.0;
+
+  const factors = {
+    region: regionFactor,
+    steepness: steepnessFactor,
+    timeline: config.timeline[data.timeline] ?? 1.0,
+    buildingType: config.buildingType[data.buildingType] ?? 1.0,
+    // Tearing off the same kind of roof (e.g. 3-tab for architectural shingles) is simpler
+    materialReplacement: current && current.family === material.family
+      ? config.sameMaterialFactor
+      : 1.0
+  };
+
+  const uncappedPrice = Object.values(factors)
+    .reduce((price, value) => price * value, material.basePricePerSqft);
+  const capped = material.maxPricePerSqft !== undefined && uncappedPrice > material.maxPricePerSqft;
+
+  return {
+    material: material.id,
+    basePricePerSqft: material.basePricePerSqft,
+    region,
+    factors,
+    uncappedPricePerSqft: uncappedPrice,
+    pricePerSqft: capped ? material.maxPricePerSqft : uncappedPrice,
+    maxPricePerSqft: material.maxPricePerSqft ?? null,
+    capped
+  };
+};
+
+/**
+ * Price each roof section at its own steepness
+ * @param {Object} data - Form data (desiredRoofMaterial, state, timeline, ...)
+ * @param {Array<Object>} sections - Measured roof sections (area, steepness, ...)
+ * @returns {Array<Object>} Sections with pricePerSqft and estimate
+ */
+const priceSections = (data, sections) => sections.map(section => {
+  const price = calculatePricePerSqft({ ...data, roofSteepness: section.steepness });
+  return {
+    ...section,
+    pricePerSqft: price.pricePerSqft,
+    estimate: Math.round(section.area * price.pricePerSqft)
+  };
+});
+
+/**
+ * Split a total across priced roof sections in proportion to their own estimates
+ * Used to break down a total that wasn't built from the sections (an LLM estimate
+ * or a capped one); the section estimates add up to the total.
+ * @param {number} total - Total estimate
+ * @param {Array<Object>} pricedSections - Sections from priceSections
+ * @returns {Array<Object>} Sections { id, label, pitch, steepness, planArea, area, pricePerSqft, estimate }
+ */
+const allocateToSections = (total, pricedSections) => {
+  const pricedTotal = pricedSections.reduce((sum, section) => sum + section.estimate, 0);
+  let remaining = Math.round(total);
+
+  return pricedSections.map((section, index) => {
+    // The last section takes the rounding remainder
+    const estimate = index === pricedSections.length - 1
+      ? remaining
+      : Math.round(total * (pricedTotal > 0 ? section.estimate / pricedTotal : 1 / pricedSections.length));
+    remaining -= estimate;
+
+    return {
+      id: section.id,
+      label: section.label,
+      pitch: section.pitch,
+      steepness: section.steepness,
+      planArea: section.planArea,
+      area: section.area,
+      pricePerSqft: section.area > 0 ? Math.round(estimate / section.area * 100) / 100 : 0,
+      estimate
+    };
+  });
+};
+
+/**
+ * Split a total into the configured cost breakdown
+ * @param {number} total - Total estimate
+ * @returns {Array<Object>} Parts [{ name, cost }]
+ */
+const buildCostBreakdown = (total) => getPricing().costBreakdown.map(part => ({
+  name: part.name,
+  cost: Math.round(total * part.share)
+}));
+
+/**
+ * Build the low/high range around an average estimate
+ * @param {number} average - Average estimate
+ * @returns {Object} { lowEstimate, highEstimate }
+ */
+const buildRange = (average) => {
+  const { range } = getPricing();
+  return {
+    lowEstimate: Math.round(average * range.low),
+    highEstimate: Math.round(average * range.high)
+  };
+};
+
+/**
+ * Scale an externally generated estimate down to the material's price cap
+ * Mutates the estimate (totals, price per sq ft and breakdown parts).
+ * @param {Object} estimateData - Estimate { pricePerSqft, estimate, lowEstimate, highEstimate, estimateParts }
+ * @param {string} material - Material id
+ * @returns {Object} { capped, original, maxPricePerSqft }
+ */
+const applyPriceCap = (estimateData, material) => {
+  const config = getPricing();
+  const maxPricePerSqft = config.materials[materialCatalog.resolveMaterialId(material)]?.maxPricePerSqft;
+  const original = estimateData.pricePerSqft;
+
+  if (maxPricePerSqft === undefined || !(original > maxPricePerSqft)) {
+    return { capped: false, original, maxPricePerSqft: maxPricePerSqft ?? null };
+  }
+
+  const adjustmentFactor = maxPricePerSqft / original;
+  estimateData.pricePerSqft = maxPricePerSqft;
+  estimateData.estimate = Math.round(estimateData.estimate * adjustmentFactor);
+  estimateData.lowEstimate = Math.round(estimateData.lowEstimate * adjustmentFactor);
+  estimateData.highEstimate = Math.round(estimateData.highEstimate * adjustmentFactor);
+
+  if (Array.isArray(estimateData.estimateParts)) {
+    estimateData.estimateParts.forEach(part => {
+      part.cost = Math.round(part.cost * adjustmentFactor);
+    });
+  }
+
+  return { capped: true, original, maxPricePerSqft };
+};
+
+const formatPercent = (value) => {
+  const percent = Math.round((value - 1) * 100);
+  if (percent === 0) return 'no change';
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+/**
+ * Render the pricing tables as prompt guidance for the LLM
+ * @param {string} material - Requested material id (its caps and overrides are spelled out)
+ * @param {string} buildingType - residential or commercial (picks the default material if none was given)
+ * @returns {string} Prompt section
+ */
+const buildPromptGuidance = (material, buildingType) => {
+  const config = getPricing();
+  const selected = getMaterialPricing(material, buildingType);
+  const lines = [];
+
+  lines.push(`PRICE GUIDANCE (${config.currency}, pricing version ${config.version}, base installed cost per sq ft):`);
+  Object.values(getAllMaterialPricing()).forEach(entry => {
+    const range = entry.typicalRange ? ` (typical $${entry.typicalRange[0].toFixed(2)}-$${entry.typicalRange[1].toFixed(2)})` : '';
+    lines.push(`- ${entry.label}: $${entry.basePricePerSqft.toFixed(2)}${range}`);
+  });
+
+  lines.push('', 'REGIONAL ADJUSTMENT FACTORS:');
+  Object.entries(config.regions).forEach(([id, region]) => {
+    const override = selected.regionOverrides?.[id];
+    const note = override !== undefined ? ` (use ${override} for ${selected.label})` : '';
+    lines.push(`- ${region.label} (${region.states.join(', ')}): multiply by ${region.factor}${note}`);
+  });
+
+  lines.push('', 'ROOF STEEPNESS FACTORS:');
+  Object.entries(config.steepness).forEach(([id, value]) => {
+    const override = selected.steepnessOverrides?.[id];
+    const note = override !== undefined ? ` (use ${override} for ${selected.label})` : '';
+    lines.push(`- ${id}: multiply by ${value}${note}`);
+  });
+
+  lines.push('', 'TIMELINE FACTORS:');
+  Object.entries(config.timeline).forEach(([id, value]) => {
+    lines.push(`- ${id}: ${formatPercent(value)}`);
+  });
+
+  lines.push('', 'BUILDING TYPE FACTORS:');
+  Object.entries(config.buildingType).forEach(([id, value]) => {
+    lines.push(`- ${id}: ${formatPercent(value)}`);
+  });
+
+  lines.push(`- Same material replacement: ${formatPercent(config.sameMaterialFactor)} (simplified removal)`);
+
+  lines.push('', 'COST BREAKDOWN (% of total):');
+  config.costBreakdown.forEach(part => {
+    lines.push(`- ${part.name}: ${Math.round(part.share * 100)}%`);
+  });
+
+  lines.push('', `ESTIMATE RANGE: low = average × ${config.range.low}, high = average × ${config.range.high}`);
+
+  if (selected.maxPricePerSqft !== undefined) {
+    lines.push('', `PRICE CAP: ${selected.label} must NEVER exceed $${selected.maxPricePerSqft} per sq ft after all adjustments. If it does, scale it down to $${selected.maxPricePerSqft}.`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Public view of the active pricing config (for GET /api/pricing)
+ * @returns {Object} Pricing config with its source file name
+ */
+const describePricing = () => ({
+  ...getPricing(),
+  materials: getAllMaterialPricing(),
+  source: path.basename(getPricingFile())
+});
+
+module.exports = {
+  loadPricing,
+  getPricing,
+  getMaterialPricing,
+  getAllMaterialPricing,
+  getRegionForState,
+  calculatePricePerSqft,
+  priceSections,
+  allocateToSections,
+  buildCostBreakdown,
+  buildRange,
+  applyPriceCap,
+  buildPromptGuidance,
+  describePricing
+};
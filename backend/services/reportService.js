@@ -0,0 +1,312 @@
+// services/reportService.js
+const PDFDocument = require('pdfkit');
+const imageryService = require('./imageryService');
+const materialCatalog = require('@roofai/shared/materialCatalog');
+const { formatCurrency, capitalize } = require('./emailTemplates');
+const { logInfo, logWarn } = require('../utils/logger');
+
+/**
+ * PDF roof reports for homeowners and sales reps
+ *
+ * Page 1 shows the property, the satellite image with the roof outline and the
+ * measurements; page 2 the cost range, breakdown, estimate factors and material details.
+ *
+ * Configuration:
+ *   REPORT_IMAGE_ZOOM - Zoom level of the satellite image (default 20)
+ */
+
+const IMAGE_ZOOM = parseInt(process.env.REPORT_IMAGE_ZOOM || '20', 10);
+
+const COLORS = {
+  primary: '#1d4ed8',
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#e5e7eb',
+  outline: '#f59e0b'
+};
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Fetch the satellite image for the property, if its location is known
+ * @param {Object} formData - Estimate form data (lat, lng)
+ * @returns {Promise<Object|null>} Imagery or null if unavailable
+ */
+const loadSatelliteImage = async (formData) => {
+  const lat = parseFloat(formData.lat);
+  const lng = parseFloat(formData.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  try {
+    return await imageryService.getImage({ lat, lng, zoom: IMAGE_ZOOM });
+  } catch (error) {
+    logWarn('Satellite image unavailable for report', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Draw a section heading
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - Heading text
+ */
+const heading = (doc, title) => {
+  doc.moveDown(0.8)
+    .font('Helvetica-Bold').fontSize(14).fillColor(COLORS.primary)
+    .text(title, PAGE_MARGIN)
+    .moveDown(0.3)
+    .font('Helvetica').fontSize(11).fillColor(COLORS.text);
+};
+
+/**
+ * Draw a label/value row
+ * @param {PDFDocument} doc - Document
+ * @param {string} label - Label
+ * @param {string} value - Value
+ */
+const row = (doc, label, value) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const y = doc.y;
+
+  doc.font('Helvetica').fillColor(COLORS.muted).text(label, PAGE_MARGIN, y, { width: width / 2 });
+  const labelBottom = doc.y;
+  doc.fillColor(COLORS.text).text(value, PAGE_MARGIN + width / 2, y, { width: width / 2, align: 'right' });
+  doc.y = Math.max(labelBottom, doc.y) + 2;
+};
+
+/**
+ * Draw a bulleted list
+ * @param {PDFDocument} doc - Document
+ * @param {Array<string>} items - List items
+ */
+const bullets = (doc, items) => {
+  items.forEach(item => {
+    doc.fillColor(COLORS.text).text(`•  ${item}`, PAGE_MARGIN + 10, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 - 10 });
+  });
+};
+
+const formatArea = (value) => `${Number(value).toLocaleString('en-US')} sq ft`;
+
+/**
+ * One line per roof area adjustment, e.g. "Industry standards: 1,500 sq ft to 3,000 sq ft (...)"
+ * @param {Object} adjustment - { step, before, after, factor, reason }
+ * @returns {string} Description
+ */
+const describeAdjustment = ({ step, before, after, reason }) => {
+  const change = before === null || before === undefined
+    ? `set to ${formatArea(after)}`
+    : `${formatArea(before)} to ${formatArea(after)}`;
+  return `${capitalize(String(step).replace(/_/g, ' '))}: ${change}${reason ? ` (${reason})` : ''}`;
+};
+
+/**
+ * Draw the satellite image with the roof outline on top
+ * @param {PDFDocument} doc - Document
+ * @param {Object} imagery - Imagery from imageryService
+ * @param {Array<Object>} roofPolygon - Roof outline as { lat, lng } points
+ */
+const drawSatelliteImage = (doc, imagery, roofPolygon) => {
+  const boxWidth = doc.page.width - PAGE_MARGIN * 2;
+  const boxHeight = 300;
+  const scale = Math.min(boxWidth / imagery.width, boxHeight / imagery.height);
+  const width = imagery.width * scale;
+  const height = imagery.height * scale;
+  const left = PAGE_MARGIN + (boxWidth - width) / 2;
+  const top = doc.y;
+
+  doc.image(imagery.buffer, left, top, { width, height });
+
+  const points = Array.isArray(roofPolygon)
+    ? roofPolygon
+      .filter(point => Number.isFinite(point?.lat) && Number.isFinite(point?.lng))
+      .map(point => imageryService.latLngToPixel(imagery.metadata, point.lat, point.lng))
+      .map(({ x, y }) => [left + x * scale, top + y * scale])
+    : [];
+
+  if (points.length >= 3) {
+    doc.save()
+      .rect(left, top, width, height).clip()
+      .polygon(...points)
+      .lineWidth(2)
+      .fillOpacity(0.2)
+      .fillAndStroke(COLORS.outline, COLORS.outline)
+      .restore();
+  }
+
+  const { metadata } = imagery;
+  const caption = [
+    points.length >= 3 ? 'Roof outline shown in orange.' : 'No roof outline available.',
+    metadata.captureDate ? `Imagery captured ${metadata.captureDate}.` : null,
+    metadata.attribution || null
+  ].filter(Boolean).join(' ');
+
+  doc.y = top + height + 6;
+  doc.fontSize(9).fillColor(COLORS.muted).text(caption, PAGE_MARGIN, doc.y, { width: boxWidth, align: 'center' });
+  doc.fontSize(11).fillColor(COLORS.text);
+};
+
+/**
+ * Page 1: property, satellite image and roof measurements
+ * @param {PDFDocument} doc - Document
+ * @param {Object} record - Estimate record
+ * @param {Object|null} imagery - Satellite imagery
+ */
+const renderMeasurementPage = (doc, record, imagery) => {
+  const formData = record.formData || {};
+  const analysis = record.analysis || {};
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.primary).text('RoofAI Roof Report', PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+    .text([
+      record.reference ? `Reference ${record.reference}` : null,
+      new Date(record.submittedAt || Date.now()).toLocaleDateString('en-US', { dateStyle: 'long' })
+    ].filter(Boolean).join('  •  '));
+
+  heading(doc, 'Property');
+  const address = [formData.address, formData.city, formData.state, formData.zipCode].filter(Boolean).join(', ');
+  row(doc, 'Address', address || 'Not provided');
+  if (record.contact?.name) row(doc, 'Prepared for', record.contact.name);
+  if (formData.buildingType) row(doc, 'Building type', capitalize(formData.buildingType));
+
+  heading(doc, 'Satellite View');
+  if (imagery) {
+    drawSatelliteImage(doc, imagery, record.roofPolygon);
+  } else {
+    doc.fillColor(COLORS.muted).text('Satellite imagery is not available for this property.');
+  }
+
+  heading(doc, 'Roof Measurements');
+  row(doc, 'Measured roof area', formData.roofSize ? formatArea(formData.roofSize) : 'N/A');
+  row(doc, 'Pitch', capitalize(analysis.roofPitch || formData.roofSteepness) || 'Unknown');
+  row(doc, 'Roof shape', capitalize(analysis.roofShape) || 'Unknown');
+  if (analysis.method) row(doc, 'Measurement method', analysis.method.replace(/_/g, ' '));
+  if (analysis.accuracy) row(doc, 'Confidence', capitalize(analysis.accuracy));
+  if (analysis.rawVisionArea > 0) row(doc, 'Satellite measurement before adjustments', formatArea(analysis.rawVisionArea));
+
+  const adjustments = Array.isArray(analysis.adjustments) ? analysis.adjustments : [];
+  if (adjustments.length > 0) {
+    doc.moveDown(0.3).fillColor(COLORS.muted).text('How the measured area was derived:', PAGE_MARGIN);
+    bullets(doc, adjustments.map(describeAdjustment));
+  }
+
+  const features = Array.isArray(analysis.includedFeatures) ? analysis.includedFeatures : [];
+  if (features.length > 0) {
+    doc.moveDown(0.3).fillColor(COLORS.muted).text('Included in the measured area:', PAGE_MARGIN);
+    bullets(doc, features.map(capitalize));
+  }
+};
+
+/**
+ * Page 2: cost range, breakdown, factors and material details
+ * @param {PDFDocument} doc - Document
+ * @param {Object} record - Estimate record
+ */
+const renderCostPage = (doc, record) => {
+  const formData = record.formData || {};
+  const estimate = record.estimate || {};
+  const parts = Array.isArray(estimate.estimateParts) ? estimate.estimateParts : [];
+  const sections = Array.isArray(estimate.sections) ? estimate.sections : [];
+  const factors = Array.isArray(estimate.estimateFactors) ? estimate.estimateFactors : [];
+  const materialInfo = estimate.materialInfo || null;
+  const material = materialCatalog.getMaterial(formData.desiredRoofMaterial)?.label || capitalize(formData.desiredRoofMaterial);
+
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.primary).text('Cost Estimate', PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(11).fillColor(COLORS.text);
+
+  if (!estimate.estimate) {
+    doc.moveDown().fillColor(COLORS.muted).text('No cost estimate is attached to this report.');
+    return;
+  }
+
+  heading(doc, 'Estimated Cost Range');
+  row(doc, 'Low', formatCurrency(estimate.lowEstimate));
+  row(doc, 'Average', formatCurrency(estimate.estimate));
+  row(doc, 'High', formatCurrency(estimate.highEstimate));
+  if (estimate.pricePerSqft) row(doc, 'Price per sq ft', `$${estimate.pricePerSqft}`);
+  // Submitted estimates are repriced; keep the instant estimate the customer saw next to it
+  const shownOnline = record.clientEstimate?.estimate;
+  if (shownOnline && shownOnline !== estimate.estimate) row(doc, 'Shown online', formatCurrency(shownOnline));
+  if (material) row(doc, 'Material', material);
+
+  if (parts.length > 0) {
+    heading(doc, 'Breakdown');
+    parts.forEach(part => row(doc, part.name, formatCurrency(part.cost)));
+  }
+
+  if (sections.length > 0) {
+    heading(doc, 'Roof Sections');
+    sections.forEach(section => row(doc,
+      `${section.label} (${formatArea(section.area)} at ${section.pitch})`,
+      formatCurrency(section.estimate)
+    ));
+  }
+
+  if (factors.length > 0) {
+    heading(doc, 'Estimate Factors');
+    factors.forEach(factor => {
+      doc.font('Helvetica-Bold').fillColor(COLORS.text)
+        .text(`${factor.factor}${factor.impact ? ` (${factor.impact})` : ''}`, PAGE_MARGIN);
+      if (factor.description) {
+        doc.font('Helvetica').fillColor(COLORS.muted).text(factor.description, PAGE_MARGIN);
+      }
+      doc.font('Helvetica').moveDown(0.3);
+    });
+  }
+
+  if (materialInfo) {
+    heading(doc, `${material || 'Material'} Roof Details`);
+    if (materialInfo.lifespan) row(doc, 'Expected lifespan', materialInfo.lifespan);
+    if ((materialInfo.pros || []).length > 0) {
+      doc.moveDown(0.3).fillColor(COLORS.muted).text('Advantages', PAGE_MARGIN);
+      bullets(doc, materialInfo.pros);
+    }
+    if ((materialInfo.cons || []).length > 0) {
+      doc.moveDown(0.3).fillColor(COLORS.muted).text('Considerations', PAGE_MARGIN);
+      bullets(doc, materialInfo.cons);
+    }
+  }
+
+  doc.moveDown(1.5).fontSize(9).fillColor(COLORS.muted).text(
+    'This estimate is based on satellite imagery and local market pricing. ' +
+    'Final pricing may vary based on an on-site inspection.',
+    PAGE_MARGIN
+  );
+};
+
+/**
+ * Render an estimate report as a PDF
+ * @param {Object} record - Estimate record (see estimateStore) or an unsaved payload of the same shape
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderEstimateReport = async (record) => {
+  const imagery = await loadSatelliteImage(record.formData || {});
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `RoofAI Roof Report${record.reference ? ` ${record.reference}` : ''}`,
+      Author: 'RoofAI'
+    }
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  renderMeasurementPage(doc, record, imagery);
+  renderCostPage(doc, record);
+  doc.end();
+
+  const pdf = await finished;
+  logInfo('Estimate report rendered', { reference: record.reference, bytes: pdf.length, withImage: !!imagery });
+  return pdf;
+};
+
+module.exports = {
+  renderEstimateReport
+};
@@ -0,0 +1,217 @@
+// services/roofJobService.js
+const crypto = require('crypto');
+const openAIVisionService = require('./openAIVisionService');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Asynchronous roof analysis jobs
+ *
+ * A job runs the same analysis as POST /api/roof/analyze in the background and
+ * records each stage as it happens (imagery fetched, each zoom level analyzed,
+ * adjustments applied, final), so clients can poll or stream progress instead of
+ * holding a request open. Jobs keep running when their client goes away, and a
+ * request for coordinates and property data that already have a running or
+ * recently finished job gets that job instead of a new analysis.
+ *
+ * Jobs are kept in memory: a restart loses them, and clients start a new one.
+ * Only a fixed number of analyses run at once; new jobs beyond that are
+ * rejected (429) until one finishes.
+ *
+ * Configuration:
+ *   ROOF_JOB_TTL_MINUTES - How long finished jobs are kept (default 30)
+ *   ROOF_JOB_MAX_JOBS    - Finished jobs kept at most, oldest dropped first (default 500)
+ *   ROOF_JOB_MAX_RUNNING - Analyses running at once (default 10)
+ */
+
+const JOB_TTL_MS = parseInt(process.env.ROOF_JOB_TTL_MINUTES || '30', 10) * 60 * 1000;
+const MAX_JOBS = parseInt(process.env.ROOF_JOB_MAX_JOBS || '500', 10);
+const MAX_RUNNING_JOBS = parseInt(process.env.ROOF_JOB_MAX_RUNNING || '10', 10);
+
+const STAGES = {
+  CACHE_HIT: 'cache_hit',
+  IMAGERY_FETCHED: 'imagery_fetched',
+  ZOOM_ANALYZED: 'zoom_analyzed',
+  ADJUSTMENTS_APPLIED: 'adjustments_applied',
+  FINAL: 'final'
+};
+
+const jobs = new Map();
+const jobsByKey = new Map();
+const listeners = new Map();
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+/**
+ * Public view of a job
+ * @param {Object} job - Job record
+ * @returns {Object} Job without its dedup key
+ */
+const describeJob = (job) => {
+  const { key, ...rest } = job;
+  return { ...rest, stages: [...job.stages] };
+};
+
+/**
+ * Drop finished jobs past their TTL, then the oldest finished ones over the cap
+ */
+const pruneJobs = () => {
+  const now = Date.now();
+  const finished = [];
+
+  for (const job of jobs.values()) {
+    if (!isFinished(job)) continue;
+    if (now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+      removeJob(job);
+    } else {
+      finished.push(job);
+    }
+  }
+
+  finished
+    .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt))
+    .slice(0, Math.max(0, finished.length - MAX_JOBS))
+    .forEach(removeJob);
+};
+
+const removeJob = (job) => {
+  jobs.delete(job.id);
+  listeners.delete(job.id);
+  if (jobsByKey.get(job.key) === job.id) jobsByKey.delete(job.key);
+};
+
+/**
+ * Record a stage and pass it to the job's subscribers
+ * @param {Object} job - Job record
+ * @param {string} stage - Stage name (see STAGES)
+ * @param {Object} detail - Stage details
+ */
+const recordStage = (job, stage, detail = {}) => {
+  const event = { seq: job.stages.length + 1, stage, at: new Date().toISOString(), ...detail };
+  job.stages.push(event);
+  job.updatedAt = event.at;
+
+  for (const listener of listeners.get(job.id) || []) {
+    try {
+      listener(event, describeJob(job));
+    } catch (error) {
+      logError('Roof job listener failed', { id: job.id, stage, error: error.message });
+    }
+  }
+};
+
+/**
+ * Run a job's analysis to completion
+ * @param {Object} job - Job record
+ */
+const runJob = async (job) => {
+  job.status = 'running';
+  const { lat, lng, propertyData } = job.input;
+
+  try {
+    const { message, data } = await openAIVisionService.analyzeRoofWithFallback(lat, lng, propertyData, {
+      onProgress: (stage, detail) => recordStage(job, stage, detail)
+    });
+    const chosen = data.recommended || data;
+
+    job.status = 'completed';
+    job.result = { message, data };
+    job.finishedAt = new Date().toISOString();
+    logInfo('Roof job completed', { id: job.id, roofArea: chosen.roofArea, method: chosen.method });
+    recordStage(job, STAGES.FINAL, { status: 'completed', message, roofArea: chosen.roofArea, result: job.result });
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    logError('Roof job failed', { id: job.id, error: error.message });
+    recordStage(job, STAGES.FINAL, { status: 'failed', error: error.message });
+  } finally {
+    listeners.delete(job.id);
+  }
+};
+
+/**
+ * Start a roof analysis job, or join the one already running or recently
+ * finished for the same coordinates and property data
+ * @param {Object} input - { lat, lng, propertyData }
+ * @returns {Object} { job, deduplicated }
+ * @throws {Error} 429 if ROOF_JOB_MAX_RUNNING analyses are already running
+ */
+const createJob = ({ lat, lng, propertyData = null }) => {
+  pruneJobs();
+
+  const key = openAIVisionService.analysisKey(lat, lng, propertyData);
+  const existing = jobs.get(jobsByKey.get(key));
+  if (existing && existing.status !== 'failed') {
+    logInfo('Joining existing roof job', { id: existing.id, status: existing.status });
+    return { job: describeJob(existing), deduplicated: true };
+  }
+
+  const running = [...jobs.values()].filter(job => !isFinished(job)).length;
+  if (running >= MAX_RUNNING_JOBS) {
+    const error = new Error('Too many roof analyses are running, please try again shortly');
+    error.statusCode = 429;
+    error.details = { running, limit: MAX_RUNNING_JOBS };
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: `roofjob_${crypto.randomBytes(8).toString('hex')}`,
+    key,
+    status: 'queued',
+    input: { lat, lng, propertyData },
+    stages: [],
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  jobsByKey.set(key, job.id);
+  logInfo('Roof job started', { id: job.id, lat, lng, hasPropertyData: !!propertyData });
+
+  // Not awaited - the job outlives the request that started it
+  runJob(job);
+
+  return { job: describeJob(job), deduplicated: false };
+};
+
+/**
+ * Get a job
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job, or null if unknown or expired
+ */
+const getJob = (id) => {
+  pruneJobs();
+  const job = jobs.get(id);
+  return job ? describeJob(job) : null;
+};
+
+/**
+ * Follow a job's stages as they are recorded
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with (stage event, job) for each new stage
+ * @returns {Function|null} Unsubscribe, or null if the job is unknown or already finished
+ */
+const subscribe = (id, listener) => {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return null;
+
+  if (!listeners.has(id)) listeners.set(id, new Set());
+  listeners.get(id).add(listener);
+
+  return () => {
+    const set = listeners.get(id);
+    if (set) set.delete(listener);
+  };
+};
+
+module.exports = {
+  STAGES,
+  createJob,
+  getJob,
+  subscribe,
+  isFinished
+};
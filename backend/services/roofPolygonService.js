@@ -0,0 +1,132 @@
+// services/roofPolygonService.js
+const imageryService = require('./imageryService');
+const geometry = require('@roofai/shared/geometry');
+
+/**
+ * Roof polygons from vision analysis
+ *
+ * The vision model outlines the roof in image pixels. The outline is placed on the
+ * map with the imagery georeference and its geodesic area is compared with the
+ * roof area the model reported. The stated area includes pitch and overhangs, so
+ * it should exceed the flat outline by a factor that depends on the pitch.
+ *
+ * Configuration:
+ *   VISION_AREA_TOLERANCE - Discrepancy beyond the expected range that still counts as minor (default 0.15)
+ */
+
+const AREA_TOLERANCE = parseFloat(process.env.VISION_AREA_TOLERANCE || '0.15');
+
+// Expected stated area / outline area, by estimated pitch
+const PITCH_AREA_RATIOS = {
+  flat: { min: 0.95, max: 1.15 },
+  low: { min: 1.0, max: 1.25 },
+  moderate: { min: 1.1, max: 1.45 },
+  steep: { min: 1.3, max: 1.9 },
+  unknown: { min: 0.95, max: 1.9 }
+};
+
+/**
+ * Normalize model pixel points to { x, y } inside the image
+ * Accepts { x, y } objects or [x, y] pairs; points outside the image are clamped.
+ * @param {Array} points - Pixel points from the model
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Array<Object>} Pixel points
+ */
+const normalizePixelPolygon = (points, width, height) => {
+  if (!Array.isArray(points)) return [];
+
+  const clamp = (value, max) => Math.max(0, Math.min(max, value));
+
+  return points
+    .map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point?.x, y: point?.y }))
+    .map(point => ({ x: Number(point.x), y: Number(point.y) }))
+    .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+    .map(point => ({ x: clamp(point.x, width), y: clamp(point.y, height) }));
+};
+
+/**
+ * Convert a pixel polygon to a closed lat/lng polygon
+ * @param {Array<Object>} pixels - Pixel points { x, y }
+ * @param {Object} metadata - Imagery metadata with georeference
+ * @returns {Array<Object>} Points { lat, lng }, first point repeated at the end
+ */
+const georeferencePolygon = (pixels, metadata) => {
+  const points = pixels.map(({ x, y }) => imageryService.pixelToLatLng(metadata, x, y));
+  return points.length > 0 ? [...points, points[0]] : [];
+};
+
+/**
+ * Compare the model's stated roof area with its outline area
+ * @param {Object} input - { statedArea, outlineArea, pitch } (areas in sq ft)
+ * @returns {Object} Area check
+ */
+const compareAreas = ({ statedArea, outlineArea, pitch }) => {
+  const expectedRatio = PITCH_AREA_RATIOS[pitch] || PITCH_AREA_RATIOS.unknown;
+  const ratio = statedArea / outlineArea;
+
+  // How far the ratio falls outside the expected range, relative to the nearest bound
+  let discrepancy = 0;
+  if (ratio < expectedRatio.min) discrepancy = (expectedRatio.min - ratio) / expectedRatio.min;
+  if (ratio > expectedRatio.max) discrepancy = (ratio - expectedRatio.max) / expectedRatio.max;
+
+  let status = 'consistent';
+  if (discrepancy > AREA_TOLERANCE) status = 'major_discrepancy';
+  else if (discrepancy > 0) status = 'minor_discrepancy';
+
+  return {
+    status,
+    statedAreaSqFt: Math.round(statedArea),
+    outlineAreaSqFt: Math.round(outlineArea),
+    ratio: Math.round(ratio * 100) / 100,
+    expectedRatio,
+    discrepancyPercent: Math.round(discrepancy * 1000) / 10
+  };
+};
+
+/**
+ * Georeference a vision analysis' pixel outline and check it against the stated area
+ * @param {Object} analysis - Vision analysis (roofPolygon in pixels, roofArea, estimatedPitch)
+ * @param {Object} metadata - Imagery metadata with georeference
+ * @returns {Object} { roofPolygon, roofPolygonPixels, areaCheck }
+ */
+const evaluateRoofPolygon = (analysis, metadata) => {
+  const pixels = normalizePixelPolygon(analysis.roofPolygon, metadata.width, metadata.height);
+
+  if (pixels.length < 3 || !metadata.georeference) {
+    return {
+      roofPolygon: [],
+      roofPolygonPixels: pixels,
+      areaCheck: { status: 'unavailable', reason: 'No usable roof outline in the vision response' }
+    };
+  }
+
+  const roofPolygon = georeferencePolygon(pixels, metadata);
+  const outlineArea = geometry.areaSqFt(roofPolygon);
+
+  if (!(outlineArea > 0) || !(analysis.roofArea > 0)) {
+    return {
+      roofPolygon,
+      roofPolygonPixels: pixels,
+      areaCheck: { status: 'unavailable', reason: 'Roof outline or stated area is empty' }
+    };
+  }
+
+  return {
+    roofPolygon,
+    roofPolygonPixels: pixels,
+    areaCheck: compareAreas({
+      statedArea: analysis.roofArea,
+      outlineArea,
+      pitch: analysis.estimatedPitch
+    })
+  };
+};
+
+module.exports = {
+  PITCH_AREA_RATIOS,
+  normalizePixelPolygon,
+  georeferencePolygon,
+  compareAreas,
+  evaluateRoofPolygon
+};
@@ -0,0 +1,92 @@
+// services/roofSectionService.js
+const geometry = require('@roofai/shared/geometry');
+const roofPitch = require('@roofai/shared/roofPitch');
+
+/**
+ * Multi-section roofs
+ *
+ * A house often has a main roof, a garage and a porch at different pitches. The
+ * wizard sends them as `roofSections`, each with an outline (a plan polygon of
+ * { lat, lng } points) or a plan area, a pitch (steepness answer or rise/run)
+ * and an optional label. The sloped area of each section is its plan area times
+ * the pitch multiplier; outlines are measured here rather than trusting the
+ * client's figure. The sections then replace the single roof size: the roof
+ * size becomes their total and each section is priced at its own steepness.
+ */
+
+const invalidSection = (message) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  return error;
+};
+
+/**
+ * Measure roof sections
+ * @param {Array<Object>} sections - Sections { id, label, polygon, planArea, pitch }
+ * @returns {Array<Object>} Sections { id, label, pitch, steepness, pitchMultiplier, planArea, area, polygon }
+ * @throws {Error} 422 if a section has no usable outline or plan area, or an invalid pitch
+ */
+const normalizeSections = (sections) => {
+  if (!Array.isArray(sections)) return [];
+
+  return sections.map((section, index) => {
+    const label = section.label || (index === 0 ? 'Main roof' : `Section ${index + 1}`);
+
+    if (!roofPitch.isValidPitch(section.pitch)) {
+      throw invalidSection(`${label} has an invalid pitch: ${section.pitch}`);
+    }
+
+    const measured = geometry.areaSqFt(section.polygon);
+    const planArea = measured > 0 ? measured : parseFloat(section.planArea);
+    if (!(planArea > 0)) {
+      throw invalidSection(`${label} needs an outline or a plan area`);
+    }
+
+    return {
+      id: section.id || `section-${index + 1}`,
+      label,
+      pitch: section.pitch,
+      steepness: roofPitch.steepnessForPitch(section.pitch),
+      pitchMultiplier: Math.round(roofPitch.pitchMultiplier(section.pitch) * 1000) / 1000,
+      planArea: Math.round(planArea),
+      area: roofPitch.slopedArea(planArea, section.pitch),
+      polygon: measured > 0 ? section.polygon : null
+    };
+  });
+};
+
+/**
+ * Steepness of the largest section by sloped area
+ * @param {Array<Object>} sections - Measured sections
+ * @returns {string|null} Steepness band, or null if there are no sections
+ */
+const dominantSteepness = (sections) => sections.reduce(
+  (largest, section) => (!largest || section.area > largest.area ? section : largest),
+  null
+)?.steepness || null;
+
+/**
+ * Apply roof sections to form data
+ * With sections, the roof size becomes their total sloped area and an
+ * unanswered steepness is taken from the largest section.
+ * @param {Object} formData - Form data, optionally with roofSections
+ * @returns {Object} Form data with measured roofSections (unchanged without sections)
+ * @throws {Error} 422 if a section is invalid
+ */
+const applySections = (formData) => {
+  const sections = normalizeSections(formData.roofSections);
+  if (sections.length === 0) return formData;
+
+  return {
+    ...formData,
+    roofSections: sections,
+    roofSize: sections.reduce((total, section) => total + section.area, 0),
+    roofSteepness: formData.roofSteepness || dominantSteepness(sections)
+  };
+};
+
+module.exports = {
+  normalizeSections,
+  dominantSteepness,
+  applySections
+};
@@ -0,0 +1,341 @@
+// services/takeoffService.js
+
+/**
+ * Material takeoff
+ *
+ * Turns a roof area into the quantities a crew orders: squares with waste,
+ * shingle bundles, underlayment, ice & water shield, starter strip, ridge cap,
+ * drip edge and nails. Linear measurements (eaves, rakes, ridges, hips, valleys)
+ * are used when known; missing ones are estimated from the area, pitch and shape
+ * (as a 3:2 rectangle - gable for simple roofs, hip for complex ones) and flagged
+ * as estimated in the result.
+ *
+ * Field product coverage comes from the shared material catalog. Low-slope
+ * membranes get the membrane and edge metal only - their underlayment,
+ * insulation and flashing depend on the assembly. Coverage figures are typical
+ * product specs, not a substitute for the manufacturer's installation instructions.
+ */
+
+const materialCatalog = require('@roofai/shared/materialCatalog');
+const { PITCH_RISE, pitchMultiplier, pitchRise } = require('@roofai/shared/roofPitch');
+
+const SQ_FT_PER_SQUARE = 100;
+
+// Waste by roof complexity, plus extra cutting waste on steep roofs
+const WASTE_FACTORS = {
+  simple: 0.10,
+  complex: 0.15,
+  unknown: 0.12
+};
+const STEEP_WASTE = 0.02;
+
+const COVERAGE = {
+  underlaymentRollSqFt: 1000,   // synthetic underlayment, 10 squares per roll
+  underlaymentLap: 0.10,
+  iceWaterRollLf: 65,            // 3 ft x 66.7 ft roll, less end laps
+  starterLfPerBundle: 110,
+  ridgeCapLfPerBundle: 30,
+  dripEdgePieceLf: 10,
+  dripEdgeOverlap: 0.10,
+  nailsPerBox: 7200              // coil roofing nails
+};
+
+// States where building codes expect ice barrier along the eaves
+const ICE_BARRIER_STATES = [
+  'AK', 'CO', 'CT', 'IA', 'ID', 'IL', 'IN', 'MA', 'ME', 'MI', 'MN', 'MT', 'ND', 'NE',
+  'NH', 'NJ', 'NY', 'OH', 'PA', 'RI', 'SD', 'UT', 'VT', 'WI', 'WV', 'WY'
+];
+
+const LINEAR_FIELDS = ['eaves', 'rakes', 'ridges', 'hips', 'valleys'];
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Estimate linear measurements from the area, pitch and shape
+ * @param {number} roofArea - Sloped roof area in sq ft
+ * @param {string} pitch - Pitch
+ * @param {string} shape - simple (gable) or complex (hip with valleys)
+ * @returns {Object} { eaves, rakes, ridges, hips, valleys } in linear ft
+ */
+const estimateLinearMeasurements = (roofArea, pitch, shape) => {
+  const multiplier = pitchMultiplier(pitch);
+  const plan = roofArea / multiplier;
+  const length = Math.sqrt(plan * 1.5);
+  const width = plan / length;
+
+  if (pitch === 'flat') {
+    return { eaves: 2 * (length + width), rakes: 0, ridges: 0, hips: 0, valleys: 0 };
+  }
+
+  if (shape === 'complex') {
+    // Hip roof: eaves all round, four hips running up to a shorter ridge, plus a
+    // valley allowance for the wings and dormers that make a roof complex
+    const hipRun = Math.sqrt(2) * (width / 2);
+    const hipRise = (width / 2) * pitchRise(pitch) / 12;
+    return {
+      eaves: 2 * (length + width),
+      rakes: 0,
+      ridges: length - width,
+      hips: 4 * Math.sqrt(hipRun ** 2 + hipRise ** 2),
+      valleys: 0.15 * 2 * (length + width)
+    };
+  }
+
+  // Gable roof: eaves on the long sides, a rake up each end of both planes
+  return {
+    eaves: 2 * length,
+    rakes: 4 * (width / 2) * multiplier,
+    ridges: length,
+    hips: 0,
+    valleys: 0
+  };
+};
+
+/**
+ * Calculate a material takeoff
+ * @param {Object} input - Roof details
+ * @param {number} input.roofArea - Sloped roof area in sq ft
+ * @param {string} input.pitch - flat, low, moderate or steep (default moderate)
+ * @param {string} input.shape - simple, complex or unknown (default unknown)
+ * @param {string} input.material - Catalog or legacy material id (default: the residential default)
+ * @param {string} input.state - Two-letter state, decides ice barrier along the eaves
+ * @param {boolean} input.iceBarrierAtEaves - Overrides the state-based choice
+ * @param {Object} input.measurements - Known { eaves, rakes, ridges, hips, valleys } in linear ft
+ * @returns {Object} Takeoff { squares, wasteFactor, measurements, items, notes, ... }
+ */
+const calculateTakeoff = ({
+  roofArea,
+  pitch = 'moderate',
+  shape = 'unknown',
+  material,
+  state,
+  iceBarrierAtEaves,
+  measurements = {}
+}) => {
+  const area = parseFloat(roofArea);
+  if (!(area > 0)) {
+    const error = new Error('A positive roof area is required for a material takeoff');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const resolvedPitch = PITCH_RISE[pitch] ? pitch : 'moderate';
+  const resolvedShape = WASTE_FACTORS[shape] !== undefined ? shape : 'unknown';
+  const product = materialCatalog.getMaterial(material) ||
+    materialCatalog.getMaterial(materialCatalog.getDefaultMaterialId('residential'));
+  const { coverage } = product;
+  const isMembrane = product.family === 'membrane';
+  const notes = [];
+
+  // Known measurements win; the rest are estimated
+  const estimates = estimateLinearMeasurements(area, resolvedPitch, resolvedShape);
+  const estimated = [];
+  const linear = {};
+  LINEAR_FIELDS.forEach(field => {
+    const known = parseFloat(measurements[field]);
+    if (known >= 0) {
+      linear[field] = round(known, 1);
+    } else {
+      linear[field] = round(estimates[field], 1);
+      estimated.push(field);
+    }
+  });
+  if (estimated.length > 0) {
+    notes.push(`Estimated from the roof area and shape: ${estimated.join(', ')}. Measure on site before ordering.`);
+  }
+
+  const wasteFactor = round(WASTE_FACTORS[resolvedShape] + (resolvedPitch === 'steep' ? STEEP_WASTE : 0), 2);
+  const netSquares = area / SQ_FT_PER_SQUARE;
+  const squaresWithWaste = netSquares * (1 + wasteFactor);
+  // Shingles are sold by the bundle, so order in thirds of a square
+  const orderSquares = Math.ceil(squaresWithWaste * 3) / 3;
+
+  const eaveIceBarrier = iceBarrierAtEaves !== undefined
+    ? !!iceBarrierAtEaves
+    : ICE_BARRIER_STATES.includes(String(state || '').trim().toUpperCase());
+  const iceWaterLf = linear.valleys + (eaveIceBarrier ? linear.eaves : 0);
+  const iceWaterSqFt = iceWaterLf * 3;
+  const underlaymentSqFt = Math.max(0, area - iceWaterSqFt) * (1 + COVERAGE.underlaymentLap);
+  const starterLf = linear.eaves + linear.rakes;
+  const ridgeCapLf = linear.ridges + linear.hips;
+  const dripEdgeLf = linear.eaves + linear.rakes;
+
+  const fieldItem = {
+    id: 'field',
+    name: coverage.product,
+    quantity: Math.ceil(orderSquares * coverage.perSquare),
+    unit: coverage.unit,
+    basis: coverage.unit === 'squares'
+      ? `${round(orderSquares, 2)} squares including waste`
+      : `${round(orderSquares, 2)} squares at ${coverage.perSquare} ${coverage.unit} per square`
+  };
+  const dripEdgeItem = {
+    id: 'drip_edge',
+    name: isMembrane ? 'Edge metal (10 ft pieces)' : 'Drip edge (10 ft pieces)',
+    quantity: Math.ceil(dripEdgeLf * (1 + COVERAGE.dripEdgeOverlap) / COVERAGE.dripEdgePieceLf),
+    unit: 'pieces',
+    basis: `${Math.round(dripEdgeLf)} lf of eaves and rakes plus ${COVERAGE.dripEdgeOverlap * 100}% overlap`
+  };
+
+  const items = isMembrane ? [fieldItem, dripEdgeItem] : [
+    fieldItem,
+    {
+      id: 'underlayment',
+      name: 'Synthetic underlayment rolls',
+      quantity: Math.ceil(underlaymentSqFt / COVERAGE.underlaymentRollSqFt),
+      unit: 'rolls',
+      basis: `${Math.round(underlaymentSqFt)} sq ft including ${COVERAGE.underlaymentLap * 100}% laps, ${COVERAGE.underlaymentRollSqFt} sq ft per roll`
+    },
+    {
+      id: 'ice_water_shield',
+      name: 'Ice & water shield rolls',
+      quantity: Math.ceil(iceWaterLf / COVERAGE.iceWaterRollLf),
+      unit: 'rolls',
+      basis: `${Math.round(iceWaterLf)} lf of valleys${eaveIceBarrier ? ' and eaves' : ''}, ${COVERAGE.iceWaterRollLf} lf per roll`
+    },
+    {
+      id: 'starter',
+      name: 'Starter strip bundles',
+      quantity: Math.ceil(starterLf / COVERAGE.starterLfPerBundle),
+      unit: 'bundles',
+      basis: `${Math.round(starterLf)} lf of eaves and rakes, ${COVERAGE.starterLfPerBundle} lf per bundle`
+    },
+    {
+      id: 'ridge_cap',
+      name: 'Hip & ridge cap bundles',
+      quantity: Math.ceil(ridgeCapLf / COVERAGE.ridgeCapLfPerBundle),
+      unit: 'bundles',
+      basis: `${Math.round(ridgeCapLf)} lf of ridges and hips, ${COVERAGE.ridgeCapLfPerBundle} lf per bundle`
+    },
+    dripEdgeItem
+  ];
+
+  if (coverage.nailsPerSquare) {
+    const nails = Math.ceil(orderSquares * coverage.nailsPerSquare);
+    items.push({
+      id: 'nails',
+      name: 'Roofing nails (boxes)',
+      quantity: Math.ceil(nails / COVERAGE.nailsPerBox),
+      unit: 'boxes',
+      basis: `${nails.toLocaleString('en-US')} nails at ${coverage.nailsPerSquare} per square, ${COVERAGE.nailsPerBox.toLocaleString('en-US')} per box`
+    });
+  } else if (isMembrane) {
+    notes.push(`Insulation, cover board, flashing and fasteners for ${product.label} depend on the roof assembly.`);
+  } else {
+    notes.push(`Fasteners for ${product.label} depend on the product; follow the manufacturer's schedule.`);
+  }
+
+  if (!materialCatalog.isSuitableForSteepness(product, resolvedPitch)) {
+    notes.push(`${product.label} needs a pitch of at least ${materialCatalog.formatPitch(product.minPitch)}` +
+      `${product.maxPitch !== null ? ` and at most ${materialCatalog.formatPitch(product.maxPitch)}` : ''}; check the material choice.`);
+  }
+
+  return {
+    material: product.id,
+    roofArea: Math.round(area),
+    pitch: resolvedPitch,
+    pitchMultiplier: round(pitchMultiplier(resolvedPitch), 3),
+    shape: resolvedShape,
+    wasteFactor,
+    squares: {
+      net: round(netSquares, 2),
+      withWaste: round(squaresWithWaste, 2),
+      order: round(orderSquares, 2)
+    },
+    measurements: { ...linear, estimated },
+    iceBarrierAtEaves: eaveIceBarrier,
+    items: items.filter(item => item.quantity > 0),
+    notes
+  };
+};
+
+/**
+ * Calculate a material takeoff for a roof made of sections at different pitches
+ * Each section is taken off at its own steepness (waste, estimated linear
+ * measurements) and the quantities are added up. Known measurements describe the
+ * whole roof, so they are only used when there is a single section.
+ * @param {Object} input - Roof details (see calculateTakeoff); area and pitch come from the sections
+ * @param {Array<Object>} sections - Measured roof sections { id, label, steepness, area } (see roofSectionService)
+ * @returns {Object} Takeoff like calculateTakeoff, plus sections [{ id, label, pitch, roofArea, wasteFactor, squares, measurements }]
+ */
+const calculateSectionTakeoff = (input, sections) => {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return calculateTakeoff(input);
+  }
+
+  const takeoffs = sections.map(section => calculateTakeoff({
+    ...input,
+    roofArea: section.area,
+    pitch: section.steepness,
+    measurements: sections.length === 1 ? input.measurements : {}
+  }));
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const roofArea = sum(takeoffs.map(takeoff => takeoff.roofArea));
+  const squares = {
+    net: round(sum(takeoffs.map(takeoff => takeoff.squares.net)), 2),
+    withWaste: round(sum(takeoffs.map(takeoff => takeoff.squares.withWaste)), 2),
+    order: round(sum(takeoffs.map(takeoff => takeoff.squares.order)), 2)
+  };
+
+  const measurements = { estimated: [] };
+  LINEAR_FIELDS.forEach(field => {
+    measurements[field] = round(sum(takeoffs.map(takeoff => takeoff.measurements[field])), 1);
+    if (takeoffs.some(takeoff => takeoff.measurements.estimated.includes(field))) {
+      measurements.estimated.push(field);
+    }
+  });
+
+  // Same item on several sections: add the quantities and keep each section's basis
+  const items = [];
+  takeoffs.forEach((takeoff, index) => {
+    takeoff.items.forEach(item => {
+      const basis = `${sections[index].label}: ${item.basis}`;
+      const existing = items.find(candidate => candidate.id === item.id);
+      if (existing) {
+        existing.quantity += item.quantity;
+        existing.basis += `; ${basis}`;
+      } else {
+        items.push({ ...item, basis });
+      }
+    });
+  });
+
+  return {
+    material: takeoffs[0].material,
+    roofArea,
+    pitch: PITCH_RISE[input.pitch] ? input.pitch : takeoffs[0].pitch,
+    // Area-weighted, so roofArea / pitchMultiplier is the plan area of the whole roof
+    pitchMultiplier: round(roofArea / sum(takeoffs.map(takeoff => takeoff.roofArea / takeoff.pitchMultiplier)), 3),
+    shape: takeoffs[0].shape,
+    wasteFactor: round(squares.withWaste / squares.net - 1, 2),
+    squares,
+    measurements,
+    iceBarrierAtEaves: takeoffs[0].iceBarrierAtEaves,
+    items,
+    // Notes that only apply to some sections say which
+    notes: [...new Set(takeoffs.flatMap((takeoff, index) => takeoff.notes.map(note =>
+      takeoffs.every(other => other.notes.includes(note)) ? note : `${sections[index].label}: ${note}`
+    )))],
+    sections: takeoffs.map((takeoff, index) => ({
+      id: sections[index].id,
+      label: sections[index].label,
+      pitch: takeoff.pitch,
+      roofArea: takeoff.roofArea,
+      wasteFactor: takeoff.wasteFactor,
+      squares: takeoff.squares,
+      measurements: takeoff.measurements
+    }))
+  };
+};
+
+module.exports = {
+  WASTE_FACTORS,
+  calculateTakeoff,
+  calculateSectionTakeoff,
+  estimateLinearMeasurements,
+  pitchMultiplier
+};
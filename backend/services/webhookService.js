@@ -0,0 +1,337 @@
+// services/webhookService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const { createFileStore } = require('../utils/fileStore');
+const { logInfo, logWarn, logError } = require('../utils/logger');
+
+/**
+ * Outbound webhooks for CRM integration
+ *
+ * Events are fanned out to every configured endpoint as individual deliveries.
+ * Deliveries are persisted (data/webhook-deliveries.json) before the first
+ * attempt, so pending retries survive restarts. Each request body is signed:
+ *
+ *   X-RoofAI-Signature: sha256=HMAC_SHA256(WEBHOOK_SECRET, `${timestamp}.${body}`)
+ *
+ * Configuration:
+ *   WEBHOOK_URLS         - Comma-separated endpoint URLs
+ *   WEBHOOK_SECRET       - Shared signing secret (required - no events are sent without it)
+ *   WEBHOOK_EVENTS       - Optional comma-separated event allow-list
+ *   WEBHOOK_MAX_ATTEMPTS - Attempts before a delivery is marked failed (default 8)
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || '30000', 10);
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const REQUEST_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000', 10);
+const MAX_LOG_ENTRIES = 1000;
+
+const EVENTS = {
+  ESTIMATE_GENERATED: 'estimate.generated',
+  ESTIMATE_SUBMITTED: 'estimate.submitted'
+};
+
+const store = createFileStore('webhook-deliveries', { defaultValue: [] });
+
+let processing = false;
+let workerTimer = null;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Get configured webhook endpoints
+ * @returns {Array<string>} Endpoint URLs
+ */
+const getEndpoints = () => parseList(process.env.WEBHOOK_URLS);
+
+/**
+ * Get the signing secret
+ * @returns {string} Secret, or an empty string when none is configured
+ */
+const getSecret = () => process.env.WEBHOOK_SECRET || '';
+
+/**
+ * Check whether an event type should be delivered
+ * @param {string} type - Event type
+ * @returns {boolean} True if the event is enabled
+ */
+const isEventEnabled = (type) => {
+  const allowed = parseList(process.env.WEBHOOK_EVENTS);
+  return allowed.length === 0 || allowed.includes(type);
+};
+
+/**
+ * Sign a payload
+ * @param {string} body - Serialized JSON body
+ * @param {string} timestamp - Unix timestamp (seconds) sent with the request
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value
+ */
+const signPayload = (body, timestamp, secret = getSecret()) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff with cap)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+
+/**
+ * Queue an event for delivery to every configured endpoint
+ * @param {string} type - Event type (see EVENTS)
+ * @param {Object} data - Event payload
+ * @returns {Promise<Array>} Queued deliveries
+ */
+const emitEvent = async (type, data) => {
+  const endpoints = getEndpoints();
+  // Unsigned payloads can't be verified by the receiver, so don't send any
+  if (endpoints.length === 0 || !getSecret() || !isEventEnabled(type)) {
+    return [];
+  }
+
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    // Snapshot the payload so later changes to the source object don't leak into queued deliveries
+    data: JSON.parse(JSON.stringify(data))
+  };
+
+  const deliveries = endpoints.map(url => ({
+    id: `dlv_${crypto.randomUUID()}`,
+    eventId: event.id,
+    event: type,
+    url,
+    payload: event,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: event.createdAt,
+    createdAt: event.createdAt,
+    updatedAt: event.createdAt,
+    log: []
+  }));
+
+  await store.update(queue => {
+    queue.push(...deliveries);
+    // Keep the log bounded - drop the oldest finished deliveries first
+    while (queue.length > MAX_LOG_ENTRIES) {
+      const index = queue.findIndex(delivery => delivery.status !== 'pending');
+      if (index === -1) break;
+      queue.splice(index, 1);
+    }
+  });
+
+  logInfo('Webhook event queued', { type, eventId: event.id, endpoints: endpoints.length });
+
+  // Kick off delivery without waiting for it
+  processQueue().catch(err => logError('Error processing webhook queue', { error: err.message }));
+
+  return deliveries;
+};
+
+/**
+ * Attempt a single delivery
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<Object>} Attempt result { ok, statusCode, error, durationMs }
+ */
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RoofAI-Webhooks/1.0',
+        'X-RoofAI-Event': delivery.event,
+        'X-RoofAI-Delivery': delivery.id,
+        'X-RoofAI-Timestamp': timestamp,
+        'X-RoofAI-Signature': signPayload(body, timestamp)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      statusCode: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startTime
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: error.message,
+      durationMs: Date.now() - startTime
+    };
+  }
+};
+
+/**
+ * Deliver every pending delivery that is due
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processQueue = async () => {
+  // Deliveries queued before the secret was removed wait until it is set again
+  if (processing || !getSecret()) return 0;
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const queue = await store.read();
+    const due = queue.filter(delivery =>
+      delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now
+    );
+
+    for (const delivery of due) {
+      const attempt = delivery.attempts + 1;
+      const result = await attemptDelivery(delivery);
+      const attemptedAt = new Date().toISOString();
+
+      await store.update(current => {
+        const record = current.find(item => item.id === delivery.id);
+        if (!record) return;
+
+        record.attempts += 1;
+        record.updatedAt = attemptedAt;
+        record.log.push({ attemptedAt, ...result });
+
+        if (result.ok) {
+          record.status = 'delivered';
+          record.deliveredAt = attemptedAt;
+          record.nextAttemptAt = null;
+        } else if (record.attempts >= MAX_ATTEMPTS) {
+          record.status = 'failed';
+          record.nextAttemptAt = null;
+        } else {
+          record.nextAttemptAt = new Date(Date.now() + getBackoffDelay(record.attempts)).toISOString();
+        }
+      });
+
+      if (result.ok) {
+        logInfo('Webhook delivered', { id: delivery.id, event: delivery.event, url: delivery.url });
+      } else {
+        logWarn('Webhook delivery failed', {
+          id: delivery.id,
+          event: delivery.event,
+          url: delivery.url,
+          attempt,
+          error: result.error
+        });
+      }
+    }
+
+    return due.length;
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - Optional filters { status, event, limit }
+ * @returns {Promise<Array>} Deliveries
+ */
+const listDeliveries = async ({ status, event, limit = 50 } = {}) => {
+  const queue = await store.read();
+  const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LOG_ENTRIES);
+
+  return queue
+    .filter(delivery => !status || delivery.status === status)
+    .filter(delivery => !event || delivery.event === event)
+    .slice()
+    .reverse()
+    .slice(0, max);
+};
+
+/**
+ * Get a single delivery by id
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object|null>} Delivery or null
+ */
+const getDelivery = async (id) => {
+  const queue = await store.read();
+  return queue.find(delivery => delivery.id === id) || null;
+};
+
+/**
+ * Reset a delivery so it is attempted again on the next run
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object|null>} Updated delivery or null
+ */
+const retryDelivery = async (id) => {
+  let updated = null;
+
+  await store.update(queue => {
+    const record = queue.find(delivery => delivery.id === id);
+    if (record) {
+      record.status = 'pending';
+      record.attempts = 0;
+      record.nextAttemptAt = new Date().toISOString();
+      record.updatedAt = record.nextAttemptAt;
+      updated = record;
+    }
+  });
+
+  if (updated) {
+    processQueue().catch(err => logError('Error processing webhook queue', { error: err.message }));
+  }
+
+  return updated;
+};
+
+/**
+ * Start the background worker that retries pending deliveries
+ */
+const startWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processQueue().catch(err => logError('Error processing webhook queue', { error: err.message }));
+  }, POLL_INTERVAL_MS);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+
+  if (getEndpoints().length > 0 && !getSecret()) {
+    logWarn('WEBHOOK_URLS is set but WEBHOOK_SECRET is not - webhook events will not be sent');
+  } else if (getEndpoints().length > 0) {
+    logInfo('Webhook worker started', { endpoints: getEndpoints().length, pollIntervalMs: POLL_INTERVAL_MS });
+  }
+};
+
+/**
+ * Stop the background worker
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  EVENTS,
+  emitEvent,
+  processQueue,
+  listDeliveries,
+  getDelivery,
+  retryDelivery,
+  signPayload,
+  getEndpoints,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,204 @@
+// services/zoomConsensusService.js
+
+/**
+ * Consensus across the zoom levels of a vision analysis
+ *
+ * Each zoom level is analyzed independently, so the model's answers can differ:
+ * a close zoom may crop a wing of the house, a far one may merge a neighbour's
+ * garage. Rather than trusting the single most confident answer, the areas are
+ * compared, zoom levels far from the median are rejected as outliers, and the
+ * rest are averaged with weights from the model's confidence and how well each
+ * outline matched its stated area. Pitch and shape are weighted votes. When the
+ * remaining zoom levels still disagree the confidence is lowered.
+ *
+ * Configuration:
+ *   ZOOM_OUTLIER_THRESHOLD      - Relative distance from the median area that rejects a zoom level (default 0.25)
+ *   ZOOM_DISAGREEMENT_THRESHOLD - Relative area spread that lowers confidence one level; twice it lowers two (default 0.15)
+ */
+
+const OUTLIER_THRESHOLD = parseFloat(process.env.ZOOM_OUTLIER_THRESHOLD || '0.25');
+const DISAGREEMENT_THRESHOLD = parseFloat(process.env.ZOOM_DISAGREEMENT_THRESHOLD || '0.15');
+
+// Outliers can only be told apart from the majority with at least this many zoom levels
+const MIN_FOR_OUTLIERS = 3;
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const CONFIDENCE_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+// How much an outline/area check result supports the stated area
+const AREA_CHECK_WEIGHTS = {
+  consistent: 1,
+  minor_discrepancy: 0.8,
+  unavailable: 0.6,
+  major_discrepancy: 0.3
+};
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Weight of one zoom level's answer
+ * @param {Object} analysis - Vision analysis for the zoom level
+ * @returns {number} Weight (confidence x area check)
+ */
+const weightFor = (analysis) => {
+  const confidence = CONFIDENCE_WEIGHTS[analysis.confidence] || 0.5;
+  const areaCheck = AREA_CHECK_WEIGHTS[analysis.areaCheck?.status] ?? AREA_CHECK_WEIGHTS.unavailable;
+  return confidence * areaCheck;
+};
+
+/**
+ * Weighted vote over a categorical field, ignoring 'unknown'
+ * @param {Array<Object>} entries - { value, weight }
+ * @returns {Object} { value, agreement } - winning value (or 'unknown') and whether all votes matched
+ */
+const weightedVote = (entries) => {
+  const votes = new Map();
+  entries
+    .filter(({ value }) => value && value !== 'unknown')
+    .forEach(({ value, weight }) => votes.set(value, (votes.get(value) || 0) + weight));
+
+  if (votes.size === 0) return { value: 'unknown', agreement: true };
+
+  const [value] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+  return { value, agreement: votes.size === 1 };
+};
+
+const lowerConfidence = (confidence, levels) => {
+  const index = CONFIDENCE_LEVELS.indexOf(confidence);
+  if (index === -1) return confidence;
+  return CONFIDENCE_LEVELS[Math.max(0, index - levels)];
+};
+
+/**
+ * Per-zoom summary for the response
+ * @param {Object} result - Zoom result { zoom, success, analysis, error }
+ * @returns {Object} Breakdown row
+ */
+const describeZoom = (result) => {
+  if (!result.success) {
+    return { zoom: result.zoom, status: 'failed', error: result.error || 'Analysis failed' };
+  }
+
+  const { analysis } = result;
+  return {
+    zoom: result.zoom,
+    status: analysis.roofArea > 0 ? 'used' : 'no_area',
+    roofArea: analysis.roofArea,
+    confidence: analysis.confidence,
+    estimatedPitch: analysis.estimatedPitch,
+    roofShape: analysis.roofShape,
+    areaCheck: analysis.areaCheck?.status || null,
+    weight: round(weightFor(analysis), 2)
+  };
+};
+
+/**
+ * Combine the zoom level analyses into one
+ * @param {Array<Object>} results - Zoom results { zoom, success, analysis, error }
+ * @returns {Object} { analysis, consensus } - analysis is null when no zoom level measured a roof
+ */
+const buildConsensus = (results) => {
+  const zooms = results
+    .map(describeZoom)
+    .sort((a, b) => b.zoom - a.zoom);
+  const candidates = zooms.filter(zoom => zoom.status === 'used');
+
+  if (candidates.length === 0) {
+    return {
+      analysis: null,
+      consensus: { method: 'weighted_mean', zoomsUsed: 0, zooms }
+    };
+  }
+
+  // Reject zoom levels far from the median (only meaningful with a majority to compare against)
+  const middle = median(candidates.map(zoom => zoom.roofArea));
+  candidates.forEach(zoom => {
+    zoom.deviation = round((zoom.roofArea - middle) / middle, 3);
+    if (candidates.length >= MIN_FOR_OUTLIERS && Math.abs(zoom.deviation) > OUTLIER_THRESHOLD) {
+      zoom.status = 'outlier';
+      zoom.reason = `Area is ${Math.round(Math.abs(zoom.deviation) * 100)}% from the median of ${Math.round(middle)} sq ft`;
+    }
+  });
+
+  const used = candidates.filter(zoom => zoom.status === 'used');
+  const totalWeight = used.reduce((sum, zoom) => sum + zoom.weight, 0);
+  const roofArea = used.reduce((sum, zoom) => sum + zoom.roofArea * zoom.weight, 0) / totalWeight;
+
+  const areas = used.map(zoom => zoom.roofArea);
+  const variance = used.reduce((sum, zoom) => sum + zoom.weight * (zoom.roofArea - roofArea) ** 2, 0) / totalWeight;
+  const spread = {
+    min: Math.min(...areas),
+    max: Math.max(...areas),
+    stdDev: Math.round(Math.sqrt(variance)),
+    relative: round((Math.max(...areas) - Math.min(...areas)) / roofArea, 3)
+  };
+
+  const pitch = weightedVote(used.map(zoom => ({ value: zoom.estimatedPitch, weight: zoom.weight })));
+  const shape = weightedVote(used.map(zoom => ({ value: zoom.roofShape, weight: zoom.weight })));
+
+  // The zoom level that best represents the consensus supplies the outline and notes
+  const representative = used
+    .map(zoom => ({ zoom, score: zoom.weight / (1 + Math.abs(zoom.roofArea - roofArea) / roofArea) }))
+    .sort((a, b) => b.score - a.score || b.zoom.zoom - a.zoom.zoom)[0].zoom;
+  const base = results.find(result => result.zoom === representative.zoom).analysis;
+
+  // Start from the most confident agreeing zoom level, then lower for disagreement
+  const startConfidence = CONFIDENCE_LEVELS[Math.max(...used.map(zoom => CONFIDENCE_LEVELS.indexOf(zoom.confidence)), 0)];
+  const reasons = [];
+  let levels = 0;
+
+  if (spread.relative > DISAGREEMENT_THRESHOLD) {
+    levels += spread.relative > DISAGREEMENT_THRESHOLD * 2 ? 2 : 1;
+    reasons.push(`Zoom level areas differ by ${Math.round(spread.relative * 100)}%`);
+  }
+  if (!pitch.agreement) {
+    levels += 1;
+    reasons.push('Zoom levels disagree on the pitch');
+  }
+  if (used.length === 1 && zooms.length > 1) {
+    reasons.push('Only one zoom level was kept, so the area could not be cross-checked');
+  }
+
+  const confidence = lowerConfidence(startConfidence, levels);
+
+  return {
+    analysis: {
+      ...base,
+      roofArea: Math.round(roofArea),
+      estimatedPitch: pitch.value,
+      roofShape: shape.value,
+      confidence
+    },
+    consensus: {
+      method: 'weighted_mean',
+      roofArea: Math.round(roofArea),
+      medianArea: Math.round(middle),
+      spread,
+      agreement: {
+        area: spread.relative <= DISAGREEMENT_THRESHOLD,
+        pitch: pitch.agreement,
+        shape: shape.agreement
+      },
+      confidence: { from: startConfidence, to: confidence, reasons },
+      representativeZoom: representative.zoom,
+      zoomsUsed: used.length,
+      zooms
+    }
+  };
+};
+
+module.exports = {
+  OUTLIER_THRESHOLD,
+  DISAGREEMENT_THRESHOLD,
+  buildConsensus
+};
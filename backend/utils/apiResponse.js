@@ -98,6 +98,21 @@ const forbidden = (message = 'Forbidden access') => {
   };
 };
 
+/**
+ * Create a too-many-requests response (rate limit or quota exceeded)
+ * @param {string} message - Error message
+ * @param {Object} details - Limit details (limit, remaining, reset, ...)
+ * @returns {Object} Formatted too-many-requests response
+ */
+const tooManyRequests = (message = 'Too many requests, please try again later.', details = {}) => {
+  return {
+    success: false,
+    message,
+    details,
+    statusCode: 429
+  };
+};
+
 /**
  * Send response helper for Express
  * @param {Object} res - Express response object
@@ -114,5 +129,6 @@ module.exports = {
   notFound,
   unauthorized,
   forbidden,
+  tooManyRequests,
   send
 };
@@ -0,0 +1,110 @@
+// utils/bm25.js
+
+/**
+ * In-memory BM25 full-text index
+ *
+ * Small enough for a knowledge base of a few hundred passages; the whole index
+ * is rebuilt when documents change.
+ */
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'my', 'of', 'on', 'or', 'our',
+  'should', 'so', 'that', 'the', 'their', 'there', 'these', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a crude stem so "shingles" matches "shingle" and "financing" matches "finance"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|es|s|e)$/, '');
+};
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * Create a BM25 index
+ * @param {Object} options - Ranking parameters
+ * @param {number} options.k1 - Term frequency saturation (default 1.2)
+ * @param {number} options.b - Length normalization (default 0.75)
+ * @returns {Object} Index with add, search and size methods
+ */
+const createBm25Index = ({ k1 = 1.2, b = 0.75 } = {}) => {
+  const documents = [];
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  return {
+    /**
+     * Add a document
+     * @param {string} id - Document id
+     * @param {string} text - Document text
+     */
+    add: (id, text) => {
+      const terms = tokenize(text);
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+      documents.push({ id, length: terms.length, frequencies });
+      totalLength += terms.length;
+    },
+
+    /**
+     * Rank documents against a query
+     * @param {string} query - Query text
+     * @param {number} limit - Max results (default 5)
+     * @returns {Array<Object>} Results { id, score }, best first
+     */
+    search: (query, limit = 5) => {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0 || documents.length === 0) return [];
+
+      const averageLength = totalLength / documents.length;
+
+      return documents
+        .map(document => {
+          const score = terms.reduce((sum, term) => {
+            const frequency = document.frequencies.get(term);
+            if (!frequency) return sum;
+
+            const containing = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+            const norm = frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * document.length / averageLength));
+            return sum + idf * norm;
+          }, 0);
+          return { id: document.id, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((first, second) => second.score - first.score)
+        .slice(0, limit);
+    },
+
+    /**
+     * Number of indexed documents
+     * @returns {number} Document count
+     */
+    size: () => documents.length
+  };
+};
+
+module.exports = {
+  tokenize,
+  createBm25Index
+};
@@ -0,0 +1,28 @@
+// utils/concurrency.js
+
+/**
+ * Map over items with at most `limit` workers running at once
+ * @param {Array<*>} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array<*>>} Results in item order (rejects on the first worker error)
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
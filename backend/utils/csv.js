@@ -0,0 +1,93 @@
+// utils/csv.js
+
+/**
+ * CSV reading and writing (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ */
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV text (a leading byte order mark is ignored)
+ * @returns {Object} { headers: Array<string>, records: Array<Object> } - blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonBlank = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonBlank.length === 0) return { headers: [], records: [] };
+
+  const headers = nonBlank[0].map(header => header.trim());
+  const records = nonBlank.slice(1).map(cells => Object.fromEntries(
+    headers.map((header, index) => [header, (cells[index] || '').trim()])
+  ));
+
+  return { headers, records };
+};
+
+/**
+ * Format one CSV cell
+ * Text that a spreadsheet would run as a formula (=, +, @, or - not followed by a number)
+ * is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^([=+@\t\r]|-(?![\d.]))/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format records as CSV
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Columns, in order
+ * @returns {string} CSV text with a header row (CRLF line endings)
+ */
+const toCsv = (records, columns) => [
+  columns.map(formatCell).join(','),
+  ...records.map(record => columns.map(column => formatCell(record[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
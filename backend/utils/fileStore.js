@@ -0,0 +1,97 @@
+// utils/fileStore.js
+const fs = require('fs');
+const path = require('path');
+const { logError } = require('./logger');
+
+/**
+ * Simple JSON file-backed storage
+ *
+ * Each store is a single JSON document under DATA_DIR. Reads are served from
+ * memory after the first load; writes are serialized and flushed atomically
+ * (write to a temp file, then rename) so a crash never leaves a half-written file.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a file-backed store
+ * @param {string} name - Store name, used as the file name (e.g. 'estimates', or 'batches/<id>' for a subdirectory)
+ * @param {Object} options - Store options
+ * @param {*} options.defaultValue - Value used when the file does not exist yet
+ * @returns {Object} Store with read, write and update methods
+ */
+const createFileStore = (name, { defaultValue = [] } = {}) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let cache = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (cache !== null) return cache;
+
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      cache = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError('Error reading data file', { file: filePath, error: error.message });
+        throw error;
+      }
+      cache = JSON.parse(JSON.stringify(defaultValue));
+    }
+
+    return cache;
+  };
+
+  const flush = async (data) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+    cache = data;
+  };
+
+  // Chain every mutation so concurrent requests never interleave read-modify-write
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Read the current contents of the store
+     * @returns {Promise<*>} Stored data
+     */
+    read: () => load(),
+
+    /**
+     * Replace the contents of the store
+     * @param {*} data - New data
+     * @returns {Promise<*>} Stored data
+     */
+    write: (data) => enqueue(async () => {
+      await flush(data);
+      return data;
+    }),
+
+    /**
+     * Apply a mutation to the stored data and persist the result
+     * @param {Function} mutator - Receives the current data, returns the new data (or mutates in place)
+     * @returns {Promise<*>} Stored data
+     */
+    update: (mutator) => enqueue(async () => {
+      const current = await load();
+      const next = await mutator(current);
+      const data = next === undefined ? current : next;
+      await flush(data);
+      return data;
+    })
+  };
+};
+
+module.exports = {
+  DATA_DIR,
+  createFileStore
+};
@@ -0,0 +1,102 @@
+// utils/geometry.js
+const sharedGeometry = require('@roofai/shared/geometry');
+
+/**
+ * Polygon helpers for GeoJSON-style rings ([lng, lat] positions)
+ * Measurements go through the shared geometry library, so a footprint
+ * measures the same here as the outline does in the wizard.
+ */
+
+const { SQ_FT_PER_SQ_M } = sharedGeometry;
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Convert a GeoJSON ring to { lat, lng } points
+ * @param {Array<Array<number>>} ring - Ring of [lng, lat] positions
+ * @returns {Array<Object>} Points
+ */
+const ringToLatLngs = (ring) => ring.map(([lng, lat]) => ({ lat, lng }));
+
+/**
+ * Geodesic area of a ring on the WGS84 ellipsoid
+ * @param {Array<Array<number>>} ring - Ring of [lng, lat] positions
+ * @returns {number} Area in square meters
+ */
+const ringArea = (ring) => sharedGeometry.area(ringToLatLngs(ring));
+
+/**
+ * Geodesic area of a polygon (outer ring minus holes)
+ * @param {Array<Array<Array<number>>>} rings - Polygon rings, outer ring first
+ * @returns {number} Area in square meters
+ */
+const polygonArea = (rings) => rings.reduce(
+  (area, ring, index) => (index === 0 ? area + ringArea(ring) : area - ringArea(ring)),
+  0
+);
+
+/**
+ * Bounding box of polygon rings
+ * @param {Array<Array<Array<number>>>} rings - Polygon rings
+ * @returns {Object} { north, south, east, west }
+ */
+const boundingBox = (rings) => {
+  const bbox = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+  rings.forEach(ring => ring.forEach(([lng, lat]) => {
+    bbox.north = Math.max(bbox.north, lat);
+    bbox.south = Math.min(bbox.south, lat);
+    bbox.east = Math.max(bbox.east, lng);
+    bbox.west = Math.min(bbox.west, lng);
+  }));
+  return bbox;
+};
+
+// Point-in-ring test for a GeoJSON ring
+const pointInRing = (point, ring) => sharedGeometry.pointInPolygon(point, ringToLatLngs(ring));
+
+/**
+ * Check whether a point lies inside a polygon (and not in one of its holes)
+ * @param {Object} point - { lat, lng }
+ * @param {Array<Array<Array<number>>>} rings - Polygon rings, outer ring first
+ * @returns {boolean} True if the point is inside
+ */
+const pointInPolygon = (point, rings) =>
+  pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+
+/**
+ * Shortest distance from a point to a polygon's boundary
+ * Uses a local equirectangular projection, accurate at building scale.
+ * @param {Object} point - { lat, lng }
+ * @param {Array<Array<Array<number>>>} rings - Polygon rings
+ * @returns {number} Distance in meters
+ */
+const distanceToPolygon = ({ lat, lng }, rings) => {
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180);
+  const project = ([pointLng, pointLat]) => ({
+    x: (pointLng - lng) * metersPerDegreeLng,
+    y: (pointLat - lat) * METERS_PER_DEGREE_LAT
+  });
+
+  let best = Infinity;
+  rings.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = project(ring[i]);
+      const b = project(ring[i + 1]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+      best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+  });
+  return best;
+};
+
+module.exports = {
+  SQ_FT_PER_SQ_M,
+  ringArea,
+  polygonArea,
+  boundingBox,
+  pointInPolygon,
+  distanceToPolygon,
+  ringToLatLngs
+};
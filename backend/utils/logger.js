@@ -36,8 +36,8 @@ const logger = createLogger({
       : json()
   ),
   transports: [
-    // Write all logs to console
-    new transports.Console(),
+    // Write all logs to console (kept out of test output)
+    new transports.Console({ silent: process.env.NODE_ENV === 'test' }),
     
     // Write all errors to error.log
     new transports.File({ 
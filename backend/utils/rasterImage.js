@@ -0,0 +1,136 @@
+// utils/rasterImage.js
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+/**
+ * Minimal in-memory raster helpers (pure JS, RGBA 8-bit)
+ *
+ * A raster is { width, height, data } where data is a Buffer of width*height*4 bytes.
+ */
+
+/**
+ * Create an empty (opaque black) raster
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} Raster
+ */
+const createRaster = (width, height) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = 255;
+  }
+  return { width, height, data };
+};
+
+/**
+ * Detect the image type from its magic bytes
+ * @param {Buffer} buffer - Encoded image
+ * @returns {string|null} MIME type (image/png, image/jpeg, image/tiff) or null
+ */
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 4 && (buffer.toString('latin1', 0, 4) === 'II*\0' || buffer.toString('latin1', 0, 4) === 'MM\0*')) return 'image/tiff';
+  return null;
+};
+
+/**
+ * Decode a PNG or JPEG image
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Object} Raster
+ * @throws {Error} If the format is not supported
+ */
+const decodeImage = (buffer) => {
+  const mimeType = detectMimeType(buffer);
+
+  if (mimeType === 'image/png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (mimeType === 'image/jpeg') {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data) };
+  }
+
+  throw new Error(`Unsupported image format${mimeType ? `: ${mimeType}` : ''}`);
+};
+
+/**
+ * Encode a raster as PNG
+ * @param {Object} raster - Raster
+ * @returns {Buffer} PNG bytes
+ */
+const encodePng = (raster) => {
+  const png = new PNG({ width: raster.width, height: raster.height });
+  raster.data.copy(png.data);
+  return PNG.sync.write(png);
+};
+
+/**
+ * Copy a source raster onto a target raster (clipped to the target)
+ * @param {Object} source - Source raster
+ * @param {Object} target - Target raster (modified)
+ * @param {number} offsetX - Target x of the source's top-left corner
+ * @param {number} offsetY - Target y of the source's top-left corner
+ */
+const blit = (source, target, offsetX, offsetY) => {
+  const startX = Math.max(0, -offsetX);
+  const startY = Math.max(0, -offsetY);
+  const endX = Math.min(source.width, target.width - offsetX);
+  const endY = Math.min(source.height, target.height - offsetY);
+  if (endX <= startX) return;
+
+  for (let y = startY; y < endY; y++) {
+    const sourceStart = (y * source.width + startX) * 4;
+    const targetStart = ((y + offsetY) * target.width + startX + offsetX) * 4;
+    source.data.copy(target.data, targetStart, sourceStart, sourceStart + (endX - startX) * 4);
+  }
+};
+
+/**
+ * Crop a window from a raster (areas outside the source stay black)
+ * @param {Object} raster - Source raster
+ * @param {number} x - Window left
+ * @param {number} y - Window top
+ * @param {number} width - Window width
+ * @param {number} height - Window height
+ * @returns {Object} Cropped raster
+ */
+const crop = (raster, x, y, width, height) => {
+  const target = createRaster(width, height);
+  blit(raster, target, -Math.round(x), -Math.round(y));
+  return target;
+};
+
+/**
+ * Downsample a raster by an integer factor (nearest neighbour)
+ * @param {Object} raster - Source raster
+ * @param {number} factor - Integer reduction factor (>= 1)
+ * @returns {Object} Reduced raster
+ */
+const downsample = (raster, factor) => {
+  if (factor <= 1) return raster;
+
+  const width = Math.max(1, Math.floor(raster.width / factor));
+  const height = Math.max(1, Math.floor(raster.height / factor));
+  const target = createRaster(width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sourceIndex = ((y * factor) * raster.width + x * factor) * 4;
+      raster.data.copy(target.data, (y * width + x) * 4, sourceIndex, sourceIndex + 4);
+    }
+  }
+
+  return target;
+};
+
+module.exports = {
+  createRaster,
+  detectMimeType,
+  decodeImage,
+  encodePng,
+  blit,
+  crop,
+  downsample
+};
@@ -0,0 +1,212 @@
+// utils/respClient.js
+const net = require('net');
+
+/**
+ * Minimal Redis protocol (RESP2) client
+ *
+ * Enough of the protocol for the cache's Redis tier: commands are sent as arrays
+ * of bulk strings and replies are matched to commands in order. Works against
+ * Redis, compatible servers (Valkey, KeyDB, ...) and scripts/redisStandIn.js.
+ */
+
+const CRLF = '\r\n';
+
+class RespError extends Error {}
+
+/**
+ * Parse one reply from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} offset - Where the reply starts
+ * @returns {Object|null} { value, offset } (offset after the reply), or null if incomplete
+ */
+const parseReply = (buffer, offset = 0) => {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected RESP type "${type}"`);
+  }
+};
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<*>} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+const encodeCommand = (args) => args.reduce(
+  (encoded, arg) => {
+    const value = String(arg);
+    return `${encoded}$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  },
+  `*${args.length}${CRLF}`
+);
+
+/**
+ * Create a client
+ * The connection is opened on the first command and reopened after a failure.
+ * @param {Object} options - Client options
+ * @param {string} options.url - redis://[:password@]host[:port][/db]
+ * @param {number} options.timeoutMs - Connect and command timeout (default 2000)
+ * @returns {Object} Client { command, close, isConnected }
+ */
+const createRespClient = ({ url, timeoutMs = 2000 }) => {
+  const target = new URL(url);
+  const host = target.hostname || '127.0.0.1';
+  const port = parseInt(target.port || '6379', 10);
+  const password = target.password ? decodeURIComponent(target.password) : null;
+  const db = target.pathname && target.pathname.length > 1 ? target.pathname.slice(1) : null;
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  const failAll = (error) => {
+    const waiting = pending;
+    pending = [];
+    waiting.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  };
+
+  const drop = (error) => {
+    if (socket) socket.destroy();
+    socket = null;
+    connecting = null;
+    buffer = Buffer.alloc(0);
+    failAll(error);
+  };
+
+  const onData = (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    let reply;
+    try {
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof RespError) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      drop(error);
+    }
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      // A late reply would be matched to the wrong command, so start over
+      drop(new Error(`Redis command timed out: ${args[0]}`));
+    }, timeoutMs);
+
+    pending.push({ resolve, reject, timer });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (socket && !connecting) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host, port });
+      socket = connection;
+
+      const timer = setTimeout(() => {
+        drop(new Error(`Redis connection to ${host}:${port} timed out`));
+        reject(new Error(`Redis connection to ${host}:${port} timed out`));
+      }, timeoutMs);
+
+      connection.on('data', onData);
+      connection.on('error', (error) => {
+        clearTimeout(timer);
+        if (socket === connection) drop(error);
+        reject(error);
+      });
+      connection.on('close', () => {
+        if (socket === connection) drop(new Error('Redis connection closed'));
+      });
+
+      connection.once('connect', async () => {
+        clearTimeout(timer);
+        try {
+          if (password) await send(['AUTH', password]);
+          if (db) await send(['SELECT', db]);
+          connecting = null;
+          resolve();
+        } catch (error) {
+          drop(error);
+          reject(error);
+        }
+      });
+    });
+
+    return connecting;
+  };
+
+  return {
+    /**
+     * Send a command
+     * @param {...*} args - Command name and arguments (e.g. 'SET', key, value, 'PX', 1000)
+     * @returns {Promise<*>} Reply (string, number, null or array)
+     */
+    command: async (...args) => {
+      await connect();
+      return send(args);
+    },
+
+    /**
+     * Close the connection
+     */
+    close: () => {
+      if (socket) socket.end();
+      socket = null;
+      connecting = null;
+    },
+
+    isConnected: () => Boolean(socket) && !connecting,
+
+    address: `${host}:${port}${db ? `/${db}` : ''}`
+  };
+};
+
+module.exports = {
+  RespError,
+  parseReply,
+  encodeCommand,
+  createRespClient
+};
@@ -0,0 +1,73 @@
+// utils/spatialIndex.js
+
+/**
+ * Uniform grid spatial index for lat/lng bounding boxes
+ *
+ * Items are bucketed into every grid cell their bounding box touches. Building
+ * footprints are small compared to a cell, so a lookup only scans a handful of items.
+ */
+
+/**
+ * Create a grid index
+ * @param {Object} options - Index options
+ * @param {number} options.cellSize - Cell size in degrees (default 0.001, roughly 100 m)
+ * @returns {Object} Index with insert, search and size methods
+ */
+const createGridIndex = ({ cellSize = 0.001 } = {}) => {
+  const cells = new Map();
+  let size = 0;
+
+  const cellOf = (value) => Math.floor(value / cellSize);
+  const keyOf = (col, row) => `${col}:${row}`;
+
+  const forEachCell = (bbox, callback) => {
+    for (let col = cellOf(bbox.west); col <= cellOf(bbox.east); col++) {
+      for (let row = cellOf(bbox.south); row <= cellOf(bbox.north); row++) {
+        callback(keyOf(col, row));
+      }
+    }
+  };
+
+  const intersects = (a, b) => a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+
+  return {
+    /**
+     * Add an item
+     * @param {*} item - Item to store
+     * @param {Object} bbox - Bounding box { north, south, east, west }
+     */
+    insert: (item, bbox) => {
+      const entry = { item, bbox };
+      forEachCell(bbox, key => {
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(entry);
+      });
+      size += 1;
+    },
+
+    /**
+     * Find items whose bounding box intersects a box
+     * @param {Object} bbox - Query box { north, south, east, west }
+     * @returns {Array} Matching items (each once)
+     */
+    search: (bbox) => {
+      const found = new Set();
+      forEachCell(bbox, key => {
+        (cells.get(key) || []).forEach(entry => {
+          if (intersects(entry.bbox, bbox)) found.add(entry);
+        });
+      });
+      return [...found].map(entry => entry.item);
+    },
+
+    /**
+     * Number of indexed items
+     * @returns {number} Item count
+     */
+    size: () => size
+  };
+};
+
+module.exports = {
+  createGridIndex
+};
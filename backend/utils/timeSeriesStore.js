@@ -0,0 +1,120 @@
+// utils/timeSeriesStore.js
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./fileStore');
+const { logError } = require('./logger');
+
+/**
+ * Append-only time series storage
+ *
+ * Points are appended as JSON lines to one file per UTC day
+ * (DATA_DIR/metrics/<series>/YYYY-MM-DD.ndjson), so writes never rewrite history,
+ * range queries only open the days they cover and retention is a file delete.
+ */
+
+const METRICS_DIR = path.join(DATA_DIR, 'metrics');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Create a time series store
+ * @param {string} name - Series name, used as the directory name (e.g. 'timings')
+ * @returns {Object} Store with append, query and prune methods
+ */
+const createTimeSeriesStore = (name) => {
+  const dir = path.join(METRICS_DIR, name);
+  let queue = Promise.resolve();
+
+  // Serialize appends so lines from concurrent requests never interleave
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const listDays = async () => {
+    try {
+      return (await fs.promises.readdir(dir))
+        .filter(file => file.endsWith('.ndjson'))
+        .map(file => file.replace('.ndjson', ''))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const readDay = async (day) => {
+    const raw = await fs.promises.readFile(path.join(dir, `${day}.ndjson`), 'utf8');
+    return raw.split('\n').filter(Boolean).reduce((points, line) => {
+      try {
+        points.push(JSON.parse(line));
+      } catch (error) {
+        logError('Skipping corrupt metrics line', { series: name, day, error: error.message });
+      }
+      return points;
+    }, []);
+  };
+
+  return {
+    dir,
+
+    /**
+     * Append a point (timestamped now unless it has a valid timestamp)
+     * @param {Object} point - Data point
+     * @returns {Promise<Object>} Stored point
+     */
+    append: (point) => enqueue(async () => {
+      const timestamp = new Date(point.timestamp || Date.now());
+      const stored = {
+        ...point,
+        timestamp: (isNaN(timestamp) ? new Date() : timestamp).toISOString()
+      };
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(path.join(dir, `${dayOf(new Date(stored.timestamp))}.ndjson`), `${JSON.stringify(stored)}\n`);
+      return stored;
+    }),
+
+    /**
+     * Read the points in a time range
+     * @param {Object} range - Query range
+     * @param {Date} range.from - Start (inclusive)
+     * @param {Date} range.to - End (inclusive)
+     * @param {Function} range.filter - Optional point predicate
+     * @returns {Promise<Array<Object>>} Points in time order
+     */
+    query: async ({ from, to, filter = () => true }) => {
+      const days = (await listDays()).filter(day => day >= dayOf(from) && day <= dayOf(to));
+      const points = [];
+
+      for (const day of days) {
+        (await readDay(day)).forEach(point => {
+          const time = new Date(point.timestamp);
+          if (time >= from && time <= to && filter(point)) points.push(point);
+        });
+      }
+
+      return points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    },
+
+    /**
+     * Delete days older than a retention window
+     * @param {number} retentionDays - Days to keep
+     * @returns {Promise<number>} Number of day files removed
+     */
+    prune: (retentionDays) => enqueue(async () => {
+      const cutoff = dayOf(new Date(Date.now() - retentionDays * DAY_MS));
+      const expired = (await listDays()).filter(day => day < cutoff);
+
+      await Promise.all(expired.map(day => fs.promises.unlink(path.join(dir, `${day}.ndjson`))));
+      return expired.length;
+    })
+  };
+};
+
+module.exports = {
+  METRICS_DIR,
+  createTimeSeriesStore
+};
@@ -0,0 +1,128 @@
+// utils/webMercator.js
+
+/**
+ * Web Mercator (EPSG:3857) helpers for slippy-map style imagery
+ *
+ * World pixel coordinates are measured at a given zoom with 256px tiles,
+ * origin at the top-left (north-west) corner of the world.
+ */
+
+const TILE_SIZE = 256;
+const EARTH_RADIUS_M = 6378137;
+const EARTH_CIRCUMFERENCE_M = 2 * Math.PI * EARTH_RADIUS_M;
+const MAX_LATITUDE = 85.05112878;
+
+const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+/**
+ * Size of the world in pixels at a zoom level
+ * @param {number} zoom - Zoom level
+ * @returns {number} World size in pixels
+ */
+const worldSize = (zoom) => TILE_SIZE * Math.pow(2, zoom);
+
+/**
+ * Ground resolution (meters per pixel) at a latitude and zoom
+ * @param {number} lat - Latitude
+ * @param {number} zoom - Zoom level
+ * @returns {number} Meters per pixel
+ */
+const groundResolution = (lat, zoom) =>
+  Math.cos(clampLatitude(lat) * Math.PI / 180) * EARTH_CIRCUMFERENCE_M / worldSize(zoom);
+
+/**
+ * Size of one world pixel in projected EPSG:3857 meters at a zoom level
+ * @param {number} zoom - Zoom level
+ * @returns {number} Meters per pixel (true ground size only at the equator)
+ */
+const projectedResolution = (zoom) => EARTH_CIRCUMFERENCE_M / worldSize(zoom);
+
+/**
+ * Convert a lat/lng to world pixel coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+const latLngToPixel = (lat, lng, zoom) => {
+  const size = worldSize(zoom);
+  const sinLat = Math.sin(clampLatitude(lat) * Math.PI / 180);
+
+  return {
+    x: (lng + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * size
+  };
+};
+
+/**
+ * Convert world pixel coordinates to a lat/lng
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { lat, lng }
+ */
+const pixelToLatLng = (x, y, zoom) => {
+  const size = worldSize(zoom);
+  const n = Math.PI - 2 * Math.PI * y / size;
+
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / size * 360 - 180
+  };
+};
+
+/**
+ * Convert projected EPSG:3857 meters to a lat/lng
+ * @param {number} x - Easting in meters
+ * @param {number} y - Northing in meters
+ * @returns {Object} { lat, lng }
+ */
+const metersToLatLng = (x, y) => ({
+  lat: (2 * Math.atan(Math.exp(y / EARTH_RADIUS_M)) - Math.PI / 2) * 180 / Math.PI,
+  lng: x / EARTH_RADIUS_M * 180 / Math.PI
+});
+
+/**
+ * Convert a lat/lng to projected EPSG:3857 meters
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { x, y } in meters
+ */
+const latLngToMeters = (lat, lng) => ({
+  x: lng * Math.PI / 180 * EARTH_RADIUS_M,
+  y: Math.log(Math.tan(Math.PI / 4 + clampLatitude(lat) * Math.PI / 360)) * EARTH_RADIUS_M
+});
+
+/**
+ * Geographic bounds of a pixel window centered on a point
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} zoom - Zoom level
+ * @param {number} width - Window width in pixels (at this zoom)
+ * @param {number} height - Window height in pixels (at this zoom)
+ * @returns {Object} { north, south, east, west }
+ */
+const boundsAround = (lat, lng, zoom, width, height = width) => {
+  const center = latLngToPixel(lat, lng, zoom);
+  const northWest = pixelToLatLng(center.x - width / 2, center.y - height / 2, zoom);
+  const southEast = pixelToLatLng(center.x + width / 2, center.y + height / 2, zoom);
+
+  return {
+    north: northWest.lat,
+    south: southEast.lat,
+    east: southEast.lng,
+    west: northWest.lng
+  };
+};
+
+module.exports = {
+  TILE_SIZE,
+  worldSize,
+  groundResolution,
+  projectedResolution,
+  latLngToPixel,
+  pixelToLatLng,
+  metersToLatLng,
+  latLngToMeters,
+  boundsAround
+};
@@ -21,6 +21,25 @@ import ContactInfoStep from './steps/ContactInfoStep';
 // Import API service
 import apiService from '../services/apiService';
 
+// Keep the analysis fields worth saving with a submission (polygon is stored separately)
+const summarizeRoofAnalysis = (sizeData) => ({
+  size: sizeData.size,
+  accuracy: sizeData.accuracy,
+  method: sizeData.method,
+  roofShape: sizeData.roofShape,
+  roofPitch: sizeData.roofPitch,
+  notes: sizeData.roofAnalysisNotes,
+  includedFeatures: sizeData.includedFeatures,
+  rawVisionArea: sizeData.rawVisionArea,
+  adjustments: sizeData.adjustments
+});
+
+// Progress of the server-side roof analysis job
+const logRoofAnalysisStage = (stage) => {
+  const zoom = stage.zoom ? ` (zoom ${stage.zoom})` : '';
+  console.log(`🔍 Roof analysis: ${stage.stage}${zoom}`, stage.roofArea ? `${stage.roofArea} sq ft` : '');
+};
+
 const EstimateForm = () => {
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState(0);
@@ -38,6 +57,8 @@ const EstimateForm = () => {
     roofSize: '',
     initialRoofSize: '', // Keep original API value for reference
     roofPolygon: null, // Store the polygon coordinates from the backend
+    roofSections: [], // Traced roof sections { label, pitch, polygon, planArea, area }
+    roofAnalysis: null, // Backend roof analysis result (method, confidence, notes)
     roofSizeAuto: true,
     roofSteepness: '',
     buildingType: '',
@@ -156,24 +177,26 @@ const EstimateForm = () => {
               updateFormData('sizingMethod', 'property_calculation');
               
               // We'll still get the backend roof size, but use our calculated size as primary
-              try {
-                console.log("🔍 Getting secondary roof size from API for reference");
-                
-                const roofSizeData = await Promise.race([
-                  apiService.getRoofSizeEstimate(lat, lng, propertyData),
-                  timeoutPromise
-                ]);
-                
-                if (roofSizeData) {
+              console.log("🔍 Getting secondary roof size from API for reference");
+
+              // Not awaited - the analysis job can run for minutes, so the polygon and
+              // analysis are filled in when it finishes while the user moves on
+              apiService.getRoofSizeEstimate(lat, lng, propertyData, {
+                onProgress: logRoofAnalysisStage
+              })
+                .then(roofSizeData => {
+                  if (!roofSizeData) return;
+
                   const sizeData = roofSizeData.data || roofSizeData;
                   if (sizeData.roofPolygon && Array.isArray(sizeData.roofPolygon)) {
                     updateFormData('roofPolygon', sizeData.roofPolygon);
                     console.log("🔍 Saved reference polygon from API");
                   }
-                }
-              } catch (apiSizeError) {
-                console.log("🔍 API roof size request failed, using property calculation only");
-              }
+                  updateFormData('roofAnalysis', summarizeRoofAnalysis(sizeData));
+                })
+                .catch(() => {
+                  console.log("🔍 API roof size request failed, using property calculation only");
+                });
             } else {
               // Fall back to API method if property calculation fails
               fallbackToApiRoofSize(lat, lng, propertyData);
@@ -226,7 +249,9 @@ const EstimateForm = () => {
     try {
       console.log("🔍 Getting roof size from API (fallback method)");
       
-      const roofSizeData = await apiService.getRoofSizeEstimate(lat, lng, propertyData);
+      const roofSizeData = await apiService.getRoofSizeEstimate(lat, lng, propertyData, {
+        onProgress: logRoofAnalysisStage
+      });
       
       if (roofSizeData) {
         // Extract size data
@@ -251,6 +276,7 @@ const EstimateForm = () => {
           console.log("🔍 Received roof polygon from API");
           updateFormData('roofPolygon', sizeData.roofPolygon);
         }
+        updateFormData('roofAnalysis', summarizeRoofAnalysis(sizeData));
       } else {
         console.log("🔍 No roof size data, using default");
         updateFormData('roofSize', 3000);
@@ -336,7 +362,12 @@ const EstimateForm = () => {
       console.log("Form submission response:", response);
       
       if (response && (response.success || response.reference)) {
-        navigate('/thank-you');
+        navigate('/thank-you', {
+          state: {
+            reference: response.data?.reference || response.reference,
+            reportToken: response.data?.reportToken || response.reportToken
+          }
+        });
       } else {
         throw new Error("Failed to submit estimate");
       }
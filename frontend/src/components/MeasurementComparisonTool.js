@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { formatNumber } from '../utils/formatters';
 import LeafletMeasurementUtil from '../utils/LeafletMeasurementUtil';
+import { DEFAULT_PITCH, pitchMultiplier, steepnessForPitch } from '@roofai/shared/roofPitch';
 
 /**
  * Component for comparing different roof measurement techniques
@@ -12,10 +13,12 @@ const MeasurementComparisonTool = ({
   coordinates,
   roofPolygon, 
   visionResult, 
-  manualMeasurement 
+  manualMeasurement,
+  roofPitch // Steepness answer or rise/run used for the outline; defaults to the vision estimate
 }) => {
   const [measurements, setMeasurements] = useState([]);
   const [bestEstimate, setBestEstimate] = useState(null);
+  const pitch = roofPitch || visionResult?.roofPitch || propertyData?.roofPitch || DEFAULT_PITCH;
   
   // Calculate all the measurements when props change
   useEffect(() => {
@@ -23,11 +26,15 @@ const MeasurementComparisonTool = ({
     
     // If we have vision analysis result
     if (visionResult && visionResult.roofArea) {
+      const adjusted = visionResult.rawVisionArea > 0 && visionResult.rawVisionArea !== visionResult.roofArea;
+      
       results.push({
         method: 'OpenAI Vision',
         area: visionResult.roofArea,
         confidence: visionResult.confidence || 'medium',
-        notes: 'AI analysis of satellite imagery'
+        notes: adjusted
+          ? `AI analysis of satellite imagery, adjusted from ${formatNumber(visionResult.rawVisionArea)} sq ft`
+          : 'AI analysis of satellite imagery'
       });
     }
     
@@ -53,7 +60,7 @@ const MeasurementComparisonTool = ({
         'low': 1.15,
         'moderate': 1.45,
         'steep': 1.6
-      }[propertyData.roofPitch || 'moderate'] || 1.45;
+      }[steepnessForPitch(pitch)] || 1.45;
       
       const pitchAdjustedArea = Math.round(footprint * pitchFactor);
       
@@ -61,38 +68,26 @@ const MeasurementComparisonTool = ({
         method: 'Property Data (Pitch-Adjusted)',
         area: pitchAdjustedArea,
         confidence: 'medium',
-        notes: `${footprint} sq ft × ${pitchFactor} factor (${propertyData.roofPitch || 'moderate'} pitch)`
+        notes: `${footprint} sq ft × ${pitchFactor} factor (${pitch} pitch)`
       });
     }
     
-    // If we have roof polygon, calculate with Leaflet/Turf
+    // If we have a roof outline, measure it (with Turf.js unless the flag turns it off)
     if (roofPolygon && Array.isArray(roofPolygon) && roofPolygon.length >= 3) {
-      // Calculate basic polygon area
-      const basicArea = LeafletMeasurementUtil.calculateRoofArea(
-        roofPolygon, 
-        'flat', 
-        'simple'
-      );
+      const outline = LeafletMeasurementUtil.measurePolygon(roofPolygon, pitch);
       
       results.push({
-        method: 'Leaflet Measurement (Basic)',
-        area: basicArea,
+        method: 'Outline (Plan)',
+        area: outline.planArea,
         confidence: 'medium',
-        notes: 'Flat 2D polygon area calculation'
+        notes: `Footprint of the outline, ${outline.edges.length} edges, ${formatNumber(Math.round(outline.perimeter))} ft perimeter`
       });
       
-      // Calculate with pitch adjustment
-      const pitchAdjustedArea = LeafletMeasurementUtil.calculateRoofArea(
-        roofPolygon,
-        propertyData?.roofPitch || 'moderate',
-        propertyData?.roofShape || 'simple'
-      );
-      
       results.push({
-        method: 'Leaflet Measurement (Adjusted)',
-        area: pitchAdjustedArea,
+        method: 'Outline (Pitch-Adjusted)',
+        area: outline.roofArea,
         confidence: 'high',
-        notes: `Adjusted for ${propertyData?.roofPitch || 'moderate'} pitch and ${propertyData?.roofShape || 'simple'} complexity`
+        notes: `Footprint × ${pitchMultiplier(pitch).toFixed(2)} slope factor (${pitch} pitch)`
       });
     }
     
@@ -112,11 +107,11 @@ const MeasurementComparisonTool = ({
     // Determine the best estimate
     let best = null;
     
-    // Priority: Manual > Leaflet Adjusted > Vision High Confidence > Property Pitch-Adjusted
+    // Priority: Manual > Outline Pitch-Adjusted > Vision High Confidence > Property Pitch-Adjusted
     if (manualMeasurement) {
       best = manualMeasurement;
-    } else if (results.find(r => r.method === 'Leaflet Measurement (Adjusted)')) {
-      best = results.find(r => r.method === 'Leaflet Measurement (Adjusted)').area;
+    } else if (results.find(r => r.method === 'Outline (Pitch-Adjusted)')) {
+      best = results.find(r => r.method === 'Outline (Pitch-Adjusted)').area;
     } else if (visionResult && visionResult.confidence === 'high') {
       best = visionResult.roofArea;
     } else if (results.find(r => r.method === 'Property Data (Pitch-Adjusted)')) {
@@ -130,7 +125,7 @@ const MeasurementComparisonTool = ({
     }
     
     setBestEstimate(best);
-  }, [propertyData, roofPolygon, visionResult, manualMeasurement]);
+  }, [propertyData, roofPolygon, visionResult, manualMeasurement, pitch]);
 
   // Calculate variations between measurements
   const calculateVariance = () => {
@@ -242,6 +237,27 @@ const MeasurementComparisonTool = ({
         </table>
       </div>
       
+      {/* How the vision area was derived */}
+      {visionResult?.adjustments?.length > 0 && (
+        <div className="mt-4">
+          <h4 className="text-sm font-medium mb-2">How the vision area was derived</h4>
+          <ol className="text-xs text-gray-600 space-y-1">
+            {visionResult.rawVisionArea > 0 && (
+              <li>Satellite measurement: {formatNumber(visionResult.rawVisionArea)} sq ft</li>
+            )}
+            {visionResult.adjustments.map((adjustment, index) => (
+              <li key={index}>
+                <span className="font-medium">{adjustment.step.replace(/_/g, ' ')}</span>:{' '}
+                {adjustment.before != null ? `${formatNumber(adjustment.before)} → ` : ''}
+                {formatNumber(adjustment.after)} sq ft
+                {adjustment.factor ? ` (${adjustment.factor}× footprint)` : ''}
+                <div className="text-gray-500">{adjustment.reason}</div>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+      
       {/* Explanation */}
       <div className="mt-4 text-xs text-gray-500">
         <p>This tool compares different measurement methods to determine the most accurate roof size. 
@@ -1,9 +1,14 @@
 // src/components/ThankYouPage.js
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 import { Home, Check, Mail, Clock, Download } from 'lucide-react';
+import { getEstimateReportUrl } from '../services/apiService';
 
 const ThankYouPage = () => {
+  const location = useLocation();
+  const reference = location.state?.reference;
+  const reportToken = location.state?.reportToken;
+
   return (
     <div className="min-h-screen bg-gray-100 flex flex-col">
       {/* Header */}
@@ -51,10 +56,23 @@ const ThankYouPage = () => {
               </li>
               <li className="flex">
                 <Download className="text-primary-600 mr-3 flex-shrink-0" size={20} />
-                <div>
-                  <p className="font-medium">Save the app</p>
-                  <p className="text-sm text-gray-600">Add RoofAI to your home screen for quick access to your estimate.</p>
-                </div>
+                {reference && reportToken ? (
+                  <div>
+                    <a
+                      href={getEstimateReportUrl(reference, reportToken)}
+                      className="font-medium text-primary-600 hover:text-primary-700"
+                      download
+                    >
+                      Download your roof report
+                    </a>
+                    <p className="text-sm text-gray-600">A PDF with your roof measurements, satellite view and cost breakdown (reference {reference}).</p>
+                  </div>
+                ) : (
+                  <div>
+                    <p className="font-medium">Save the app</p>
+                    <p className="text-sm text-gray-600">Add RoofAI to your home screen for quick access to your estimate.</p>
+                  </div>
+                )}
               </li>
             </ul>
           </div>
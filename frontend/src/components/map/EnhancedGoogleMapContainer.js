@@ -1,8 +1,33 @@
 // frontend/src/components/map/EnhancedGoogleMapContainer.js
-import React, { useEffect, forwardRef, useImperativeHandle, useState, useRef } from 'react';
+import React, { useCallback, useEffect, forwardRef, useImperativeHandle, useState, useRef } from 'react';
 import config from '../../config';
 import propertyPolygonGenerator from '../../utils/propertyPolygonGenerator';
 import polygonDebugTool from '../../utils/polygonDebugTool';
+import { areaSqFt, openRing } from '@roofai/shared/geometry';
+
+const OUTLINE_STYLE = {
+  strokeColor: '#2563eb',
+  strokeOpacity: 0.9,
+  strokeWeight: 2,
+  fillColor: '#3b82f6',
+  fillOpacity: 0.25
+};
+
+// Other roof sections, shown for reference while one is edited
+const SECTION_STYLE = {
+  strokeColor: '#f59e0b',
+  strokeOpacity: 0.9,
+  strokeWeight: 2,
+  fillColor: '#fbbf24',
+  fillOpacity: 0.2,
+  clickable: false
+};
+
+// Closed { lat, lng } points (first point repeated at the end, as the backend stores them)
+const toPoints = (path) => {
+  const points = path.getArray().map(latLng => ({ lat: latLng.lat(), lng: latLng.lng() }));
+  return points.length > 0 ? [...points, points[0]] : [];
+};
 
 const EnhancedGoogleMapContainer = forwardRef(({ 
   lat, 
@@ -10,13 +35,28 @@ const EnhancedGoogleMapContainer = forwardRef(({
   address, 
   roofSize,
   roofPolygon,
+  sectionPolygons, // Outlines of the other roof sections (read-only)
   propertyData, // Property data from Rentcast API
   enableDrawing = false,
+  editable = false, // Let the user drag, insert and delete outline vertices
   onMapReady, 
   onMapError, 
-  onPolygonCreated 
+  onPolygonCreated,
+  onPolygonEdited
 }, ref) => {
   const mapContainerRef = useRef(null);
+  const polygonRef = useRef(null);
+  const drawingManagerRef = useRef(null);
+  const sectionPolygonsRef = useRef([]);
+  // Last outline reported to the parent - it comes back as roofPolygon and
+  // must not be redrawn underneath the user
+  const reportedPolygonRef = useRef(null);
+  // Callbacks and the editable flag are read through refs so parent re-renders
+  // (every outline edit causes one) don't rebuild the map
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onMapReady, onMapError, onPolygonCreated, onPolygonEdited };
+  const editableRef = useRef(editable);
+  editableRef.current = editable;
   const [mapInstance, setMapInstance] = useState(null);
   const [markerInstance, setMarkerInstance] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
@@ -49,6 +89,16 @@ const EnhancedGoogleMapContainer = forwardRef(({
         mapInstance.setCenter({ lat: validLat, lng: validLng });
         mapInstance.setZoom(19); // Close zoom to show the property
       }
+    },
+    // Start drawing a new outline; it replaces the current one when completed
+    startDrawing: () => {
+      if (drawingManagerRef.current) {
+        drawingManagerRef.current.setDrawingMode(window.google.maps.drawing.OverlayType.POLYGON);
+      }
+    },
+    clearPolygon: () => {
+      removePolygon();
+      reportedPolygonRef.current = null;
     }
   }));
   
@@ -79,6 +129,42 @@ const EnhancedGoogleMapContainer = forwardRef(({
     return roofSize || 2500;
   };
   
+  const removePolygon = useCallback(() => {
+    if (polygonRef.current) {
+      window.google.maps.event.clearInstanceListeners(polygonRef.current.getPath());
+      window.google.maps.event.clearInstanceListeners(polygonRef.current);
+      polygonRef.current.setMap(null);
+      polygonRef.current = null;
+    }
+  }, []);
+
+  // Report the outline to the parent with its geodesic area
+  const reportPolygon = useCallback((callbackName) => {
+    const callback = callbacksRef.current[callbackName];
+    const path = polygonRef.current.getPath();
+    const points = toPoints(path);
+    reportedPolygonRef.current = points;
+    callback && callback(points, Math.round(areaSqFt(points)));
+  }, []);
+
+  // Make a polygon the current outline and listen for vertex edits
+  const attachPolygon = useCallback((polygon) => {
+    removePolygon();
+    polygonRef.current = polygon;
+
+    const path = polygon.getPath();
+    ['set_at', 'insert_at', 'remove_at'].forEach(eventName => {
+      path.addListener(eventName, () => reportPolygon('onPolygonEdited'));
+    });
+
+    // Right-click a vertex to delete it, keeping at least a triangle
+    polygon.addListener('rightclick', (event) => {
+      if (polygon.getEditable() && event.vertex != null && path.getLength() > 3) {
+        path.removeAt(event.vertex);
+      }
+    });
+  }, [removePolygon, reportPolygon]);
+
   // Initialize map when component mounts
   useEffect(() => {
     // Create a timeout to handle potential freezes
@@ -86,7 +172,7 @@ const EnhancedGoogleMapContainer = forwardRef(({
       const errorMsg = "Map initialization timed out after 15 seconds";
       console.error(errorMsg);
       setErrorMessage(errorMsg);
-      onMapError && onMapError(errorMsg);
+      callbacksRef.current.onMapError && callbacksRef.current.onMapError(errorMsg);
     }, 15000);
     
     setLoadingTimeout(timeoutId);
@@ -97,7 +183,7 @@ const EnhancedGoogleMapContainer = forwardRef(({
         const errorMsg = `Invalid coordinates: ${lat}, ${lng}`;
         console.error(errorMsg);
         setErrorMessage(errorMsg);
-        onMapError && onMapError(errorMsg);
+        callbacksRef.current.onMapError && callbacksRef.current.onMapError(errorMsg);
         clearTimeout(timeoutId);
         return () => {};
       }
@@ -106,7 +192,7 @@ const EnhancedGoogleMapContainer = forwardRef(({
         const errorMsg = "Map container element not found";
         console.error(errorMsg);
         setErrorMessage(errorMsg);
-        onMapError && onMapError(errorMsg);
+        callbacksRef.current.onMapError && callbacksRef.current.onMapError(errorMsg);
         clearTimeout(timeoutId);
         return () => {};
       }
@@ -241,14 +327,14 @@ const EnhancedGoogleMapContainer = forwardRef(({
           map.controls[window.google.maps.ControlPosition.TOP_RIGHT].push(zoomControlDiv);
           
           // Notify parent components
-          onMapReady && onMapReady(map);
+          callbacksRef.current.onMapReady && callbacksRef.current.onMapReady(map);
           
           // Notify about the calculated size without creating a polygon
-          onPolygonCreated && onPolygonCreated(null, calculatedSize);
+          callbacksRef.current.onPolygonCreated && callbacksRef.current.onPolygonCreated(null, calculatedSize);
         } catch (error) {
           console.error("Error initializing map:", error);
           setErrorMessage(error.message || "Failed to initialize Google Maps");
-          onMapError && onMapError(error.message || "Failed to initialize Google Maps");
+          callbacksRef.current.onMapError && callbacksRef.current.onMapError(error.message || "Failed to initialize Google Maps");
           clearTimeout(timeoutId);
         }
       };
@@ -267,11 +353,70 @@ const EnhancedGoogleMapContainer = forwardRef(({
     } catch (error) {
       console.error("Critical error in map component:", error);
       setErrorMessage(error.message || "Unknown map error");
-      onMapError && onMapError(error.message || "Unknown map error");
+      callbacksRef.current.onMapError && callbacksRef.current.onMapError(error.message || "Unknown map error");
       clearTimeout(timeoutId);
       return () => {};
     }
-  }, [lat, lng, address, roofSize, onMapReady, onMapError, onPolygonCreated]);
+  }, [lat, lng, address]);
+
+  // Show the roof outline from props (backend reference polygon or a saved edit)
+  useEffect(() => {
+    if (!mapInstance || roofPolygon === reportedPolygonRef.current) return;
+
+    const path = openRing(roofPolygon);
+    if (path.length < 3) {
+      removePolygon();
+      return;
+    }
+
+    attachPolygon(new window.google.maps.Polygon({
+      ...OUTLINE_STYLE,
+      paths: path,
+      editable: editableRef.current,
+      map: mapInstance
+    }));
+  }, [mapInstance, roofPolygon, attachPolygon, removePolygon]);
+
+  useEffect(() => {
+    if (polygonRef.current) {
+      polygonRef.current.setEditable(editable);
+    }
+  }, [editable]);
+
+  useEffect(() => {
+    if (!mapInstance) return;
+
+    sectionPolygonsRef.current.forEach(polygon => polygon.setMap(null));
+    sectionPolygonsRef.current = (sectionPolygons || [])
+      .map(openRing)
+      .filter(path => path.length >= 3)
+      .map(path => new window.google.maps.Polygon({ ...SECTION_STYLE, paths: path, map: mapInstance }));
+  }, [mapInstance, sectionPolygons]);
+
+  // Drawing tool for tracing a new outline
+  useEffect(() => {
+    if (!mapInstance || !enableDrawing || !window.google.maps.drawing) return undefined;
+
+    const drawingManager = new window.google.maps.drawing.DrawingManager({
+      drawingMode: polygonRef.current ? null : window.google.maps.drawing.OverlayType.POLYGON,
+      drawingControl: false,
+      polygonOptions: { ...OUTLINE_STYLE, editable: true }
+    });
+    drawingManager.setMap(mapInstance);
+    drawingManagerRef.current = drawingManager;
+
+    const listener = drawingManager.addListener('polygoncomplete', (polygon) => {
+      drawingManager.setDrawingMode(null);
+      attachPolygon(polygon);
+      reportPolygon('onPolygonCreated');
+    });
+
+    return () => {
+      listener.remove();
+      drawingManager.setMap(null);
+      drawingManagerRef.current = null;
+    };
+  }, [mapInstance, enableDrawing, attachPolygon, reportPolygon]);
 
   // Clean up timeout on unmount
   useEffect(() => {
@@ -0,0 +1,313 @@
+// frontend/src/components/map/LeafletMapContainer.js
+import React, { useCallback, useEffect, forwardRef, useImperativeHandle, useState, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet-draw';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet-draw/dist/leaflet.draw.css';
+import config from '../../config';
+import propertyPolygonGenerator from '../../utils/propertyPolygonGenerator';
+import { areaSqFt, openRing } from '@roofai/shared/geometry';
+
+// Fallback for EnhancedGoogleMapContainer when Google Maps is disabled or fails
+// to load. Same props and imperative API, drawn with Leaflet on XYZ tiles
+// (config.mapTileUrl) and edited with leaflet-draw.
+
+const MAX_ZOOM = 21; // Tiles are stretched beyond config.mapTileMaxZoom
+
+const OUTLINE_STYLE = {
+  color: '#2563eb',
+  opacity: 0.9,
+  weight: 2,
+  fillColor: '#3b82f6',
+  fillOpacity: 0.25
+};
+
+// Other roof sections, shown for reference while one is edited
+const SECTION_STYLE = {
+  color: '#f59e0b',
+  opacity: 0.9,
+  weight: 2,
+  fillColor: '#fbbf24',
+  fillOpacity: 0.2,
+  interactive: false
+};
+
+// Outline points ({ lat, lng }, possibly closed) as an open list of L.LatLng
+const toLatLngs = (points) => openRing(points).map(point => L.latLng(point.lat, point.lng));
+
+// Closed { lat, lng } points (first point repeated at the end, as the backend stores them)
+const toPoints = (latLngs) => {
+  const points = latLngs.map(latLng => ({ lat: latLng.lat, lng: latLng.lng }));
+  return points.length > 0 ? [...points, points[0]] : [];
+};
+
+// Roof size from verified building data, falling back to the size passed in
+const estimateRoofSize = (propertyData, roofSize) => {
+  if (propertyData && propertyData.buildingSize) {
+    const calculatedRoofSize = propertyPolygonGenerator.calculateRoofSizeFromBuildingSize(
+      propertyData.buildingSize,
+      propertyData
+    );
+
+    if (calculatedRoofSize) {
+      console.log("Using roof size calculated from verified building data:", calculatedRoofSize);
+      return calculatedRoofSize;
+    }
+  }
+
+  return roofSize || 2500;
+};
+
+const LeafletMapContainer = forwardRef(({
+  lat,
+  lng,
+  address,
+  roofSize,
+  roofPolygon,
+  sectionPolygons, // Outlines of the other roof sections (read-only)
+  propertyData, // Property data from Rentcast API
+  enableDrawing = false,
+  editable = false, // Let the user drag, insert and delete outline vertices
+  onMapReady,
+  onMapError,
+  onPolygonCreated,
+  onPolygonEdited
+}, ref) => {
+  const mapContainerRef = useRef(null);
+  const [mapInstance, setMapInstance] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const polygonRef = useRef(null);
+  const drawHandlerRef = useRef(null);
+  const sectionLayerRef = useRef(null);
+  // Last outline reported to the parent - it comes back as roofPolygon and
+  // must not be redrawn underneath the user
+  const reportedPolygonRef = useRef(null);
+  // Callbacks and the other inputs below are read through refs so parent
+  // re-renders (every outline edit causes one) don't rebuild the map
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onMapReady, onMapError, onPolygonCreated, onPolygonEdited };
+  const editableRef = useRef(editable);
+  editableRef.current = editable;
+  const roofSizeInputsRef = useRef({});
+  roofSizeInputsRef.current = { propertyData, roofSize };
+
+  // Parse coordinates
+  const validLat = parseFloat(lat);
+  const validLng = parseFloat(lng);
+
+  // Exposed methods (same as EnhancedGoogleMapContainer)
+  useImperativeHandle(ref, () => ({
+    zoomIn: () => {
+      if (mapInstance) mapInstance.zoomIn();
+    },
+    zoomOut: () => {
+      if (mapInstance) mapInstance.zoomOut();
+    },
+    getMapInstance: () => mapInstance,
+    fitMapToAddress: () => {
+      if (mapInstance && validLat && validLng) {
+        mapInstance.setView([validLat, validLng], 19); // Close zoom to show the property
+      }
+    },
+    // Start drawing a new outline; it replaces the current one when completed
+    startDrawing: () => {
+      if (drawHandlerRef.current) {
+        drawHandlerRef.current.enable();
+      }
+    },
+    clearPolygon: () => {
+      removePolygon();
+      reportedPolygonRef.current = null;
+    }
+  }));
+
+  const removePolygon = useCallback(() => {
+    if (polygonRef.current) {
+      if (polygonRef.current.editing) polygonRef.current.editing.disable();
+      polygonRef.current.off();
+      polygonRef.current.remove();
+      polygonRef.current = null;
+    }
+  }, []);
+
+  // Report the outline to the parent with its geodesic area
+  const reportPolygon = useCallback((callbackName) => {
+    const callback = callbacksRef.current[callbackName];
+    const points = toPoints(polygonRef.current.getLatLngs()[0]);
+    reportedPolygonRef.current = points;
+    callback && callback(points, Math.round(areaSqFt(points)));
+  }, []);
+
+  // Make a polygon the current outline and listen for vertex edits
+  // (leaflet-draw: drag a vertex, drag a midpoint to insert one, click a vertex to delete it)
+  const attachPolygon = useCallback((polygon, map) => {
+    removePolygon();
+    polygonRef.current = polygon.addTo(map);
+    polygon.on('edit', () => reportPolygon('onPolygonEdited'));
+    if (editableRef.current) polygon.editing.enable();
+  }, [removePolygon, reportPolygon]);
+
+  // Initialize map when the location changes
+  useEffect(() => {
+    if (isNaN(validLat) || isNaN(validLng)) {
+      const errorMsg = `Invalid coordinates: ${lat}, ${lng}`;
+      console.error(errorMsg);
+      setErrorMessage(errorMsg);
+      callbacksRef.current.onMapError && callbacksRef.current.onMapError(errorMsg);
+      return undefined;
+    }
+
+    let map = null;
+    try {
+      console.log("Creating Leaflet map with coordinates:", validLat, validLng, "tiles:", config.mapTileUrl);
+
+      map = L.map(mapContainerRef.current, {
+        center: [validLat, validLng],
+        zoom: 19,
+        maxZoom: MAX_ZOOM
+      });
+
+      const tiles = L.tileLayer(config.mapTileUrl, {
+        attribution: config.mapTileAttribution,
+        maxNativeZoom: config.mapTileMaxZoom,
+        maxZoom: MAX_ZOOM
+      }).addTo(map);
+      tiles.once('tileerror', (event) => {
+        console.warn("Map tiles failed to load:", event.tile?.src);
+      });
+
+      L.circleMarker([validLat, validLng], {
+        radius: 6,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#dc2626',
+        fillOpacity: 1
+      }).bindTooltip(address || "Selected location").addTo(map);
+
+      sectionLayerRef.current = L.layerGroup().addTo(map);
+      setMapInstance(map);
+
+      callbacksRef.current.onMapReady && callbacksRef.current.onMapReady(map);
+      const { propertyData: currentPropertyData, roofSize: currentRoofSize } = roofSizeInputsRef.current;
+      callbacksRef.current.onPolygonCreated &&
+        callbacksRef.current.onPolygonCreated(null, estimateRoofSize(currentPropertyData, currentRoofSize));
+    } catch (error) {
+      console.error("Error initializing Leaflet map:", error);
+      setErrorMessage(error.message || "Failed to initialize map");
+      callbacksRef.current.onMapError && callbacksRef.current.onMapError(error.message || "Failed to initialize map");
+    }
+
+    // Leaflet only measures its container on resize events, and the map box
+    // grows while the outline is edited
+    const resizeObserver = typeof ResizeObserver !== 'undefined' && map
+      ? new ResizeObserver(() => map.invalidateSize())
+      : null;
+    if (resizeObserver) resizeObserver.observe(mapContainerRef.current);
+
+    return () => {
+      if (resizeObserver) resizeObserver.disconnect();
+      polygonRef.current = null;
+      reportedPolygonRef.current = null;
+      if (map) map.remove();
+      setMapInstance(null);
+    };
+  }, [lat, lng, validLat, validLng, address]);
+
+  // Show the roof outline from props (backend reference polygon or a saved edit)
+  useEffect(() => {
+    if (!mapInstance || roofPolygon === reportedPolygonRef.current) return;
+
+    const latLngs = toLatLngs(roofPolygon);
+    if (latLngs.length < 3) {
+      removePolygon();
+      return;
+    }
+
+    attachPolygon(L.polygon(latLngs, OUTLINE_STYLE), mapInstance);
+  }, [mapInstance, roofPolygon, attachPolygon, removePolygon]);
+
+  useEffect(() => {
+    const polygon = polygonRef.current;
+    if (!polygon || !polygon.editing) return;
+    if (editable) {
+      polygon.editing.enable();
+    } else {
+      polygon.editing.disable();
+    }
+  }, [editable]);
+
+  useEffect(() => {
+    if (!mapInstance || !sectionLayerRef.current) return;
+
+    sectionLayerRef.current.clearLayers();
+    (sectionPolygons || [])
+      .map(toLatLngs)
+      .filter(latLngs => latLngs.length >= 3)
+      .forEach(latLngs => L.polygon(latLngs, SECTION_STYLE).addTo(sectionLayerRef.current));
+  }, [mapInstance, sectionPolygons]);
+
+  // Drawing tool for tracing a new outline
+  useEffect(() => {
+    if (!mapInstance || !enableDrawing) return undefined;
+
+    const drawHandler = new L.Draw.Polygon(mapInstance, {
+      shapeOptions: OUTLINE_STYLE,
+      allowIntersection: false,
+      showArea: false
+    });
+    drawHandlerRef.current = drawHandler;
+
+    const handleCreated = (event) => {
+      attachPolygon(event.layer, mapInstance);
+      event.layer.editing.enable();
+      reportPolygon('onPolygonCreated');
+    };
+    mapInstance.on(L.Draw.Event.CREATED, handleCreated);
+
+    if (!polygonRef.current) drawHandler.enable();
+
+    return () => {
+      mapInstance.off(L.Draw.Event.CREATED, handleCreated);
+      drawHandler.disable();
+      drawHandlerRef.current = null;
+    };
+  }, [mapInstance, enableDrawing, attachPolygon, reportPolygon]);
+
+  // Simple error display
+  if (errorMessage) {
+    return (
+      <div style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: '#f8f8f8',
+        color: '#e53e3e',
+        padding: '20px',
+        textAlign: 'center'
+      }}>
+        <div>
+          <p>Error loading map: {errorMessage}</p>
+          <p style={{ fontSize: '14px', marginTop: '10px' }}>
+            Coordinates: {lat}, {lng}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={mapContainerRef}
+      style={{ width: '100%', height: '100%', position: 'absolute', top: 0, left: 0 }}
+    ></div>
+  );
+});
+
+LeafletMapContainer.displayName = 'LeafletMapContainer';
+
+export default LeafletMapContainer;
@@ -1,34 +1,15 @@
 // src/components/steps/CurrentRoofMaterialStep.js
 import React from 'react';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { FAMILIES, getMaterials } from '@roofai/shared/materialCatalog';
 
 const CurrentRoofMaterialStep = ({ formData, updateFormData, nextStep, prevStep }) => {
-  const options = [
-    { 
-      id: 'asphalt', 
-      label: 'Asphalt Shingles', 
-      description: 'Most common roofing material',
-      bgImage: 'https://via.placeholder.com/300x200/404040/FFFFFF?text=Asphalt'
-    },
-    { 
-      id: 'metal', 
-      label: 'Metal', 
-      description: 'Corrugated or standing seam',
-      bgImage: 'https://via.placeholder.com/300x200/708090/FFFFFF?text=Metal'
-    },
-    { 
-      id: 'tile', 
-      label: 'Tile', 
-      description: 'Clay or concrete tile',
-      bgImage: 'https://via.placeholder.com/300x200/CD5C5C/FFFFFF?text=Tile'
-    },
-    { 
-      id: 'cedar', 
-      label: 'Cedar Shakes', 
-      description: 'Wood shingles or shakes',
-      bgImage: 'https://via.placeholder.com/300x200/8B4513/FFFFFF?text=Cedar'
-    }
-  ];
+  const options = getMaterials({ buildingType: formData.buildingType }).map(material => ({
+    id: material.id,
+    label: material.label,
+    description: material.description,
+    bgImage: `https://via.placeholder.com/300x200/${material.swatch}/FFFFFF?text=${encodeURIComponent(FAMILIES[material.family])}`
+  }));
 
   return (
     <div className="flex flex-col items-center w-full max-w-md mx-auto">
@@ -2,6 +2,7 @@
 import React from 'react';
 import { ChevronLeft, ChevronRight, ArrowDown, Check } from 'lucide-react';
 import { formatCurrency, formatNumber } from '../../utils/formatters';
+import { getMaterial } from '@roofai/shared/materialCatalog';
 
 const EstimateResultStep = ({ formData, estimateResult, nextStep, prevStep }) => {
   // If estimate result is not available yet, show loading
@@ -67,6 +68,26 @@ const EstimateResultStep = ({ formData, estimateResult, nextStep, prevStep }) =>
           </div>
         </div>
         
+        {/* Per-section pricing (if the roof was traced in sections) */}
+        {estimateResult.sections && estimateResult.sections.length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-3">Roof Sections</h3>
+            <div className="space-y-2">
+              {estimateResult.sections.map(section => (
+                <div key={section.id} className="flex justify-between">
+                  <div>
+                    <span className="text-gray-700">{section.label}</span>
+                    <div className="text-xs text-gray-500">
+                      {formatNumber(section.area)} sq ft at {section.pitch} pitch, ${section.pricePerSqft}/sq ft
+                    </div>
+                  </div>
+                  <span className="font-medium whitespace-nowrap ml-4">{formatCurrency(section.estimate)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
         <div className="mb-6">
           <h3 className="text-lg font-semibold mb-3">Factors Affecting Your Estimate</h3>
           <div className="space-y-3">
@@ -86,10 +107,39 @@ const EstimateResultStep = ({ formData, estimateResult, nextStep, prevStep }) =>
           </div>
         </div>
         
+        {/* Materials list (if available) */}
+        {estimateResult.takeoff && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-1">Materials List</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              {formatNumber(estimateResult.takeoff.squares.order)} squares to order
+              ({formatNumber(estimateResult.takeoff.squares.net)} net + {Math.round(estimateResult.takeoff.wasteFactor * 100)}% waste)
+            </p>
+            <div className="space-y-2">
+              {estimateResult.takeoff.items.map(item => (
+                <div key={item.id} className="flex justify-between">
+                  <div>
+                    <span className="text-gray-700">{item.name}</span>
+                    <div className="text-xs text-gray-500">{item.basis}</div>
+                  </div>
+                  <span className="font-medium whitespace-nowrap ml-4">{formatNumber(item.quantity)} {item.unit}</span>
+                </div>
+              ))}
+            </div>
+            {estimateResult.takeoff.notes.length > 0 && (
+              <ul className="text-xs text-gray-500 mt-3 space-y-1">
+                {estimateResult.takeoff.notes.map((note, index) => (
+                  <li key={index}>{note}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Material information (if available) */}
         {estimateResult.materialInfo && (
           <div className="mb-6">
-            <h3 className="text-lg font-semibold mb-3">{formData.desiredRoofMaterial.charAt(0).toUpperCase() + formData.desiredRoofMaterial.slice(1)} Roof Details</h3>
+            <h3 className="text-lg font-semibold mb-3">{getMaterial(formData.desiredRoofMaterial)?.label || 'Material'} Details</h3>
             <div className="bg-gray-50 p-4 rounded-lg">
               <div className="mb-2">
                 <span className="font-medium">Expected Lifespan: </span>
@@ -1,12 +1,87 @@
 // src/components/steps/RoofSizeStep.js
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import { Ruler, Camera, ChevronLeft, ChevronRight, Building, Info } from 'lucide-react';
+import { Ruler, Camera, ChevronLeft, ChevronRight, Building, Info, PenTool, RotateCcw, Check, Plus, Trash2, BarChart2 } from 'lucide-react';
 import { formatNumber } from '../../utils/formatters';
 import EnhancedGoogleMapContainer from '../map/EnhancedGoogleMapContainer';
+import LeafletMapContainer from '../map/LeafletMapContainer';
+import MeasurementComparisonTool from '../MeasurementComparisonTool';
 import config from '../../config';
 import killSwitch from '../../killSwitch';
 import { debounce } from '../../utils/debounce';
 import propertyPolygonGenerator from '../../utils/propertyPolygonGenerator';
+import featureFlags from '../../utils/featureFlags';
+import { withSlopedArea, totalArea } from '../../utils/roofSections';
+import { DEFAULT_PITCH, PITCH_RISE, parsePitch, pitchMultiplier } from '@roofai/shared/roofPitch';
+import { areaSqFt } from '@roofai/shared/geometry';
+
+// Leaflet stands in when Google Maps is switched off or fails to load
+const leafletEnabled = config.useLeaflet && featureFlags.useLeaflet;
+const googleMapsSwitchedOff = () => window.googleMapsDisabled || (killSwitch && killSwitch.googleMaps);
+
+const PITCH_LABELS = {
+  flat: 'Flat',
+  low: 'Low slope',
+  moderate: 'Moderate',
+  steep: 'Steep'
+};
+
+// A roof section: its outline (plan polygon), footprint area, pitch and label.
+// pitchSet marks a pitch the user chose for the section; until then it follows
+// the steepness answer.
+const createSection = (index, pitch, polygon = null, planArea = 0) => ({
+  id: `section-${Date.now()}-${index}`,
+  label: index === 0 ? 'Main roof' : '',
+  pitch,
+  pitchSet: false,
+  polygon,
+  planArea
+});
+
+// Pitch picker: a steepness band, or a custom rise per 12 of run
+const SectionPitchInput = ({ pitch, onChange }) => {
+  const isBand = PITCH_RISE[pitch] !== undefined;
+  const rise = Math.round((parsePitch(pitch) ?? PITCH_RISE[DEFAULT_PITCH]) * 10) / 10;
+
+  const handleBandChange = (e) => {
+    onChange(e.target.value === 'custom' ? `${Math.round(rise)}/12` : e.target.value);
+  };
+
+  const handleRiseChange = (e) => {
+    const value = `${e.target.value}/12`;
+    if (e.target.value !== '' && parsePitch(value) !== null) onChange(value);
+  };
+
+  return (
+    <div className="flex items-center" onClick={(e) => e.stopPropagation()}>
+      <select
+        value={isBand ? pitch : 'custom'}
+        onChange={handleBandChange}
+        className="text-xs p-1 border border-gray-300 rounded"
+        aria-label="Pitch"
+      >
+        {Object.keys(PITCH_LABELS).map(band => (
+          <option key={band} value={band}>{PITCH_LABELS[band]}</option>
+        ))}
+        <option value="custom">Rise/run</option>
+      </select>
+      {!isBand && (
+        <>
+          <input
+            type="number"
+            value={rise}
+            onChange={handleRiseChange}
+            min="0"
+            max="24"
+            step="0.5"
+            className="w-14 text-xs p-1 ml-1 border border-gray-300 rounded"
+            aria-label="Rise per 12 inches of run"
+          />
+          <span className="text-xs text-gray-500 ml-1">/12</span>
+        </>
+      )}
+    </div>
+  );
+};
 
 const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   // Removed performance monitoring references
@@ -14,8 +89,14 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   const [error, setError] = useState(null);
   const [skipMap, setSkipMap] = useState(false);
   const [mapDisabled, setMapDisabled] = useState(false);
+  const [mapProvider, setMapProvider] = useState(() => (
+    googleMapsSwitchedOff() && leafletEnabled ? 'leaflet' : 'google'
+  ));
   const [localRoofSize, setLocalRoofSize] = useState(formData.roofSize || '');
   const [showInfoTooltip, setShowInfoTooltip] = useState(false);
+  const [editingOutline, setEditingOutline] = useState(false);
+  const [activeSectionIndex, setActiveSectionIndex] = useState(0);
+  const [showComparison, setShowComparison] = useState(false);
   const mapContainerRef = useRef(null);
   const prevSizeRef = useRef(formData.roofSize);
   
@@ -25,6 +106,10 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   const buildingSize = formData.propertyData?.buildingSize || null;
   const stories = formData.propertyData?.stories || null;
   const sizingMethod = formData.sizingMethod || 'unknown';
+  // The outline is a footprint; steepness is asked on the next step, so use the
+  // analysed pitch until then (the answer replaces it on sections without a pitchSet)
+  const outlinePitch = [formData.roofSteepness, formData.roofAnalysis?.roofPitch]
+    .find(pitch => PITCH_RISE[pitch]) || DEFAULT_PITCH;
   
   // Debug logging
   useEffect(() => {
@@ -52,10 +137,10 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
     [updateFormData]
   );
 
-  // Check if Google Maps is disabled due to missing API key
+  // Check if Google Maps is disabled due to missing API key (without a Leaflet fallback)
   useEffect(() => {
     // Check for the flag set in config.js
-    if (window.googleMapsDisabled || (killSwitch && killSwitch.googleMaps)) {
+    if (mapProvider === 'google' && googleMapsSwitchedOff()) {
       console.log("Maps disabled, skipping map view");
       setMapDisabled(true);
       setLoading(false);
@@ -83,7 +168,7 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
     }, 15000);
     
     return () => clearTimeout(timeoutId);
-  }, [formData.roofSize, loading, updateFormData]);
+  }, [formData.roofSize, loading, mapProvider, updateFormData]);
 
   // Sync local state with form data
   useEffect(() => {
@@ -100,6 +185,13 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   }, []);
 
   const handleMapError = useCallback((errorMessage) => {
+    if (mapProvider === 'google' && leafletEnabled) {
+      console.warn("Google Maps failed, switching to the Leaflet map:", errorMessage);
+      setMapProvider('leaflet');
+      setLoading(true);
+      return;
+    }
+    
     console.error("Map error:", errorMessage);
     setError(errorMessage);
     setLoading(false);
@@ -124,11 +216,54 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
       setLocalRoofSize(3000);
       updateFormData('roofSize', 3000);
     }
-  }, [formData.propertyData, formData.roofSize, updateFormData]);
+  }, [formData.propertyData, formData.roofSize, mapProvider, updateFormData]);
+
+  // Roof sections being edited. Until the user changes anything, the backend
+  // outline (if any) stands in as the main roof.
+  const sections = useMemo(() => {
+    if (formData.roofSections && formData.roofSections.length > 0) {
+      return formData.roofSections;
+    }
+    const planArea = Math.round(areaSqFt(formData.roofPolygon));
+    return [withSlopedArea(createSection(0, outlinePitch, formData.roofPolygon, planArea))];
+  }, [formData.roofSections, formData.roofPolygon, outlinePitch]);
+  const activeSection = sections[Math.min(activeSectionIndex, sections.length - 1)];
+  const measuredRoofSize = totalArea(sections);
+  const hasRoofSections = !!formData.roofSections && formData.roofSections.some(section => section.area > 0);
+
+  // Save edited sections - their total sloped area becomes the roof size
+  const saveSections = useCallback((nextSections) => {
+    const measured = nextSections.map(withSlopedArea);
+    const roofSize = totalArea(measured);
+    console.log("Roof sections edited:", measured.map(({ label, pitch, planArea, area }) => ({ label, pitch, planArea, area })));
+
+    updateFormData('roofSections', measured);
+    updateFormData('roofPolygon', measured[0].polygon);
+    if (roofSize > 0) {
+      setLocalRoofSize(roofSize);
+      updateFormData('roofSize', roofSize);
+      updateFormData('roofSizeAuto', false);
+      updateFormData('sizingMethod', 'manual_outline');
+    }
+  }, [updateFormData]);
+
+  const updateSection = useCallback((index, changes) => {
+    saveSections(sections.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  }, [sections, saveSections]);
+
+  // Outline of the active section drawn or edited on the map
+  const handleOutlineChange = useCallback((polygon, area) => {
+    updateSection(sections.indexOf(activeSection), { polygon, planArea: area });
+  }, [sections, activeSection, updateSection]);
 
   // Modified polygon handler that doesn't change the existing roof size
   // This keeps the more accurate property-based calculation
   const handlePolygonCreated = useCallback((polygon, area) => {
+    if (polygon) {
+      handleOutlineChange(polygon, area);
+      return;
+    }
+
     console.log("Polygon visualization created with area:", area);
     
     // Store the polygon area for reference but don't overwrite roofSize
@@ -146,13 +281,54 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
         setLocalRoofSize(formData.initialRoofSize);
       }
     }
-  }, [formData.initialRoofSize, formData.sizingMethod, updateFormData]);
+  }, [formData.initialRoofSize, formData.sizingMethod, handleOutlineChange, updateFormData]);
+
+  // Throw away the active section's outline and trace a new one
+  const handleRedrawOutline = useCallback(() => {
+    if (mapContainerRef.current) {
+      mapContainerRef.current.clearPolygon();
+      mapContainerRef.current.startDrawing();
+    }
+    updateSection(sections.indexOf(activeSection), { polygon: null, planArea: 0 });
+  }, [sections, activeSection, updateSection]);
+
+  // Add a section (garage, porch, ...) and start tracing it
+  const handleAddSection = useCallback(() => {
+    saveSections([...sections, createSection(sections.length, outlinePitch)]);
+    setActiveSectionIndex(sections.length);
+    if (mapContainerRef.current) {
+      mapContainerRef.current.startDrawing();
+    }
+  }, [sections, outlinePitch, saveSections]);
+
+  const handleRemoveSection = useCallback((index) => {
+    saveSections(sections.filter((_, i) => i !== index));
+    setActiveSectionIndex(0);
+  }, [sections, saveSections]);
+
+  const handleSelectSection = useCallback((index) => {
+    setActiveSectionIndex(index);
+    if (!sections[index].polygon && mapContainerRef.current) {
+      mapContainerRef.current.startDrawing();
+    }
+  }, [sections]);
+
+  // Outlines of the sections that aren't being edited
+  const sectionPolygons = useMemo(() => sections
+    .filter(section => section !== activeSection && section.polygon)
+    .map(section => section.polygon), [sections, activeSection]);
 
   // Toggle automatic/manual size
   const handleToggleAutoSize = useCallback((e) => {
     const isAuto = e.target.checked;
     updateFormData('roofSizeAuto', isAuto);
     
+    // Traced sections would override the automatic size
+    if (isAuto) {
+      updateFormData('roofSections', []);
+      setActiveSectionIndex(0);
+    }
+    
     // Restore roof size based on different sources when returning to auto
     if (isAuto) {
       // Priority order for automatic size
@@ -267,6 +443,8 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
         return "AI-calculated from satellite imagery";
       case 'polygon_measurement':
         return "Measured from satellite imagery";
+      case 'manual_outline':
+        return "Traced by you on the satellite map";
       case 'default_fallback':
         return "Estimated standard size";
       default:
@@ -274,6 +452,9 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
     }
   };
 
+  // Google Maps switched off with no Leaflet fallback
+  const mapsUnavailable = mapDisabled || (mapProvider === 'google' && googleMapsSwitchedOff());
+
   // Determine which map component to render
   const mapComponent = useMemo(() => {
     if (!coordinates) {
@@ -288,7 +469,7 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
       );
     }
     
-    if (skipMap || mapDisabled || (killSwitch && killSwitch.googleMaps)) {
+    if (skipMap || mapsUnavailable) {
       return (
         <div className="absolute inset-0 flex flex-col items-center justify-center bg-gray-100">
           <Camera size={40} className="mb-2 text-gray-400" />
@@ -302,26 +483,54 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
       );
     }
     
+    const MapContainer = mapProvider === 'leaflet' ? LeafletMapContainer : EnhancedGoogleMapContainer;
+    
     return (
-      <EnhancedGoogleMapContainer
+      <MapContainer
+        key={mapProvider}
         ref={mapContainerRef}
         lat={coordinates.lat}
         lng={coordinates.lng}
         address={formData.address}
         roofSize={formData.roofSize || formData.initialRoofSize}
-        roofPolygon={formData.roofPolygon}
+        roofPolygon={activeSection.polygon}
+        sectionPolygons={sectionPolygons}
         propertyData={formData.propertyData}
         onMapReady={handleMapReady}
         onMapError={handleMapError}
+        enableDrawing={editingOutline}
+        editable={editingOutline}
         onPolygonCreated={handlePolygonCreated}
+        onPolygonEdited={handleOutlineChange}
       />
     );
   }, [
-    coordinates, skipMap, mapDisabled, formData.address, formData.roofSize, 
+    coordinates, skipMap, mapDisabled, mapsUnavailable, mapProvider, formData.address, formData.roofSize, 
     formData.initialRoofSize, formData.roofPolygon, formData.propertyData, 
-    handleMapReady, handleMapError, handlePolygonCreated, killSwitch
+    handleMapReady, handleMapError, handlePolygonCreated, handleOutlineChange,
+    activeSection.polygon, sectionPolygons, editingOutline, killSwitch
   ]);
 
+  // Measurements for the comparison tool: the roof analysis when it came from
+  // the vision model, and a size typed in by hand
+  const roofAnalysis = formData.roofAnalysis;
+  const visionResult = useMemo(() => (
+    roofAnalysis && /vision/.test(roofAnalysis.method || '') ? {
+      roofArea: roofAnalysis.size,
+      confidence: roofAnalysis.accuracy,
+      roofPitch: roofAnalysis.roofPitch,
+      rawVisionArea: roofAnalysis.rawVisionArea,
+      adjustments: roofAnalysis.adjustments
+    } : null
+  ), [roofAnalysis]);
+  const manualMeasurement = !formData.roofSizeAuto && sizingMethod !== 'manual_outline'
+    ? parseFloat(formData.roofSize) || null
+    : null;
+
+  // Outline editing needs a working map
+  const canEditOutline = featureFlags.enableManualRoofEditing && !!coordinates &&
+    !loading && !error && !skipMap && !mapsUnavailable;
+
   return (
     <div className="flex flex-col items-center w-full max-w-md mx-auto">
       <h2 className="text-xl font-semibold mb-2">Your Roof Details</h2>
@@ -337,12 +546,12 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
       )}
       
       {/* Map Container with Satellite View */}
-      <div className="w-full h-64 bg-gray-200 rounded-lg mb-6 relative overflow-hidden">
+      <div className={`w-full ${editingOutline ? 'h-80' : 'h-64'} bg-gray-200 rounded-lg ${canEditOutline ? 'mb-3' : 'mb-6'} relative overflow-hidden`}>
         {/* Render the memoized map component */}
         {mapComponent}
         
         {/* Loading overlay */}
-        {coordinates && loading && !error && !skipMap && !mapDisabled && !(killSwitch && killSwitch.googleMaps) && (
+        {coordinates && loading && !error && !skipMap && !mapsUnavailable && (
           <div className="absolute inset-0 flex flex-col items-center justify-center text-gray-500 z-10 bg-white bg-opacity-70">
             <Camera size={40} className="mb-2" />
             <p className="text-sm">Loading satellite imagery...</p>
@@ -365,6 +574,100 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
         )}
       </div>
 
+      {/* Roof Outline Editing */}
+      {canEditOutline && (
+        <div className="w-full mb-6">
+          {editingOutline ? (
+            <div className="bg-gray-50 border rounded-lg p-3">
+              <p className="text-xs text-gray-600 mb-2">
+                {activeSection.polygon
+                  ? `Drag a corner to move it, drag a midpoint to add a corner, ${mapProvider === 'leaflet' ? 'click' : 'right-click'} a corner to delete it.`
+                  : "Click each corner of the roof on the map, then click the first corner again to close the outline."}
+                {" Give the garage, porch or other parts at a different pitch their own section."}
+              </p>
+              <div className="space-y-2 mb-3">
+                {sections.map((section, index) => (
+                  <div
+                    key={section.id}
+                    onClick={() => handleSelectSection(index)}
+                    className={`p-2 rounded border cursor-pointer ${section === activeSection ? 'border-primary-400 bg-white' : 'border-gray-200'}`}
+                  >
+                    <div className="flex items-center">
+                      <input
+                        type="text"
+                        value={section.label}
+                        onChange={(e) => updateSection(index, { label: e.target.value })}
+                        placeholder={index === 0 ? 'Main roof' : 'e.g. Garage'}
+                        maxLength={60}
+                        className="flex-1 min-w-0 text-sm p-1 mr-2 border border-gray-300 rounded"
+                      />
+                      <SectionPitchInput
+                        pitch={section.pitch}
+                        onChange={(pitch) => updateSection(index, { pitch, pitchSet: true })}
+                      />
+                      {sections.length > 1 && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleRemoveSection(index); }}
+                          className="ml-2 text-gray-400 hover:text-red-600"
+                          aria-label="Remove section"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {section.planArea > 0
+                        ? `${formatNumber(section.planArea)} sq ft footprint × ${pitchMultiplier(section.pitch).toFixed(2)} for the pitch = ${formatNumber(section.area)} sq ft`
+                        : "No outline yet - select this section and trace it on the map"}
+                    </p>
+                  </div>
+                ))}
+              </div>
+              {sections.length > 1 && (
+                <p className="text-sm text-gray-700 mb-2">
+                  Total: <span className="font-semibold">{formatNumber(measuredRoofSize)} sq ft</span> of roof
+                </p>
+              )}
+              <div className="flex justify-between">
+                <div className="flex">
+                  <button
+                    onClick={handleAddSection}
+                    className="text-sm text-gray-700 py-1 px-3 mr-2 rounded border border-gray-300 hover:bg-gray-100 flex items-center"
+                  >
+                    <Plus size={14} className="mr-1" /> Add section
+                  </button>
+                  <button
+                    onClick={handleRedrawOutline}
+                    className="text-sm text-gray-700 py-1 px-3 rounded border border-gray-300 hover:bg-gray-100 flex items-center"
+                  >
+                    <RotateCcw size={14} className="mr-1" /> Redraw
+                  </button>
+                </div>
+                <button
+                  onClick={() => setEditingOutline(false)}
+                  className="text-sm bg-primary-600 text-white py-1 px-3 rounded hover:bg-primary-700 flex items-center"
+                >
+                  <Check size={14} className="mr-1" /> Done
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setEditingOutline(true)}
+              className="text-sm text-primary-600 hover:text-primary-800 flex items-center"
+            >
+              <PenTool size={14} className="mr-1" />
+              {formData.roofPolygon ? "Adjust the roof outline" : "Draw the roof outline"}
+              {hasRoofSections && sections.length > 1 && (
+                <span className="text-gray-500 ml-1">
+                  ({sections.length} sections: {sections.map(section => section.label || 'Unnamed').join(', ')})
+                </span>
+              )}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Roof Size Information */}
       <div className="w-full bg-blue-50 p-4 rounded-lg mb-6">
         <div className="flex justify-between items-center mb-2">
@@ -401,6 +704,8 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
                   "This estimate is calculated from property records using industry standard factors for your roof type and home size." :
                   sizingMethod === "api_calculation" ?
                   "This estimate was calculated using satellite imagery and AI analysis." :
+                  sizingMethod === "manual_outline" ?
+                  "This size is the area of the outline you traced, adjusted for the roof pitch." :
                   "This estimate is based on multiple sources of data combined to give you the most accurate measurement."}
               </p>
               <p className="mt-1">
@@ -421,7 +726,7 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
               onChange={handleToggleAutoSize}
               className="mr-2 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
             />
-            Use {hasPropertyData ? "property-based" : (skipMap || error || mapDisabled || (killSwitch && killSwitch.googleMaps) ? "estimated" : "calculated")} size (recommended)
+            Use {hasPropertyData ? "property-based" : (skipMap || error || mapsUnavailable ? "estimated" : "calculated")} size (recommended)
           </label>
         </div>
 
@@ -432,15 +737,41 @@ const RoofSizeStep = ({ formData, updateFormData, nextStep, prevStep }) => {
             type="number"
             value={localRoofSize}
             onChange={handleManualSizeChange}
-            disabled={formData.roofSizeAuto}
+            disabled={formData.roofSizeAuto || hasRoofSections}
             placeholder="Size in square feet"
             min="500"
             max="10000"
-            className={`w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-primary-300 focus:border-primary-500 focus:outline-none ${formData.roofSizeAuto ? 'bg-gray-100' : ''}`}
+            className={`w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-primary-300 focus:border-primary-500 focus:outline-none ${formData.roofSizeAuto || hasRoofSections ? 'bg-gray-100' : ''}`}
           />
+          {hasRoofSections && !formData.roofSizeAuto && (
+            <p className="text-xs text-gray-500 mt-1">The total of your traced roof sections.</p>
+          )}
         </div>
       </div>
 
+      {/* Measurement Comparison (hide with ?features=showMeasurementComparison:false) */}
+      {featureFlags.showMeasurementComparison && (
+        <div className="w-full mb-6">
+          <button
+            onClick={() => setShowComparison(!showComparison)}
+            className="text-sm text-primary-600 hover:text-primary-800 flex items-center mb-2"
+          >
+            <BarChart2 size={14} className="mr-1" />
+            {showComparison ? "Hide measurement comparison" : "Compare measurement methods"}
+          </button>
+          {showComparison && (
+            <MeasurementComparisonTool
+              propertyData={formData.propertyData}
+              coordinates={coordinates}
+              roofPolygon={formData.roofPolygon}
+              roofPitch={outlinePitch}
+              visionResult={visionResult}
+              manualMeasurement={manualMeasurement}
+            />
+          )}
+        </div>
+      )}
+
       {/* Navigation Buttons */}
       <div className="flex w-full justify-between">
         <button
@@ -1,6 +1,7 @@
 // src/components/steps/RoofSteepnessStep.js
 import React from 'react';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { applySteepness, totalArea } from '../../utils/roofSections';
 
 const RoofSteepnessStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   const options = [
@@ -58,6 +59,20 @@ const RoofSteepnessStep = ({ formData, updateFormData, nextStep, prevStep }) =>
     }
   ];
 
+  // Traced sections follow the answer unless the user gave them a pitch of their own
+  const sections = formData.roofSections || [];
+  const keptSections = sections.filter(section => section.pitchSet);
+
+  const selectSteepness = (steepness) => {
+    updateFormData('roofSteepness', steepness);
+    if (sections.length === 0) return;
+
+    const updated = applySteepness(sections, steepness);
+    updateFormData('roofSections', updated);
+    const roofSize = totalArea(updated);
+    if (roofSize > 0) updateFormData('roofSize', roofSize);
+  };
+
   return (
     <div className="flex flex-col items-center w-full max-w-md mx-auto">
       <h2 className="text-xl font-semibold mb-2">How steep is your roof?</h2>
@@ -72,7 +87,7 @@ const RoofSteepnessStep = ({ formData, updateFormData, nextStep, prevStep }) =>
                 ? 'border-primary-500 bg-primary-50' 
                 : 'border-gray-300 hover:border-primary-300'
             }`}
-            onClick={() => updateFormData('roofSteepness', option.id)}
+            onClick={() => selectSteepness(option.id)}
           >
             {option.image}
             
@@ -90,6 +105,13 @@ const RoofSteepnessStep = ({ formData, updateFormData, nextStep, prevStep }) =>
         ))}
       </div>
       
+      {keptSections.length > 0 && (
+        <p className="text-xs text-gray-500 w-full -mt-3 mb-6">
+          {keptSections.map(section => `${section.label || `Section ${sections.indexOf(section) + 1}`} keeps the ${section.pitch} pitch you set for it.`).join(' ')}
+          {keptSections.length < sections.length ? ' The rest of the roof uses this answer.' : ''}
+        </p>
+      )}
+      
       <div className="flex w-full justify-between">
         <button 
           onClick={prevStep} 
@@ -11,9 +11,15 @@ const config = {
                window.location.hostname === '127.0.0.1',
                
   // Feature flags
-  useLeaflet: true,
+  useLeaflet: process.env.REACT_APP_ENABLE_LEAFLET !== 'false',
   useGoogleMaps: true,
   
+  // Leaflet fallback map tiles - any XYZ tile URL, e.g. a local tile server in development
+  mapTileUrl: process.env.REACT_APP_MAP_TILE_URL ||
+              'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+  mapTileAttribution: process.env.REACT_APP_MAP_TILE_ATTRIBUTION || 'Tiles &copy; Esri',
+  mapTileMaxZoom: parseInt(process.env.REACT_APP_MAP_TILE_MAX_ZOOM || '19', 10), // Highest zoom the tile server has
+  
   // Timeouts
   mapLoadingTimeout: 60000 // 60 seconds
 };
@@ -26,7 +32,8 @@ console.log('Config loaded:', {
   env: process.env.NODE_ENV,
   hostname: window.location.hostname,
   useLeaflet: config.useLeaflet,
-  useGoogleMaps: config.useGoogleMaps
+  useGoogleMaps: config.useGoogleMaps,
+  mapTileUrl: config.mapTileUrl
 });
 
 // Dynamic library check
@@ -44,6 +44,7 @@ api.interceptors.response.use(
     if (duration > 500 && API_FEATURE_FLAGS.METRICS_LOGGING_ENABLED) {
       safelyLogMetrics('api_timing', {
         endpoint: response.config.url,
+        method: response.config.method,
         duration,
         status: response.status
       });
@@ -108,8 +109,9 @@ export const safelyLogMetrics = (type, data) => {
  * @param {number} backendSize - Size from backend calculation
  * @param {number} frontendSize - Size from frontend calculation
  * @param {string} address - Property address
+ * @param {Object} details - Optional { method, state } for aggregating by measurement method and region
  */
-export const logMeasurementDiscrepancy = (backendSize, frontendSize, address) => {
+export const logMeasurementDiscrepancy = (backendSize, frontendSize, address, details = {}) => {
   if (!backendSize || !frontendSize || !address) return;
   
   const ratio = frontendSize / backendSize;
@@ -129,7 +131,9 @@ export const logMeasurementDiscrepancy = (backendSize, frontendSize, address) =>
     frontendSize,
     ratio,
     percentDiff,
-    address: anonymizedAddress
+    address: anonymizedAddress,
+    method: details.method,
+    state: details.state
   });
   
   // Add to local storage for monitoring large discrepancies
@@ -226,15 +230,135 @@ export const getAddressCoordinates = async (address, propertyData = null) => {
   }
 };
 
+// Roof analyses can take longer than the API timeout, so they run as background
+// jobs on the server and the client follows their progress
+const ROOF_JOB_TIMEOUT_MS = 120000;
+// Polling is only the fallback for the event stream; it backs off so a slow
+// analysis makes a handful of status requests, not one every two seconds
+const ROOF_JOB_POLL_INTERVAL_MS = 2000;
+const ROOF_JOB_MAX_POLL_INTERVAL_MS = 15000;
+const ROOF_JOB_POLL_BACKOFF = 1.5;
+
+/**
+ * Start a roof analysis job, or join the one already running for the same
+ * coordinates and property data
+ * @param {Object} requestData - { lat, lng, propertyData }
+ * @returns {Promise} - Resolves with the job
+ */
+export const startRoofAnalysisJob = async (requestData) => {
+  const response = await api.post('/api/roof/jobs', requestData);
+  return response.data.data.job;
+};
+
+/**
+ * Wait for a roof analysis job to finish, streaming its stages when the
+ * browser supports server-sent events and polling otherwise
+ * @param {Object} job - Job returned by startRoofAnalysisJob
+ * @param {Object} options - { onProgress(stage), timeoutMs }
+ * @returns {Promise} - Resolves with { success, message, data } like /api/roof/analyze
+ */
+export const waitForRoofAnalysisJob = (job, { onProgress, timeoutMs = ROOF_JOB_TIMEOUT_MS } = {}) => {
+  return new Promise((resolve, reject) => {
+    let eventSource = null;
+    let pollTimer = null;
+    let pollInterval = ROOF_JOB_POLL_INTERVAL_MS;
+    let lastSeq = 0;
+    let finished = false;
+
+    const finish = (error, result) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(pollTimer);
+      if (eventSource) eventSource.close();
+      error ? reject(error) : resolve(result);
+    };
+
+    const handleStage = (stage) => {
+      if (stage.seq <= lastSeq) return;
+      lastSeq = stage.seq;
+      if (onProgress) onProgress(stage);
+    };
+
+    const handleJob = (current) => {
+      current.stages.forEach(handleStage);
+      if (current.status === 'completed') {
+        finish(null, { success: true, ...current.result });
+      } else if (current.status === 'failed') {
+        finish(new Error(current.error || 'Roof analysis failed'));
+      }
+      return current.status === 'completed' || current.status === 'failed';
+    };
+
+    const poll = async () => {
+      try {
+        const response = await api.get(`/api/roof/jobs/${job.id}`);
+        if (!handleJob(response.data.data.job) && !finished) {
+          pollTimer = setTimeout(poll, pollInterval);
+          pollInterval = Math.min(pollInterval * ROOF_JOB_POLL_BACKOFF, ROOF_JOB_MAX_POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        finish(error);
+      }
+    };
+
+    const timeoutTimer = setTimeout(() => {
+      finish(new Error('Roof analysis timed out'));
+    }, timeoutMs);
+
+    if (handleJob(job)) return;
+
+    if (typeof window.EventSource !== 'function') {
+      pollTimer = setTimeout(poll, ROOF_JOB_POLL_INTERVAL_MS);
+      return;
+    }
+
+    eventSource = new window.EventSource(`${API_URL}/api/roof/jobs/${job.id}/events`);
+    ['cache_hit', 'imagery_fetched', 'zoom_analyzed', 'adjustments_applied'].forEach(type => {
+      eventSource.addEventListener(type, event => handleStage(JSON.parse(event.data)));
+    });
+    eventSource.addEventListener('final', event => {
+      const stage = JSON.parse(event.data);
+      handleStage(stage);
+      if (stage.status === 'completed') {
+        finish(null, { success: true, ...stage.result });
+      } else {
+        finish(new Error(stage.error || 'Roof analysis failed'));
+      }
+    });
+    // The job keeps running server-side; if the stream drops, follow it by polling
+    eventSource.onerror = () => {
+      if (finished) return;
+      console.warn("Roof analysis stream interrupted, polling for progress");
+      eventSource.close();
+      eventSource = null;
+      poll();
+    };
+  });
+};
+
+/**
+ * Run a roof analysis job to completion
+ * @param {Object} requestData - { lat, lng, propertyData }
+ * @param {Object} options - { onProgress(stage), timeoutMs }
+ * @returns {Promise} - Resolves with { success, message, data } like /api/roof/analyze
+ */
+export const runRoofAnalysisJob = async (requestData, options = {}) => {
+  const job = await startRoofAnalysisJob(requestData);
+  console.log("Roof analysis job:", job.id, job.status);
+  return waitForRoofAnalysisJob(job, options);
+};
+
 /**
  * Get roof size estimate based on coordinates
  * UPDATED: Now attempts OpenAI Vision analysis first before falling back
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Object} propertyData - Optional property data for better estimation
+ * @param {Object} options - { onProgress(stage) } to follow the vision analysis
  * @returns {Promise} - Resolves with roof size data
  */
-export const getRoofSizeEstimate = async (lat, lng, propertyData = null) => {
+export const getRoofSizeEstimate = async (lat, lng, propertyData = null, options = {}) => {
   try {
     // Generate a cache key for this coordinate pair
     const coordKey = `${lat.toFixed(6)}_${lng.toFixed(6)}`;
@@ -265,14 +389,14 @@ export const getRoofSizeEstimate = async (lat, lng, propertyData = null) => {
     if (API_FEATURE_FLAGS.VISION_API_ENABLED) {
       try {
         console.log("Attempting OpenAI Vision roof analysis");
-        const visionResponse = await api.post('/api/roof/analyze', requestData);
-        console.log("OpenAI Vision response:", visionResponse.data);
+        const visionResponse = await runRoofAnalysisJob(requestData, options);
+        console.log("OpenAI Vision response:", visionResponse);
         
-        if (visionResponse.data && visionResponse.data.success) {
+        if (visionResponse && visionResponse.success) {
           console.log("OpenAI Vision analysis successful");
           
           // Extract the result - handle both direct and recommended formats
-          const visionResult = visionResponse.data.data?.recommended || visionResponse.data.data;
+          const visionResult = visionResponse.data?.recommended || visionResponse.data;
           
           // Format and normalize response
           const formattedResult = {
@@ -284,7 +408,12 @@ export const getRoofSizeEstimate = async (lat, lng, propertyData = null) => {
             roofShape: visionResult.roofShape,
             roofPitch: visionResult.estimatedPitch,
             roofAnalysisMethod: visionResult.method,
-            roofAnalysisNotes: visionResult.notes
+            roofAnalysisNotes: visionResult.notes,
+            includedFeatures: visionResult.includedFeaturesInArea,
+            areaCheck: visionResult.areaCheck,
+            consensus: visionResult.consensus,
+            rawVisionArea: visionResult.rawVisionArea,
+            adjustments: visionResult.adjustments
           };
           
           // Cache the result
@@ -318,7 +447,8 @@ export const getRoofSizeEstimate = async (lat, lng, propertyData = null) => {
       roofPolygon: response.data.roofPolygon,
       accuracy: response.data.accuracy,
       method: response.data.method,
-      roofAnalysisMethod: "basic_estimation"
+      roofAnalysisMethod: response.data.method || "basic_estimation",
+      roofAnalysisNotes: response.data.notes
     };
     
     // Cache the result
@@ -337,9 +467,10 @@ export const getRoofSizeEstimate = async (lat, lng, propertyData = null) => {
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Object} propertyData - Property data for cross-validation
+ * @param {Object} options - { onProgress(stage) } to follow the analysis
  * @returns {Promise} - Resolves with roof analysis data
  */
-export const analyzeRoof = async (lat, lng, propertyData = null) => {
+export const analyzeRoof = async (lat, lng, propertyData = null, options = {}) => {
   try {
     console.log("Analyzing roof with OpenAI Vision:", { lat, lng });
     
@@ -365,18 +496,18 @@ export const analyzeRoof = async (lat, lng, propertyData = null) => {
       } : null
     };
     
-    // Make API request to the roof analysis endpoint
-    const response = await api.post('/api/roof/analyze', requestData);
-    console.log("Roof analysis response:", response.data);
+    // Run the analysis as a background job on the server
+    const response = await runRoofAnalysisJob(requestData, options);
+    console.log("Roof analysis response:", response);
     
     // Check for recommended result
-    if (response.data.data?.recommended) {
-      console.log("Using recommended analysis method:", response.data.data.recommended.method);
-      return formatAnalysisResult(response.data.data.recommended);
+    if (response.data?.recommended) {
+      console.log("Using recommended analysis method:", response.data.recommended.method);
+      return formatAnalysisResult(response.data.recommended);
     }
     
     // Otherwise use the direct result
-    const result = formatAnalysisResult(response.data.data);
+    const result = formatAnalysisResult(response.data);
     
     // Cache the result
     addressCache[coordKey] = result;
@@ -433,7 +564,12 @@ const formatAnalysisResult = (result) => {
     roofShape: result.roofShape,
     estimatedPitch: result.estimatedPitch,
     method: result.method,
-    notes: result.notes
+    notes: result.notes,
+    includedFeatures: result.includedFeaturesInArea,
+    areaCheck: result.areaCheck,
+    consensus: result.consensus,
+    rawVisionArea: result.rawVisionArea,
+    adjustments: result.adjustments
   };
 };
 
@@ -476,6 +612,27 @@ export const generateRoofEstimate = async (formData) => {
   }
 };
 
+/**
+ * Calculate a material takeoff for a roof
+ * @param {Object} data - roofSize, roofSteepness, roofShape, desiredRoofMaterial, state and
+ *                        optional measurements { eaves, rakes, ridges, hips, valleys } in feet
+ * @returns {Promise} - Resolves with the takeoff { squares, items, notes, ... }
+ */
+export const calculateTakeoff = async (data) => {
+  try {
+    const response = await api.post('/api/estimates/takeoff', data);
+
+    if (response.data && response.data.success === false) {
+      throw new Error(response.data.message || "Takeoff calculation failed");
+    }
+
+    return response.data.data;
+  } catch (error) {
+    console.error('Error calculating takeoff:', error);
+    throw error;
+  }
+};
+
 /**
  * Submit final estimate with user contact information
  * @param {Object} data - Form data with contact info and estimate results
@@ -518,6 +675,15 @@ export const submitEstimate = async (data) => {
   }
 };
 
+/**
+ * URL of the PDF report for a submitted estimate
+ * @param {string} reference - Estimate reference returned by submitEstimate
+ * @param {string} reportToken - Report token returned by submitEstimate
+ * @returns {string} - Report download URL
+ */
+export const getEstimateReportUrl = (reference, reportToken) =>
+  `${API_URL}/api/estimates/${encodeURIComponent(reference)}/report.pdf?token=${encodeURIComponent(reportToken)}`;
+
 /**
  * Clear the address cache
  */
@@ -563,8 +729,13 @@ const apiService = {
   getAddressCoordinates,
   getRoofSizeEstimate,
   analyzeRoof,
+  startRoofAnalysisJob,
+  waitForRoofAnalysisJob,
+  runRoofAnalysisJob,
   generateRoofEstimate,
+  calculateTakeoff,
   submitEstimate,
+  getEstimateReportUrl,
   clearAddressCache,
   getStoredDiscrepancies,
   clearStoredDiscrepancies,
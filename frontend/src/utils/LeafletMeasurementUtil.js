@@ -0,0 +1,98 @@
+// src/utils/LeafletMeasurementUtil.js
+import * as turf from '@turf/turf';
+import { slopedArea } from '@roofai/shared/roofPitch';
+import { SQ_FT_PER_SQ_M, FT_PER_M, area, edges, openRing, perimeter } from '@roofai/shared/geometry';
+import featureFlags from './featureFlags';
+
+/**
+ * Roof outline measurements
+ *
+ * Outlines are { lat, lng } points (closed or open, as the backend and the map
+ * containers produce them). Areas are plan (footprint) areas unless pitch
+ * corrected, in sq ft; lengths are in feet. Measured with Turf.js while
+ * featureFlags.useTurfMeasurement is on (the default), otherwise with the
+ * shared geometry library used everywhere else.
+ */
+
+// GeoJSON positions ([lng, lat]) of the closed ring
+const toPositions = (ring) => [...ring, ring[0]].map(({ lat, lng }) => [lng, lat]);
+
+/**
+ * Plan (footprint) area of an outline
+ * @param {Array<Object>} points - Outline points { lat, lng }
+ * @returns {number} Area in sq ft (0 for fewer than 3 points)
+ */
+export const calculatePolygonArea = (points) => {
+  const ring = openRing(points);
+  if (ring.length < 3) return 0;
+
+  const squareMeters = featureFlags.useTurfMeasurement
+    ? turf.area(turf.polygon([toPositions(ring)]))
+    : area(ring);
+  return Math.round(squareMeters * SQ_FT_PER_SQ_M);
+};
+
+/**
+ * Length and bearing of each edge of an outline, including the closing edge
+ * @param {Array<Object>} points - Outline points { lat, lng }
+ * @returns {Array<Object>} Edges { from, to, length (ft), bearing (degrees from north) }
+ */
+export const calculateEdgeLengths = (points) => edges(points).map(edge => {
+  const meters = featureFlags.useTurfMeasurement
+    ? turf.distance([edge.from.lng, edge.from.lat], [edge.to.lng, edge.to.lat], { units: 'meters' })
+    : edge.length;
+
+  return {
+    from: edge.from,
+    to: edge.to,
+    length: Math.round(meters * FT_PER_M * 10) / 10,
+    bearing: Math.round(edge.bearing) % 360
+  };
+});
+
+/**
+ * Perimeter of an outline
+ * @param {Array<Object>} points - Outline points { lat, lng }
+ * @returns {number} Perimeter in feet (0 for fewer than 3 points)
+ */
+export const calculatePerimeter = (points) => {
+  const ring = openRing(points);
+  if (ring.length < 3) return 0;
+
+  const meters = featureFlags.useTurfMeasurement
+    ? turf.length(turf.lineString(toPositions(ring)), { units: 'meters' })
+    : perimeter(ring);
+  return Math.round(meters * FT_PER_M * 10) / 10;
+};
+
+/**
+ * Pitch-corrected roof area of an outline (plan area × slope multiplier)
+ * @param {Array<Object>} points - Outline points { lat, lng }
+ * @param {string} pitch - Steepness answer or rise/run ("7/12"); defaults to moderate
+ * @returns {number} Sloped roof area in sq ft
+ */
+export const calculateRoofArea = (points, pitch) => slopedArea(calculatePolygonArea(points), pitch);
+
+/**
+ * All measurements of an outline
+ * @param {Array<Object>} points - Outline points { lat, lng }
+ * @param {string} pitch - Steepness answer or rise/run
+ * @returns {Object} { planArea, roofArea, perimeter, edges, method }
+ */
+export const measurePolygon = (points, pitch) => ({
+  planArea: calculatePolygonArea(points),
+  roofArea: calculateRoofArea(points, pitch),
+  perimeter: calculatePerimeter(points),
+  edges: calculateEdgeLengths(points),
+  method: featureFlags.useTurfMeasurement ? 'turf' : 'geodesic'
+});
+
+const LeafletMeasurementUtil = {
+  calculatePolygonArea,
+  calculateEdgeLengths,
+  calculatePerimeter,
+  calculateRoofArea,
+  measurePolygon
+};
+
+export default LeafletMeasurementUtil;
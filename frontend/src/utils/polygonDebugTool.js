@@ -1,4 +1,16 @@
 // src/utils/polygonDebugTool.js
+import {
+  FT_PER_M,
+  areaSqFt,
+  centroid,
+  distance,
+  edges,
+  perimeter,
+  rectangle,
+  scaleToArea,
+  selfIntersects
+} from '@roofai/shared/geometry';
+
 /**
  * Debugging tools for roof polygon issues
  * This utility allows you to troubleshoot polygon scaling and area calculation
@@ -20,40 +32,34 @@ export const debugPolygon = (polygonCoords, expectedSize) => {
   
   // Calculate and log area
   try {
-    // Calculate area using simple methods
-    const roughArea = calculateRoughArea(polygonCoords);
-    console.log("Rough area calculation:", roughArea.toFixed(2), "sq ft");
-    
-    // Calculate using improved Mercator projection
-    const mercatorArea = calculateAreaMercator(polygonCoords);
-    console.log("Mercator projection area:", mercatorArea.toFixed(2), "sq ft");
-    
-    // Calculate using Haversine
-    const haversineArea = calculateHaversineArea(polygonCoords);
-    console.log("Haversine area:", haversineArea.toFixed(2), "sq ft");
+    // Geodesic area (the same figure the backend and the map containers use)
+    const area = areaSqFt(polygonCoords);
+    console.log("Geodesic area:", area.toFixed(2), "sq ft");
     
     // Calculate size mismatch
     if (expectedSize) {
-      const ratioRough = roughArea / expectedSize;
-      const ratioMercator = mercatorArea / expectedSize;
-      const ratioHaversine = haversineArea / expectedSize;
-      
-      console.log("Size ratio (rough/expected):", ratioRough.toFixed(4));
-      console.log("Size ratio (mercator/expected):", ratioMercator.toFixed(4));
-      console.log("Size ratio (haversine/expected):", ratioHaversine.toFixed(4));
+      const ratio = area / expectedSize;
+      console.log("Size ratio (area/expected):", ratio.toFixed(4));
       
       // Recommend scaling factor
-      const recommendedFactor = 1 / Math.sqrt(ratioMercator);
+      const recommendedFactor = 1 / Math.sqrt(ratio);
       console.log("Recommended scaling factor:", recommendedFactor.toFixed(4));
     }
     
     // Calculate and log polygon dimensions
     const dimensions = calculatePolygonDimensions(polygonCoords);
     console.log("Polygon dimensions:", dimensions);
+    console.log("Perimeter:", (perimeter(polygonCoords) * FT_PER_M).toFixed(1), "ft");
+    console.log("Edges:", edges(polygonCoords).map(edge => (
+      `${(edge.length * FT_PER_M).toFixed(1)} ft @ ${Math.round(edge.bearing)}°`
+    )));
+    
+    if (selfIntersects(polygonCoords)) {
+      console.warn("Polygon edges cross each other - the area is not meaningful");
+    }
     
     // Calculate and log centroid
-    const centroid = calculateCentroid(polygonCoords);
-    console.log("Polygon centroid:", centroid);
+    console.log("Polygon centroid:", centroid(polygonCoords));
     
   } catch (error) {
     console.error("Error in polygon debug calculations:", error);
@@ -76,31 +82,17 @@ export const fixPolygonScaling = (polygonCoords, targetSize) => {
   
   try {
     // Calculate current area
-    const currentArea = calculateAreaMercator(polygonCoords);
-    
-    // Calculate scaling factor
-    const scaleFactor = Math.sqrt(targetSize / currentArea);
-    
-    // Find centroid
-    const centroid = calculateCentroid(polygonCoords);
+    const currentArea = areaSqFt(polygonCoords);
     
     // Scale polygon around centroid
-    const scaledPolygon = polygonCoords.map(point => {
-      const dLat = point.lat - centroid.lat;
-      const dLng = point.lng - centroid.lng;
-      
-      return {
-        lat: centroid.lat + dLat * scaleFactor,
-        lng: centroid.lng + dLng * scaleFactor
-      };
-    });
+    const scaledPolygon = scaleToArea(polygonCoords, targetSize);
     
     // Log debug info
     console.log("Polygon scaling fix applied:", {
       originalArea: currentArea.toFixed(2),
       targetArea: targetSize,
-      scaleFactor: scaleFactor.toFixed(4),
-      centroid
+      scaleFactor: Math.sqrt(targetSize / currentArea).toFixed(4),
+      centroid: centroid(polygonCoords)
     });
     
     return scaledPolygon;
@@ -110,111 +102,6 @@ export const fixPolygonScaling = (polygonCoords, targetSize) => {
   }
 };
 
-/**
- * Calculate area using simple lat/lng distance approximation
- * @param {Array} polygonCoords - The polygon coordinates
- * @returns {number} - Area in square feet
- */
-const calculateRoughArea = (polygonCoords) => {
-  // Convert to simple x,y coordinates using degrees
-  const points = polygonCoords.map(point => {
-    return { x: point.lng, y: point.lat };
-  });
-  
-  // Apply shoelace formula
-  let area = 0;
-  for (let i = 0; i < points.length; i++) {
-    const j = (i + 1) % points.length;
-    area += points[i].x * points[j].y;
-    area -= points[j].x * points[i].y;
-  }
-  
-  area = Math.abs(area / 2);
-  
-  // Convert to square feet
-  // This is very rough - 1 degree is approximately 69 miles at the equator
-  const feetPerDegreeLat = 364000;
-  const centerLat = calculateCentroid(polygonCoords).lat;
-  const latRadians = centerLat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  return area * feetPerDegreeLat * feetPerDegreeLng;
-};
-
-/**
- * Calculate area using Mercator projection
- * @param {Array} polygonCoords - The polygon coordinates
- * @returns {number} - Area in square feet
- */
-const calculateAreaMercator = (polygonCoords) => {
-  const earthRadius = 6378137; // meters
-  
-  // Convert lat/lng to meters with Mercator projection
-  const pointsInMeters = polygonCoords.map(point => {
-    const x = point.lng * (Math.PI / 180) * earthRadius;
-    const y = Math.log(Math.tan((Math.PI / 4) + (point.lat * (Math.PI / 180) / 2))) * earthRadius;
-    return { x, y };
-  });
-  
-  // Apply shoelace formula
-  let area = 0;
-  for (let i = 0; i < pointsInMeters.length; i++) {
-    const j = (i + 1) % pointsInMeters.length;
-    area += pointsInMeters[i].x * pointsInMeters[j].y;
-    area -= pointsInMeters[j].x * pointsInMeters[i].y;
-  }
-  
-  // Convert square meters to square feet
-  return Math.abs(area / 2) * 10.7639;
-};
-
-/**
- * Calculate area using Haversine formula
- * @param {Array} polygonCoords - The polygon coordinates
- * @returns {number} - Area in square feet
- */
-const calculateHaversineArea = (polygonCoords) => {
-  const earthRadius = 6378137; // meters
-  
-  // Calculate area using Haversine-based spherical polygon formula
-  let area = 0;
-  for (let i = 0; i < polygonCoords.length; i++) {
-    const j = (i + 1) % polygonCoords.length;
-    
-    const lat1 = polygonCoords[i].lat * (Math.PI / 180);
-    const lng1 = polygonCoords[i].lng * (Math.PI / 180);
-    const lat2 = polygonCoords[j].lat * (Math.PI / 180);
-    const lng2 = polygonCoords[j].lng * (Math.PI / 180);
-    
-    // Calculate area increment
-    area += (lng2 - lng1) * (2 + Math.sin(lat1) + Math.sin(lat2));
-  }
-  
-  // Convert to square meters, then to square feet
-  area = Math.abs(area * earthRadius * earthRadius / 2);
-  return area * 10.7639;
-};
-
-/**
- * Calculate centroid of polygon
- * @param {Array} polygonCoords - The polygon coordinates
- * @returns {Object} - Centroid coordinates {lat, lng}
- */
-const calculateCentroid = (polygonCoords) => {
-  let latSum = 0;
-  let lngSum = 0;
-  
-  polygonCoords.forEach(point => {
-    latSum += point.lat;
-    lngSum += point.lng;
-  });
-  
-  return {
-    lat: latSum / polygonCoords.length,
-    lng: lngSum / polygonCoords.length
-  };
-};
-
 /**
  * Calculate approximate dimensions of polygon (width and height)
  * @param {Array} polygonCoords - The polygon coordinates
@@ -234,18 +121,10 @@ const calculatePolygonDimensions = (polygonCoords) => {
     maxLng = Math.max(maxLng, point.lng);
   });
   
-  // Calculate width and height in degrees
-  const widthDegrees = maxLng - minLng;
-  const heightDegrees = maxLat - minLat;
-  
-  // Convert to feet
+  // Measure the bounding box sides in feet
   const centerLat = (minLat + maxLat) / 2;
-  const feetPerDegreeLat = 364000;
-  const latRadians = centerLat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  const width = widthDegrees * feetPerDegreeLng;
-  const height = heightDegrees * feetPerDegreeLat;
+  const width = distance({ lat: centerLat, lng: minLng }, { lat: centerLat, lng: maxLng }) * FT_PER_M;
+  const height = distance({ lat: minLat, lng: minLng }, { lat: maxLat, lng: minLng }) * FT_PER_M;
   const diagonal = Math.sqrt(width * width + height * height);
   
   return {
@@ -262,30 +141,7 @@ const calculatePolygonDimensions = (polygonCoords) => {
  * @param {number} size - Target size in square feet
  * @returns {Array} - Test polygon coordinates
  */
-export const generateTestPolygon = (lat, lng, size = 2500) => {
-  const earthRadius = 6378137; // meters
-  const sqMeters = size / 10.7639;
-  
-  // Calculate dimensions
-  const width = Math.sqrt(sqMeters);
-  const height = width;
-  
-  // Convert to degrees
-  const metersPerDegreeLat = 111319.9; // at equator
-  const latRadians = lat * (Math.PI / 180);
-  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(latRadians);
-  
-  const latOffset = (height / 2) / metersPerDegreeLat;
-  const lngOffset = (width / 2) / metersPerDegreeLng;
-  
-  // Create rectangle
-  return [
-    { lat: lat - latOffset, lng: lng - lngOffset },
-    { lat: lat - latOffset, lng: lng + lngOffset },
-    { lat: lat + latOffset, lng: lng + lngOffset },
-    { lat: lat + latOffset, lng: lng - lngOffset }
-  ];
-};
+export const generateTestPolygon = (lat, lng, size = 2500) => rectangle({ lat, lng }, size);
 
 export default {
   debugPolygon,
@@ -1,9 +1,20 @@
 // src/utils/propertyPolygonGenerator.js - Updated with improved roof coverage
+import { areaSqFt, rectangle, scaleToArea } from '@roofai/shared/geometry';
+
 /**
  * Property-specific polygon generation utility
  * Creates accurate roof polygons based on property metadata
  */
 
+// Half the north-south and east-west extent of a rectangle of the given area
+const rectangleOffsets = (lat, lng, sqFt, aspectRatio) => {
+  const [southWest, southEast, northEast] = rectangle({ lat, lng }, sqFt, aspectRatio);
+  return {
+    latOffset: (northEast.lat - southEast.lat) / 2,
+    lngOffset: (southEast.lng - southWest.lng) / 2
+  };
+};
+
 /**
  * Generate property-specific polygon based on building type and metadata
  * @param {number} lat - Latitude coordinate
@@ -55,9 +66,6 @@ const generateTypedPolygon = (lat, lng, size, buildingType, stories, metadata) =
     isStorage: buildingType.toLowerCase().includes('storage')
   };
   
-  // Calculate basic size metrics
-  const sqMeters = size * 0.092903;
-  
   // Define building-specific scaling factors - INCREASED to cover more of the roof
   let scaleFactor = 1.0; // Increased from 0.85 to cover more of the roof
   let aspectRatio = 1.5; // Default
@@ -92,47 +100,12 @@ const generateTypedPolygon = (lat, lng, size, buildingType, stories, metadata) =
     const adjustedSize = size / stories;
     scaleFactor *= 1.1 + (0.2 * stories); // Increase scale factor for multi-story buildings
     
-    // Recalculate square meters with story adjustment
-    const adjustedSqMeters = adjustedSize * 0.092903 * scaleFactor;
-    
-    // Calculate dimensions
-    const width = Math.sqrt(adjustedSqMeters / aspectRatio);
-    const length = width * aspectRatio;
-    
-    // Convert to degrees
-    const feetPerDegreeLat = 364000;
-    const latRadians = lat * (Math.PI / 180);
-    const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-    
-    const latOffset = (length / 2) / feetPerDegreeLat;
-    const lngOffset = (width / 2) / feetPerDegreeLng;
-    
-    // FIX: Set position adjustment to 0 to center the polygon on the actual coordinates
-    const adjustedLat = lat;
-    
     // Return simple polygon for multi-story buildings
-    return [
-      { lat: adjustedLat - latOffset, lng: lng - lngOffset },
-      { lat: adjustedLat - latOffset, lng: lng + lngOffset },
-      { lat: adjustedLat + latOffset, lng: lng + lngOffset },
-      { lat: adjustedLat + latOffset, lng: lng - lngOffset }
-    ];
+    return rectangle({ lat, lng }, adjustedSize * scaleFactor, aspectRatio);
   }
   
   // For single-story buildings, proceed with standard calculation but with increased coverage
-  const adjustedSqMeters = sqMeters * scaleFactor;
-  
-  // Calculate dimensions
-  const width = Math.sqrt(adjustedSqMeters / aspectRatio);
-  const length = width * aspectRatio;
-  
-  // Convert to degrees
-  const feetPerDegreeLat = 364000;
-  const latRadians = lat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  const latOffset = (length / 2) / feetPerDegreeLat;
-  const lngOffset = (width / 2) / feetPerDegreeLng;
+  const { latOffset, lngOffset } = rectangleOffsets(lat, lng, size * scaleFactor, aspectRatio);
   
   // FIX: Set position adjustment to 0 to center the polygon on the actual coordinates
   const adjustedLat = lat;
@@ -205,12 +178,7 @@ const generateTypedPolygon = (lat, lng, size, buildingType, stories, metadata) =
   }
   
   // For most cases, return a rectangular polygon
-  return [
-    { lat: adjustedLat - latOffset, lng: lng - lngOffset },
-    { lat: adjustedLat - latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng - lngOffset }
-  ];
+  return rectangle({ lat: adjustedLat, lng }, size * scaleFactor, aspectRatio);
 };
 
 /**
@@ -221,9 +189,6 @@ const generateTypedPolygon = (lat, lng, size, buildingType, stories, metadata) =
  * @returns {Array} - Polygon coordinates
  */
 export const generateSizeBasedPolygon = (lat, lng, size) => {
-  // Size to square meters
-  const sqMeters = size * 0.092903;
-  
   // Apply a larger scale factor for visual representation - INCREASED to cover more of the roof
   let scaleFactor = 1.2; // Increased from 0.85 to expand polygon size
   
@@ -238,8 +203,6 @@ export const generateSizeBasedPolygon = (lat, lng, size) => {
     scaleFactor = 1.15; // Increased from 0.83
   }
   
-  const adjustedSqMeters = sqMeters * scaleFactor;
-  
   // Adapt aspect ratio based on building size
   let aspectRatio = 1.7; // Increased from 1.5 to better match typical roof shapes
   
@@ -249,28 +212,8 @@ export const generateSizeBasedPolygon = (lat, lng, size) => {
     aspectRatio = 1.9; // Increased from 1.7
   }
   
-  // Calculate dimensions
-  const width = Math.sqrt(adjustedSqMeters / aspectRatio);
-  const length = width * aspectRatio;
-  
-  // Convert to degrees
-  const feetPerDegreeLat = 364000;
-  const latRadians = lat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  const latOffset = (length / 2) / feetPerDegreeLat;
-  const lngOffset = (width / 2) / feetPerDegreeLng;
-  
-  // FIX: Set position adjustment to 0 to center the polygon on the actual coordinates
-  const adjustedLat = lat;
-  
   // Create rectangle
-  return [
-    { lat: adjustedLat - latOffset, lng: lng - lngOffset },
-    { lat: adjustedLat - latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng - lngOffset }
-  ];
+  return rectangle({ lat, lng }, size * scaleFactor, aspectRatio);
 };
 
 /**
@@ -282,37 +225,11 @@ export const generateSizeBasedPolygon = (lat, lng, size) => {
  * @returns {Array} - Polygon coordinates
  */
 export const generateSimplePolygon = (lat, lng, size = 2500, scaleFactor = 1.2) => {
-  // Convert to square meters
-  const sqMeters = size * 0.092903;
-  
-  // Apply scale correction - INCREASED to cover more of the roof
-  const adjustedSqMeters = sqMeters * scaleFactor;
-  
   // Standard aspect ratio - ADJUSTED to better match typical roof shapes
   const aspectRatio = 1.7; // Increased from 1.5
   
-  // Calculate dimensions
-  const width = Math.sqrt(adjustedSqMeters / aspectRatio);
-  const length = width * aspectRatio;
-  
-  // Convert to degrees
-  const feetPerDegreeLat = 364000;
-  const latRadians = lat * (Math.PI / 180);
-  const feetPerDegreeLng = feetPerDegreeLat * Math.cos(latRadians);
-  
-  const latOffset = (length / 2) / feetPerDegreeLat;
-  const lngOffset = (width / 2) / feetPerDegreeLng;
-  
-  // FIX: Set position adjustment to 0 to center the polygon on the actual coordinates
-  const adjustedLat = lat;
-  
   // Create rectangle
-  return [
-    { lat: adjustedLat - latOffset, lng: lng - lngOffset },
-    { lat: adjustedLat - latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng + lngOffset },
-    { lat: adjustedLat + latOffset, lng: lng - lngOffset }
-  ];
+  return rectangle({ lat, lng }, size * scaleFactor, aspectRatio);
 };
 
 /**
@@ -402,8 +319,7 @@ export const fixProvidedPolygon = (polygonCoords, lat, lng, size) => {
   // Check if the coordinates need resizing
   try {
     // Calculate area of provided polygon
-    const areaInSqMeters = calculatePolygonAreaInSquareMeters(polygonCoords);
-    const areaInSqFeet = areaInSqMeters * 10.7639;
+    const areaInSqFeet = areaSqFt(polygonCoords);
     
     console.log("Original polygon area:", areaInSqFeet, "sq ft");
     
@@ -412,67 +328,15 @@ export const fixProvidedPolygon = (polygonCoords, lat, lng, size) => {
       return polygonCoords;
     }
     
-    // Otherwise, we need to resize the polygon
-    // Calculate the scale factor needed
-    const scaleFactor = Math.sqrt(size / areaInSqFeet);
-    console.log("Applied scale factor:", scaleFactor);
-    
-    // Compute the centroid
-    const centroid = calculateCentroid(polygonCoords);
-    
-    // Resize the polygon around its centroid
-    return polygonCoords.map(point => {
-      const dLat = point.lat - centroid.lat;
-      const dLng = point.lng - centroid.lng;
-      
-      return {
-        lat: centroid.lat + dLat * scaleFactor,
-        lng: centroid.lng + dLng * scaleFactor
-      };
-    });
+    // Otherwise, resize the polygon around its centroid
+    console.log("Applied scale factor:", Math.sqrt(size / areaInSqFeet));
+    return scaleToArea(polygonCoords, size);
   } catch (error) {
     console.error("Error fixing polygon:", error);
     return generateSizeBasedPolygon(lat, lng, size);
   }
 };
 
-// Helper to calculate area using shoelace formula
-const calculatePolygonAreaInSquareMeters = (polygonCoords) => {
-  // Convert lat/lng to meters with Mercator projection
-  const earthRadius = 6378137; // meters
-  const pointsInMeters = polygonCoords.map(point => {
-    const x = point.lng * (Math.PI / 180) * earthRadius;
-    const y = Math.log(Math.tan((Math.PI / 4) + (point.lat * (Math.PI / 180) / 2))) * earthRadius;
-    return { x, y };
-  });
-  
-  // Apply shoelace formula
-  let area = 0;
-  for (let i = 0; i < pointsInMeters.length; i++) {
-    const j = (i + 1) % pointsInMeters.length;
-    area += pointsInMeters[i].x * pointsInMeters[j].y;
-    area -= pointsInMeters[j].x * pointsInMeters[i].y;
-  }
-  
-  return Math.abs(area / 2);
-};
-
-// Helper to calculate centroid of a polygon
-const calculateCentroid = (polygonCoords) => {
-  let latSum = 0;
-  let lngSum = 0;
-  
-  polygonCoords.forEach(point => {
-    latSum += point.lat;
-    lngSum += point.lng;
-  });
-  
-  return {
-    lat: latSum / polygonCoords.length,
-    lng: lngSum / polygonCoords.length
-  };
-};
-
 export default {
   generatePropertyPolygon,
   generateSizeBasedPolygon,
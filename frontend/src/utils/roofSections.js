@@ -0,0 +1,43 @@
+// src/utils/roofSections.js
+import { slopedArea } from '@roofai/shared/roofPitch';
+
+/**
+ * Helpers for the traced roof sections kept in formData.roofSections
+ */
+
+/**
+ * Recalculate a section's sloped area from its footprint and pitch
+ * @param {Object} section - Roof section { planArea, pitch, ... }
+ * @returns {Object} Section with area in sq ft (0 until it has an outline)
+ */
+export const withSlopedArea = (section) => ({
+  ...section,
+  area: section.planArea > 0 ? slopedArea(section.planArea, section.pitch) : 0
+});
+
+/**
+ * Apply a steepness answer to the sections whose pitch was never set by hand
+ * Sections start on the analysed or default pitch; the ones the user gave a
+ * pitch of their own (pitchSet) keep it.
+ * @param {Array<Object>} sections - Roof sections
+ * @param {string} steepness - Steepness answer (flat, low, moderate, steep)
+ * @returns {Array<Object>} Sections with pitch and area updated
+ */
+export const applySteepness = (sections, steepness) => sections.map(section => (
+  section.pitchSet || section.pitch === steepness ? section : withSlopedArea({ ...section, pitch: steepness })
+));
+
+/**
+ * Total sloped area of the sections
+ * @param {Array<Object>} sections - Roof sections
+ * @returns {number} Roof size in sq ft
+ */
+export const totalArea = (sections) => sections.reduce((total, section) => total + (section.area || 0), 0);
+
+const roofSections = {
+  withSlopedArea,
+  applySteepness,
+  totalArea
+};
+
+export default roofSections;
@@ -0,0 +1,353 @@
+// shared/geometry.js
+
+/**
+ * Roof outline geometry
+ *
+ * Outlines are lists of { lat, lng } points, open or closed (the backend stores
+ * them with the first point repeated at the end). Everything is measured on the
+ * WGS84 ellipsoid so the wizard, the map containers and the backend get the
+ * same square footage for the same outline:
+ *
+ * - Areas are computed on the authalic (equal-area) sphere, which preserves
+ *   ellipsoidal area exactly; edges are great circles, which at roof scale
+ *   differ from ellipsoidal geodesics by far less than a square foot.
+ * - Distances, bearings and transforms use a local tangent plane with the
+ *   ellipsoid's radii of curvature at the outline. That is exact to well under
+ *   a millimetre across a building or parcel, which is all this is used for.
+ *
+ * Shared by the frontend and backend, so it stays plain CommonJS with no
+ * dependencies.
+ */
+
+const SQ_FT_PER_SQ_M = 10.7639;
+const FT_PER_M = 3.28084;
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+const E2 = FLATTENING * (2 - FLATTENING);
+const E = Math.sqrt(E2);
+
+const RAD = Math.PI / 180;
+
+// Authalic latitude helper q(φ); AUTHALIC_RADIUS is the radius of the equal-area sphere
+const authalicQ = (sinLat) => (1 - E2) * (
+  sinLat / (1 - E2 * sinLat * sinLat) -
+  Math.log((1 - E * sinLat) / (1 + E * sinLat)) / (2 * E)
+);
+const Q_POLE = authalicQ(1);
+const AUTHALIC_RADIUS = SEMI_MAJOR_AXIS * Math.sqrt(Q_POLE / 2);
+
+const authalicLatitude = (lat) => Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(lat * RAD)) / Q_POLE)));
+
+/**
+ * Normalize an outline to an open list of numeric points
+ * Drops points without coordinates and the closing point.
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {Array<Object>} Open ring of { lat, lng }
+ */
+const openRing = (points) => {
+  const ring = (Array.isArray(points) ? points : [])
+    .map(point => ({ lat: parseFloat(point.lat), lng: parseFloat(point.lng) }))
+    .filter(point => isFinite(point.lat) && isFinite(point.lng));
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (ring.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+    ring.pop();
+  }
+  return ring;
+};
+
+/**
+ * Close an outline (repeat the first point at the end), as the backend stores them
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {Array<Object>} Closed ring of { lat, lng }
+ */
+const closeRing = (points) => {
+  const ring = openRing(points);
+  return ring.length > 0 ? [...ring, ring[0]] : [];
+};
+
+// Local tangent plane at an origin: x east, y north, in meters
+const localFrame = (origin) => {
+  const sinLat = Math.sin(origin.lat * RAD);
+  const w = Math.sqrt(1 - E2 * sinLat * sinLat);
+  const metersPerRadLat = SEMI_MAJOR_AXIS * (1 - E2) / (w * w * w);
+  const metersPerRadLng = SEMI_MAJOR_AXIS / w * Math.cos(origin.lat * RAD);
+
+  return {
+    toLocal: ({ lat, lng }) => ({
+      x: (lng - origin.lng) * RAD * metersPerRadLng,
+      y: (lat - origin.lat) * RAD * metersPerRadLat
+    }),
+    fromLocal: ({ x, y }) => ({
+      lat: origin.lat + y / metersPerRadLat / RAD,
+      lng: origin.lng + x / metersPerRadLng / RAD
+    })
+  };
+};
+
+// Offset between two points in meters (east, north), measured at their mid-latitude
+const offset = (from, to) => {
+  const { toLocal } = localFrame({ lat: (from.lat + to.lat) / 2, lng: from.lng });
+  const a = toLocal(from);
+  const b = toLocal(to);
+  return { x: b.x - a.x, y: b.y - a.y };
+};
+
+/**
+ * Area of an outline
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {number} Area in square meters (0 for fewer than 3 points)
+ */
+const area = (points) => {
+  const ring = openRing(points);
+  if (ring.length < 3) return 0;
+
+  // Sum of the signed spherical excess between each edge and the equator
+  const total = ring.reduce((sum, point, index) => {
+    const next = ring[(index + 1) % ring.length];
+    const t1 = Math.tan(authalicLatitude(point.lat) / 2);
+    const t2 = Math.tan(authalicLatitude(next.lat) / 2);
+    const dLng = ((next.lng - point.lng + 540) % 360 - 180) * RAD;
+    return sum + 2 * Math.atan2(Math.tan(dLng / 2) * (t1 + t2), 1 + t1 * t2);
+  }, 0);
+  return Math.abs(total) * AUTHALIC_RADIUS * AUTHALIC_RADIUS;
+};
+
+/**
+ * Area of an outline in square feet
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {number} Area in sq ft, unrounded
+ */
+const areaSqFt = (points) => area(points) * SQ_FT_PER_SQ_M;
+
+/**
+ * Distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in meters
+ */
+const distance = (from, to) => {
+  const { x, y } = offset(from, to);
+  return Math.hypot(x, y);
+};
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+const bearing = (from, to) => {
+  const { x, y } = offset(from, to);
+  return (Math.atan2(x, y) / RAD + 360) % 360;
+};
+
+/**
+ * Edges of an outline, including the closing edge
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {Array<Object>} Edges { from, to, length (meters), bearing (degrees) }
+ */
+const edges = (points) => {
+  const ring = openRing(points);
+  if (ring.length < 2) return [];
+
+  return ring.map((from, index) => {
+    const to = ring[(index + 1) % ring.length];
+    return { from, to, length: distance(from, to), bearing: bearing(from, to) };
+  });
+};
+
+/**
+ * Perimeter of an outline
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {number} Perimeter in meters (0 for fewer than 3 points)
+ */
+const perimeter = (points) => {
+  const ring = openRing(points);
+  if (ring.length < 3) return 0;
+  return edges(ring).reduce((total, edge) => total + edge.length, 0);
+};
+
+/**
+ * Centroid (center of area) of an outline
+ * Falls back to the mean of the points for degenerate outlines.
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {Object|null} { lat, lng }, or null without points
+ */
+const centroid = (points) => {
+  const ring = openRing(points);
+  if (ring.length === 0) return null;
+
+  const { toLocal, fromLocal } = localFrame(ring[0]);
+  const local = ring.map(toLocal);
+  let twiceArea = 0;
+  let cx = 0;
+  let cy = 0;
+  local.forEach((a, index) => {
+    const b = local[(index + 1) % local.length];
+    const cross = a.x * b.y - b.x * a.y;
+    twiceArea += cross;
+    cx += (a.x + b.x) * cross;
+    cy += (a.y + b.y) * cross;
+  });
+
+  if (Math.abs(twiceArea) < 1e-9) {
+    return {
+      lat: ring.reduce((sum, point) => sum + point.lat, 0) / ring.length,
+      lng: ring.reduce((sum, point) => sum + point.lng, 0) / ring.length
+    };
+  }
+  return fromLocal({ x: cx / (3 * twiceArea), y: cy / (3 * twiceArea) });
+};
+
+// Apply a planar transform to every point (closing points stay closing points)
+const transform = (points, pivot, fn) => {
+  if (!Array.isArray(points) || points.length === 0 || !pivot) return points;
+  const { toLocal, fromLocal } = localFrame(pivot);
+  return points.map(point => fromLocal(fn(toLocal({
+    lat: parseFloat(point.lat),
+    lng: parseFloat(point.lng)
+  }))));
+};
+
+/**
+ * Rotate an outline
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @param {number} degrees - Clockwise rotation
+ * @param {Object} [pivot] - { lat, lng } to rotate about (defaults to the centroid)
+ * @returns {Array<Object>} Rotated points
+ */
+const rotate = (points, degrees, pivot = centroid(points)) => {
+  const sin = Math.sin(degrees * RAD);
+  const cos = Math.cos(degrees * RAD);
+  return transform(points, pivot, ({ x, y }) => ({
+    x: x * cos + y * sin,
+    y: -x * sin + y * cos
+  }));
+};
+
+/**
+ * Scale an outline
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @param {number} factor - Linear scale factor (area scales by its square)
+ * @param {Object} [pivot] - { lat, lng } to scale about (defaults to the centroid)
+ * @returns {Array<Object>} Scaled points
+ */
+const scale = (points, factor, pivot = centroid(points)) => (
+  transform(points, pivot, ({ x, y }) => ({ x: x * factor, y: y * factor }))
+);
+
+/**
+ * Scale an outline about its centroid to a target area
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @param {number} targetSqFt - Target area in sq ft
+ * @returns {Array<Object>} Scaled points (unchanged if either area is not positive)
+ */
+const scaleToArea = (points, targetSqFt) => {
+  const current = areaSqFt(points);
+  if (!(current > 0) || !(targetSqFt > 0)) return points;
+  return scale(points, Math.sqrt(targetSqFt / current));
+};
+
+/**
+ * Rectangle of a given area centered on a point
+ * @param {Object} center - { lat, lng }
+ * @param {number} sqFt - Area in sq ft
+ * @param {number} [aspectRatio=1] - North-south length / east-west width before rotation
+ * @param {number} [rotation=0] - Clockwise rotation in degrees
+ * @returns {Array<Object>} Open ring, south-west corner first, counterclockwise
+ */
+const rectangle = (center, sqFt, aspectRatio = 1, rotation = 0) => {
+  const width = Math.sqrt(sqFt / SQ_FT_PER_SQ_M / aspectRatio);
+  const halfWidth = width / 2;
+  const halfLength = width * aspectRatio / 2;
+  const { fromLocal } = localFrame(center);
+  const corners = [
+    { x: -halfWidth, y: -halfLength },
+    { x: halfWidth, y: -halfLength },
+    { x: halfWidth, y: halfLength },
+    { x: -halfWidth, y: halfLength }
+  ].map(fromLocal);
+  return rotation ? rotate(corners, rotation, center) : corners;
+};
+
+/**
+ * Check whether a point lies inside an outline (ray casting)
+ * @param {Object} point - { lat, lng }
+ * @param {Array<Object>} points - Outline points { lat, lng }, open or closed
+ * @returns {boolean} True if the point is inside
+ */
+const pointInPolygon = ({ lat, lng }, points) => {
+  const ring = openRing(points);
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > lat) !== (b.lat > lat) && lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Orientation of the turn a -> b -> c: 1 counterclockwise, -1 clockwise, 0 collinear
+const orientation = (a, b, c) => Math.sign((b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng));
+
+const onSegment = (a, b, p) => (
+  Math.min(a.lng, b.lng) <= p.lng && p.lng <= Math.max(a.lng, b.lng) &&
+  Math.min(a.lat, b.lat) <= p.lat && p.lat <= Math.max(a.lat, b.lat)
+);
+
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+};
+
+/**
+ * Check whether an outline crosses or touches itself
+ * @param {Array<Object>} points - Points { lat, lng }, open or closed
+ * @returns {boolean} True if two non-adjacent edges meet
+ */
+const selfIntersects = (points) => {
+  const ring = openRing(points);
+  const count = ring.length;
+  if (count < 4) return false;
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 2; j < count; j++) {
+      // The first and last edges share the first point
+      if (i === 0 && j === count - 1) continue;
+      if (segmentsIntersect(ring[i], ring[(i + 1) % count], ring[j], ring[(j + 1) % count])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+module.exports = {
+  SQ_FT_PER_SQ_M,
+  FT_PER_M,
+  openRing,
+  closeRing,
+  area,
+  areaSqFt,
+  distance,
+  bearing,
+  edges,
+  perimeter,
+  centroid,
+  rotate,
+  scale,
+  scaleToArea,
+  rectangle,
+  pointInPolygon,
+  selfIntersects
+};
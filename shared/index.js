@@ -0,0 +1,10 @@
+// shared/index.js
+const geometry = require('./geometry');
+const materialCatalog = require('./materialCatalog');
+const roofPitch = require('./roofPitch');
+
+module.exports = {
+  geometry,
+  materialCatalog,
+  roofPitch
+};
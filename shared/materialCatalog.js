@@ -0,0 +1,341 @@
+// shared/materialCatalog.js
+
+/**
+ * Roofing material catalog
+ *
+ * The single list of materials the wizard offers and the backend prices, takes
+ * off and describes. Each entry carries its display text, default installed
+ * pricing (the pricing file can override it per material), lifespan, pros and
+ * cons, the pitch range it can be installed on, the building types it is
+ * offered for and the coverage of its field product for material takeoffs.
+ *
+ * Pitches are rise per 12 of run. The wizard asks for a steepness band rather
+ * than a pitch, so suitability compares the material's pitch range with the
+ * band's (STEEPNESS_PITCH).
+ *
+ * Shared by the frontend and backend, so it stays plain CommonJS with no
+ * dependencies.
+ */
+
+const BUILDING_TYPES = ['residential', 'commercial'];
+
+// Pitch range (rise per 12) of each wizard steepness answer; max null = no upper bound
+const STEEPNESS_PITCH = {
+  flat: { min: 0, max: 2 },
+  low: { min: 2, max: 4 },
+  moderate: { min: 4, max: 8 },
+  steep: { min: 8, max: null }
+};
+
+const FAMILIES = {
+  asphalt: 'Asphalt shingles',
+  metal: 'Metal',
+  tile: 'Tile',
+  slate: 'Slate',
+  wood: 'Wood',
+  membrane: 'Low-slope membrane'
+};
+
+const MATERIALS = [
+  {
+    id: 'asphalt_architectural',
+    label: 'Architectural Asphalt Shingles',
+    family: 'asphalt',
+    description: 'Thick dimensional shingles, the most popular choice',
+    costTier: '$-$$',
+    pricing: { basePricePerSqft: 7.5, typicalRange: [6.5, 10.5] },
+    lifespan: '25-30 years',
+    pros: ['Dimensional look that hides imperfections', 'Good wind ratings (up to 130 mph)', 'Widely available', 'Long warranties'],
+    cons: ['Costs more than 3-tab', 'Shorter lifespan than metal, tile or slate', 'Can be damaged by hail'],
+    minPitch: 2,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Shingle bundles', unit: 'bundles', perSquare: 3, nailsPerSquare: 320 },
+    swatch: '404040'
+  },
+  {
+    id: 'asphalt_3tab',
+    label: '3-Tab Asphalt Shingles',
+    family: 'asphalt',
+    description: 'Flat, uniform shingles on a budget',
+    costTier: '$',
+    pricing: { basePricePerSqft: 6.5, typicalRange: [5.5, 9.5] },
+    lifespan: '15-20 years',
+    pros: ['Lowest upfront cost', 'Lightweight', 'Easy to install and repair'],
+    cons: ['Shortest lifespan', 'Lower wind ratings (60-70 mph)', 'Flat appearance', 'Being phased out by many manufacturers'],
+    minPitch: 2,
+    maxPitch: null,
+    buildingTypes: ['residential'],
+    coverage: { product: 'Shingle bundles', unit: 'bundles', perSquare: 3, nailsPerSquare: 320 },
+    swatch: '5A5A5A'
+  },
+  {
+    id: 'metal_standing_seam',
+    label: 'Standing Seam Metal',
+    family: 'metal',
+    description: 'Concealed-fastener panels with raised seams',
+    costTier: '$$$',
+    pricing: { basePricePerSqft: 11.0, typicalRange: [9.0, 16.0] },
+    lifespan: '40-70 years',
+    pros: ['Very long lifespan', 'No exposed fasteners to leak', 'Sheds snow and rain quickly', 'Energy efficient and recyclable'],
+    cons: ['High upfront cost', 'Needs specialized installers', 'Can dent from large hail'],
+    minPitch: 0.5,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Standing seam panels', unit: 'squares', perSquare: 1, nailsPerSquare: null },
+    swatch: '708090'
+  },
+  {
+    id: 'metal_corrugated',
+    label: 'Corrugated Metal',
+    family: 'metal',
+    description: 'Exposed-fastener ribbed panels',
+    costTier: '$-$$',
+    pricing: { basePricePerSqft: 7.5, typicalRange: [5.5, 10.0] },
+    lifespan: '25-40 years',
+    pros: ['Affordable metal option', 'Fast to install', 'Lightweight', 'Durable in most weather'],
+    cons: ['Exposed fasteners need periodic re-sealing', 'Industrial appearance', 'Noisier in rain without insulation'],
+    minPitch: 3,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Corrugated panels', unit: 'squares', perSquare: 1, nailsPerSquare: null },
+    swatch: '8C98A4'
+  },
+  {
+    id: 'tile_clay',
+    label: 'Clay Tile',
+    family: 'tile',
+    description: 'Classic fired clay, Spanish or Mission style',
+    costTier: '$$$-$$$$',
+    pricing: { basePricePerSqft: 14.0, typicalRange: [12.0, 20.0] },
+    lifespan: '50-100 years',
+    pros: ['Exceptional lifespan', 'Color never fades', 'Fire resistant', 'Excellent in hot climates'],
+    cons: ['Very heavy - may require structural reinforcement', 'Brittle under foot traffic', 'Expensive', 'Complex installation'],
+    minPitch: 2.5,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Clay tiles', unit: 'tiles', perSquare: 100, nailsPerSquare: null },
+    swatch: 'CD5C5C'
+  },
+  {
+    id: 'tile_concrete',
+    label: 'Concrete Tile',
+    family: 'tile',
+    description: 'Tile look at a lower price than clay',
+    costTier: '$$-$$$',
+    pricing: { basePricePerSqft: 11.0, typicalRange: [9.0, 15.0] },
+    lifespan: '40-50 years',
+    pros: ['Long lifespan', 'Fire and wind resistant', 'Cheaper than clay', 'Many profiles and colors'],
+    cons: ['Heavier than clay - may require structural reinforcement', 'Color can fade', 'Absorbs water in freeze-thaw climates'],
+    minPitch: 2.5,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Concrete tiles', unit: 'tiles', perSquare: 90, nailsPerSquare: null },
+    swatch: 'A0522D'
+  },
+  {
+    id: 'slate',
+    label: 'Natural Slate',
+    family: 'slate',
+    description: 'Quarried stone, the longest-lasting roof',
+    costTier: '$$$$',
+    pricing: { basePricePerSqft: 25.0, typicalRange: [18.0, 35.0] },
+    lifespan: '75-150 years',
+    pros: ['Can outlast the building', 'Fireproof', 'Distinctive natural appearance', 'Adds resale value'],
+    cons: ['Highest cost', 'Very heavy', 'Few qualified installers', 'Broken slates are hard to match'],
+    minPitch: 4,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Slates', unit: 'slates', perSquare: 170, nailsPerSquare: 340 },
+    swatch: '2F4F4F'
+  },
+  {
+    id: 'synthetic_slate',
+    label: 'Synthetic Slate',
+    family: 'slate',
+    description: 'Polymer slate look at a fraction of the weight',
+    costTier: '$$-$$$',
+    pricing: { basePricePerSqft: 11.0, typicalRange: [9.0, 15.0] },
+    lifespan: '30-50 years',
+    pros: ['Slate appearance without the weight', 'Impact resistant', 'No structural reinforcement needed', 'Easier to install than slate'],
+    cons: ['Newer product with a shorter track record', 'Quality varies by manufacturer', 'Can fade over time'],
+    minPitch: 4,
+    maxPitch: null,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Synthetic slate bundles', unit: 'bundles', perSquare: 4, nailsPerSquare: 350 },
+    swatch: '3C4650'
+  },
+  {
+    id: 'cedar_shake',
+    label: 'Cedar Shake',
+    family: 'wood',
+    description: 'Split or sawn cedar shakes and shingles',
+    costTier: '$$-$$$',
+    pricing: { basePricePerSqft: 11.0, typicalRange: [9.0, 16.0] },
+    lifespan: '20-35 years',
+    pros: ['Natural beauty', 'Good insulation', 'Wind resistant', 'Environmentally friendly'],
+    cons: ['Regular maintenance required', 'Susceptible to mold and insects', 'Fire hazard without treatment'],
+    minPitch: 4,
+    maxPitch: null,
+    buildingTypes: ['residential'],
+    coverage: { product: 'Cedar shake bundles', unit: 'bundles', perSquare: 4, nailsPerSquare: 400 },
+    swatch: '8B4513'
+  },
+  {
+    id: 'tpo',
+    label: 'TPO Membrane',
+    family: 'membrane',
+    description: 'White single-ply membrane with welded seams',
+    costTier: '$-$$',
+    pricing: { basePricePerSqft: 7.5, typicalRange: [5.5, 10.0] },
+    lifespan: '20-30 years',
+    pros: ['Reflective surface lowers cooling costs', 'Heat-welded seams', 'Puncture resistant', 'Most common commercial membrane'],
+    cons: ['Only for flat and low-slope roofs', 'Quality varies between manufacturers', 'Seams need skilled welding'],
+    minPitch: 0.25,
+    maxPitch: 3,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'TPO membrane rolls (10 x 100 ft)', unit: 'rolls', perSquare: 0.1, nailsPerSquare: null },
+    swatch: 'E8E8E8'
+  },
+  {
+    id: 'epdm',
+    label: 'EPDM Rubber Membrane',
+    family: 'membrane',
+    description: 'Black synthetic rubber single-ply',
+    costTier: '$-$$',
+    pricing: { basePricePerSqft: 6.5, typicalRange: [5.0, 9.0] },
+    lifespan: '25-30 years',
+    pros: ['Proven track record', 'Flexible in cold weather', 'Easy to repair', 'Large sheets mean few seams'],
+    cons: ['Only for flat and low-slope roofs', 'Black surface absorbs heat', 'Glued seams can fail if poorly installed'],
+    minPitch: 0.25,
+    maxPitch: 3,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'EPDM membrane rolls (10 x 100 ft)', unit: 'rolls', perSquare: 0.1, nailsPerSquare: null },
+    swatch: '1C1C1C'
+  },
+  {
+    id: 'modified_bitumen',
+    label: 'Modified Bitumen',
+    family: 'membrane',
+    description: 'Asphalt-based rolls, torched or self-adhered',
+    costTier: '$-$$',
+    pricing: { basePricePerSqft: 6.0, typicalRange: [4.5, 8.5] },
+    lifespan: '15-25 years',
+    pros: ['Tough against foot traffic', 'Multi-layer redundancy', 'Self-adhered options avoid open flames'],
+    cons: ['Only for flat and low-slope roofs', 'Torch-applied versions are a fire risk during install', 'Shorter lifespan than single-ply'],
+    minPitch: 0.25,
+    maxPitch: 3,
+    buildingTypes: ['residential', 'commercial'],
+    coverage: { product: 'Modified bitumen rolls', unit: 'rolls', perSquare: 1, nailsPerSquare: null },
+    swatch: '4B4B3C'
+  },
+  {
+    id: 'built_up',
+    label: 'Built-Up Roofing (BUR)',
+    family: 'membrane',
+    description: 'Layers of asphalt and felt topped with gravel',
+    costTier: '$$',
+    pricing: { basePricePerSqft: 7.0, typicalRange: [5.5, 10.0] },
+    lifespan: '20-30 years',
+    pros: ['Multiple layers of waterproofing', 'Gravel surface resists UV and foot traffic', 'Long commercial track record'],
+    cons: ['Heavy', 'Slow, messy installation with hot asphalt', 'Leaks are hard to locate'],
+    minPitch: 0.25,
+    maxPitch: 3,
+    buildingTypes: ['commercial'],
+    coverage: { product: 'Ply sheet rolls (4 plies)', unit: 'rolls', perSquare: 1.2, nailsPerSquare: null },
+    swatch: '6B6B6B'
+  }
+];
+
+// Ids used before the catalog existed, mapped to the catalog entry they were priced as
+const LEGACY_IDS = {
+  asphalt: 'asphalt_3tab',
+  metal: 'metal_standing_seam',
+  tile: 'tile_clay',
+  cedar: 'cedar_shake'
+};
+
+// Material suggested when none was chosen
+const DEFAULT_MATERIALS = {
+  residential: 'asphalt_3tab',
+  commercial: 'tpo'
+};
+
+const MATERIAL_IDS = MATERIALS.map(material => material.id);
+
+const byId = MATERIALS.reduce((map, material) => ({ ...map, [material.id]: material }), {});
+
+/**
+ * Resolve a material id, accepting the legacy ids
+ * @param {string} id - Catalog or legacy id
+ * @returns {string|null} Catalog id, or null if unknown
+ */
+const resolveMaterialId = (id) => {
+  if (!id) return null;
+  const key = String(id).trim().toLowerCase();
+  if (byId[key]) return key;
+  return LEGACY_IDS[key] || null;
+};
+
+/**
+ * Look up a material
+ * @param {string} id - Catalog or legacy id
+ * @returns {Object|null} Catalog entry
+ */
+const getMaterial = (id) => byId[resolveMaterialId(id)] || null;
+
+/**
+ * Whether a material can be installed on a roof of the given steepness
+ * @param {Object|string} material - Catalog entry or id
+ * @param {string} steepness - flat, low, moderate or steep (anything else is not checked)
+ * @returns {boolean}
+ */
+const isSuitableForSteepness = (material, steepness) => {
+  const entry = typeof material === 'string' ? getMaterial(material) : material;
+  const range = STEEPNESS_PITCH[steepness];
+  if (!entry) return false;
+  if (!range) return true;
+
+  const belowMax = range.max === null || entry.minPitch < range.max;
+  const aboveMin = entry.maxPitch === null || entry.maxPitch > range.min;
+  return belowMax && aboveMin;
+};
+
+/**
+ * Materials offered for a building type, optionally only those suited to a steepness
+ * @param {Object} options - { buildingType, steepness }; unset options don't filter
+ * @returns {Array<Object>} Catalog entries in catalog order
+ */
+const getMaterials = ({ buildingType, steepness } = {}) => MATERIALS.filter(material => (
+  (!BUILDING_TYPES.includes(buildingType) || material.buildingTypes.includes(buildingType)) &&
+  (!steepness || isSuitableForSteepness(material, steepness))
+));
+
+/**
+ * Default material for a building type
+ * @param {string} buildingType - residential or commercial (anything else counts as residential)
+ * @returns {string} Catalog id
+ */
+const getDefaultMaterialId = (buildingType) => DEFAULT_MATERIALS[buildingType] || DEFAULT_MATERIALS.residential;
+
+/**
+ * Format a pitch as "4/12"
+ * @param {number} pitch - Rise per 12
+ * @returns {string}
+ */
+const formatPitch = (pitch) => `${pitch}/12`;
+
+module.exports = {
+  BUILDING_TYPES,
+  STEEPNESS_PITCH,
+  FAMILIES,
+  MATERIALS,
+  MATERIAL_IDS,
+  LEGACY_IDS,
+  resolveMaterialId,
+  getMaterial,
+  getMaterials,
+  isSuitableForSteepness,
+  getDefaultMaterialId,
+  formatPitch
+};
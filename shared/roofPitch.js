@@ -0,0 +1,105 @@
+// shared/roofPitch.js
+
+/**
+ * Roof pitch
+ *
+ * A pitch is either a wizard steepness answer (flat, low, moderate, steep) or a
+ * rise/run string such as "7/12". This module converts between the two (rise
+ * per 12 of run, and the steepness band that pricing factors are keyed by) and
+ * gives the slope multiplier that turns a plan (footprint) area into the
+ * sloped roof area. Outlines traced on satellite imagery are plan areas, so
+ * both the wizard and the backend go through here before treating one as a
+ * roof size.
+ *
+ * Shared by the frontend and backend, so it stays plain CommonJS with no
+ * dependencies.
+ */
+
+const { STEEPNESS_PITCH } = require('./materialCatalog');
+
+// Rise per 12 of run assumed for each wizard steepness answer
+const PITCH_RISE = {
+  flat: 1,
+  low: 4,
+  moderate: 6,
+  steep: 9
+};
+
+const DEFAULT_PITCH = 'moderate';
+
+// Steeper than this is a wall, not a roof plane
+const MAX_RISE = 48;
+
+const RISE_RUN_PATTERN = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/;
+
+/**
+ * Parse a pitch into rise per 12 of run
+ * @param {string} pitch - Steepness answer or rise/run ("7/12", "3.5/12", "4/10")
+ * @returns {number|null} Rise per 12, or null if the pitch isn't valid
+ */
+const parsePitch = (pitch) => {
+  if (PITCH_RISE[pitch] !== undefined) return PITCH_RISE[pitch];
+
+  const match = RISE_RUN_PATTERN.exec(String(pitch ?? '').trim());
+  if (!match) return null;
+
+  const rise = parseFloat(match[1]) * 12 / parseFloat(match[2]);
+  return isFinite(rise) && rise <= MAX_RISE ? rise : null;
+};
+
+/**
+ * Check whether a value is a usable pitch
+ * @param {string} pitch - Steepness answer or rise/run
+ * @returns {boolean} True if parsePitch understands it
+ */
+const isValidPitch = (pitch) => parsePitch(pitch) !== null;
+
+/**
+ * Rise per 12 for a pitch
+ * @param {string} pitch - Steepness answer or rise/run (anything else counts as moderate)
+ * @returns {number} Rise per 12 of run
+ */
+const pitchRise = (pitch) => parsePitch(pitch) ?? PITCH_RISE[DEFAULT_PITCH];
+
+/**
+ * Steepness band a pitch falls in (the key for steepness pricing factors)
+ * @param {string} pitch - Steepness answer or rise/run
+ * @returns {string} flat, low, moderate or steep
+ */
+const steepnessForPitch = (pitch) => {
+  if (PITCH_RISE[pitch] !== undefined) return pitch;
+
+  const rise = pitchRise(pitch);
+  return Object.keys(STEEPNESS_PITCH).find(band => (
+    STEEPNESS_PITCH[band].max === null || rise < STEEPNESS_PITCH[band].max
+  ));
+};
+
+/**
+ * Slope multiplier for a pitch (sloped area / plan area)
+ * @param {string} pitch - Steepness answer or rise/run
+ * @returns {number} Multiplier
+ */
+const pitchMultiplier = (pitch) => {
+  const rise = pitchRise(pitch);
+  return Math.sqrt(12 ** 2 + rise ** 2) / 12;
+};
+
+/**
+ * Sloped roof area for a plan area
+ * @param {number} planArea - Footprint area in sq ft
+ * @param {string} pitch - Steepness answer or rise/run
+ * @returns {number} Sloped area in sq ft, rounded
+ */
+const slopedArea = (planArea, pitch) => Math.round(planArea * pitchMultiplier(pitch));
+
+module.exports = {
+  PITCH_RISE,
+  DEFAULT_PITCH,
+  parsePitch,
+  isValidPitch,
+  pitchRise,
+  steepnessForPitch,
+  pitchMultiplier,
+  slopedArea
+};